@@ -2,16 +2,47 @@ import Footer from "./components/Footer";
 import Header from "./components/Header";
 import Menu from "./components/Menu";
 import Navbar from "./components/Navbar";
+import Bisection from "./components/Bisection";
+import NewtonRaphson from "./components/NewtonRaphson";
+import SimpsonsRule from "./components/SimpsonsRule";
+import GaussSeidel from "./components/GaussSeidel";
+import LuDecomposition from "./components/LuDecomposition";
+import ScalarOptimization from "./components/ScalarOptimization";
+import ODEsComparison from "./components/ODEsComparison";
+import Algorithms from "./components/Algorithms";
+import LinearSystems from "./components/LinearSystems";
+import NumDiff from "./components/NumDiff";
+import NonlinearSystems from "./components/NonlinearSystems";
+import FixedPoint from "./components/FixedPoint";
+import { useRoute } from "./router";
+
+// hash path → page component; anything unknown falls back to the menu
+const ROUTES = {
+  '/bisection': Bisection,
+  '/newton-raphson': NewtonRaphson,
+  '/simpsons-rule': SimpsonsRule,
+  '/gauss-seidel': GaussSeidel,
+  '/lu-decomposition': LuDecomposition,
+  '/optimization': ScalarOptimization,
+  '/ode-comparison': ODEsComparison,
+  '/algorithms': Algorithms,
+  '/linear-systems': LinearSystems,
+  '/numerical-differentiation': NumDiff,
+  '/nonlinear-systems': NonlinearSystems,
+  '/fixed-point': FixedPoint,
+};
 
 export default function App() {
- 
+     const { path, visit } = useRoute();
+     const Page = ROUTES[path] ?? Menu;
+
      return (
         <>
          <Navbar/>
          <Header/>
-         <Menu/>
+         <Page key={`${path}#${visit}`}/>
          <Footer/>
         </>
      )
  
-}
\ No newline at end of file
+}
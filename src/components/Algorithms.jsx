@@ -3,9 +3,11 @@
 // This component lets students compare **Newton–Raphson** (fast but fragile)
 // with **Bisection** (slow but guaranteed) on a sample nonlinear equation and
 // illustrates how robust code uses *try / catch* blocks, derivative checks and
-// automatic step‑back when Newton stalls.  It logs run‑time, iteration count
-// and final error, then displays everything in the same plain‑table style used
-// across the project.
+// automatic step‑back when Newton stalls.  The safeguarded hybrids in between
+// (Illinois false position, Ridders, Dekker, Brent) and the secant method share
+// the same bracket and tolerance.  It logs run‑time, iteration count, f
+// evaluations and final error, then displays everything in the same
+// plain‑table style used across the project.
 //
 // Install deps once if missing:
 //   npm i mathjs
@@ -14,88 +16,86 @@
 import { useState } from 'react';
 import { evaluate } from 'mathjs';
 import algoLogo from '../assets/algorithms.png';
-import Menu from './Menu';
+import { navigate, useQueryState, useAutoRun } from '../router';
+import { countEvals, findRoot, newton, ROOT_METHODS } from '../numerics';
 
 export default function Algorithms() {
   /* ────────────────────────── state ─────────────────────────────── */
-  const [funcStr, setFuncStr] = useState('x^3 - x - 2');
-  const [a, setA] = useState(0);
-  const [b, setB] = useState(2);
-  const [tol, setTol] = useState(1e-6);
+  const [funcStr, setFuncStr] = useQueryState('fx', 'x^3 - x - 2');
+  const [a, setA] = useQueryState('a', 0);
+  const [b, setB] = useQueryState('b', 2);
+  const [tol, setTol] = useQueryState('tol', 1e-6);
   const [results, setResults] = useState(null);
   const [errMsg, setErrMsg] = useState('');
-  const [goMenu, setGoMenu] = useState(false);
 
   /* ─────────────────── helper closures ─────────────────────────── */
   const f = x => evaluate(funcStr, { x });
-  const df = x => {
-    // cheap finite‑difference derivative
-    const h = 1e-6;
-    return (f(x + h) - f(x - h)) / (2 * h);
-  };
 
-  /* ─────────────────── algorithms with guards ──────────────────── */
-  function newtonRaphson(x0, tol, maxIt = 100) {
-    let x = x0;
+  /* ─────────────────── timed wrappers with guards ──────────────── */
+  // All finders come from src/numerics; here we only time them and turn a
+  // non‑converged Newton run into a thrown Error for the fallback logic.
+  function timed(run) {
     const start = performance.now();
-    for (let i = 1; i <= maxIt; i++) {
-      const dfx = df(x);
-      if (Math.abs(dfx) < 1e-12) {
-        // derivative too small – adapt: take a tiny random nudge
-        x += 1e-3;
-        continue; // try again (counts as an iteration)
-      }
-      const xNext = x - f(x) / dfx;
-      if (Math.abs(xNext - x) < tol) {
-        return { root: xNext, iters: i, time: performance.now() - start, err: Math.abs(f(xNext)) };
-      }
-      x = xNext;
-    }
-    // non‑convergence → signal via thrown Error
-    throw new Error('Newton–Raphson failed to converge within max iterations');
+    const res = run();
+    return {
+      root: res.root,
+      iters: res.iterations,
+      evals: res.evals,
+      time: performance.now() - start,
+      err: Math.abs(f(res.root)),
+      status: res.status,
+    };
   }
 
-  function bisection(a, b, tol, maxIt = 100) {
-    const start = performance.now();
-    let aa = a, bb = b;
-    if (f(aa) * f(bb) > 0) throw new Error('f(a) and f(b) must have opposite signs');
-    let i;
-    for (i = 1; i <= maxIt; i++) {
-      const c = (aa + bb) / 2;
-      if ((bb - aa) / 2 < tol || f(c) === 0) {
-        return { root: c, iters: i, time: performance.now() - start, err: Math.abs(f(c)) };
-      }
-      (f(aa) * f(c) < 0) ? (bb = c) : (aa = c);
+  function newtonRaphson(x0, tol, maxIt = 100) {
+    // cheap finite‑difference derivative; its two f calls per step are
+    // counted with the others so the f evals column compares like with like
+    const F = countEvals(f);
+    const h = 1e-6;
+    const df = x => (F.f(x + h) - F.f(x - h)) / (2 * h);
+    const res = timed(() => newton(F.f, df, x0, { tol, maxIter: maxIt }));
+    res.evals = F.evals;
+    if (res.status !== 'converged') {
+      // non‑convergence → signal via thrown Error
+      throw new Error('Newton–Raphson failed to converge within max iterations');
     }
-    throw new Error('Bisection exceeded max iterations (should be impossible)');
+    return res;
   }
 
   /* ─────────────── main experiment orchestrator ────────────────── */
   function runComparison() {
     setErrMsg('');
     try {
-      const bis = bisection(Number(a), Number(b), Number(tol));
-      let newton;
+      // one failing method (e.g. no sign change for the bracketing ones)
+      // becomes a row of its own instead of hiding the whole table
+      const rows = Object.entries(ROOT_METHODS).map(([key, { label }]) => {
+        try {
+          return { label, ...timed(() => findRoot(key, f, Number(a), Number(b), { tol: Number(tol) })) };
+        } catch (err) {
+          return { label, error: err.message };
+        }
+      });
+      const bis = rows[0];
+      let newtonRow;
       try {
         // Try Newton with midpoint as initial guess (typical practice)
-        newton = newtonRaphson((Number(a) + Number(b)) / 2, Number(tol));
-      } catch (e) {
+        newtonRow = newtonRaphson((Number(a) + Number(b)) / 2, Number(tol));
+      } catch {
         // fallback strategy: use bisection root as initial guess + damped NR
         try {
-          newton = newtonRaphson(bis.root, Number(tol));
-        } catch (e2) {
-          newton = null; // record failure
+          newtonRow = bis.error ? null : newtonRaphson(bis.root, Number(tol));
+        } catch {
+          newtonRow = null; // record failure
         }
       }
-      setResults({ bis, newton });
+      setResults({ rows, newtonRow });
+      markRun();
     } catch (err) {
       setErrMsg(err.message);
       setResults(null);
     }
   }
-
-  /* ────────────────────── navigation ───────────────────────────── */
-  if (goMenu) return <Menu />;
+  const markRun = useAutoRun(runComparison);
 
   /* ──────────────────────── render ─────────────────────────────── */
   return (
@@ -178,8 +178,21 @@ n
           <strong> Bisection</strong> (linear but guaranteed) for the scalar equation&nbsp;
           <code>f(x) = 0</code>.  Runtime is measured with <code>performance.now()</code>; convergence is
           declared when successive iterates differ by &lt; tol.&nbsp;Derivative blow‑ups or
-          non‑convergence are trapped in <code>try&#47;catch</code>, and Newton automatically nudges the
-          iterate or falls back to Bisection’s root when needed.
+          non‑convergence are trapped in <code>try&#47;catch</code>, and Newton restarts from
+          Bisection’s root when its first attempt fails.
+        </p>
+
+        <p>
+          Between the two extremes sit the <strong>safeguarded hybrids</strong>. They keep a
+          sign‑change bracket like Bisection but try a faster interpolation step first:
+          <strong> Illinois</strong> false position halves a stale endpoint value so regula
+          falsi stops crawling, <strong>Ridders</strong> fits an exponential through the
+          midpoint, <strong>Dekker</strong> takes secant steps when they land inside the
+          bracket, and <strong>Brent</strong> adds inverse quadratic interpolation and a
+          rule that falls back to bisection whenever the steps stop shrinking. The
+          <strong> secant</strong> method starts from a and b but keeps no bracket, so it is
+          fast and unprotected. Try <code>x^9</code> on [−1, 1.3] to see Dekker crawl
+          where Brent does not.
         </p>
 
         <div className="inputs">
@@ -213,29 +226,39 @@ n
                   <th>Root</th>
                   <th>|f(root)|</th>
                   <th>Iters</th>
+                  <th>f evals</th>
                   <th>Time (ms)</th>
                 </tr>
               </thead>
               <tbody>
-                <tr>
-                  <td>Bisection</td>
-                  <td>{results.bis.root.toFixed(6)}</td>
-                  <td>{results.bis.err.toExponential(2)}</td>
-                  <td>{results.bis.iters}</td>
-                  <td>{results.bis.time.toFixed(2)}</td>
-                </tr>
-                {results.newton ? (
+                {results.rows.map(row => (row.error ? (
+                  <tr key={row.label}>
+                    <td>{row.label}</td>
+                    <td colSpan="5">❌ {row.error}</td>
+                  </tr>
+                ) : (
+                  <tr key={row.label}>
+                    <td>{row.label}</td>
+                    <td>{row.root.toFixed(6)}</td>
+                    <td>{row.err.toExponential(2)}</td>
+                    <td>{row.iters}{row.status !== 'converged' && ` (${row.status})`}</td>
+                    <td>{row.evals}</td>
+                    <td>{row.time.toFixed(2)}</td>
+                  </tr>
+                )))}
+                {results.newtonRow ? (
                     <tr>
                     <td>Newton–Raphson</td>
-                    <td>{results.newton.root.toFixed(6)}</td>
-                    <td>{results.newton.err.toExponential(2)}</td>
-                    <td>{results.newton.iters}</td>
-                    <td>{results.newton.time.toFixed(2)}</td>
+                    <td>{results.newtonRow.root.toFixed(6)}</td>
+                    <td>{results.newtonRow.err.toExponential(2)}</td>
+                    <td>{results.newtonRow.iters}</td>
+                    <td>{results.newtonRow.evals}</td>
+                    <td>{results.newtonRow.time.toFixed(2)}</td>
                   </tr>
                 ) : (
                   <tr>
                     <td>Newton–Raphson</td>
-                    <td colSpan="4">❌ failed to converge</td>
+                    <td colSpan="5">❌ failed to converge</td>
                   </tr>
                 )}
               </tbody>
@@ -245,13 +268,15 @@ n
               <em>
                 Observation:</em> Newton requires far fewer iterations and usually less runtime
               <em> if</em> it converges, but its derivative sensitivity makes Bisection a safer
-              fallback when robustness is critical.
+              fallback when robustness is critical. Brent usually gets Newton‑like
+              evaluation counts without giving up the bracket; compare the f‑evals column,
+              since Ridders spends two evaluations per iteration.
             </p>
           </div>
         )}
       </div>
 
-      <button data-label="Register" className="rainbow-hover" onClick={() => setGoMenu(true)} id='backButtonAlgo' >
+      <button data-label="Register" className="rainbow-hover" onClick={() => navigate('/')} id='backButtonAlgo' >
         <span className="sp">Back to Menu</span>
       </button>
     </div>
@@ -2,20 +2,26 @@ import { useState, useMemo, useEffect } from 'react';
 import { compile } from 'mathjs';
 import Plot from 'react-plotly.js';
 import bisectionLogo from '../assets/19.03.02-Bisection-method.png';
-import Menu from './Menu';
+import { navigate, useQueryState, useAutoRun } from '../router';
+import { bisection, findAllRoots } from '../numerics';
+import PolynomialRoots from './PolynomialRoots';
+import PlaybackControls, { usePlayback } from './PlaybackControls';
 
 export default function Bisection() {
 
     
 
 
-  const [fx, setFx] = useState('x^3 - x - 2');
-  const [a, setA] = useState(-2);
-  const [b, setB] = useState(3);
-  const [tol, setTol] = useState(0.001);
-  const [goToMenu,setGoToMenu]=useState(false);
+  const [fx, setFx] = useQueryState('fx', 'x^3 - x - 2');
+  const [a, setA] = useQueryState('a', -2);
+  const [b, setB] = useQueryState('b', 3);
+  const [tol, setTol] = useQueryState('tol', 0.001);
+  const [mode, setMode] = useQueryState('mode', 'single');   // 'single' | 'all'
+  const [samples, setSamples] = useQueryState('samples', 500);
 
   const [steps, setSteps] = useState([]);
+  const [scan, setScan] = useState(null);   // findAllRoots result in 'all' mode
+  const playback = usePlayback(steps.length, steps);
   const [errMsg, setErrMsg] = useState('');
 
 
@@ -48,36 +54,36 @@ export default function Bisection() {
       setErrMsg('⚠️ Syntax error in f(x)');
       return;
     }
-    if (!Number.isFinite(fa) || !Number.isFinite(fb)) {
+    // the scan skips non‑finite samples itself (1/x on [−1, 1] is fine there)
+    if (mode === 'single' && (!Number.isFinite(fa) || !Number.isFinite(fb))) {
       setErrMsg('⚠️ f(a) or f(b) is not a finite number');
       return;
     }
-    if (fa * fb > 0) {
-      setErrMsg('⚠️ f(a) and f(b) must have opposite signs');
+    if (mode === 'single' && fa * fb > 0) {
+      setErrMsg('⚠️ f(a) and f(b) must have opposite signs — or switch to "find all roots"');
       return;
     }
     setErrMsg('');
-  }, [compiled, fa, fb]);
+  }, [compiled, fa, fb, mode]);
 
   const runBisection = () => {
     if (errMsg) return;
-    let aa = Number(a);
-    let bb = Number(b);
-    const ε = Number(tol);
-    const log = [];
-    for (let i = 1; i <= 100 && (bb - aa) / 2 > ε; i++) {
-      const c = (aa + bb) / 2;
-      const fc = evaluateF(c);
-      log.push({ i, a: aa, b: bb, c, fc });
-      if (fc === 0) break;
-      if (evaluateF(aa) * fc < 0) {
-        bb = c;
+    try {
+      if (mode === 'all') {
+        // every sign change refined with Brent, plus touching (even) roots
+        setScan(findAllRoots(evaluateF, Number(a), Number(b), { samples: Number(samples), tol: Number(tol) }));
+        setSteps([]);
       } else {
-        aa = c;
+        const { steps } = bisection(evaluateF, Number(a), Number(b), { tol: Number(tol) });
+        setSteps(steps);
+        setScan(null);
       }
+      markRun();
+    } catch (err) {
+      setErrMsg(`⚠️ ${err.message}`);
     }
-    setSteps(log);
   };
+  const markRun = useAutoRun(runBisection);
 
 
   const plotData = useMemo(() => {
@@ -93,19 +99,55 @@ export default function Bisection() {
       xs.push(x);
       ys.push(evaluateF(x));
     }
-    const midXs = steps.map((s) => s.c);
+    if (scan) {
+      return [
+        { x: xs, y: ys, mode: 'lines', name: 'f(x)' },
+        {
+          x: scan.roots.map((r) => r.x),
+          y: scan.roots.map(() => 0),
+          mode: 'markers+text',
+          marker: { size: 10, symbol: 'x' },
+          text: scan.roots.map((r) => (r.multiplicity > 1 ? `m=${r.multiplicity}` : '')),
+          textposition: 'top center',
+          name: 'roots',
+        },
+      ];
+    }
+    // playback: midpoints up to the frame shown, the newest one highlighted
+    const shown = steps.slice(0, playback.frame + 1);
+    const midXs = shown.map((s) => s.c);
     const midYs = midXs.map(evaluateF);
     return [
       { x: xs, y: ys, mode: 'lines', name: 'f(x)' },
       { x: midXs, y: midYs, mode: 'markers+lines', name: 'midpoints' },
+      {
+        x: midXs.slice(-1),
+        y: midYs.slice(-1),
+        mode: 'markers',
+        marker: { size: 12, symbol: 'diamond' },
+        name: 'current c',
+      },
     ];
-  }, [a, b, steps, errMsg]);
+  }, [a, b, steps, scan, errMsg, playback.frame]);
+
+  // the bracket [a, b] of the frame shown, as a shaded band
+  const current = steps[playback.frame];
+  const bracketShapes = current
+    ? [{
+        type: 'rect',
+        xref: 'x',
+        yref: 'paper',
+        x0: current.a,
+        x1: current.b,
+        y0: 0,
+        y1: 1,
+        fillcolor: 'rgba(201, 162, 39, 0.25)',
+        line: { width: 0 },
+      }]
+    : [];
 
   function handleBack() {
-    setGoToMenu(true);
- }
- if(goToMenu) {
-   return <Menu/>
+    navigate('/');
  }
 
   return (
@@ -194,6 +236,23 @@ c is the root, otherwise the half-interval where the sign change persists become
             onChange={(e) => setTol(e.target.value)}
           />
         </label>
+        <label>
+          mode
+          <select value={mode} onChange={(e) => setMode(e.target.value)}>
+            <option value="single">single root (bisection)</option>
+            <option value="all">find all roots in [a, b]</option>
+          </select>
+        </label>
+        {mode === 'all' && (
+          <label>
+            samples
+            <input
+              type="number"
+              value={samples}
+              onChange={(e) => setSamples(e.target.value)}
+            />
+          </label>
+        )}
         {errMsg && <div className="err-msg">{errMsg}</div>}
       </section>
         <button className="rainbow-hover" onClick={runBisection} disabled={!!errMsg}>
@@ -215,8 +274,8 @@ c is the root, otherwise the half-interval where the sign change persists become
                 </tr>
               </thead>
               <tbody>
-                {steps.map(({ i, a, b, c, fc }) => (
-                  <tr key={i}>
+                {steps.map(({ i, a, b, c, fc }, k) => (
+                  <tr key={i} className={k === playback.frame ? 'current' : ''}>
                     <td>{i}</td>
                     <td>{a.toFixed(6)}</td>
                     <td>{b.toFixed(6)}</td>
@@ -231,6 +290,11 @@ c is the root, otherwise the half-interval where the sign change persists become
             </p>
           </section>
 
+          <PlaybackControls
+            playback={playback}
+            label={`iteration ${current.i}: [${current.a.toFixed(4)}, ${current.b.toFixed(4)}]`}
+          />
+
           <div className="plot-container">
             <Plot
               data={plotData}
@@ -239,7 +303,7 @@ c is the root, otherwise the half-interval where the sign change persists become
                 xaxis: { title: 'x' },
                 yaxis: { title: 'f(x)' },
                 height: 400,
-                
+                shapes: bracketShapes,
               }}
               config={{ responsive: true }}
             />
@@ -247,6 +311,72 @@ c is the root, otherwise the half-interval where the sign change persists become
         </>
       )}
      
+      {scan && !errMsg && (
+        <>
+          <section className="results">
+            <h3>All Roots</h3>
+            {scan.roots.length === 0 ? (
+              <p>No sign change or touching root found with {samples} samples.</p>
+            ) : (
+              <table>
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>x</th>
+                    <th>f(x)</th>
+                    <th>multiplicity</th>
+                    <th>found by</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {scan.roots.map((r, k) => (
+                    <tr key={r.x}>
+                      <td>{k + 1}</td>
+                      <td>{r.x.toFixed(10)}</td>
+                      <td>{r.fx.toExponential(3)}</td>
+                      <td>
+                        {r.multiplicity}
+                        {Number.isFinite(r.order) && ` (slope ${r.order.toFixed(2)})`}
+                      </td>
+                      <td>{r.kind}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {scan.poles.length > 0 && (
+              <p>
+                Sign changes through a pole (not roots): x ≈{' '}
+                {scan.poles.map((x) => x.toFixed(6)).join(', ')}
+              </p>
+            )}
+            <p>
+              {scan.evals} evaluations of f. Sign changes are refined with Brent’s method.
+              A local minimum of |f| without a sign change is a touching root (even
+              multiplicity); golden‑section search locates it to about √ε, so those roots
+              are only good to roughly 8 digits. Two roots closer together than the
+              sample spacing ({((Number(b) - Number(a)) / Number(samples)).toExponential(1)}) can
+              be missed.
+            </p>
+          </section>
+
+          <div className="plot-container">
+            <Plot
+              data={plotData}
+              layout={{
+                margin: { t: 20 },
+                xaxis: { title: 'x' },
+                yaxis: { title: 'f(x)' },
+                height: 400,
+              }}
+              config={{ responsive: true }}
+            />
+          </div>
+        </>
+      )}
+
+      <PolynomialRoots fx={fx} />
+
      <button data-label="Register" className="rainbow-hover" onClick={handleBack} id='backButton'>
               <span className="sp">Back to Menu</span>
               </button>
@@ -0,0 +1,94 @@
+// EliminationTrace.jsx — Gaussian elimination replayed one operation at a time
+// -----------------------------------------------------------------------------
+// Shows a `gaussianElimination` result (src/numerics/linear.js): the list of
+// operations — pivot choice, row and column swaps, Rᵢ ← Rᵢ − m·Rₖ — and, for
+// the operation selected with PlaybackControls, the working matrix U with the
+// pivot outlined and the rows just changed highlighted, beside L holding the
+// multipliers stored so far.
+
+import PlaybackControls, { usePlayback } from './PlaybackControls';
+
+const fmt = v => (v === 0 ? '0' : Math.abs(v) >= 1e4 || Math.abs(v) < 1e-3 ? v.toExponential(3) : v.toFixed(4));
+
+function describeStep(step, pivoting) {
+  const { type, k } = step;
+  switch (type) {
+    case 'start': return 'start from A';
+    case 'pivot': {
+      const [r, c] = step.at;
+      const why = {
+        none: 'the diagonal entry',
+        partial: `largest |aᵢ${k + 1}| in column ${k + 1}`,
+        scaled: `largest |aᵢ${k + 1}| / sᵢ in column ${k + 1}`,
+        complete: 'largest |aᵢⱼ| in the remaining block',
+      }[pivoting];
+      return `stage ${k + 1}: pivot ${fmt(step.value)} at (${r + 1}, ${c + 1}) — ${why}`;
+    }
+    case 'swap-rows': return `R${step.rows[0] + 1} ↔ R${step.rows[1] + 1}`;
+    case 'swap-cols': return `C${step.cols[0] + 1} ↔ C${step.cols[1] + 1} (x${step.cols[0] + 1} and x${step.cols[1] + 1} trade places)`;
+    case 'eliminate': return `R${step.row + 1} ← R${step.row + 1} − (${fmt(step.multiplier)})·R${k + 1}, so l${step.row + 1}${k + 1} = ${fmt(step.multiplier)}`;
+    default: return type;
+  }
+}
+
+function MatrixView({ name, M, pivot, rows = [] }) {
+  return (
+    <table>
+      <caption>{name}</caption>
+      <tbody>
+        {M.map((row, i) => (
+          <tr key={i} className={rows.includes(i) ? 'current' : ''}>
+            {row.map((v, j) => (
+              <td key={j} className={pivot && pivot[0] === i && pivot[1] === j ? 'current' : ''}>{fmt(v)}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default function EliminationTrace({ trace, pivoting }) {
+  const { steps } = trace;
+  const playback = usePlayback(steps.length, trace);
+  const step = steps[playback.frame];
+
+  // pivot outlined where it sits in this step's U; rows touched highlighted
+  let pivot = null;
+  let rows = [];
+  if (step.type === 'pivot') pivot = step.at;
+  if (step.type === 'swap-rows') rows = step.rows;
+  if (step.type === 'swap-cols' || step.type === 'eliminate') pivot = [step.k, step.k];
+  if (step.type === 'eliminate') rows = [step.row];
+
+  return (
+    <>
+      <PlaybackControls
+        playback={playback}
+        label={`${playback.frame + 1} / ${steps.length}: ${describeStep(step, pivoting)}`}
+      />
+      {step.type === 'pivot' && step.candidates && (
+        <p>
+          Candidates: {step.candidates.map(c => `row ${c.row + 1}: ${fmt(c.value)}`).join(', ')}
+        </p>
+      )}
+      <MatrixView name="U (working matrix)" M={step.U} pivot={pivot} rows={rows} />
+      <MatrixView name="L (multipliers)" M={step.L} rows={step.type === 'eliminate' ? [step.row] : []} />
+
+      <h4>Operations</h4>
+      <table>
+        <thead>
+          <tr><th>#</th><th>operation</th></tr>
+        </thead>
+        <tbody>
+          {steps.map((s, i) => (
+            <tr key={i} className={i === playback.frame ? 'current' : ''} onClick={() => playback.seek(i)}>
+              <td>{i + 1}</td>
+              <td>{describeStep(s, pivoting)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </>
+  );
+}
@@ -0,0 +1,322 @@
+// FixedPoint.jsx — fixed‑point iteration x = g(x) with contraction diagnostics
+// -----------------------------------------------------------------------------
+// Students type g(x) and a starting point; the page iterates xₙ₊₁ = g(xₙ),
+// draws the cobweb diagram (steppable with PlaybackControls.jsx) and checks
+// the contraction mapping theorem on the interval around the fixed point that
+// contains x₀: is max |g′| < 1 there, and does g map the interval into itself?
+// Aitken Δ² and Steffensen acceleration can be switched on; each enabled
+// variant runs on the same g and x₀ and the comparison table lists the
+// iterations and g evaluations each needed.
+
+import { useState, useMemo } from 'react';
+import { derivative } from 'mathjs';
+import Plot from 'react-plotly.js';
+import algoLogo from '../assets/algorithms.png';
+import { navigate, useQueryState, useAutoRun } from '../router';
+import {
+  makeFunction, fixedPoint, contractionCheck, iterationOrders, FIXED_POINT_METHODS,
+} from '../numerics';
+import PlaybackControls, { usePlayback } from './PlaybackControls';
+
+// the contraction check needs an interval even when x₀ is the fixed point
+const MIN_RADIUS = 1e-3;
+
+const fmt = v => (Math.abs(v) >= 1e5 || (v !== 0 && Math.abs(v) < 1e-4) ? v.toExponential(4) : v.toFixed(8));
+
+export default function FixedPoint() {
+  /* ─────────────────────────── state ─────────────────────────── */
+  const [gx, setGx] = useQueryState('gx', 'cos(x)');
+  const [x0, setX0] = useQueryState('x0', 1);
+  const [tol, setTol] = useQueryState('tol', 1e-8);
+  const [maxIter, setMaxIter] = useQueryState('maxIter', 100);
+  const [aitken, setAitken] = useQueryState('aitken', 'on');
+  const [steff, setSteff] = useQueryState('steff', 'on');
+
+  const [errMsg, setErrMsg] = useState('');
+  const [result, setResult] = useState(null);   // { runs, check, slope0, rate, g, dg }
+
+  /* ─────────────── algorithm ─────────────── */
+  function runFixedPoint() {
+    setErrMsg('');
+    try {
+      const g = makeFunction(gx);
+      let dg;
+      try {
+        const compiled = derivative(gx, 'x').compile();
+        dg = x => compiled.evaluate({ x });
+      } catch {
+        // central difference when mathjs cannot differentiate g
+        dg = x => {
+          const h = 1e-6 * Math.max(1, Math.abs(x));
+          return (g(x + h) - g(x - h)) / (2 * h);
+        };
+      }
+      const start = Number(x0);
+      const options = { tol: Number(tol), maxIter: Number(maxIter) };
+      const accels = ['none', aitken === 'on' && 'aitken', steff === 'on' && 'steffensen'].filter(Boolean);
+      const runs = accels.map(accel => ({ accel, ...fixedPoint(g, start, { ...options, accel }) }));
+
+      // diagnostics around the best fixed point found
+      const best = runs.find(r => r.converged);
+      let check = null;
+      if (best) {
+        const r = Math.max(Math.abs(start - best.x), MIN_RADIUS);
+        check = {
+          ...contractionCheck(g, dg, best.x - r, best.x + r),
+          lo: best.x - r,
+          hi: best.x + r,
+          xStar: best.x,
+          slopeStar: Math.abs(dg(best.x)),
+        };
+      }
+      // the plain iteration's observed error ratio tends to |g′(x*)|
+      const ratios = iterationOrders(runs[0].steps.map(s => s.x))
+        .map(q => q.ratio)
+        .filter(q => q !== null);
+      const rate = ratios.length ? ratios[ratios.length - 1] : null;
+
+      setResult({ runs, check, slope0: Math.abs(dg(start)), rate, g });
+      markRun();
+    } catch (err) {
+      setErrMsg(`⚠️ ${err.message}`);
+      setResult(null);
+    }
+  }
+  const markRun = useAutoRun(runFixedPoint);
+
+  const plain = result ? result.runs[0] : null;
+  const playback = usePlayback(plain ? plain.steps.length : 0, plain);
+
+  /* ─────────────── plot data ─────────────── */
+  const cobweb = useMemo(() => {
+    if (!result) return null;
+    const xs0 = result.runs.flatMap(r => r.steps.map(s => s.x)).filter(v => Number.isFinite(v) && Math.abs(v) < 1e6);
+    const lo = Math.min(...xs0);
+    const hi = Math.max(...xs0);
+    const pad = Math.max(hi - lo, 0.5) * 0.25;
+    const N = 400;
+    const xs = Array.from({ length: N }, (_, i) => lo - pad + ((hi - lo + 2 * pad) * i) / (N - 1));
+    const gs = xs.map(x => {
+      const v = result.g(x);
+      return typeof v === 'number' && Number.isFinite(v) ? v : null;
+    });
+
+    // up to g(xₙ), across to the diagonal at xₙ₊₁
+    const shown = plain.steps.slice(0, playback.frame + 1).map(s => s.x);
+    const web = { x: [shown[0]], y: [shown[0]] };
+    shown.slice(1).forEach((x, k) => {
+      web.x.push(shown[k], x);
+      web.y.push(x, x);
+    });
+
+    const data = [
+      { x: xs, y: gs, mode: 'lines', name: 'g(x)' },
+      { x: [xs[0], xs[N - 1]], y: [xs[0], xs[N - 1]], mode: 'lines', line: { color: 'gray', dash: 'dot' }, name: 'y = x' },
+      { x: web.x, y: web.y, mode: 'lines+markers', line: { color: '#c9a227' }, name: 'cobweb' },
+    ];
+    const steffRun = result.runs.find(r => r.accel === 'steffensen');
+    if (steffRun) {
+      data.push({
+        x: steffRun.steps.map(s => s.x),
+        y: steffRun.steps.map(s => s.x),
+        mode: 'markers+text',
+        text: steffRun.steps.map(s => `${s.i}`),
+        textposition: 'top left',
+        marker: { size: 9, symbol: 'square' },
+        name: 'Steffensen iterates',
+      });
+    }
+    return { data, range: [xs[0], xs[N - 1]] };
+  }, [result, plain, playback.frame]);
+
+  const changeData = result
+    ? result.runs.map(r => ({
+        x: r.steps.filter(s => s.change !== null).map(s => s.i),
+        y: r.steps.filter(s => s.change !== null).map(s => s.change),
+        mode: 'lines+markers',
+        name: FIXED_POINT_METHODS[r.accel],
+      }))
+    : [];
+
+  /* ─────────────── render ─────────────── */
+  const check = result?.check;
+  const aitkenRun = result?.runs.find(r => r.accel === 'aitken');
+  return (
+    <div id="menu">
+      <div className="menu-newton">
+        <img src={algoLogo} alt="Fixed-point iteration" />
+        <h3>Fixed‑Point Iteration x = g(x)</h3>
+        <p>
+          Rewrite f(x) = 0 as x = g(x) and simply iterate x<sub>n+1</sub> = g(x<sub>n</sub>).
+          The <strong>contraction mapping theorem</strong> says this converges from any
+          start in an interval I when g maps I into itself and |g′(x)| ≤ L &lt; 1 on I;
+          the error then shrinks by roughly |g′(x*)| per step, so a slope close to 1
+          means very slow progress and a slope above 1 pushes iterates away.
+          Aitken’s Δ² extrapolates three consecutive iterates to remove most of that
+          geometric error, and Steffensen’s method restarts from the extrapolated
+          value every time — quadratic convergence with no derivative at all.
+          Newton’s method is the special choice g(x) = x − f(x)/f′(x).
+        </p>
+      </div>
+
+      <section className="inputs">
+        <label>
+          g(x)
+          <input value={gx} onChange={e => setGx(e.target.value)} />
+        </label>
+        <label>
+          x₀
+          <input type="number" value={x0} onChange={e => setX0(e.target.value)} />
+        </label>
+        <label>
+          tolerance ε
+          <input type="number" value={tol} onChange={e => setTol(e.target.value)} />
+        </label>
+        <label>
+          max iterations
+          <input type="number" value={maxIter} onChange={e => setMaxIter(e.target.value)} />
+        </label>
+        <label>
+          Aitken Δ²
+          <select value={aitken} onChange={e => setAitken(e.target.value)}>
+            <option value="on">on</option>
+            <option value="off">off</option>
+          </select>
+        </label>
+        <label>
+          Steffensen
+          <select value={steff} onChange={e => setSteff(e.target.value)}>
+            <option value="on">on</option>
+            <option value="off">off</option>
+          </select>
+        </label>
+        {errMsg && <div className="err-msg">{errMsg}</div>}
+      </section>
+
+      <button className="rainbow-hover" onClick={runFixedPoint}>
+        <span className="sp">Execute</span>
+      </button>
+
+      {result && (
+        <>
+          <section className="results">
+            <h3>Contraction check</h3>
+            {check ? (
+              <>
+                <p>
+                  Fixed point x* ≈ <strong>{fmt(check.xStar)}</strong> with |g′(x*)| ≈{' '}
+                  {check.slopeStar.toFixed(4)}
+                  {result.rate !== null && <> (observed error ratio of the plain iteration ≈ {result.rate.toFixed(4)})</>}.
+                </p>
+                <p>
+                  On I = [{fmt(check.lo)}, {fmt(check.hi)}] (centred on x*, containing x₀):
+                  max |g′| ≈ {Number.isFinite(check.L) ? check.L.toFixed(4) : '∞'} at x ≈ {fmt(check.at)},
+                  and g(I) {check.mapsInto ? '⊆' : '⊄'} I.
+                </p>
+                <p>
+                  {check.L < 1 && check.mapsInto
+                    ? '✔ g is a contraction on I: the iteration converges from every starting point in I.'
+                    : check.slopeStar < 1
+                      ? '⚠️ The contraction condition fails on the whole of I, but |g′(x*)| < 1, so x* still attracts starting points close enough to it.'
+                      : '❌ |g′(x*)| ≥ 1: x* repels the plain iteration — only an accelerated method can land on it.'}
+                </p>
+              </>
+            ) : (
+              <p>
+                ❌ No run converged. At x₀, |g′(x₀)| ≈ {Number.isFinite(result.slope0) ? result.slope0.toFixed(4) : '∞'}
+                {result.slope0 > 1 ? ' > 1, so the iteration moves away from x₀’s neighbourhood' : ''}.
+              </p>
+            )}
+
+            <h3>Comparison</h3>
+            <table>
+              <thead>
+                <tr>
+                  <th>method</th>
+                  <th>x</th>
+                  <th>iterations</th>
+                  <th>g evaluations</th>
+                  <th>status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.runs.map(r => (
+                  <tr key={r.accel}>
+                    <td>{FIXED_POINT_METHODS[r.accel]}</td>
+                    <td>{fmt(r.x)}</td>
+                    <td>{r.iterations}</td>
+                    <td>{r.evals}</td>
+                    <td>{r.converged ? '✔' : `❌ ${r.status}`}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p>
+              Steffensen uses two evaluations of g per iteration, so compare the last
+              two columns as well as the iteration counts.
+            </p>
+
+            <h3>Plain iteration</h3>
+            <table>
+              <thead>
+                <tr>
+                  <th>n</th>
+                  <th>x<sub>n</sub></th>
+                  <th>|x<sub>n</sub> − x<sub>n−1</sub>|</th>
+                  {aitkenRun && <th>Aitken x̂<sub>n</sub></th>}
+                </tr>
+              </thead>
+              <tbody>
+                {plain.steps.map((s, k) => {
+                  const hat = aitkenRun?.steps[k]?.accel;
+                  return (
+                    <tr key={s.i} className={k === playback.frame ? 'current' : ''}>
+                      <td>{s.i}</td>
+                      <td>{fmt(s.x)}</td>
+                      <td>{s.change === null ? '—' : s.change.toExponential(3)}</td>
+                      {aitkenRun && <td>{hat === undefined ? '—' : fmt(hat)}</td>}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </section>
+
+          <PlaybackControls
+            playback={playback}
+            label={`x${plain.steps[playback.frame].i} = ${fmt(plain.steps[playback.frame].x)}`}
+          />
+          <div className="plot-container">
+            <Plot
+              data={cobweb.data}
+              layout={{
+                margin: { t: 20 },
+                xaxis: { title: 'x' },
+                yaxis: { title: 'g(x)', range: cobweb.range },
+                height: 450,
+              }}
+              config={{ responsive: true }}
+            />
+          </div>
+
+          <div className="plot-container">
+            <Plot
+              data={changeData}
+              layout={{
+                margin: { t: 20 },
+                xaxis: { title: 'iteration' },
+                yaxis: { title: 'change per iteration', type: 'log', exponentformat: 'e' },
+                height: 360,
+              }}
+              config={{ responsive: true }}
+            />
+          </div>
+        </>
+      )}
+
+      <button data-label="Register" className="rainbow-hover" id="backButton" onClick={() => navigate('/')}>
+        <span className="sp">Back to Menu</span>
+      </button>
+    </div>
+  );
+}
@@ -4,71 +4,78 @@
 // Students paste a square matrix A (rows separated by semicolons, entries by
 // spaces) and a right‑hand side vector b (space‑separated). The component
 // performs Gauss–Seidel iterations, logs each estimate and residual norm, and
-// visualises convergence in a Plotly chart.
+// visualises convergence in a Plotly chart.  PlaybackControls.jsx replays the
+// sweeps one component update at a time: the bar chart shows the current x with
+// the entry just recomputed highlighted, alongside its cell in the table.
+// Jacobi, SOR (user‑chosen ω) and SSOR run on the same system; the table and
+// playback follow the selected method while every residual history shares the
+// log‑scale chart.  An ω sweep plots the SOR/SSOR iteration counts against ω,
+// marks the empirical optimum and, for consistently ordered A, Young's
+// ω_opt = 2 / (1 + √(1 − ρ_J²)) from the Jacobi spectral radius.
+// A can also be sparse (MatrixInput.jsx: triplets, a .mtx file or a Poisson
+// matrix) and is then solved in CSR form with a spy plot of its pattern.
+// Past DETAIL_MAX unknowns the page drops the per‑component table, bar chart
+// and playback for a residual log and a plot of xᵢ against i; the dense
+// eigenvalue theory and the ω sweep are skipped when they would be too slow.
 
 import { useState, useMemo } from 'react';
-import Menu from './Menu';
+import { navigate, useQueryState, useAutoRun } from '../router';
 import {
-  matrix,
-  size,
-  multiply,
-  subtract,
-  abs,
-  norm,
-  bignumber,
-  number,
-} from 'mathjs';
+  isDiagonallyDominant, stationarySolve, STATIONARY_METHODS, optimalOmega, omegaSweep,
+  toCsr, csrToDense, csrDiagonal, csrPattern, nnz,
+} from '../numerics';
 import Plot from 'react-plotly.js';
 import gsLogo from '../assets/gauss-seidel.gif';
+import PlaybackControls, { usePlayback } from './PlaybackControls';
+import MatrixInput, { useMatrixSource } from './MatrixInput';
+import SpyPlot from './SpyPlot';
+
+// the ω sweep gets more room than the page's own iteration limit
+const SWEEP_MAX_ITER = 500;
+const OMEGAS = Array.from({ length: 39 }, (_, k) => Number((0.05 * (k + 1)).toFixed(2)));
+// largest n with a column per unknown; ρ_J needs a dense eigenvalue solve;
+// the sweep runs 78 solves, so it is limited by the work per sweep, nnz(A)
+const DETAIL_MAX = 12;
+const THEORY_MAX = 200;
+const SWEEP_MAX_NNZ = 5000;
 
 export default function GaussSeidel() {
   /* ───────────────────────────────── state ─────────────────────────── */
-  const [amText, setAmText] = useState('4 1 2; 3 5 1; 1 1 3');
-  const [bText, setBText]   = useState('4 7 3');
-  const [tol, setTol]       = useState(0.001);
-  const [maxIter, setMaxIter] = useState(25);
-  const [rows, setRows]       = useState([]);          // iteration log
+  const source = useMatrixSource('4 1 2; 3 5 1; 1 1 3');
+  const [bText, setBText]   = useQueryState('b', '4 7 3');
+  const [tol, setTol]       = useQueryState('tol', 0.001);
+  const [maxIter, setMaxIter] = useQueryState('maxIter', 25);
+  const [method, setMethod]   = useQueryState('method', 'gauss-seidel');
+  const [omega, setOmega]     = useQueryState('omega', 1.25);
+  const [rows, setRows]       = useState([]);          // iteration log of `method`
+  const [study, setStudy]     = useState(null);        // { method, omega, n, runs, sweeps, theory, pattern }
   const [errMsg, setErrMsg]   = useState('');
-  const [goToMenu, setGoToMenu] = useState(false);
+  const n = study ? study.n : 0;
+  const detailed = n > 0 && n <= DETAIL_MAX;
+  // Gauss–Seidel and SOR update in place, so their playback steps through the
+  // components; Jacobi and SSOR advance one whole sweep per frame
+  const perComponent = detailed && (study.method === 'gauss-seidel' || study.method === 'sor');
+  const width = perComponent ? n : 1;
+  const playback = usePlayback(detailed ? rows.length * width : 0, rows);
 
   /* ─────────────────────── helpers: parse & validate ───────────────── */
   const parsed = useMemo(() => {
     try {
-      // Parse A
-      const Arows = amText
-        .trim()
-        .split(';')
-        .map(r => r.trim().split(/\s+/).map(Number));
-
-      const A = matrix(Arows);
-
-      // Parse b
-      const bArr = bText.trim().split(/\s+/).map(Number);
-      const bVec = matrix(bArr);
-
-      // Dimensions
-      const [m, n] = size(A).valueOf();  // <‑‑ safe replacement for A.size()
-
-      if (m !== n) {
-        return { error: 'Matrix A must be square.' };
-      }
-      if (bArr.length !== n) {
-        return { error: 'Vector b length must equal A dimensions.' };
+      const built = source.build();
+      const b = source.rhs(built, bText);
+      const { A, n, sparse } = built;
+      if (csrDiagonal(toCsr(A)).some(d => d === 0)) {
+        return { error: 'Every diagonal entry of A must be non‑zero.' };
       }
-
-      // Simple diagonal dominance hint (optional)
-      for (let i = 0; i < n; i++) {
-        const diag = abs(Arows[i][i]);
-        const offSum = Arows[i].reduce((s, val, j) => (j === i ? s : s + abs(val)), 0);
-        if (diag <= offSum) {
-          return { error: 'Matrix A is not diagonally dominant; Gauss–Seidel may diverge.' };
-        }
-      }
-      return { A, b: bVec, n };
+      // Simple diagonal dominance hint (SPD matrices converge without it)
+      const warning = isDiagonallyDominant(A)
+        ? ''
+        : 'Matrix A is not strictly diagonally dominant; unless it is symmetric positive definite the iterations may diverge.';
+      return { A, b, n, sparse, warning };
     } catch (err) {
-      return { error: 'Syntax error in matrix or vector.' };
+      return { error: err.message };
     }
-  }, [amText, bText]);
+  }, [source.format, source.dense, source.triplets, source.grid, source.mtx, bText]);
 
   /* ───────────────────────────── algorithm ─────────────────────────── */
   function runGS() {
@@ -78,41 +85,107 @@ export default function GaussSeidel() {
     }
     setErrMsg('');
 
-    const { A, b, n } = parsed;
-    const x = Array(n).fill(0);               // initial guess 0
-    const log = [];
-
-    for (let k = 1; k <= maxIter; k++) {
-      for (let i = 0; i < n; i++) {
-        let sigma = 0;
-        for (let j = 0; j < n; j++) {
-          if (j !== i) sigma += A.get([i, j]) * x[j];
+    const { A, b, n, sparse } = parsed;
+    const S = toCsr(A);
+    const options = {
+      tol: Number(tol), maxIter: Number(maxIter), omega: Number(omega), record: n <= DETAIL_MAX,
+    };
+    try {
+      // initial guess 0 for every method
+      const runs = Object.keys(STATIONARY_METHODS).map(m => ({ method: m, ...stationarySolve(m, S, b, options) }));
+      const sweeps = nnz(S) > SWEEP_MAX_NNZ ? null : ['sor', 'ssor'].map(m => ({
+        method: m,
+        ...omegaSweep(S, b, { method: m, omegas: OMEGAS, tol: Number(tol), maxIter: SWEEP_MAX_ITER }),
+      }));
+      // the eigenvalue step may fail on its own (zero diagonal, no
+      // convergence); the solves above still stand
+      let theory = null;
+      if (n <= THEORY_MAX) {
+        try {
+          theory = optimalOmega(sparse ? csrToDense(A) : A);
+        } catch (err) {
+          theory = { error: err.message };
         }
-        x[i] = (b.get([i]) - sigma) / A.get([i, i]);
       }
-
-      // Compute residual norm
-      const r = subtract(multiply(A, x), b);
-      const res = norm(r, 2);
-      log.push({ k, x: [...x], res: number(res) });
-      if (res < tol) break;
+      setRows(runs.find(r => r.method === method).steps);
+      setStudy({
+        method, omega: options.omega, n, runs, sweeps, theory, pattern: sparse ? csrPattern(S) : null,
+      });
+      markRun();
+    } catch (err) {
+      setErrMsg(err.message);
     }
-    setRows(log);
   }
+  const markRun = useAutoRun(runGS);
 
   /* ────────────────────────────── plots ────────────────────────────── */
+  // frame f updates component i of sweep k; later entries still hold sweep k − 1
+  const sweep = Math.floor(playback.frame / Math.max(width, 1));
+  const comp  = perComponent ? playback.frame % n : -1;
+  const current = useMemo(() => {
+    if (!rows.length || !detailed) return [];
+    if (comp < 0) return rows[sweep].x;
+    const prev = sweep > 0 ? rows[sweep - 1].x : Array(n).fill(0);
+    return rows[sweep].x.map((v, i) => (i <= comp ? v : prev[i]));
+  }, [rows, n, detailed, sweep, comp]);
+
   const plotData = useMemo(() => {
-    if (!rows.length) return [];
+    if (!rows.length || !study) return [];
     return [
+      ...study.runs.map(r => ({
+        x: r.steps.map(s => s.k),
+        y: r.steps.map(s => s.res),
+        mode: 'lines+markers',
+        line: { width: r.method === study.method ? 3 : 1.5 },
+        name: r.method === 'sor' || r.method === 'ssor'
+          ? `${STATIONARY_METHODS[r.method]} (ω = ${study.omega})`
+          : STATIONARY_METHODS[r.method],
+      })),
+      ...(detailed
+        ? [{
+            x: [rows[sweep].k],
+            y: [rows[sweep].res],
+            mode: 'markers',
+            marker: { size: 12, symbol: 'diamond', color: '#c9a227' },
+            name: 'current sweep',
+          }]
+        : []),
+    ];
+  }, [rows, study, detailed, sweep]);
+
+  // iterations against ω; runs that did not converge leave a gap
+  const sweepData = useMemo(() => {
+    if (!study?.sweeps) return [];
+    return study.sweeps.flatMap(({ method: m, rows: pts, best }) => [
       {
-        x: rows.map(r => r.k),
-        y: rows.map(r => r.res),
+        x: pts.map(p => p.omega),
+        y: pts.map(p => (p.converged ? p.iterations : null)),
         mode: 'lines+markers',
-        name: 'Residual norm',
+        name: STATIONARY_METHODS[m],
       },
-    ];
-  }, [rows]);
-  if (goToMenu) return <Menu />;
+      ...(best
+        ? [{
+            x: [best.omega],
+            y: [best.iterations],
+            mode: 'markers+text',
+            marker: { size: 14, symbol: 'star' },
+            text: [`ω ≈ ${best.omega}`],
+            textposition: 'top center',
+            name: `${STATIONARY_METHODS[m]} optimum`,
+          }]
+        : []),
+    ]);
+  }, [study]);
+
+  const barData = [{
+    x: current.map((_, i) => `x${i + 1}`),
+    y: current,
+    type: 'bar',
+    marker: { color: current.map((_, i) => (i === comp ? '#c9a227' : '#1f77b4')) },
+  }];
+
+  const theory = study?.theory;
+  const finalX = study ? study.runs.find(r => r.method === study.method).x : [];
 
   /* ──────────────────────────── render ─────────────────────────────── */
   return (
@@ -173,17 +246,10 @@ A is diagonally dominant or symmetric positive definite, but it can diverge if t
       </div>
 
       <section className="inputs">
-        <label>
-          Matrix A (rows by ';')
-          <textarea
-            rows="3"
-            value={amText}
-            onChange={e => setAmText(e.target.value)}
-          />
-        </label>
+        <MatrixInput source={source} />
 
         <label>
-          Vector b
+          Vector b (empty: b = A·1)
           <input
             value={bText}
             onChange={e => setBText(e.target.value)}
@@ -209,6 +275,27 @@ A is diagonally dominant or symmetric positive definite, but it can diverge if t
           />
         </label>
 
+        <label>
+          method (table &amp; playback)
+          <select value={method} onChange={e => setMethod(e.target.value)}>
+            {Object.entries(STATIONARY_METHODS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          relaxation ω (SOR, SSOR)
+          <input
+            type="number"
+            step="0.05"
+            min="0"
+            max="2"
+            value={omega}
+            onChange={e => setOmega(e.target.value)}
+          />
+        </label>
+
       </section>
         <button
           className="rainbow-hover"
@@ -219,32 +306,81 @@ A is diagonally dominant or symmetric positive definite, but it can diverge if t
         </button>
 
       {errMsg && <p className="err-msg">⚠️ {errMsg}</p>}
+      {!parsed.error && parsed.warning && <p className="err-msg">⚠️ {parsed.warning}</p>}
 
-      {rows.length > 0 && (
+      {rows.length > 0 && study && (
         <section className="results">
-          <h3>Iterations</h3>
-          <table>
-            <thead>
-              <tr>
-                <th>#</th>
-                {rows[0].x.map((_, i) => (
-                  <th key={i}>x{i + 1}</th>
-                ))}
-                <th>‖Ax−b‖₂</th>
-              </tr>
-            </thead>
-            <tbody>
-              {rows.map(r => (
-                <tr key={r.k}>
-                  <td>{r.k}</td>
-                  {r.x.map((val, i) => (
-                    <td key={i}>{val.toFixed(6)}</td>
+          {study.pattern && <SpyPlot pattern={study.pattern} title="Non‑zeros of A" />}
+          <h3>Iterations — {STATIONARY_METHODS[study.method]}</h3>
+          {detailed ? (<>
+            <table>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  {rows[0].x.map((_, i) => (
+                    <th key={i}>x{i + 1}</th>
                   ))}
-                  <td>{r.res.toExponential(3)}</td>
+                  <th>‖Ax−b‖₂</th>
                 </tr>
-              ))}
-            </tbody>
-          </table>
+              </thead>
+              <tbody>
+                {rows.map((r, k) => (
+                  <tr key={r.k} className={k === sweep ? 'current' : ''}>
+                    <td>{r.k}</td>
+                    {r.x.map((val, i) => (
+                      <td key={i} className={k === sweep && i === comp ? 'current' : ''}>{val.toFixed(6)}</td>
+                    ))}
+                    <td>{r.res.toExponential(3)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <PlaybackControls
+              playback={playback}
+              label={comp < 0
+                ? `iteration ${rows[sweep].k}`
+                : `sweep ${rows[sweep].k}: x${comp + 1} = ${current[comp].toFixed(6)}`}
+            />
+            <Plot
+              data={barData}
+              layout={{
+                width: 640,
+                height: 300,
+                title: 'Current estimate x',
+                showlegend: false,
+              }}
+            />
+          </>) : (<>
+            <table>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>‖Ax−b‖₂</th>
+                  <th>max |Δx|</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(r => (
+                  <tr key={r.k}>
+                    <td>{r.k}</td>
+                    <td>{r.res.toExponential(3)}</td>
+                    <td>{r.diff.toExponential(3)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <Plot
+              data={[{ x: finalX.map((_, i) => i + 1), y: finalX, mode: 'lines', name: 'x' }]}
+              layout={{
+                width: 640,
+                height: 300,
+                title: `Final estimate xᵢ against i (n = ${n.toLocaleString()})`,
+                xaxis: { title: 'i' },
+                showlegend: false,
+              }}
+            />
+          </>)}
 
           <Plot
             data={plotData}
@@ -256,9 +392,91 @@ A is diagonally dominant or symmetric positive definite, but it can diverge if t
               yaxis: { title: 'Residual (log)', type: 'log' },
             }}
           />
+
+          <h3>Choosing ω</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>method</th>
+                <th>iterations</th>
+                <th>‖Ax−b‖₂</th>
+              </tr>
+            </thead>
+            <tbody>
+              {study.runs.map(r => (
+                <tr key={r.method}>
+                  <td>{STATIONARY_METHODS[r.method]}</td>
+                  <td>{r.converged ? r.iterations : `${r.iterations} (${r.status})`}</td>
+                  <td>{r.steps[r.steps.length - 1].res.toExponential(3)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {theory?.error ? (
+            <p className="err-msg">⚠️ ρ<sub>J</sub> and Young’s ω<sub>opt</sub> could not be computed: {theory.error}</p>
+          ) : theory ? (
+            <p>
+              Jacobi spectral radius ρ<sub>J</sub> ≈ {theory.rhoJ.toFixed(4)}
+              {theory.rhoJ < 1 ? ' (Jacobi converges)' : ' (≥ 1: Jacobi diverges)'}.{' '}
+              {theory.omega !== null
+                ? <>A is consistently ordered, so Young’s theory applies: ω<sub>opt</sub> = 2 / (1 + √(1 − ρ<sub>J</sub>²)) ≈{' '}
+                    <strong>{theory.omega.toFixed(4)}</strong>, where SOR’s spectral radius drops to ω<sub>opt</sub> − 1 ≈{' '}
+                    {theory.rhoSOR.toFixed(4)}.</>
+                : !theory.consistentlyOrdered
+                  ? 'A is not consistently ordered, so there is no formula for ω_opt — the sweep below is the only guide.'
+                  : !theory.realSpectrum
+                    ? 'The Jacobi eigenvalues are not all real, so Young’s formula does not apply.'
+                    : 'ρ_J ≥ 1, so Young’s formula does not apply.'}
+            </p>
+          ) : (
+            <p>
+              ρ<sub>J</sub> and Young’s ω<sub>opt</sub> need every eigenvalue of a dense
+              n × n matrix, so they are skipped above n = {THEORY_MAX}.
+            </p>
+          )}
+          {study.sweeps ? (<>
+            <Plot
+              data={sweepData}
+              layout={{
+                width: 640,
+                height: 360,
+                title: `Iterations to reach ε = ${tol} against ω`,
+                xaxis: { title: 'ω', range: [0, 2] },
+                yaxis: { title: 'Iterations' },
+                shapes: theory?.omega == null ? [] : [{
+                  type: 'line',
+                  xref: 'x',
+                  yref: 'paper',
+                  x0: theory.omega,
+                  x1: theory.omega,
+                  y0: 0,
+                  y1: 1,
+                  line: { color: '#c9a227', dash: 'dash', width: 2 },
+                }],
+                annotations: theory?.omega == null ? [] : [{
+                  x: theory.omega,
+                  y: 1,
+                  xref: 'x',
+                  yref: 'paper',
+                  text: `ω_opt = ${theory.omega.toFixed(3)}`,
+                  showarrow: false,
+                  yanchor: 'bottom',
+                }],
+              }}
+            />
+            <p>
+              Gaps mark values of ω that did not converge within {SWEEP_MAX_ITER} iterations.
+              SSOR is rarely faster than SOR on its own; its value is as a symmetric
+              preconditioner for conjugate gradients.
+            </p>
+          </>) : (
+            <p>
+              The ω sweep (78 solves) is skipped for nnz(A) above {SWEEP_MAX_NNZ.toLocaleString()}.
+            </p>
+          )}
         </section>
       )}
-      <button data-label="Register" className="rainbow-hover"  id="backButton" onClick={() => setGoToMenu(true)}>
+      <button data-label="Register" className="rainbow-hover"  id="backButton" onClick={() => navigate('/')}>
         <span className="sp">Back to Menu</span>
       </button>
       
@@ -3,124 +3,193 @@
 // Install once:  npm i mathjs react-plotly.js plotly.js-dist-min
 //
 // This page lets students compare a **direct LU solver** (mathjs.lusolve)
-// against an **iterative Gauss–Seidel** routine on the same matrix A and a set
-// of right‑hand‑side vectors {b₁, b₂, …}.  After one execution it reports:
+// against an **iterative** routine (Jacobi, Gauss–Seidel, SOR or SSOR) on the
+// same matrix A and a set of right‑hand‑side vectors {b₁, b₂, …}.  After one
+// execution it reports:
 //   • wall‑clock runtime (ms)
-//   • iterations (for GS)
+//   • iterations (for the iterative method)
 //   • residual ‖Ax−b‖₂  (for each RHS)
 //   • cumulative floating‑point error when the same factors are reused many
 //     times (shows how rounding builds up)
-// A Plotly bar chart visualises total time and average residual.
+// A Plotly bar chart visualises total time and average residual.  The Krylov
+// solvers (CG, restarted GMRES, BiCGSTAB — src/numerics/krylov.js) join the
+// comparison with an optional Jacobi or ILU(0) preconditioner, and a second
+// chart overlays every method's residual history; CG refuses matrices that
+// are not symmetric positive definite.  A may also be sparse (MatrixInput.jsx)
+// — then every solver works on its CSR form, the direct solve is a banded LU
+// with partial pivoting (src/numerics/sparse.js) and a spy plot shows the
+// pattern, so Poisson systems with n = 10⁴ and more stay interactive.
+// For n ≤ COND_MAX a conditioning section (src/numerics/conditioning.js)
+// reports κ(A) in the 1, 2 and ∞ norms, checks each extra RHS against b₁
+// with the bound ‖δx‖/‖x‖ ≤ κ‖δb‖/‖b‖, lists the backward error of every
+// direct solution and plots the amplification of random perturbations of b₁;
+// the Hilbert and Vandermonde presets show it going wrong.
 // ---------------------------------------------------------------------------
 
 import { useState } from 'react';
-import { lusolve, matrix, multiply, subtract, norm } from 'mathjs';
+import { lusolve, matrix } from 'mathjs';
 import Plot from 'react-plotly.js';
-import Menu from './Menu';
+import { navigate, useQueryState, useAutoRun } from '../router';
 import linearLogo from '../assets/linear.png';
+import {
+  residualNorm, stationarySolve, STATIONARY_METHODS, krylovSolve, KRYLOV_METHODS, PRECONDITIONERS,
+  bandLU, bandSolve, bandwidth, nnz, csrPattern, csrToDense,
+  conditionNumbers, backwardError, perturbationExperiment, vectorNorm,
+} from '../numerics';
+import MatrixInput, { useMatrixSource } from './MatrixInput';
+import SpyPlot from './SpyPlot';
 
-export default function LinearSystems() {
-  /* ────────────────────────── navigation ─────────────────────────── */
-  const [goMenu, setGoMenu] = useState(false);
-  
+// largest n for the dense conditioning study (SVD and inverse are O(n³))
+const COND_MAX = 100;
+const NORMS = [['1', 1, 'one'], ['2', 2, 'two'], ['∞', Infinity, 'inf']];
 
+export default function LinearSystems() {
   /* ──────────────────────────── state ────────────────────────────── */
-  const [Atext, setAtext] = useState('4 1 2; 3 5 1; 1 1 3');
-  const [Btext, setBtext] = useState('4 7 3 | 4.1 7 3');
-  const [tol, setTol]   = useState(1e-6);
-  const [maxIter, setMaxIter] = useState(100);
+  const source = useMatrixSource('4 1 2; 3 5 1; 1 1 3');
+  const [Btext, setBtext] = useQueryState('b', '4 7 3 | 4.1 7 3');
+  const [tol, setTol]   = useQueryState('tol', 1e-6);
+  const [maxIter, setMaxIter] = useQueryState('maxIter', 100);
+  const [method, setMethod] = useQueryState('method', 'gauss-seidel');
+  const [omega, setOmega] = useQueryState('omega', 1.25);
+  const [precond, setPrecond] = useQueryState('precond', 'none');   // Krylov preconditioner
+  const [restart, setRestart] = useQueryState('restart', 20);       // GMRES(m)
+  const [trials, setTrials] = useQueryState('trials', 200);         // random δb
+  const [pert, setPert] = useQueryState('pert', 1e-8);              // ‖δb‖ / ‖b‖
   const [results, setResults] = useState(null);
   const [errMsg, setErrMsg]   = useState('');
 
-  /* ───────────────────── helper: parse input ─────────────────────── */
-  function parseMatrix(str) {
-    return str.split(';').map(row => row.trim().split(/[,\s]+/).map(Number));
-  }
-  function parseVectors(str) {
-    return str.split('|').map(vec => vec.trim().split(/[,\s]+/).map(Number));
-  }
-
-  /* ─────────────── iterative solver (Gauss–Seidel) ──────────────── */
-  function gaussSeidel(A, b, tol, maxIter) {
-    const n = A.length;
-    let x = new Array(n).fill(0);
-    for (let k = 0; k < maxIter; k++) {
-      let xOld = [...x];
-      for (let i = 0; i < n; i++) {
-        let sigma = 0;
-        for (let j = 0; j < n; j++) {
-          if (j !== i) sigma += A[i][j] * x[j];
-        }
-        x[i] = (b[i] - sigma) / A[i][i];
-      }
-      const diff = Math.max(...x.map((xi, i) => Math.abs(xi - xOld[i])));
-      if (diff < tol) return { x, iterations: k + 1 };
-    }
-    return { x, iterations: maxIter };
-  }
-
   /* ────────────────────── main experiment ───────────────────────── */
   function runExperiment() {
     setErrMsg('');
-    let A, Bs;
+    let built, Bs;
     try {
-      A = parseMatrix(Atext);
-      Bs = parseVectors(Btext);
-      const n = A.length;
-      if (!A.every(r => r.length === n)) throw new Error('Matrix A must be square');
-      if (!Bs.every(v => v.length === n)) throw new Error('Each RHS must match size of A');
+      built = source.build();
+      // an empty field is the single RHS b = A·1
+      Bs = (Btext.trim() ? Btext.split('|') : ['']).map(t => source.rhs(built, t));
+      const w = Number(omega);
+      if ((method === 'sor' || method === 'ssor') && !(w > 0 && w < 2)) throw new Error('ω must lie strictly between 0 and 2');
     } catch (err) {
       setErrMsg(err.message);
       return;
     }
 
+    const { A, sparse } = built;
+
     /* ---- DIRECT: factor + solve each RHS anew (simulates round-off build‑up) */
+    // a sparse A gets the banded LU, which only stores the band; a failure
+    // (e.g. a band too wide for BAND_LIMIT) becomes the row's error and the
+    // iterative methods still run
     const directTimes = [];
     const directResiduals = [];
-    const t0d = performance.now();
-    Bs.forEach(b => {
-      const start = performance.now();
-      const x = lusolve(matrix(A), matrix(b)).toArray().map(v=>v[0]); // lusolve returns column‑vector matrix
-      directTimes.push(performance.now() - start);
-      const r = subtract(multiply(A, x), b);
-      directResiduals.push(norm(r, 2));
-    });
-    const totalDirectTime = performance.now() - t0d;
-    const avgDirectResidual = directResiduals.reduce((a, c) => a + c, 0) / directResiduals.length;
-
-    /* ---- ITERATIVE: single GS solve per RHS */
-    const gsTimes = [];
-    const gsIterations = [];
-    const gsResiduals = [];
-    const t0g = performance.now();
-    Bs.forEach(b => {
-      const start = performance.now();
-      const { x, iterations } = gaussSeidel(A, b, Number(tol), Number(maxIter));
-      gsTimes.push(performance.now() - start);
-      gsIterations.push(iterations);
-      const r = subtract(multiply(A, x), b);
-      gsResiduals.push(norm(r, 2));
-    });
-    const totalGSTime = performance.now() - t0g;
-    const avgGSResidual = gsResiduals.reduce((a, c) => a + c, 0) / gsResiduals.length;
-    const avgGSIter     = gsIterations.reduce((a,c)=>a+c,0)/gsIterations.length;
+    const directSolutions = [];
+    const directLabel = sparse ? 'Banded LU' : 'Direct LU';
+    let direct;
+    try {
+      Bs.forEach(b => {
+        const start = performance.now();
+        const x = sparse
+          ? bandSolve(bandLU(A), b)
+          : lusolve(matrix(A), matrix(b)).toArray().map(v=>v[0]); // lusolve returns column‑vector matrix
+        directTimes.push(performance.now() - start);
+        directResiduals.push(residualNorm(A, x, b));
+        directSolutions.push(x);
+      });
+      direct = {
+        label: directLabel,
+        totalTime: directTimes.reduce((a, c) => a + c, 0),
+        avgResidual: directResiduals.reduce((a, c) => a + c, 0) / directResiduals.length,
+      };
+    } catch (err) {
+      direct = { label: directLabel, error: err.message };
+    }
+
+    /* ---- CONDITIONING: κ(A), each b_k as a perturbation of b₁, random δb */
+    let conditioning = null;
+    if (built.n <= COND_MAX) {
+      try {
+        if (direct.error) throw new Error(`the conditioning study needs the direct solutions (${direct.error})`);
+        const D = sparse ? csrToDense(A) : A;
+        const kappa = conditionNumbers(D);
+        const [b1, ...others] = Bs;
+        const x1 = directSolutions[0];
+        const pairs = others.flatMap((b, k) => NORMS.map(([label, p, key]) => {
+          const relB = vectorNorm(b.map((v, i) => v - b1[i]), p) / vectorNorm(b1, p);
+          const relX = vectorNorm(directSolutions[k + 1].map((v, i) => v - x1[i]), p) / vectorNorm(x1, p);
+          return { rhs: k + 2, label, relB, relX, bound: kappa[key] * relB };
+        }));
+        // with b = A·1 the exact solution is known, so the forward error is too
+        const exact = !Btext.trim();
+        const errors = directSolutions.map((x, k) => ({
+          eta: backwardError(D, x, Bs[k]),
+          forward: exact ? vectorNorm(x.map(v => v - 1)) / Math.sqrt(x.length) : null,
+        }));
+        const experiment = perturbationExperiment(D, b1, { trials: Number(trials), size: Number(pert) });
+        conditioning = { kappa, pairs, errors, experiment };
+      } catch (err) {
+        conditioning = { error: err.message };
+      }
+    }
+
+    /* ---- ITERATIVE: single solve per RHS with each method */
+    // time every RHS, average the true residuals; `history` is the residual
+    // log of the first RHS for the convergence chart
+    const timeIterative = (label, solve) => {
+      const times = [];
+      const counts = [];
+      const residuals = [];
+      let history = [];
+      try {
+        Bs.forEach((b, k) => {
+          const start = performance.now();
+          const { x, iterations, steps } = solve(b);
+          times.push(performance.now() - start);
+          counts.push(iterations);
+          residuals.push(residualNorm(A, x, b));
+          if (k === 0) history = steps.map(s => s.res);
+        });
+      } catch (err) {
+        return { label, error: err.message };
+      }
+      return {
+        label,
+        totalTime: times.reduce((a, c) => a + c, 0),
+        avgResidual: residuals.reduce((a, c) => a + c, 0) / residuals.length,
+        avgCount: counts.reduce((a, c) => a + c, 0) / counts.length,
+        history,
+      };
+    };
+    const options = { tol: Number(tol), maxIter: Number(maxIter) };
+    const suffix = precond === 'none' ? '' : ` + ${precond === 'ilu' ? 'ILU(0)' : 'Jacobi'}`;
+    const iterative = [
+      timeIterative(
+        STATIONARY_METHODS[method] + (method === 'sor' || method === 'ssor' ? ` (ω = ${omega})` : ''),
+        b => stationarySolve(method, A, b, {
+          ...options, omega: Number(omega), criterion: 'increment', record: false,
+        }),
+      ),
+      ...Object.entries(KRYLOV_METHODS).map(([key, label]) => timeIterative(
+        (key === 'gmres' ? `GMRES(${restart})` : label) + suffix,
+        b => krylovSolve(key, A, b, { ...options, precond, restart: Number(restart) }),
+      )),
+    ];
 
     setResults({
-      totalDirectTime,
-      avgDirectResidual,
-      totalGSTime,
-      avgGSResidual,
-      avgGSIter,
+      n: built.n,
+      sparse: sparse ? { nnz: nnz(A), band: bandwidth(A), pattern: csrPattern(A) } : null,
+      conditioning,
+      direct,
       directTimes,
-      gsTimes,
-      gsIterations,
       directResiduals,
-      gsResiduals
+      iterative,
     });
+    markRun();
   }
-  if (goMenu) return <Menu/>;
+  const markRun = useAutoRun(runExperiment);
 
   /* ────────────────────────── render ────────────────────────────── */
+  const solved = results ? results.iterative.filter(r => !r.error) : [];
+  const timed = results ? [results.direct, ...results.iterative].filter(r => !r.error) : [];
+  const { kappa, pairs, errors, experiment } = results?.conditioning ?? {};
   return (
     <div id="menu">
       <div className="menu-newton">
@@ -151,41 +220,73 @@ O(n) memory, parallelize well, and avoid the fill-in that can overwhelm direct f
 
             </p>
 
-        <p>Enter a square matrix <em>A</em> (rows separated by semicolons) and one or more right‑hand‑side vectors separated by "|". The experiment times <strong>direct LU</strong> and an <strong>iterative Gauss–Seidel</strong> on each RHS, then compares runtime and average residual.</p>
+        <p>Enter a square matrix <em>A</em> (rows separated by semicolons) — or sparse triplets, a Matrix Market file or a Poisson matrix — and one or more right‑hand‑side vectors separated by "|". The experiment times <strong>direct LU</strong> and an <strong>iterative</strong> method of your choice on each RHS, then compares runtime and average residual.</p>
       </div>
 
       <section className="inputs">
-        <label>A =
-          <textarea value={Atext} onChange={e=>setAtext(e.target.value)} rows={2}/>
-        </label>
-        <label>b vectors =
+        <MatrixInput source={source} />
+        <label>b vectors (empty: b = A·1) =
           <textarea value={Btext} onChange={e=>setBtext(e.target.value)} rows={2}/>
         </label>
-        <label>GS tolerance
+        <label>iterative method
+          <select value={method} onChange={e=>setMethod(e.target.value)}>
+            {Object.entries(STATIONARY_METHODS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <label>ω (SOR, SSOR)
+          <input type="number" step="0.05" value={omega} onChange={e=>setOmega(e.target.value)}/>
+        </label>
+        <label>Krylov preconditioner
+          <select value={precond} onChange={e=>setPrecond(e.target.value)}>
+            {Object.entries(PRECONDITIONERS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <label>GMRES restart m
+          <input type="number" min="1" value={restart} onChange={e=>setRestart(e.target.value)}/>
+        </label>
+        <label>tolerance
           <input type="number" step="1e-6" value={tol} onChange={e=>setTol(e.target.value)}/>
         </label>
-        <label>GS max iterations
+        <label>max iterations
           <input type="number" value={maxIter} onChange={e=>setMaxIter(e.target.value)}/>
         </label>
+        <label>random perturbations of b₁
+          <input type="number" min="1" value={trials} onChange={e=>setTrials(e.target.value)}/>
+        </label>
+        <label>their size ‖δb‖/‖b‖
+          <input type="number" step="1e-8" value={pert} onChange={e=>setPert(e.target.value)}/>
+        </label>
         {errMsg && <p className="err-msg">⚠️ {errMsg}</p>}
       </section>
         <button data-label="Register" className="rainbow-hover" onClick={runExperiment}><span className="sp">Run Experiment</span></button>
 
       {results && (
         <section className="results">
+          {results.sparse && (<>
+            <SpyPlot pattern={results.sparse.pattern} title="Non‑zeros of A" />
+            <p>
+              n = {results.n.toLocaleString()}, nnz = {results.sparse.nnz.toLocaleString()}{' '}
+              ({(100 * results.sparse.nnz / results.n ** 2).toPrecision(2)} % of the entries),
+              bandwidths {results.sparse.band.lower} below / {results.sparse.band.upper} above the diagonal.
+            </p>
+          </>)}
           <h4>Summary</h4>
           <table>
             <thead><tr><th>Method</th><th>Total time (ms)</th><th>Avg residual</th><th>Avg iterations</th></tr></thead>
             <tbody>
-              <tr><td>Direct LU</td><td>{results.totalDirectTime.toFixed(2)}</td><td>{results.avgDirectResidual.toExponential(2)}</td><td>—</td></tr>
-              <tr><td>Gauss–Seidel</td><td>{results.totalGSTime.toFixed(2)}</td><td>{results.avgGSResidual.toExponential(2)}</td><td>{results.avgGSIter.toFixed(1)}</td></tr>
+              {timed.map(r => (
+                <tr key={r.label}><td>{r.label}</td><td>{r.totalTime.toFixed(2)}</td><td>{r.avgResidual.toExponential(2)}</td><td>{r.avgCount?.toFixed(1) ?? '—'}</td></tr>
+              ))}
             </tbody>
           </table>
+          {[results.direct, ...results.iterative].filter(r => r.error).map(r => (
+            <p key={r.label} className="err-msg">⚠️ {r.label}: {r.error}</p>
+          ))}
 
           <Plot style={{width:'100%', height:'320px'}}
             data={[
-              { x:['Direct','Gauss–Seidel'], y:[results.totalDirectTime, results.totalGSTime], type:'bar', name:'Time (ms)' },
-              { x:['Direct','Gauss–Seidel'], y:[results.avgDirectResidual, results.avgGSResidual], type:'bar', name:'Avg residual', yaxis:'y2' }
+              { x:timed.map(r => r.label), y:timed.map(r => r.totalTime), type:'bar', name:'Time (ms)' },
+              { x:timed.map(r => r.label), y:timed.map(r => r.avgResidual), type:'bar', name:'Avg residual', yaxis:'y2' }
             ]}
             layout={{
               barmode:'group',
@@ -194,10 +295,112 @@ O(n) memory, parallelize well, and avoid the fill-in that can overwhelm direct f
               yaxis2:{ title:'Residual', overlaying:'y', side:'right', type:'log' }
             }}
           />
+
+          <h4>Residual history (first right‑hand side)</h4>
+          <Plot style={{width:'100%', height:'360px'}}
+            data={solved.map(r => ({
+              x: r.history.map((_, k) => k + 1),
+              y: r.history,
+              mode: 'lines+markers',
+              name: r.label,
+            }))}
+            layout={{
+              xaxis:{ title:'iteration' },
+              yaxis:{ title:'‖b − Ax‖₂', type:'log', exponentformat:'e' },
+            }}
+          />
+          <p>
+            Krylov methods minimise over a growing subspace, so in exact arithmetic CG and
+            full GMRES finish in at most n steps; a good preconditioner clusters the
+            eigenvalues of the preconditioned matrix and cuts that to a handful. A short
+            GMRES restart saves memory but can stall.
+          </p>
+
+          <h4>Conditioning</h4>
+          {!results.conditioning && <p>The conditioning study is dense and runs for n ≤ {COND_MAX}.</p>}
+          {results.conditioning?.error && <p className="err-msg">⚠️ {results.conditioning.error}</p>}
+          {kappa && (<>
+            <table>
+              <thead><tr><th>norm</th><th>κ(A) = ‖A‖‖A⁻¹‖</th><th>digits at risk ≈ log₁₀ κ</th></tr></thead>
+              <tbody>
+                {NORMS.map(([label, , key]) => (
+                  <tr key={key}><td>{label}</td><td>{kappa[key].toExponential(3)}</td><td>{Math.log10(kappa[key]).toFixed(1)}</td></tr>
+                ))}
+              </tbody>
+            </table>
+
+            {pairs.length > 0 && (<>
+              <p>Each further right‑hand side as a perturbation of b₁: the observed change in x never exceeds κ times the change in b.</p>
+              <table>
+                <thead><tr><th>RHS</th><th>norm</th><th>‖δb‖/‖b‖</th><th>‖δx‖/‖x‖</th><th>bound κ‖δb‖/‖b‖</th><th>observed / bound</th></tr></thead>
+                <tbody>
+                  {pairs.map(r => (
+                    <tr key={`${r.rhs}-${r.label}`}>
+                      <td>b{r.rhs}</td><td>{r.label}</td><td>{r.relB.toExponential(2)}</td><td>{r.relX.toExponential(2)}</td>
+                      <td>{r.bound.toExponential(2)}</td><td>{r.bound > 0 ? (r.relX / r.bound).toFixed(3) : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>)}
+
+            <p>
+              Direct solutions: the backward error η = ‖b − Ax̂‖/(‖A‖‖x̂‖ + ‖b‖) is near machine
+              precision for a stable solver, and the forward error is then about κ₂·η at most.
+              {errors[0].forward === null && ' Leave b empty (b = A·1, x = 1) to see the actual forward error.'}
+            </p>
+            <table>
+              <thead><tr><th>RHS</th><th>backward error η</th><th>κ₂·η</th><th>forward error ‖x̂ − x‖/‖x‖</th></tr></thead>
+              <tbody>
+                {errors.map((r, k) => (
+                  <tr key={k}>
+                    <td>b{k + 1}</td><td>{r.eta.toExponential(2)}</td><td>{(kappa.two * r.eta).toExponential(2)}</td>
+                    <td>{r.forward === null ? '—' : r.forward.toExponential(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <Plot style={{width:'100%', height:'360px'}}
+              data={[
+                {
+                  x: experiment.rows.map(r => r.trial),
+                  y: experiment.rows.map(r => r.amplification),
+                  mode: 'markers',
+                  name: 'random δb',
+                },
+                {
+                  x: [0, experiment.rows.length],
+                  y: [experiment.kappa, experiment.kappa],
+                  mode: 'lines',
+                  line: { dash: 'dash', color: '#c9a227' },
+                  name: 'κ₂(A)',
+                },
+                {
+                  x: [0],
+                  y: [experiment.worst.amplification],
+                  mode: 'markers',
+                  marker: { size: 14, symbol: 'star' },
+                  name: 'δb along uₙ',
+                },
+              ]}
+              layout={{
+                title: `Error amplification (‖δx‖/‖x‖) / (‖δb‖/‖b‖), ‖δb‖/‖b‖ = ${pert}`,
+                xaxis: { title: 'trial' },
+                yaxis: { title: 'amplification', type: 'log', exponentformat: 'e' },
+              }}
+            />
+            <p>
+              Largest random amplification {experiment.max.toExponential(2)} against κ₂ = {experiment.kappa.toExponential(2)};
+              random directions rarely reach the bound, but a perturbation along the left singular
+              vector uₙ of the smallest singular value is stretched the most
+              ({experiment.worst.amplification.toExponential(2)}).
+            </p>
+          </>)}
         </section>
       )}
 
-      <button data-label="Register" className="rainbow-hover" onClick={()=>setGoMenu(true)} id='backButton'>
+      <button data-label="Register" className="rainbow-hover" onClick={()=>navigate('/')} id='backButton'>
         <span className="sp">Back to Menu</span>
       </button>
     </div>
@@ -1,105 +1,187 @@
+// LuDecomposition.jsx — factor once, solve many right‑hand sides
+// -----------------------------------------------------------------------------
+// A dense A goes through mathjs' lup; a sparse one (MatrixInput.jsx) through
+// the banded LU of src/numerics/sparse.js, which keeps only the band where
+// fill‑in can appear.  Spy plots of A and of L + U show that fill‑in.
+// The factorisation selector adds Cholesky, Householder and Givens QR and the
+// SVD (src/numerics/factorizations.js); each mode shows its factors, the
+// reconstruction error ‖A − factors‖_F and the same cached‑solve timing.
+// They work on dense matrices, so sparse input is densified up to DENSE_MAX.
+// For a small dense A the LU mode also replays Gaussian elimination itself
+// (EliminationTrace.jsx) under the chosen pivoting strategy, and Solve
+// compares all four strategies on the first right‑hand side — the 1e‑20
+// example shows elimination without pivoting losing x₁ entirely.
+
 import { useState } from 'react';
 import * as math from 'mathjs';
 import Plot from 'react-plotly.js';
 import luLogo from '../assets/luDecomposition.png';
-import Menu from './Menu';
+import { navigate, useQueryState, useAutoRun } from '../router';
+import {
+  forwardSubstitution, backSubstitution, bandLU, bandSolve, bandFactorPattern, csrPattern, nnz, residualNorm,
+  FACTORIZATIONS, factorize as factorizeWith, matMul, frobeniusNorm, csrToDense,
+  PIVOTING, gaussianElimination, eliminationSolve,
+} from '../numerics';
+import MatrixInput, { useMatrixSource } from './MatrixInput';
+import SpyPlot from './SpyPlot';
+import EliminationTrace from './EliminationTrace';
 
-export default function LuDecomposition() {
-  /* ────────────────────────── state ───────────────────────────── */
-  const [Atext, setAtext] = useState('4 1 2; 3 5 1; 1 1 3');
-  const [btext, setBtext] = useState('4 7 3 | 2 1 5'); // two RHS vectors, pipe‑separated
-  const [err, setErr]     = useState('');
-  const [LU, setLU]       = useState(null);            // stores {L,U,p}
-  const [solveData, setSolveData] = useState(null);    // {directMs, cachedMs, solutions}
-  const [goToMenu, setGoToMenu] = useState(false);
-
-
-  /* ───────────────────── helper parse routines ─────────────────── */
-  function parseMatrix(str) {
-    return math.matrix(
-      str.split(';').map(row =>
-        row.trim().split(/[,\s]+/).filter(Boolean).map(Number)
-      )
-    );
-  }
+// largest n whose solutions and factors are listed entry by entry
+const TABLE_MAX = 12;
+// largest n the dense factorisations accept from sparse input
+const DENSE_MAX = 200;
+// largest n whose elimination is traced step by step
+const TRACE_MAX = 8;
 
-  function parseVectorBlock(str) {
-    // supports multiple RHS vectors separated by | or new line
-    return str.split(/\|/).map(vstr =>
-      math.matrix(
-        vstr.trim().split(/[,\s]+/).filter(Boolean).map(Number)
-      )
-    );
-  }
+const MODES = { lu: 'LU with partial pivoting, PA = LU', ...FACTORIZATIONS };
+// what the reconstruction error compares
+const PRODUCTS = {
+  lu: 'PA − LU', cholesky: 'A − LLᵀ', householder: 'A − QR', givens: 'A − QR', svd: 'A − UΣVᵀ',
+};
 
-  /* ───────────────────── forward / back sub ────────────────────── */
-  function forwardSub(L, Pb) {
-    const n = L.size()[0];
-    const y = Array(n).fill(0);
-    for (let i = 0; i < n; i++) {
-      let sum = Pb[i];
-      for (let j = 0; j < i; j++) sum -= L.get([i, j]) * y[j];
-      y[i] = sum / L.get([i, i]);
-    }
-    return y;
-  }
+// one factor as a small table; a vector (Σ) is shown as a single row
+function FactorTable({ name, M }) {
+  const rows = Array.isArray(M[0]) ? M : [M];
+  return (
+    <table>
+      <caption>{name}</caption>
+      <tbody>
+        {rows.map((row, i) => (
+          <tr key={i}>
+            {row.map((v, j) => <td key={j}>{v.toFixed(4)}</td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
 
-  function backSub(U, y) {
-    const n = U.size()[0];
-    const x = Array(n).fill(0);
-    for (let i = n - 1; i >= 0; i--) {
-      let sum = y[i];
-      for (let j = i + 1; j < n; j++) sum -= U.get([i, j]) * x[j];
-      x[i] = sum / U.get([i, i]);
-    }
-    return x;
-  }
+export default function LuDecomposition() {
+  /* ────────────────────────── state ───────────────────────────── */
+  const source = useMatrixSource('4 1 2; 3 5 1; 1 1 3');
+  const [mode, setMode]   = useQueryState('fact', 'lu');
+  const [pivot, setPivot] = useQueryState('pivot', 'partial');
+  const [btext, setBtext] = useQueryState('b', '4 7 3 | 2 1 5'); // two RHS vectors, pipe‑separated
+  const [err, setErr]     = useState('');
+  const [LU, setLU]       = useState(null);            // {L,U,p}, the banded factors or {result}
+  const [solveData, setSolveData] = useState(null);    // {directMs, cachedMs, solutions, residuals, strategies}
 
   /* ───────────────────────── actions ───────────────────────────── */
   function factorize() {
     setErr('');
     try {
-      const A = parseMatrix(Atext);
-      const n = A.size()[0];
-      if (A.size()[1] !== n) throw new Error('Matrix must be square');
-      const { L, U, p } = math.lup(A); // ✅ correct API
-      setLU({ A, L, U, p });
+      const built = source.build();
+      let factors;
+      if (mode !== 'lu') {
+        if (built.sparse && built.n > DENSE_MAX) {
+          throw new Error(`${MODES[mode]} works on dense matrices; n = ${built.n} is above ${DENSE_MAX}, use LU for large sparse A`);
+        }
+        const A = built.sparse ? csrToDense(built.A) : built.A;
+        factors = { built, mode, A, result: factorizeWith(mode, A) };
+      } else if (built.sparse) {
+        const F = bandLU(built.A);
+        factors = {
+          built, F, pattern: csrPattern(built.A), fillPattern: bandFactorPattern(F), nnzA: nnz(built.A),
+        };
+      } else {
+        const A = math.matrix(built.A);
+        const { L, U, p } = math.lup(A); // ✅ correct API
+        factors = { built, mode, A, L: L.toArray(), U: U.toArray(), p };
+        const PA = p.map(i => built.A[i]);
+        const LUprod = matMul(factors.L, factors.U);
+        factors.error = frobeniusNorm(PA.map((row, i) => row.map((v, j) => v - LUprod[i][j])));
+        if (built.n <= TRACE_MAX) {
+          try {
+            factors.trace = gaussianElimination(built.A, { pivoting: pivot });
+          } catch (e) {
+            factors.traceError = e.message;
+          }
+          factors.pivoting = pivot;
+        }
+      }
+      setLU(factors);
       setSolveData(null);
+      return factors;
     } catch (e) {
       setErr(`Factorisation failed: ${e.message}`);
       setLU(null);
+      return null;
     }
   }
 
-  function solve() {
-    if (!LU) {
+  // `factors` lets a deep link solve right after factorising, before the
+  // LU state update has landed.
+  function solve(factors = LU) {
+    if (!factors) {
       setErr('Factorise A first');
       return;
     }
     setErr('');
     try {
-      const rhsBlocks = parseVectorBlock(btext);
+      // supports multiple RHS vectors separated by |; empty means b = A·1
+      const { built } = factors;
+      const rhsBlocks = (btext.trim() ? btext.split('|') : ['']).map(t => source.rhs(built, t));
       const solutions = [];
       const directStart = performance.now();
-      const directSolutions = rhsBlocks.map(b => math.lusolve(LU.A, b));
+      rhsBlocks.forEach(b => {
+        if (factors.result) factorizeWith(factors.mode, factors.A).solve(b);
+        else if (built.sparse) bandSolve(bandLU(built.A), b);
+        else math.lusolve(factors.A, b);
+      });
       const directMs = performance.now() - directStart;
 
       const cachedStart = performance.now();
       rhsBlocks.forEach(b => {
+        if (factors.result) {
+          solutions.push(factors.result.solve(b));
+          return;
+        }
+        if (built.sparse) {
+          solutions.push(bandSolve(factors.F, b));
+          return;
+        }
         // apply permutation P to b
-        const Pb = LU.p.map(idx => b.get([idx]));
-        const y = forwardSub(LU.L, Pb);
-        const x = backSub(LU.U, y);
+        const Pb = factors.p.map(idx => b[idx]);
+        const y = forwardSubstitution(factors.L, Pb);
+        const x = backSubstitution(factors.U, y);
         solutions.push(x);
       });
       const cachedMs = performance.now() - cachedStart;
+      const residuals = solutions.map((x, k) => residualNorm(built.A, x, rhsBlocks[k]));
+
+      // every pivoting strategy on the first right‑hand side
+      const strategies = factors.pivoting === undefined ? null : Object.keys(PIVOTING).map(key => {
+        try {
+          const F = gaussianElimination(built.A, { pivoting: key });
+          const x = eliminationSolve(F, rhsBlocks[0]);
+          return { key, x, residual: residualNorm(built.A, x, rhsBlocks[0]), growth: F.growth };
+        } catch (e) {
+          return { key, error: e.message };
+        }
+      });
 
-      setSolveData({ directMs, cachedMs, solutions });
+      setSolveData({ directMs, cachedMs, solutions, residuals, strategies });
+      markRun();
     } catch (e) {
       setErr(`Solve failed: ${e.message}`);
     }
   }
-  if (goToMenu) return <Menu />;
+  // a pivot of 1e‑20: without a row swap the multiplier 1e20 wipes out the
+  // other entries of row 2 and x₁ comes back as 0 instead of ≈ 1
+  function loadTinyPivot() {
+    source.setFormat('dense');
+    source.setDense('1e-20 1; 1 1');
+    setBtext('1 2');
+    setMode('lu');
+    setPivot('none');
+    setLU(null);
+    setSolveData(null);
+  }
+
+  const markRun = useAutoRun(() => {
+    const factors = factorize();
+    if (factors) solve(factors);
+  });
 
   /* ────────────────────────── render ───────────────────────────── */
   return (
@@ -113,33 +195,99 @@ export default function LuDecomposition() {
 
 
             </p>
+        <p>
+            Its siblings trade cost for structure: Cholesky $A = LL^T$ halves the work for symmetric positive definite $A$; QR, built from Householder reflections or Givens rotations, uses an orthogonal $Q$ and is backward stable without pivoting; the SVD $A = U\Sigma V^T$ is the most expensive but exposes the singular values and still solves (in the least-squares sense) when $A$ is singular.
+        </p>
       
       </div>
 
       <section className="inputs">
         <label>
-          Matrix A (rows with ;):
-          <textarea value={Atext} rows={3} onChange={e => setAtext(e.target.value)} />
+          factorisation
+          <select value={mode} onChange={e => setMode(e.target.value)}>
+            {Object.entries(MODES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
         </label>
+        {mode === 'lu' && (
+          <label>
+            pivoting (elimination trace, n ≤ {TRACE_MAX})
+            <select value={pivot} onChange={e => setPivot(e.target.value)}>
+              {Object.entries(PIVOTING).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <MatrixInput source={source} />
         <label>
-          RHS vector(s) b (| separated):
+          RHS vector(s) b (| separated, empty: b = A·1):
           <textarea value={btext} rows={2} onChange={e => setBtext(e.target.value)} />
         </label>
       </section>
 
       
         <button className="rainbow-hover" onClick={factorize}>Factorize A</button>
-       <button className="rainbow-hover" onClick={solve} disabled={!LU}>Solve</button>
+       <button className="rainbow-hover" onClick={() => solve()} disabled={!LU}>Solve</button>
+       <button className="rainbow-hover" onClick={loadTinyPivot}>Load the 1e‑20 pivot example</button>
 
       {err && <p className="err-msg">⚠️ {err}</p>}
 
+      {LU && !LU.F && (
+        <section className="results">
+          <h3>Factors — {MODES[LU.mode]}</h3>
+          <p>
+            Reconstruction error ‖{PRODUCTS[LU.mode]}‖<sub>F</sub> ={' '}
+            {(LU.result ? LU.result.error : LU.error).toExponential(2)}
+            {LU.result?.factors.rotations !== undefined && `, ${LU.result.factors.rotations} rotations`}
+            {LU.result?.factors.sweeps !== undefined && `, ${LU.result.factors.sweeps} Jacobi sweeps`}
+          </p>
+          {LU.built.n <= TABLE_MAX && (LU.result
+            ? Object.entries(LU.result.factors)
+              .filter(([, M]) => Array.isArray(M))
+              .map(([name, M]) => <FactorTable key={name} name={name === 'S' ? 'Σ (singular values)' : name} M={M} />)
+            : (<>
+              <FactorTable name="L" M={LU.L} />
+              <FactorTable name="U" M={LU.U} />
+              <p>row order p = [{LU.p.map(i => i + 1).join(', ')}]</p>
+            </>))}
+        </section>
+      )}
+
+      {LU?.pivoting !== undefined && (
+        <section className="results">
+          <h3>Gaussian elimination — {PIVOTING[LU.pivoting]}</h3>
+          {LU.trace
+            ? (<>
+              <EliminationTrace trace={LU.trace} pivoting={LU.pivoting} />
+              <p>Growth factor max|uᵢⱼ| / max|aᵢⱼ| = {LU.trace.growth.toExponential(2)}</p>
+            </>)
+            : <p className="err-msg">⚠️ {LU.traceError}</p>}
+        </section>
+      )}
+
+      {LU?.F && (
+        <section className="results">
+          <h3>Fill‑in</h3>
+          <p>
+            Bandwidths {LU.F.lower} below and {LU.F.upper} above the diagonal: partial pivoting
+            can widen U to {LU.F.lower + LU.F.upper}, so elimination fills the band.
+            nnz(A) = {LU.nnzA.toLocaleString()}, nnz(L + U) = {LU.F.fill.toLocaleString()}{' '}
+            ({(LU.F.fill / LU.nnzA).toFixed(1)}×).
+          </p>
+          <SpyPlot pattern={LU.pattern} title="A" />
+          <SpyPlot pattern={LU.fillPattern} title="L + U" />
+        </section>
+      )}
+
       {solveData && (
         <section className="results">
           <h3>Performance comparison</h3>
           <Plot
             data={[
               { x: ['Direct each time'], y: [solveData.directMs], type: 'bar', name: 'Direct' },
-              { x: ['Cached LU'], y: [solveData.cachedMs], type: 'bar', name: 'Cached' }
+              { x: ['Cached factors'], y: [solveData.cachedMs], type: 'bar', name: 'Cached' }
             ]}
             layout={{
               width: 480,
@@ -149,31 +297,72 @@ export default function LuDecomposition() {
             }}
           />
 
+          {solveData.strategies && (<>
+            <h3>Pivoting strategies on b₁</h3>
+            <table>
+              <thead>
+                <tr><th>strategy</th><th>x</th><th>‖Ax−b‖₂</th><th>growth</th></tr>
+              </thead>
+              <tbody>
+                {solveData.strategies.map(r => (
+                  <tr key={r.key}>
+                    <td>{PIVOTING[r.key]}</td>
+                    {r.error
+                      ? <td colSpan={3}>⚠️ {r.error}</td>
+                      : (<>
+                        <td>{r.x.map(v => v.toPrecision(6)).join(', ')}</td>
+                        <td>{r.residual.toExponential(2)}</td>
+                        <td>{r.growth.toExponential(2)}</td>
+                      </>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>)}
+
           <h3>Solutions</h3>
-          <table>
-            <thead>
-              <tr>
-                <th>RHS #</th>
-                {solveData.solutions[0].map((_, idx) => (
-                  <th key={idx}>x{idx + 1}</th>
+          {solveData.solutions[0].length > TABLE_MAX ? (
+            <table>
+              <thead>
+                <tr><th>RHS #</th><th>‖Ax−b‖₂</th><th>min xᵢ</th><th>max xᵢ</th></tr>
+              </thead>
+              <tbody>
+                {solveData.solutions.map((sol, i) => (
+                  <tr key={i}>
+                    <td>{i + 1}</td>
+                    <td>{solveData.residuals[i].toExponential(2)}</td>
+                    <td>{sol.reduce((m, v) => Math.min(m, v)).toFixed(4)}</td>
+                    <td>{sol.reduce((m, v) => Math.max(m, v)).toFixed(4)}</td>
+                  </tr>
                 ))}
-              </tr>
-            </thead>
-            <tbody>
-              {solveData.solutions.map((sol, i) => (
-                <tr key={i}>
-                  <td>{i + 1}</td>
-                  {sol.map((v, j) => (
-                    <td key={j}>{v.toFixed(4)}</td>
+              </tbody>
+            </table>
+          ) : (
+            <table>
+              <thead>
+                <tr>
+                  <th>RHS #</th>
+                  {solveData.solutions[0].map((_, idx) => (
+                    <th key={idx}>x{idx + 1}</th>
                   ))}
                 </tr>
-              ))}
-            </tbody>
-          </table>
+              </thead>
+              <tbody>
+                {solveData.solutions.map((sol, i) => (
+                  <tr key={i}>
+                    <td>{i + 1}</td>
+                    {sol.map((v, j) => (
+                      <td key={j}>{v.toFixed(4)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
         </section>
       )}
 
-<button data-label="Register" className="rainbow-hover"  id="backButton" onClick={() => setGoToMenu(true)}>
+<button data-label="Register" className="rainbow-hover"  id="backButton" onClick={() => navigate('/')}>
         <span className="sp">Back to Menu</span>
       </button>
     </div>
@@ -0,0 +1,134 @@
+// MatrixInput.jsx — the matrix A of the linear‑system pages, dense or sparse
+// -----------------------------------------------------------------------------
+// `useMatrixSource(defaultDense)` keeps the choice in the query string:
+//   Afmt   dense | triplets | mtx | poisson1d | poisson2d | hilbert | vandermonde
+//   A      dense rows, '4 1 2; 3 5 1; 1 1 3'
+//   Atrip  triplet lines "i j value" (1‑based, % comments)
+//   grid   n for the 1D Poisson, Hilbert and Vandermonde matrices, k for
+//          the k × k 2D grid
+// An uploaded Matrix Market file is too big for a URL, so it lives in plain
+// state and a shared link with Afmt=mtx asks for the file again.
+// `build()` returns { A, n, sparse }: number[][] for dense input and the
+// ill‑conditioned presets, otherwise a CSR matrix (src/numerics/sparse.js); invalid input throws.
+// `rhs(built, text)` reads b for that matrix; empty text means b = A·1, so
+// the exact solution is all ones — the easy choice for a generated A.
+
+import { useState } from 'react';
+import { useQueryState } from '../router';
+import {
+  parseMatrix, parseTriplets, parseMatrixMarket, poisson1D, poisson2D, matVec, hilbert, vandermonde,
+} from '../numerics';
+
+export const MATRIX_FORMATS = {
+  dense: 'dense rows (;)',
+  triplets: 'sparse triplets i j value',
+  mtx: 'Matrix Market file (.mtx)',
+  poisson1d: '1D Poisson, n points',
+  poisson2d: '2D Poisson, k × k grid',
+  hilbert: 'Hilbert, 1 / (i + j − 1)',
+  vandermonde: 'Vandermonde, equispaced nodes',
+};
+
+const DEFAULT_TRIPLETS = `% i j value (1-based)
+1 1 4
+1 2 -1
+2 1 -1
+2 2 4
+2 3 -1
+3 2 -1
+3 3 4`;
+
+export function useMatrixSource(defaultDense) {
+  const [format, setFormat]     = useQueryState('Afmt', 'dense');
+  const [dense, setDense]       = useQueryState('A', defaultDense);
+  const [triplets, setTriplets] = useQueryState('Atrip', DEFAULT_TRIPLETS);
+  const [grid, setGrid]         = useQueryState('grid', 32);
+  const [mtx, setMtx]           = useState({ name: '', text: '' });
+
+  function build() {
+    let A;
+    switch (format) {
+      case 'dense': {
+        A = parseMatrix(dense);
+        const n = A.length;
+        if (!A.every(row => row.length === n)) throw new Error('Matrix A must be square');
+        if (A.flat().some(v => !Number.isFinite(v))) throw new Error('Syntax error in matrix A');
+        return { A, n, sparse: false };
+      }
+      case 'hilbert':
+      case 'vandermonde':
+        A = (format === 'hilbert' ? hilbert : vandermonde)(Number(grid));
+        return { A, n: A.length, sparse: false };
+      case 'triplets': A = parseTriplets(triplets); break;
+      case 'mtx':
+        if (!mtx.text) throw new Error('Choose a Matrix Market (.mtx) file first');
+        A = parseMatrixMarket(mtx.text);
+        break;
+      case 'poisson1d': A = poisson1D(Number(grid)); break;
+      case 'poisson2d': A = poisson2D(Number(grid)); break;
+      default: throw new Error(`Unknown matrix format "${format}"`);
+    }
+    if (A.rows !== A.cols) throw new Error(`Matrix A must be square (it is ${A.rows} × ${A.cols})`);
+    return { A, n: A.rows, sparse: true };
+  }
+
+  function rhs({ A, n }, text) {
+    if (!text.trim()) return matVec(A, new Array(n).fill(1));
+    const b = text.trim().split(/[,\s]+/).map(Number);
+    if (b.some(v => !Number.isFinite(v))) throw new Error('Syntax error in vector b');
+    if (b.length !== n) throw new Error(`Vector b has ${b.length} entries but A is ${n} × ${n}`);
+    return b;
+  }
+
+  return {
+    format, setFormat, dense, setDense, triplets, setTriplets, grid, setGrid, mtx, setMtx, build, rhs,
+  };
+}
+
+export default function MatrixInput({ source }) {
+  const { format, setFormat, dense, setDense, triplets, setTriplets, grid, setGrid, mtx, setMtx } = source;
+
+  function loadFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then(text => setMtx({ name: file.name, text }));
+  }
+
+  return (
+    <>
+      <label>
+        matrix A
+        <select value={format} onChange={e => setFormat(e.target.value)}>
+          {Object.entries(MATRIX_FORMATS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      {format === 'dense' && (
+        <label>
+          A (rows by ';')
+          <textarea rows="3" value={dense} onChange={e => setDense(e.target.value)} />
+        </label>
+      )}
+      {format === 'triplets' && (
+        <label>
+          entries "i j value", one per line (optional "size n")
+          <textarea rows="6" value={triplets} onChange={e => setTriplets(e.target.value)} />
+        </label>
+      )}
+      {format === 'mtx' && (
+        <label>
+          .mtx file {mtx.name && `(${mtx.name})`}
+          <input type="file" accept=".mtx,.txt" onChange={loadFile} />
+        </label>
+      )}
+      {['poisson1d', 'poisson2d', 'hilbert', 'vandermonde'].includes(format) && (
+        <label>
+          {format === 'poisson2d' ? `k (n = k² = ${(Number(grid) ** 2).toLocaleString()})` : 'n'}
+          <input type="number" min="1" value={grid} onChange={e => setGrid(Number(e.target.value))} />
+        </label>
+      )}
+    </>
+  );
+}
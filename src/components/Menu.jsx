@@ -3,103 +3,30 @@ import bisectionLogo from '../assets/19.03.02-Bisection-method.png';
 import newtonRaphsonLogo from '../assets/newton-raphson.webp';
 import simpsonsRule from '../assets/simpsons-rule.png';
 import gaussSeidel from '../assets/gauss-seidel.gif';
-import { useState } from 'react';
-import Bisection from './Bisection';
-import NewtonRaphson from './NewtonRaphson';
-import SimpsonsRule from './SimpsonsRule';
-import GaussSeidel from './GaussSeidel';
 import compositionLogo from '../assets/LuDecomposition.png';
-import LuDecomposition from './LuDecomposition';
-import ScalarOptimization from './ScalarOptimization';
 import scalarLogo from '../assets/scalar.jpg';
-import ODEsComparison from './ODEsComparison';
 import OdeLogo from '../assets/odeSolver.png';
-import Algorithms from './Algorithms';
 import AlgoLogo from '../assets/algorithms.png';
-import LinearSystems from './LinearSystems';
 import linearLogo from '../assets/linear.png';
-import NumDiff from './NumDiff';
 import NumLogo from '../assets/numDiff.png';
+import { navigate } from '../router';
 
 
 
 export default function Menu() {
-const [goBisection,setGoBisection] = useState(false);
-const [goNewtonRaphson,setGoNewtonRaphson]=useState(false);
-const[goSimpsonsRule,setGoSimpsonsRule]=useState(false);
-const[goGaussSeidel,setGoGaussSeidel]=useState(false);
-const [goDecomposition,setGoDecomposition]=useState(false);
-const [goScalar,setGoScalar]=useState(false);
-const [goODE,setGoODE]=useState(false);
-const[goAlgo,setGoAlgo]=useState(false);
-const[goLinear,setGoLinear]=useState(false);
-const[goNum,setGoNum]=useState(false);
-
-
-
-
-  function handleBisection() {
-     setGoBisection(true);
-  }
-  if(goBisection) {
-    return <Bisection/>
-  }
-  function handleNewtonRaphson() {
-    setGoNewtonRaphson(true);
-  }
-  if(goNewtonRaphson) {
-    return <NewtonRaphson/>
-  }
-  function handleSimpsonsRule() {
-    setGoSimpsonsRule(true);
-  }
-  if(goSimpsonsRule) {
-    return <SimpsonsRule/>
-  }
-  function handleGaussSeidel() {
-    setGoGaussSeidel(true);
-  }
-  if(goGaussSeidel) {
-    return <GaussSeidel/>
-  }
-  function handleDecomposition() {
-    setGoDecomposition(true);
-  }
-  if(goDecomposition) {
-    return <LuDecomposition/>
-  }
-
-  function handleScalar() {
-    setGoScalar(true);
-  }
-  if(goScalar) {
-    return <ScalarOptimization/>
-  }
-  function handleODE() {
-    setGoODE(true);
-  }
-  if(goODE) {
-    return <ODEsComparison/>
-  }
-  function handleAlgo() {
-    setGoAlgo(true);
-  }
-  if(goAlgo) {
-    return <Algorithms/>
-  }
-  function handleLinear() {
-    setGoLinear(true);
-  }
-  if(goLinear) {
-    return <LinearSystems/>
-  }
-  function handleNum() {
-    setGoNum(true);
-  }
-  if(goNum) {
-    return <NumDiff/>
-  }
 
+  const handleBisection = () => navigate('/bisection');
+  const handleNewtonRaphson = () => navigate('/newton-raphson');
+  const handleSimpsonsRule = () => navigate('/simpsons-rule');
+  const handleGaussSeidel = () => navigate('/gauss-seidel');
+  const handleDecomposition = () => navigate('/lu-decomposition');
+  const handleScalar = () => navigate('/optimization');
+  const handleODE = () => navigate('/ode-comparison');
+  const handleAlgo = () => navigate('/algorithms');
+  const handleLinear = () => navigate('/linear-systems');
+  const handleNum = () => navigate('/numerical-differentiation');
+  const handleNonlinear = () => navigate('/nonlinear-systems');
+  const handleFixedPoint = () => navigate('/fixed-point');
 
 
     return (
@@ -141,7 +68,7 @@ const[goNum,setGoNum]=useState(false);
 
              <div className="section">
             <img src={compositionLogo} alt="" />
-             <h4>LU Decomposition</h4>
+             <h4>LU, Cholesky, QR &amp; SVD</h4>
              <button data-label="Register" className="rainbow-hover" onClick={handleDecomposition}>
               <span className="sp">LU Decomposition</span>
               </button>
@@ -194,6 +121,20 @@ const[goNum,setGoNum]=useState(false);
               <span className="sp">Numerical Differentiation</span>
               </button>
              </div>
+             <div className="section">
+            <img src={newtonRaphsonLogo} alt="" />
+             <h4>Nonlinear Systems</h4>
+             <button data-label="Register" className="rainbow-hover" onClick={handleNonlinear}>
+              <span className="sp">Nonlinear Systems</span>
+              </button>
+             </div>
+             <div className="section">
+            <img src={AlgoLogo} alt="" />
+             <h4>Fixed-Point Iteration</h4>
+             <button data-label="Register" className="rainbow-hover" onClick={handleFixedPoint}>
+              <span className="sp">Fixed-Point Iteration</span>
+              </button>
+             </div>
             
             
             </div>
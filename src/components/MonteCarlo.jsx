@@ -0,0 +1,285 @@
+// MonteCarlo.jsx — Monte Carlo / quasi‑Monte Carlo panel of the integration page
+// -----------------------------------------------------------------------------
+// Rendered by SimpsonsRule under the 1‑D rules, for the same f(x) on [a, b].
+//   • running estimate with its 95 % confidence band against the sample count
+//     (seeded pseudo‑random points, or Halton / Sobol with random shifts)
+//   • error vs f‑evaluations next to composite Simpson: N^(−1/2) for MC,
+//     roughly N^(−1) for QMC, N^(−4) for Simpson — Simpson wins easily in 1‑D
+//   • a dimension study on ∫[0,1]^d Π (π/2)·sin(π xᵢ) dx = 1 with the same
+//     budget for every d: tensor Simpson needs (n+1)^d points, so its error
+//     ∝ N^(−4/d) collapses with d while Monte Carlo's N^(−1/2) does not care.
+
+import { useState } from 'react';
+import Plot from 'react-plotly.js';
+import { useQueryState } from '../router';
+import { monteCarlo, integrate, integrateIterated } from '../numerics';
+
+const SAMPLERS = {
+  random: 'Pseudo‑random (seeded)',
+  halton: 'Halton (quasi‑random)',
+  sobol: 'Sobol (quasi‑random)',
+};
+
+// dimension study: f‑evaluations allowed per method and dimensions shown
+const BUDGET = 10000;
+const DIMS = [1, 2, 3, 4, 5, 6, 7, 8];
+const productSine = (...x) => x.reduce((p, t) => p * (Math.PI / 2) * Math.sin(Math.PI * t), 1);
+
+export default function MonteCarlo({ evalF, lo, hi, exactValue, disabled }) {
+  /* ─────────────────────────── state ─────────────────────────── */
+  const [sampler, setSampler] = useQueryState('sampler', 'random');
+  const [seed, setSeed] = useQueryState('seed', 1);
+  const [samples, setSamples] = useQueryState('samples', 10000);
+
+  const [errMsg, setErrMsg] = useState('');
+  const [run, setRun] = useState(null);     // { running, truth, compare }
+  const [dims, setDims] = useState(null);   // [{ d, simpson, n, random, sobol }]
+
+  /* ─────────────── algorithm ─────────────── */
+  function runMonteCarlo() {
+    setErrMsg('');
+    try {
+      if (!Number.isFinite(lo) || !Number.isFinite(hi)) {
+        throw new Error('Monte Carlo needs finite limits');
+      }
+      let truth = exactValue();
+      let baseline = 'exact value';
+      if (truth === null) {
+        truth = integrate('tanhsinh', evalF, lo, hi, { tol: 1e-13 }).value;
+        baseline = 'tanh–sinh reference';
+      }
+      const options = { samples: Number(samples), seed: Number(seed) };
+      const main = monteCarlo(evalF, [lo], [hi], { ...options, sampler });
+      if (main.status !== 'ok') throw new Error('f is not finite at a sample point');
+
+      // error vs cost: all three samplers with the same seed, and Simpson
+      const compare = Object.keys(SAMPLERS).map(key => {
+        const res = key === sampler ? main : monteCarlo(evalF, [lo], [hi], { ...options, sampler: key });
+        return {
+          name: SAMPLERS[key],
+          n: res.running.map(r => r.n),
+          error: res.running.map(r => Math.abs(r.estimate - truth)),
+        };
+      });
+      const simpsonNs = [];
+      for (let k = 2; k + 1 <= Number(samples); k *= 2) simpsonNs.push(k);
+      compare.push({
+        name: 'Simpson 1/3',
+        n: simpsonNs.map(k => k + 1),
+        error: simpsonNs.map(k => Math.abs(integrate('simpson', evalF, lo, hi, { n: k }).value - truth)),
+      });
+
+      setRun({ running: main.running, truth, baseline, compare, label: SAMPLERS[sampler] });
+    } catch (err) {
+      setErrMsg(`⚠️ ${err.message}`);
+      setRun(null);
+    }
+  }
+
+  function runDimensionStudy() {
+    setErrMsg('');
+    try {
+      const rows = DIMS.map(d => {
+        // largest even n whose (n+1)^d nodes, plus the (n/2+1)^d of the
+        // coarse‑grid error estimate when 4 | n, fit in BUDGET (at least 2)
+        const cost = m => (m + 1) ** d + (m % 4 === 0 ? (m / 2 + 1) ** d : 0);
+        let n = 2;
+        for (let m = 4; (m + 1) ** d <= BUDGET; m += 2) {
+          if (cost(m) <= BUDGET) n = m;
+        }
+        const box = Array.from({ length: d }, () => [0, 1]);
+        const simpson = integrateIterated(productSine, box, { rule: 'simpson', n });
+        const lows = new Array(d).fill(0);
+        const highs = new Array(d).fill(1);
+        const mc = monteCarlo(productSine, lows, highs, { samples: BUDGET, seed: Number(seed) });
+        const qmc = monteCarlo(productSine, lows, highs, { samples: BUDGET, seed: Number(seed), sampler: 'sobol' });
+        return {
+          d,
+          n,
+          simpsonEvals: simpson.evals,
+          simpson: Math.abs(simpson.value - 1),
+          random: Math.abs(mc.value - 1),
+          sobol: Math.abs(qmc.value - 1),
+        };
+      });
+      setDims(rows);
+    } catch (err) {
+      setErrMsg(`⚠️ ${err.message}`);
+      setDims(null);
+    }
+  }
+
+  /* ─────────────── render ─────────────── */
+  const band = run && run.running.filter(r => Number.isFinite(r.halfWidth));
+
+  return (
+    <>
+      <section className="inputs">
+        <h3>Monte Carlo</h3>
+        <label>
+          points
+          <select value={sampler} onChange={e => setSampler(e.target.value)}>
+            {Object.entries(SAMPLERS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          seed
+          <input type="number" value={seed} onChange={e => setSeed(e.target.value)} />
+        </label>
+        <label>
+          samples N
+          <input type="number" value={samples} onChange={e => setSamples(e.target.value)} />
+        </label>
+        {errMsg && <div className="err-msg">{errMsg}</div>}
+      </section>
+
+      <button className="rainbow-hover" onClick={runMonteCarlo} disabled={disabled}>
+        <span className="sp">Monte Carlo</span>
+      </button>
+
+      <button className="rainbow-hover" onClick={runDimensionStudy}>
+        <span className="sp">Dimension study</span>
+      </button>
+
+      {run && (
+        <>
+          <section className="results">
+            <p>
+              {run.label}: ≈ <strong>{run.running[run.running.length - 1].estimate.toFixed(8)}</strong>
+              {' '}± {run.running[run.running.length - 1].halfWidth.toExponential(2)} (95 %)
+              {' '}— {run.baseline} {run.truth.toFixed(10)}
+            </p>
+            {sampler !== 'random' && (
+              <p>
+                Quasi‑random points are not independent, so the band comes from
+                8 randomly shifted copies of the sequence instead of the sample
+                variance.
+              </p>
+            )}
+          </section>
+
+          <div className="plot-container">
+            <Plot
+              data={[
+                {
+                  x: band.map(r => r.n),
+                  y: band.map(r => r.estimate + r.halfWidth),
+                  mode: 'lines',
+                  line: { width: 0 },
+                  showlegend: false,
+                  hoverinfo: 'skip',
+                },
+                {
+                  x: band.map(r => r.n),
+                  y: band.map(r => r.estimate - r.halfWidth),
+                  mode: 'lines',
+                  line: { width: 0 },
+                  fill: 'tonexty',
+                  fillcolor: 'rgba(31, 119, 180, 0.2)',
+                  name: '95 % band',
+                },
+                {
+                  x: run.running.map(r => r.n),
+                  y: run.running.map(r => r.estimate),
+                  mode: 'lines+markers',
+                  name: 'running estimate',
+                },
+                {
+                  x: [run.running[0].n, run.running[run.running.length - 1].n],
+                  y: [run.truth, run.truth],
+                  mode: 'lines',
+                  line: { dash: 'dot' },
+                  name: run.baseline,
+                },
+              ]}
+              layout={{
+                margin: { t: 20 },
+                xaxis: { title: 'N (f evaluations)', type: 'log' },
+                yaxis: { title: 'estimate' },
+                height: 380,
+              }}
+              config={{ responsive: true }}
+            />
+          </div>
+
+          <div className="plot-container">
+            <Plot
+              data={[
+                ...run.compare.map(c => ({ x: c.n, y: c.error, mode: 'lines+markers', name: c.name })),
+                ...[[0.5, 'N^(−1/2)'], [1, 'N^(−1)']].map(([p, name]) => ({
+                  x: [1, Number(samples)],
+                  y: [run.compare[0].error[0] || 1, (run.compare[0].error[0] || 1) * Number(samples) ** -p],
+                  mode: 'lines',
+                  line: { dash: 'dot', width: 1 },
+                  name,
+                })),
+              ]}
+              layout={{
+                margin: { t: 20 },
+                xaxis: { title: 'f evaluations', type: 'log' },
+                yaxis: { title: '|error|', type: 'log' },
+                height: 380,
+              }}
+              config={{ responsive: true }}
+            />
+          </div>
+        </>
+      )}
+
+      {dims && (
+        <>
+          <section className="results">
+            <h3>Same budget, growing dimension</h3>
+            <p>
+              ∫ over [0,1]<sup>d</sup> of Π (π/2)·sin(π x<sub>i</sub>) = 1 with at
+              most {BUDGET.toLocaleString()} evaluations per method.
+            </p>
+            <table>
+              <thead>
+                <tr>
+                  <th>d</th>
+                  <th>Simpson n per axis</th>
+                  <th>Simpson evals</th>
+                  <th>Simpson |error|</th>
+                  <th>MC |error|</th>
+                  <th>Sobol |error|</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dims.map(r => (
+                  <tr key={r.d}>
+                    <td>{r.d}</td>
+                    <td>{r.n}</td>
+                    <td>{r.simpsonEvals}</td>
+                    <td>{r.simpson.toExponential(2)}</td>
+                    <td>{r.random.toExponential(2)}</td>
+                    <td>{r.sobol.toExponential(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          <div className="plot-container">
+            <Plot
+              data={[
+                { x: DIMS, y: dims.map(r => r.simpson), mode: 'lines+markers', name: 'tensor Simpson' },
+                { x: DIMS, y: dims.map(r => r.random), mode: 'lines+markers', name: 'Monte Carlo' },
+                { x: DIMS, y: dims.map(r => r.sobol), mode: 'lines+markers', name: 'Sobol QMC' },
+              ]}
+              layout={{
+                margin: { t: 20 },
+                xaxis: { title: 'dimension d', dtick: 1 },
+                yaxis: { title: '|error|', type: 'log' },
+                height: 380,
+              }}
+              config={{ responsive: true }}
+            />
+          </div>
+        </>
+      )}
+    </>
+  );
+}
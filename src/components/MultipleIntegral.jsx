@@ -0,0 +1,249 @@
+// MultipleIntegral.jsx — double and triple integrals for the integration page
+// -----------------------------------------------------------------------------
+// Rendered by SimpsonsRule when the dimension selector is 2 or 3.  Students
+// enter f(x, y) or f(x, y, z) and iterated limits: x from a to b (numbers),
+// y from g₁(x) to g₂(x), z from h₁(x, y) to h₂(x, y).  Constant limits give a
+// rectangle / box and the plain tensor‑product rule; variable limits give
+// triangles, disks, balls, …  The same Simpson or Gauss–Legendre rule is used
+// in every direction (integrateIterated in src/numerics/quadrature.js).
+// 2‑D: heatmap of f over the region with the sample grid overlaid.
+// 3‑D: the sample points in space, coloured by f.
+
+import { useState } from 'react';
+import { evaluate } from 'mathjs';
+import Plot from 'react-plotly.js';
+import { useQueryState, useAutoRun } from '../router';
+import { integrateIterated, makeFunctionOf } from '../numerics';
+
+// how many cells per direction the 2‑D heatmap uses
+const GRID = 60;
+
+export default function MultipleIntegral({ dim }) {
+  /* ─────────────────────────── state ─────────────────────────── */
+  const [fxy, setFxy]   = useQueryState('fxy', 'x^2 + y^2');
+  const [fxyz, setFxyz] = useQueryState('fxyz', 'x*y*z');
+  const [x0, setX0] = useQueryState('x0', '0');
+  const [x1, setX1] = useQueryState('x1', '1');
+  const [y0, setY0] = useQueryState('y0', '0');
+  const [y1, setY1] = useQueryState('y1', 'x');      // triangle by default
+  const [z0, setZ0] = useQueryState('z0', '0');
+  const [z1, setZ1] = useQueryState('z1', '1');
+  const [rule, setRule] = useQueryState('rule', 'simpson');
+  const [m, setM] = useQueryState('m', 8);           // panels / points per direction
+  const [exact, setExact] = useQueryState('exactn', '');
+
+  const [errMsg, setErrMsg] = useState('');
+  const [result, setResult] = useState(null);   // { value, evals, errorEstimate, error, steps, plot }
+
+  const vars = dim === 3 ? ['x', 'y', 'z'] : ['x', 'y'];
+
+  /* ─────────────── algorithm ─────────────── */
+  function runMultiple() {
+    setErrMsg('');
+    try {
+      const f = makeFunctionOf(dim === 3 ? fxyz : fxy, vars);
+      const a = Number(evaluate(String(x0)));
+      const b = Number(evaluate(String(x1)));
+      const yLo = makeFunctionOf(String(y0), ['x']);
+      const yHi = makeFunctionOf(String(y1), ['x']);
+      const limits = [[a, b], [yLo, yHi]];
+      if (dim === 3) {
+        limits.push([makeFunctionOf(String(z0), ['x', 'y']), makeFunctionOf(String(z1), ['x', 'y'])]);
+      }
+
+      const res = integrateIterated(f, limits, { rule, n: Number(m) });
+      if (res.message) throw new Error(res.message);
+
+      let error = null;
+      if (String(exact).trim()) {
+        const truth = Number(evaluate(exact));
+        if (!Number.isFinite(truth)) throw new Error('exact value must be a finite number');
+        error = Math.abs(res.value - truth);
+      }
+
+      setResult({
+        value: res.value,
+        evals: res.evals,
+        errorEstimate: res.errorEstimate,
+        error,
+        steps: res.steps,
+        plot: dim === 2 ? heatmap(f, a, b, yLo, yHi) : null,
+      });
+      markRun();
+    } catch (err) {
+      setErrMsg(`⚠️ ${err.message}`);
+      setResult(null);
+    }
+  }
+  const markRun = useAutoRun(runMultiple);
+
+  // f on a GRID × GRID box around the region; cells outside it are blank
+  function heatmap(f, a, b, yLo, yHi) {
+    const xs = Array.from({ length: GRID }, (_, i) => a + ((b - a) * i) / (GRID - 1));
+    const bounds = xs.map(x => [yLo(x), yHi(x)].sort((p, q) => p - q));
+    const yMin = Math.min(...bounds.map(([lo]) => lo));
+    const yMax = Math.max(...bounds.map(([, hi]) => hi));
+    const ys = Array.from({ length: GRID }, (_, j) => yMin + ((yMax - yMin) * j) / (GRID - 1));
+    const z = ys.map(y => xs.map((x, i) => {
+      if (y < bounds[i][0] || y > bounds[i][1]) return null;
+      const v = f(x, y);
+      return Number.isFinite(v) ? v : null;
+    }));
+    return { xs, ys, z };
+  }
+
+  /* ─────────────── render ─────────────── */
+  return (
+    <>
+      <section className="inputs">
+        <label>
+          {dim === 3 ? 'f(x, y, z)' : 'f(x, y)'}
+          {dim === 3
+            ? <input value={fxyz} onChange={e => setFxyz(e.target.value)} />
+            : <input value={fxy} onChange={e => setFxy(e.target.value)} />}
+        </label>
+
+        <label>
+          x from
+          <input value={x0} onChange={e => setX0(e.target.value)} />
+        </label>
+        <label>
+          x to
+          <input value={x1} onChange={e => setX1(e.target.value)} />
+        </label>
+
+        <label>
+          y from g₁(x)
+          <input value={y0} onChange={e => setY0(e.target.value)} />
+        </label>
+        <label>
+          y to g₂(x)
+          <input value={y1} onChange={e => setY1(e.target.value)} />
+        </label>
+
+        {dim === 3 && (
+          <>
+            <label>
+              z from h₁(x, y)
+              <input value={z0} onChange={e => setZ0(e.target.value)} />
+            </label>
+            <label>
+              z to h₂(x, y)
+              <input value={z1} onChange={e => setZ1(e.target.value)} />
+            </label>
+          </>
+        )}
+
+        <label>
+          rule (in every direction)
+          <select value={rule} onChange={e => setRule(e.target.value)}>
+            <option value="simpson">Simpson 1/3</option>
+            <option value="gauss">Gauss–Legendre</option>
+          </select>
+        </label>
+
+        <label>
+          {rule === 'gauss' ? 'points per direction' : 'panels per direction (even)'}
+          <input type="number" value={m} onChange={e => setM(e.target.value)} />
+        </label>
+
+        <label>
+          exact value (optional)
+          <input value={exact} onChange={e => setExact(e.target.value)} placeholder="e.g. 1/3" />
+        </label>
+
+        {errMsg && <div className="err-msg">{errMsg}</div>}
+      </section>
+
+      <button className="rainbow-hover" onClick={runMultiple}>
+        <span className="sp">Execute</span>
+      </button>
+
+      {result && (
+        <>
+          <section className="results">
+            <h3>{dim === 3 ? 'Triple' : 'Double'} Integral</h3>
+            <p>
+              ≈ <strong>{result.value.toFixed(10)}</strong> using {result.evals} evaluations
+              of f ({result.steps.length} sample points plus the error check)
+            </p>
+            <p>
+              estimated error:{' '}
+              {result.errorEstimate === null
+                ? '— (Simpson needs panels divisible by 4)'
+                : result.errorEstimate.toExponential(3)}
+              {result.error !== null && <>; true error: {result.error.toExponential(3)}</>}
+            </p>
+            <p>
+              With variable limits the rule is applied to each inner integral
+              separately, so a curved boundary (a disk, a ball) is resolved only
+              as well as its square‑root limits allow — expect the order to drop
+              there.
+            </p>
+          </section>
+
+          <div className="plot-container">
+            {dim === 2 ? (
+              <Plot
+                data={[
+                  {
+                    x: result.plot.xs,
+                    y: result.plot.ys,
+                    z: result.plot.z,
+                    type: 'heatmap',
+                    colorscale: 'Viridis',
+                    name: 'f(x, y)',
+                  },
+                  {
+                    x: result.steps.map(s => s.point[0]),
+                    y: result.steps.map(s => s.point[1]),
+                    mode: 'markers',
+                    marker: { size: 4, color: 'white', line: { width: 1, color: 'black' } },
+                    name: 'Sample points',
+                  },
+                ]}
+                layout={{
+                  margin: { t: 20 },
+                  xaxis: { title: 'x' },
+                  yaxis: { title: 'y' },
+                  height: 450,
+                }}
+                config={{ responsive: true }}
+              />
+            ) : (
+              <Plot
+                data={[
+                  {
+                    x: result.steps.map(s => s.point[0]),
+                    y: result.steps.map(s => s.point[1]),
+                    z: result.steps.map(s => s.point[2]),
+                    type: 'scatter3d',
+                    mode: 'markers',
+                    marker: {
+                      size: 3,
+                      color: result.steps.map(s => s.fx),
+                      colorscale: 'Viridis',
+                      showscale: true,
+                      colorbar: { title: 'f' },
+                    },
+                    name: 'Sample points',
+                  },
+                ]}
+                layout={{
+                  margin: { t: 20 },
+                  scene: {
+                    xaxis: { title: 'x' },
+                    yaxis: { title: 'y' },
+                    zaxis: { title: 'z' },
+                  },
+                  height: 500,
+                }}
+                config={{ responsive: true }}
+              />
+            )}
+          </div>
+        </>
+      )}
+    </>
+  );
+}
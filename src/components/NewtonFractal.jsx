@@ -0,0 +1,335 @@
+// NewtonFractal.jsx — basins of attraction of Newton's method in the complex plane
+// -----------------------------------------------------------------------------
+// Rendered by NewtonRaphson in its complex‑plane mode.  Newton is started from
+// the centre of every pixel of a grid over the chosen region for a complex
+// f(z); each pixel is coloured by the root it converges to (black: no
+// convergence) and darkened by the number of iterations it needed.  The grid
+// is split into horizontal strips computed by a small pool of module workers
+// (src/workers/newtonFractal.worker.js) so the page stays responsive; the
+// picture is painted on a canvas and placed under Plotly axes, and zooming
+// with the mouse recomputes the grid for the new view.
+
+import { useState, useRef, useEffect } from 'react';
+import Plot from 'react-plotly.js';
+import { useQueryState, useAutoRun } from '../router';
+import {
+  makeComplexFunction, makeComplexDerivative, newtonGrid, classifyBasins, FRACTAL_MAX_ITER,
+} from '../numerics';
+
+const WORKERS = typeof navigator !== 'undefined' ? Math.min(navigator.hardwareConcurrency || 2, 4) : 1;
+const MAX_HEIGHT = 1000;           // pixels; very flat or tall views are capped
+
+// root k gets a hue by the golden angle, so neighbouring indices differ
+const hueOf = k => (k * 137.508) % 360;
+
+function hslToRgb(h, s, l) {
+  const a = s * Math.min(l, 1 - l);
+  const channel = n => {
+    const k = (n + h / 30) % 12;
+    return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+  };
+  return [channel(0), channel(8), channel(4)];
+}
+
+// canvas data URL: hue from the basin, lightness from the iteration count
+function paint({ iters }, index, width, height, maxIter) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+  const scale = Math.log1p(maxIter);
+  for (let p = 0; p < iters.length; p++) {
+    let rgb = [0, 0, 0];
+    if (index[p] >= 0) {
+      const light = 0.15 + 0.5 * (1 - Math.log1p(iters[p]) / scale);
+      rgb = hslToRgb(hueOf(index[p]), 0.75, light);
+    }
+    image.data.set([...rgb, 255], 4 * p);
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas.toDataURL();
+}
+
+export default function NewtonFractal() {
+  /* ─────────────────────────── state ─────────────────────────── */
+  const [fz, setFz] = useQueryState('fz', 'z^3 - 1');
+  const [x0, setX0] = useQueryState('zx0', -2);
+  const [x1, setX1] = useQueryState('zx1', 2);
+  const [y0, setY0] = useQueryState('zy0', -2);
+  const [y1, setY1] = useQueryState('zy1', 2);
+  const [res, setRes] = useQueryState('res', 300);           // pixels across
+  const [maxIter, setMaxIter] = useQueryState('zmaxit', 40);
+
+  const [errMsg, setErrMsg] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [picture, setPicture] = useState(null);   // { src, view, roots, counts, failed, time }
+
+  const pool = useRef(null);       // Worker[], created on first use
+  const job = useRef(0);           // latest request; older strips are dropped
+  const knownRoots = useRef([]);   // keeps root colours stable while zooming
+
+  useEffect(() => () => pool.current?.forEach(w => w.terminate()), []);
+  useEffect(() => { knownRoots.current = []; }, [fz]);
+
+  /* ─────────────── workers ─────────────── */
+  function workers() {
+    if (!pool.current) {
+      pool.current = Array.from({ length: WORKERS }, () => new Worker(
+        new URL('../workers/newtonFractal.worker.js', import.meta.url),
+        { type: 'module' },
+      ));
+    }
+    return pool.current;
+  }
+
+  // the whole grid, strip by strip; null when a newer request overtook it
+  async function computeGrid(view) {
+    const id = ++job.current;
+    if (typeof Worker === 'undefined') {
+      return newtonGrid(makeComplexFunction(fz), makeComplexDerivative(fz), view);
+    }
+    const all = workers();
+    const rows = Math.ceil(view.height / all.length);
+    let strips;
+    try {
+      strips = await Promise.all(all.map((worker, w) => new Promise((resolve, reject) => {
+        const row0 = Math.min(w * rows, view.height);
+        const row1 = Math.min(row0 + rows, view.height);
+        const done = () => {
+          worker.removeEventListener('message', onMessage);
+          worker.removeEventListener('error', onError);
+          worker.removeEventListener('messageerror', onError);
+        };
+        const onMessage = ({ data }) => {
+          if (data.job !== id) return;
+          done();
+          if (data.error) reject(new Error(data.error));
+          else resolve(data);
+        };
+        // the worker itself failed (script did not load, message could not be
+        // decoded): no reply will come, so settle here instead of waiting forever
+        const onError = ev => {
+          done();
+          reject(new Error(ev.message || 'a fractal worker failed'));
+        };
+        worker.addEventListener('message', onMessage);
+        worker.addEventListener('error', onError);
+        worker.addEventListener('messageerror', onError);
+        worker.postMessage({ job: id, expr: fz, variable: 'z', view: { ...view, row0, row1 } });
+      })));
+    } catch (err) {
+      if (id !== job.current) return null;
+      // start from fresh workers next time (no newer request is using these)
+      pool.current?.forEach(worker => worker.terminate());
+      pool.current = null;
+      throw err;
+    }
+    if (id !== job.current) return null;
+
+    const count = view.width * view.height;
+    const grid = { re: new Float64Array(count), im: new Float64Array(count), iters: new Int16Array(count) };
+    strips.forEach(strip => {
+      const offset = strip.row0 * view.width;
+      grid.re.set(strip.re, offset);
+      grid.im.set(strip.im, offset);
+      grid.iters.set(strip.iters, offset);
+    });
+    return grid;
+  }
+
+  /* ─────────────── algorithm ─────────────── */
+  async function runFractal(region) {
+    setErrMsg('');
+    const { xmin, xmax, ymin, ymax } = region ?? {
+      xmin: Number(x0), xmax: Number(x1), ymin: Number(y0), ymax: Number(y1),
+    };
+    try {
+      if (![xmin, xmax, ymin, ymax].every(Number.isFinite) || xmin >= xmax || ymin >= ymax) {
+        throw new Error('the region needs finite limits with min < max');
+      }
+      const width = Number(res);
+      if (!Number.isInteger(width) || width < 10) throw new Error('resolution must be an integer ≥ 10');
+      const iterations = Number(maxIter);
+      if (!Number.isInteger(iterations) || iterations < 1 || iterations > FRACTAL_MAX_ITER) {
+        throw new Error(`max iterations must be an integer between 1 and ${FRACTAL_MAX_ITER}`);
+      }
+      // fail fast on the main thread: syntax errors, unsupported functions
+      makeComplexFunction(fz);
+      makeComplexDerivative(fz);
+
+      const height = Math.min(MAX_HEIGHT, Math.max(1, Math.round((width * (ymax - ymin)) / (xmax - xmin))));
+      const view = { xmin, xmax, ymin, ymax, width, height, maxIter: iterations };
+      setBusy(true);
+      const start = performance.now();
+      const grid = await computeGrid(view);
+      if (!grid) return;
+      const basins = classifyBasins(grid, { roots: knownRoots.current });
+      knownRoots.current = basins.roots;
+      setPicture({
+        src: paint(grid, basins.index, width, height, view.maxIter),
+        view,
+        roots: basins.roots,
+        counts: basins.counts,
+        failed: grid.iters.filter(k => k < 0).length,
+        time: performance.now() - start,
+      });
+      setBusy(false);
+      markRun();
+    } catch (err) {
+      setErrMsg(`⚠️ ${err.message}`);
+      setBusy(false);
+    }
+  }
+  const markRun = useAutoRun(runFractal);
+
+  // a zoom box (or pan) on the plot recomputes the grid for the new view
+  function handleRelayout(ev) {
+    if (!picture || !('xaxis.range[0]' in ev)) return;
+    const region = {
+      xmin: ev['xaxis.range[0]'],
+      xmax: ev['xaxis.range[1]'],
+      ymin: ev['yaxis.range[0]'] ?? picture.view.ymin,
+      ymax: ev['yaxis.range[1]'] ?? picture.view.ymax,
+    };
+    setX0(region.xmin);
+    setX1(region.xmax);
+    setY0(region.ymin);
+    setY1(region.ymax);
+    runFractal(region);
+  }
+
+  function resetView() {
+    const region = { xmin: -2, xmax: 2, ymin: -2, ymax: 2 };
+    setX0(-2);
+    setX1(2);
+    setY0(-2);
+    setY1(2);
+    runFractal(region);
+  }
+
+  /* ─────────────── render ─────────────── */
+  const v = picture?.view;
+  const inView = picture
+    ? picture.roots.filter(r => r.re >= v.xmin && r.re <= v.xmax && r.im >= v.ymin && r.im <= v.ymax)
+    : [];
+
+  return (
+    <>
+      <section className="inputs">
+        <label>
+          f(z)
+          <input value={fz} onChange={e => setFz(e.target.value)} />
+        </label>
+        <label>
+          Re z from
+          <input type="number" value={x0} onChange={e => setX0(e.target.value)} />
+        </label>
+        <label>
+          Re z to
+          <input type="number" value={x1} onChange={e => setX1(e.target.value)} />
+        </label>
+        <label>
+          Im z from
+          <input type="number" value={y0} onChange={e => setY0(e.target.value)} />
+        </label>
+        <label>
+          Im z to
+          <input type="number" value={y1} onChange={e => setY1(e.target.value)} />
+        </label>
+        <label>
+          resolution (pixels across)
+          <input type="number" value={res} onChange={e => setRes(e.target.value)} />
+        </label>
+        <label>
+          max iterations
+          <input type="number" value={maxIter} onChange={e => setMaxIter(e.target.value)} />
+        </label>
+        {errMsg && <div className="err-msg">{errMsg}</div>}
+      </section>
+
+      <button className="rainbow-hover" onClick={() => runFractal()} disabled={busy}>
+        <span className="sp">{busy ? 'Computing…' : 'Draw basins'}</span>
+      </button>
+      <button className="rainbow-hover" onClick={resetView} disabled={busy}>
+        <span className="sp">Reset view</span>
+      </button>
+
+      {picture && (
+        <>
+          <section className="results">
+            <p>
+              {v.width} × {v.height} starting points in {picture.time.toFixed(0)} ms
+              ({WORKERS} worker{WORKERS > 1 ? 's' : ''}); {picture.failed} did not converge
+              within {v.maxIter} iterations (black). Drag a box on the picture to zoom in.
+            </p>
+            <table>
+              <thead>
+                <tr>
+                  <th>colour</th>
+                  <th>root</th>
+                  <th>share of the picture</th>
+                </tr>
+              </thead>
+              <tbody>
+                {picture.roots.map((r, k) => (picture.counts[k] > 0 && (
+                  <tr key={k}>
+                    <td style={{ background: `hsl(${hueOf(k)}, 75%, 50%)` }} />
+                    <td>{r.re.toFixed(6)} {r.im < 0 ? '−' : '+'} {Math.abs(r.im).toFixed(6)} i</td>
+                    <td>{((100 * picture.counts[k]) / (v.width * v.height)).toFixed(1)} %</td>
+                  </tr>
+                )))}
+              </tbody>
+            </table>
+            <p>
+              Brighter means fewer iterations. Near a basin boundary every
+              neighbourhood contains starting points that go to every root, so
+              zooming in never makes the boundary smooth.
+            </p>
+          </section>
+
+          <div className="plot-container">
+            <Plot
+              data={[
+                {
+                  x: [v.xmin, v.xmax],
+                  y: [v.ymin, v.ymax],
+                  mode: 'markers',
+                  marker: { opacity: 0 },
+                  showlegend: false,
+                  hoverinfo: 'skip',
+                },
+                {
+                  x: inView.map(r => r.re),
+                  y: inView.map(r => r.im),
+                  mode: 'markers',
+                  marker: { size: 10, symbol: 'x', color: 'white', line: { width: 1, color: 'black' } },
+                  name: 'roots',
+                },
+              ]}
+              layout={{
+                margin: { t: 20 },
+                xaxis: { title: 'Re z', range: [v.xmin, v.xmax], showgrid: false, zeroline: false },
+                yaxis: { title: 'Im z', range: [v.ymin, v.ymax], showgrid: false, zeroline: false, scaleanchor: 'x' },
+                images: [{
+                  source: picture.src,
+                  xref: 'x',
+                  yref: 'y',
+                  x: v.xmin,
+                  y: v.ymax,
+                  sizex: v.xmax - v.xmin,
+                  sizey: v.ymax - v.ymin,
+                  sizing: 'stretch',
+                  layer: 'below',
+                }],
+                height: 550,
+              }}
+              config={{ responsive: true }}
+              onRelayout={handleRelayout}
+            />
+          </div>
+        </>
+      )}
+    </>
+  );
+}
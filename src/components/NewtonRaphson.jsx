@@ -5,22 +5,37 @@
 // Students can type any differentiable f(x), pick an initial guess x0,
 // a tolerance ε, and the component will iterate, display a table of
 // values and plot the path of xₙ → root on an interactive Plotly chart.
+// PlaybackControls.jsx steps through it: each frame draws the tangent at xₙ
+// down to the axis and the vertical back up to the curve at xₙ₊₁.  A cobweb
+// diagram shows the same run as the fixed‑point iteration of
+// g(x) = x − m·f(x)/f′(x), and every row carries the order estimate
+// log|eₙ₊₁| / log|eₙ|; when it settles near 1 the root is probably multiple
+// and modified Newton with the estimated m is offered.
+// When f is a polynomial, PolynomialRoots.jsx adds all of its complex roots.
+// The complex‑plane mode hands over to NewtonFractal.jsx (basins of attraction).
 
 import { useState, useMemo, useEffect } from 'react';
 import { compile, derivative } from 'mathjs';
 import Plot from 'react-plotly.js';
 import newtonLogo from '../assets/newton-raphson.webp';
-import Menu from './Menu';
+import { navigate, useQueryState, useAutoRun } from '../router';
+import { newton, iterationOrders, estimateMultiplicity } from '../numerics';
+import PolynomialRoots from './PolynomialRoots';
+import NewtonFractal from './NewtonFractal';
+import PlaybackControls, { usePlayback } from './PlaybackControls';
 
 export default function NewtonRaphson() {
   /* ─────────────────────────── state ─────────────────────────── */
-  const [fx, setFx]     = useState('x^3 - x - 2');
-  const [x0, setX0]     = useState(2);
-  const [tol, setTol]   = useState(0.0001);
-  const [maxIter, setMaxIter] = useState(20);
+  const [fx, setFx]     = useQueryState('fx', 'x^3 - x - 2');
+  const [x0, setX0]     = useQueryState('x0', 2);
+  const [tol, setTol]   = useQueryState('tol', 0.0001);
+  const [maxIter, setMaxIter] = useQueryState('maxIter', 20);
+  const [mult, setMult] = useQueryState('mult', 1);      // m in xₙ₊₁ = xₙ − m·f/f′
+  const [mode, setMode] = useQueryState('mode', 'real');   // 'complex' → NewtonFractal
   const [steps, setSteps] = useState([]);  // iteration log
+  const [stepM, setStepM] = useState(1);    // the m those steps were run with
   const [errMsg, setErrMsg] = useState('');
-  const [goToMenu, setGoToMenu] = useState(false);
+  const playback = usePlayback(steps.length, steps);
 
   /* ───────────────────── compile f(x) and f'(x) ─────────────────── */
   const compiledF = useMemo(() => {
@@ -59,40 +74,37 @@ export default function NewtonRaphson() {
       setErrMsg('⚠️ Initial guess x₀ must be a number');
       return;
     }
+    if (!(Number(mult) >= 1)) {
+      setErrMsg('⚠️ Multiplicity m must be a number ≥ 1');
+      return;
+    }
     setErrMsg('');
-  }, [compiledF, compiledDf, x0]);
+  }, [compiledF, compiledDf, x0, mult]);
 
   /* ───────────────────────── algorithm ─────────────────────────── */
-  function runNewton() {
-    if (errMsg) return;
-
-    let x = Number(x0);
-    const ε = Number(tol);
-    const log = [];
-
-    for (let i = 1; i <= maxIter; i++) {
-      const fxVal = evalF(x);
-      const dfx   = evalDf(x);
-      log.push({ i, x, fx: fxVal, dfx });
-
-      if (Math.abs(fxVal) < ε) break;        // converged on y‑axis
-      if (!Number.isFinite(dfx) || dfx === 0) {
-        log[log.length - 1].note = 'Derivative zero / invalid – stop';
-        break;
-      }
-
-      const xNew = x - fxVal / dfx;          // Newton step
-      if (Math.abs(xNew - x) < ε) {          // converged on x‑axis
-        x = xNew;
-        log.push({ i: i + 1, x, fx: evalF(x), dfx: evalDf(x), note: '✔ converged' });
-        break;
-      }
-      x = xNew;
-    }
+  function runNewton(m = mult) {
+    if (errMsg || !compiledF || !compiledDf) return;
+    const { steps } = newton(evalF, evalDf, Number(x0), {
+      tol: Number(tol),
+      maxIter: Number(maxIter),
+      multiplicity: Number(m),
+    });
+    setSteps(steps);
+    setStepM(Number(m));
+    markRun();
+  }
+  const markRun = useAutoRun(runNewton);
 
-    setSteps(log);
+  // a run that turned out linear: rerun as modified Newton with the estimate
+  function switchToModified(m) {
+    setMult(m);
+    runNewton(m);
   }
 
+  /* ──────────────────── observed order of convergence ─────────────────── */
+  const orders = useMemo(() => iterationOrders(steps.map((s) => s.x)), [steps]);
+  const multiple = Number(mult) === 1 ? estimateMultiplicity(orders) : null;
+
   /* ───────────────────────── plot data ─────────────────────────── */
   const plotData = useMemo(() => {
     if (errMsg) return [];
@@ -112,17 +124,82 @@ export default function NewtonRaphson() {
       ys.push(evalF(x));
     }
 
-    const iterXs = steps.map((s) => s.x);
+    // playback: iterates up to the frame shown and the tangent at each of them
+    const shown  = steps.slice(0, playback.frame + 1);
+    const iterXs = shown.map((s) => s.x);
     const iterYs = iterXs.map(evalF);
 
+    // tangent at (xₙ, f(xₙ)) meets the axis at xₙ − f/f′; null breaks the line
+    const tangent = ({ x, fx, dfx }) =>
+      Number.isFinite(fx) && Number.isFinite(dfx) && dfx !== 0 ? [x, x - fx / dfx] : null;
+    const older = { x: [], y: [] };
+    shown.slice(0, -1).forEach((s) => {
+      const t = tangent(s);
+      if (!t) return;
+      older.x.push(t[0], t[1], null);
+      older.y.push(s.fx, 0, null);
+    });
+    const last = shown[shown.length - 1];
+    const now  = last && tangent(last);
+    // with m > 1 the step goes past the tangent's zero, to xₙ − m·f/f′
+    const next = now && (steps[playback.frame + 1]?.x ?? now[1]);
+
     return [
       { x: xs, y: ys, mode: 'lines', name: 'f(x)' },
-      { x: iterXs, y: iterYs, mode: 'markers+lines', name: 'Newton steps' },
+      { x: iterXs, y: iterYs, mode: 'markers', marker: { size: 8 }, name: 'Newton steps' },
+      {
+        x: older.x,
+        y: older.y,
+        mode: 'lines',
+        line: { color: 'gray', width: 1 },
+        opacity: 0.5,
+        name: 'earlier tangents',
+      },
+      ...(now
+        ? [
+            {
+              x: now,
+              y: [last.fx, 0],
+              mode: 'lines+markers',
+              line: { color: '#c9a227', width: 3 },
+              name: 'current tangent',
+            },
+            {
+              x: [next, next],
+              y: [0, evalF(next)],
+              mode: 'lines',
+              line: { color: '#c9a227', dash: 'dash' },
+              name: 'f(xₙ₊₁)',
+            },
+          ]
+        : []),
     ];
-  }, [x0, steps, errMsg, fx]);
+  }, [x0, steps, errMsg, fx, playback.frame]);
+
+  // cobweb of g(x) = x − m·f/f′: up to g, across to the diagonal, repeat
+  const cobwebData = useMemo(() => {
+    if (errMsg || !steps.length) return [];
+    const all = steps.map((s) => s.x).filter(Number.isFinite);
+    const lo = Math.min(...all);
+    const hi = Math.max(...all);
+    const pad = Math.max(hi - lo, 1) * 0.25;
+    const N = 400;
+    const xs = Array.from({ length: N }, (_, i) => lo - pad + ((hi - lo + 2 * pad) * i) / (N - 1));
+    const g = (x) => x - (stepM * evalF(x)) / evalDf(x);
 
-  /* ───────────────────────── navigation ────────────────────────── */
-  if (goToMenu) return <Menu />;
+    const shown = steps.slice(0, playback.frame + 1).map((s) => s.x);
+    const web = { x: [shown[0]], y: [shown[0]] };
+    shown.slice(1).forEach((x, k) => {
+      web.x.push(shown[k], x);
+      web.y.push(x, x);
+    });
+
+    return [
+      { x: xs, y: xs.map(g), mode: 'lines', name: stepM === 1 ? 'g(x) = x − f/f′' : `g(x) = x − ${stepM}·f/f′` },
+      { x: [xs[0], xs[N - 1]], y: [xs[0], xs[N - 1]], mode: 'lines', line: { color: 'gray', dash: 'dot' }, name: 'y = x' },
+      { x: web.x, y: web.y, mode: 'lines+markers', line: { color: '#c9a227' }, name: 'cobweb' },
+    ];
+  }, [steps, stepM, errMsg, fx, playback.frame]);
 
   /* ─────────────────────────── render ──────────────────────────── */
   return (
@@ -194,97 +271,170 @@ f
       {/* ────────────── controls ────────────── */}
       <section className="inputs">
         <label>
-          f(x)
-          <input value={fx} onChange={(e) => setFx(e.target.value)} />
+          mode
+          <select value={mode} onChange={(e) => setMode(e.target.value)}>
+            <option value="real">real x — one starting point</option>
+            <option value="complex">complex z — basins of attraction</option>
+          </select>
         </label>
+      </section>
 
-        <label>
-          x₀ (initial guess)
-          <input
-            type="number"
-            value={x0}
-            onChange={(e) => setX0(e.target.value)}
-          />
-        </label>
+      {mode === 'complex' ? (
+        <NewtonFractal />
+      ) : (
+        <>
+        <section className="inputs">
+          <label>
+            f(x)
+            <input value={fx} onChange={(e) => setFx(e.target.value)} />
+          </label>
 
-        <label>
-          tolerance (ε)
-          <input
-            type="number"
-            step="0.00001"
-            value={tol}
-            onChange={(e) => setTol(e.target.value)}
-          />
-        </label>
+          <label>
+            x₀ (initial guess)
+            <input
+              type="number"
+              value={x0}
+              onChange={(e) => setX0(e.target.value)}
+            />
+          </label>
 
-        <label>
-          max iterations
-          <input
-            type="number"
-            value={maxIter}
-            onChange={(e) => setMaxIter(e.target.value)}
-          />
-        </label>
+          <label>
+            tolerance (ε)
+            <input
+              type="number"
+              step="0.00001"
+              value={tol}
+              onChange={(e) => setTol(e.target.value)}
+            />
+          </label>
 
-        {errMsg && <div className="err-msg">{errMsg}</div>}
-      </section>
+          <label>
+            max iterations
+            <input
+              type="number"
+              value={maxIter}
+              onChange={(e) => setMaxIter(e.target.value)}
+            />
+          </label>
 
-      {/* ────────────── buttons ────────────── */}
-      <button
-        className="rainbow-hover"
-        onClick={runNewton}
-        disabled={!!errMsg}
-      >
-        <span className="sp">Execute</span>
-      </button>
+          <label>
+            multiplicity m (1 = plain Newton)
+            <input
+              type="number"
+              min="1"
+              value={mult}
+              onChange={(e) => setMult(e.target.value)}
+            />
+          </label>
 
-      {/* ────────────── results ────────────── */}
-      {steps.length > 0 && !errMsg && (
-        <>
-          <section className="results">
-            <h3>Iterations</h3>
-            <table>
-              <thead>
-                <tr>
-                  <th>#</th>
-                  <th>x<sub>n</sub></th>
-                  <th>f(x<sub>n</sub>)</th>
-                  <th>f′(x<sub>n</sub>)</th>
-                </tr>
-              </thead>
-              <tbody>
-                {steps.map(({ i, x, fx, dfx, note }) => (
-                  <tr key={i} className={note ? 'warn' : ''}>
-                    <td>{i}</td>
-                    <td>{x.toFixed(6)}</td>
-                    <td>{fx.toExponential(3)}</td>
-                    <td>{dfx.toExponential(3)}</td>
+          {errMsg && <div className="err-msg">{errMsg}</div>}
+        </section>
+
+        {/* ────────────── buttons ────────────── */}
+        <button
+          className="rainbow-hover"
+          onClick={() => runNewton()}
+          disabled={!!errMsg}
+        >
+          <span className="sp">Execute</span>
+        </button>
+
+        {/* ────────────── results ────────────── */}
+        {steps.length > 0 && !errMsg && (
+          <>
+            <section className="results">
+              <h3>Iterations</h3>
+              <table>
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>x<sub>n</sub></th>
+                    <th>f(x<sub>n</sub>)</th>
+                    <th>f′(x<sub>n</sub>)</th>
+                    <th>order log|e<sub>n+1</sub>| / log|e<sub>n</sub>|</th>
                   </tr>
-                ))}
-              </tbody>
-            </table>
+                </thead>
+                <tbody>
+                  {steps.map(({ i, x, fx, dfx, note }, k) => (
+                    <tr key={i} className={k === playback.frame ? 'current' : note ? 'warn' : ''}>
+                      <td>{i}</td>
+                      <td>{x.toFixed(6)}</td>
+                      <td>{fx.toExponential(3)}</td>
+                      <td>{dfx.toExponential(3)}</td>
+                      <td>{orders[k]?.order == null ? '—' : orders[k].order.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p>
+                Best approximation ≈{' '}
+                <strong>{steps[steps.length - 1].x.toFixed(6)}</strong> (ε={tol})
+              </p>
+              <p>
+                eₙ is estimated by the correction |xₙ₊₁ − xₙ|. The order column tends
+                to 2 for Newton at a simple root; it creeps towards 1 when f′ vanishes
+                at the root too.
+              </p>
+              {multiple && (
+                <div className="err-msg">
+                  ⚠️ Linear convergence (order ≈ {multiple.order.toFixed(2)}, error
+                  ratio ≈ {multiple.ratio.toFixed(3)} ≈ (m − 1)/m): this looks like a
+                  root of multiplicity m ≈ {multiple.m}.{' '}
+                  <button className="rainbow-hover" onClick={() => switchToModified(multiple.m)}>
+                    <span className="sp">Use modified Newton (m = {multiple.m})</span>
+                  </button>
+                </div>
+              )}
+            </section>
+
+            <PlaybackControls
+              playback={playback}
+              label={`x${playback.frame} = ${steps[playback.frame].x.toFixed(6)}`}
+            />
+
+            <div className="plot-container">
+              <Plot
+                data={plotData}
+                layout={{
+                  margin: { t: 20 },
+                  xaxis: { title: 'x' },
+                  yaxis: { title: 'f(x)' },
+                  height: 400,
+                }}
+                config={{ responsive: true }}
+              />
+            </div>
+
+            <h3>Cobweb of the fixed‑point form</h3>
+            <div className="plot-container">
+              <Plot
+                data={cobwebData}
+                layout={{
+                  margin: { t: 20 },
+                  xaxis: { title: 'x' },
+                  yaxis: {
+                    title: 'g(x)',
+                    range: cobwebData.length ? [cobwebData[1].x[0], cobwebData[1].x[1]] : undefined,
+                  },
+                  height: 400,
+                }}
+                config={{ responsive: true }}
+              />
+            </div>
             <p>
-              Best approximation ≈{' '}
-              <strong>{steps[steps.length - 1].x.toFixed(6)}</strong> (ε={tol})
+              Newton is the fixed‑point iteration xₙ₊₁ = g(xₙ). At a simple root
+              g′(x*) = 0, which is why the cobweb snaps straight in; at a root of
+              multiplicity m, g′(x*) = 1 − 1/m and the staircase shrinks by that factor
+              each step — unless m·f/f′ is used.
             </p>
-          </section>
-
-          <div className="plot-container">
-            <Plot
-              data={plotData}
-              layout={{
-                margin: { t: 20 },
-                xaxis: { title: 'x' },
-                yaxis: { title: 'f(x)' },
-                height: 400,
-              }}
-              config={{ responsive: true }}
-            />
-          </div>
+          </>
+        )}
+
+        <PolynomialRoots fx={fx} />
         </>
       )}
 
-      <button data-label="Register" className="rainbow-hover"  id="backButton" onClick={() => setGoToMenu(true)}>
+      <button data-label="Register" className="rainbow-hover"  id="backButton" onClick={() => navigate('/')}>
         <span className="sp">Back to Menu</span>
       </button>
     </div>
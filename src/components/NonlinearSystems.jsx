@@ -0,0 +1,328 @@
+// NonlinearSystems.jsx — Newton and Broyden for n equations in n unknowns
+// -----------------------------------------------------------------------------
+// Students type one equation per line (either "expr" meaning expr = 0, or
+// "lhs = rhs"), name the unknowns and give a starting point.  The Jacobian
+// ∂Fᵢ/∂xⱼ is built symbolically with mathjs `derivative` and shown as a
+// matrix of expressions; if differentiation fails (or finite differences are
+// chosen) forward differences take over.  Newton solves J·p = −F each step and
+// backtracks along p until ‖F‖ drops; Broyden reuses one Jacobian and patches
+// it with rank‑one updates.  The iteration table lists x, ‖F‖, the step
+// length λ and ‖Δx‖.  With two unknowns the zero contours F₁ = 0 and F₂ = 0
+// are drawn with the path of the iterates — every root is a crossing.
+
+import { useState } from 'react';
+import { derivative, compile } from 'mathjs';
+import Plot from 'react-plotly.js';
+import newtonLogo from '../assets/newton-raphson.webp';
+import { navigate, useQueryState, useAutoRun } from '../router';
+import { makeSystem, makeJacobian, newtonSystem, broyden, finiteDifferenceJacobian } from '../numerics';
+
+// grid for the zero‑contour plot (points per axis)
+const GRID = 120;
+
+const METHODS = {
+  newton: 'Newton (damped)',
+  broyden: 'Broyden (quasi‑Newton)',
+};
+
+// "lhs = rhs" → "(lhs) - (rhs)"; blank lines are skipped
+function parseEquations(text) {
+  return String(text)
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const sides = line.split('=');
+      if (sides.length > 2) throw new Error(`"${line}" has more than one "="`);
+      return sides.length === 2 ? `(${sides[0]}) - (${sides[1]})` : line;
+    });
+}
+
+const parseList = text => String(text).split(/[,\s]+/).filter(Boolean);
+const fmt = v => (Math.abs(v) >= 1e5 || (v !== 0 && Math.abs(v) < 1e-4) ? v.toExponential(4) : v.toFixed(6));
+
+export default function NonlinearSystems() {
+  /* ─────────────────────────── state ─────────────────────────── */
+  const [eqText, setEqText] = useQueryState('eqs', 'x^2 + y^2 = 4\nexp(x) + y = 1');
+  const [varText, setVarText] = useQueryState('vars', 'x, y');
+  const [x0Text, setX0Text] = useQueryState('x0', '1, 1');
+  const [method, setMethod] = useQueryState('method', 'newton');
+  const [jacMode, setJacMode] = useQueryState('jac', 'symbolic');  // 'symbolic' | 'fd'
+  const [damping, setDamping] = useQueryState('ls', 'on');          // backtracking line search
+  const [tol, setTol] = useQueryState('tol', 1e-10);
+  const [maxIter, setMaxIter] = useQueryState('maxIter', 50);
+
+  const [errMsg, setErrMsg] = useState('');
+  const [result, setResult] = useState(null);
+
+  /* ─────────────── algorithm ─────────────── */
+  function runSystem() {
+    setErrMsg('');
+    try {
+      const exprs = parseEquations(eqText);
+      const vars = parseList(varText);
+      const x0 = parseList(x0Text).map(Number);
+      if (!exprs.length) throw new Error('enter at least one equation');
+      if (exprs.length !== vars.length) {
+        throw new Error(`${exprs.length} equations but ${vars.length} unknowns — the system must be square`);
+      }
+      if (x0.length !== vars.length || !x0.every(Number.isFinite)) {
+        throw new Error(`the starting point needs ${vars.length} numbers`);
+      }
+
+      const sys = makeSystem(exprs, vars);
+      const F = x => sys(0, x);
+
+      // symbolic Jacobian, or finite differences when that is impossible
+      let symbolic = null;
+      let jac = null;
+      let note = '';
+      if (jacMode === 'symbolic') {
+        try {
+          symbolic = exprs.map(e => vars.map(v => derivative(e, v).toString()));
+          const J = makeJacobian(exprs, vars);
+          jac = x => J(0, x);
+        } catch (err) {
+          symbolic = null;
+          note = `Symbolic differentiation failed (${err.message}); using finite differences.`;
+        }
+      }
+
+      const solve = method === 'broyden' ? broyden : newtonSystem;
+      const res = solve(F, jac, x0, {
+        tol: Number(tol),
+        maxIter: Number(maxIter),
+        lineSearch: damping === 'on',
+      });
+      const Jfinal = jac ? jac(res.x) : finiteDifferenceJacobian(F, res.x);
+
+      setResult({
+        ...res,
+        method,
+        exprs,
+        vars,
+        symbolic,
+        Jfinal,
+        note,
+        contours: vars.length === 2 ? contourData(exprs, vars, res.steps) : null,
+      });
+      markRun();
+    } catch (err) {
+      setErrMsg(`⚠️ ${err.message}`);
+      setResult(null);
+    }
+  }
+  const markRun = useAutoRun(runSystem);
+
+  // F₁ and F₂ on a grid around the iterates (with some margin)
+  function contourData(exprs, vars, steps) {
+    const xs0 = steps.map(s => s.x[0]).filter(Number.isFinite);
+    const ys0 = steps.map(s => s.x[1]).filter(Number.isFinite);
+    const pad = (lo, hi) => {
+      const m = Math.max(hi - lo, 1) * 0.5;
+      return [lo - m, hi + m];
+    };
+    const [xa, xb] = pad(Math.min(...xs0), Math.max(...xs0));
+    const [ya, yb] = pad(Math.min(...ys0), Math.max(...ys0));
+    const xs = Array.from({ length: GRID }, (_, i) => xa + ((xb - xa) * i) / (GRID - 1));
+    const ys = Array.from({ length: GRID }, (_, j) => ya + ((yb - ya) * j) / (GRID - 1));
+    const grids = exprs.map(e => {
+      const c = compile(e);
+      return ys.map(y => xs.map(x => {
+        const v = c.evaluate({ [vars[0]]: x, [vars[1]]: y });
+        return typeof v === 'number' && Number.isFinite(v) ? v : null;
+      }));
+    });
+    return { xs, ys, grids };
+  }
+
+  /* ─────────────── render ─────────────── */
+  return (
+    <div id="menu">
+      <div className="menu-newton">
+        <img src={newtonLogo} alt="Newton for systems" />
+        <h3>Nonlinear Systems — Newton &amp; Broyden</h3>
+        <p>
+          For n equations F(x) = 0 in n unknowns, Newton’s method replaces the
+          derivative by the <strong>Jacobian</strong> J<sub>ij</sub> = ∂F<sub>i</sub>/∂x<sub>j</sub>{' '}
+          and solves the linear system J·p = −F(x) for the step. Near a root with an
+          invertible Jacobian the error is squared every iteration. Far from it a full
+          step can overshoot, so the step is halved until ‖F‖ actually decreases
+          (a backtracking line search). <strong>Broyden’s method</strong> computes the
+          Jacobian only once and then corrects it with the information every step
+          provides for free: one F evaluation per iteration instead of n + 1, at the
+          price of superlinear rather than quadratic convergence.
+        </p>
+      </div>
+
+      <section className="inputs">
+        <label>
+          equations (one per line, “= 0” if no “=”)
+          <textarea rows={3} value={eqText} onChange={e => setEqText(e.target.value)} />
+        </label>
+        <label>
+          unknowns
+          <input value={varText} onChange={e => setVarText(e.target.value)} />
+        </label>
+        <label>
+          starting point x₀
+          <input value={x0Text} onChange={e => setX0Text(e.target.value)} />
+        </label>
+        <label>
+          method
+          <select value={method} onChange={e => setMethod(e.target.value)}>
+            {Object.entries(METHODS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Jacobian
+          <select value={jacMode} onChange={e => setJacMode(e.target.value)}>
+            <option value="symbolic">symbolic (mathjs derivative)</option>
+            <option value="fd">finite differences</option>
+          </select>
+        </label>
+        <label>
+          line search
+          <select value={damping} onChange={e => setDamping(e.target.value)}>
+            <option value="on">backtracking</option>
+            <option value="off">off (full steps)</option>
+          </select>
+        </label>
+        <label>
+          tolerance on ‖F‖
+          <input type="number" value={tol} onChange={e => setTol(e.target.value)} />
+        </label>
+        <label>
+          max iterations
+          <input type="number" value={maxIter} onChange={e => setMaxIter(e.target.value)} />
+        </label>
+        {errMsg && <div className="err-msg">{errMsg}</div>}
+      </section>
+
+      <button className="rainbow-hover" onClick={runSystem}>
+        <span className="sp">Execute</span>
+      </button>
+
+      {result && (
+        <>
+          <section className="results">
+            <h3>{METHODS[result.method]}</h3>
+            <p>
+              {result.converged ? '✔ converged' : `❌ stopped: ${result.status}`} after{' '}
+              {result.iterations} iterations, {result.evals} evaluations of F and{' '}
+              {result.jevals} of J
+              {result.symbolic ? ' (symbolic)' : ` (by finite differences, ${result.vars.length} of the F calls each)`}
+              {' '}— x ≈{' '}
+              <strong>({result.x.map(fmt).join(', ')})</strong>
+            </p>
+            {result.note && <p>{result.note}</p>}
+
+            {result.symbolic && (
+              <>
+                <h4>Jacobian J(x)</h4>
+                <table>
+                  <thead>
+                    <tr>
+                      <th />
+                      {result.vars.map(v => <th key={v}>∂/∂{v}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.symbolic.map((row, i) => (
+                      <tr key={i}>
+                        <td>F<sub>{i + 1}</sub></td>
+                        {row.map((entry, j) => <td key={j}><code>{entry}</code></td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+
+            <h4>J at the final x{result.symbolic ? '' : ' (finite differences)'}</h4>
+            <table>
+              <tbody>
+                {result.Jfinal.map((row, i) => (
+                  <tr key={i}>
+                    {row.map((v, j) => <td key={j}>{fmt(v)}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <h4>Iterations</h4>
+            <table>
+              <thead>
+                <tr>
+                  <th>k</th>
+                  <th>x<sub>k</sub></th>
+                  <th>‖F(x<sub>k</sub>)‖</th>
+                  <th>λ</th>
+                  <th>‖Δx‖</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {result.steps.map(({ k, x, norm, lambda, stepNorm, note }) => (
+                  <tr key={k}>
+                    <td>{k}</td>
+                    <td>({x.map(fmt).join(', ')})</td>
+                    <td>{norm.toExponential(3)}</td>
+                    <td>{lambda === null ? '—' : lambda}</td>
+                    <td>{stepNorm === null ? '—' : stepNorm.toExponential(3)}</td>
+                    <td>{note ?? ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p>
+              λ &lt; 1 marks a damped step. Watch ‖F‖ in the last few rows: its exponent
+              roughly doubles per step for Newton, and grows more slowly for Broyden.
+            </p>
+          </section>
+
+          {result.contours && (
+            <div className="plot-container">
+              <Plot
+                data={[
+                  ...result.contours.grids.map((z, i) => ({
+                    x: result.contours.xs,
+                    y: result.contours.ys,
+                    z,
+                    type: 'contour',
+                    contours: { start: 0, end: 0, size: 1, coloring: 'lines' },
+                    line: { width: 2, color: i === 0 ? '#1f77b4' : '#d62728' },
+                    showscale: false,
+                    name: `F${i + 1} = 0`,
+                    showlegend: true,
+                  })),
+                  {
+                    x: result.steps.map(s => s.x[0]),
+                    y: result.steps.map(s => s.x[1]),
+                    mode: 'lines+markers',
+                    marker: { size: 6 },
+                    line: { color: 'black' },
+                    name: 'iterates',
+                  },
+                ]}
+                layout={{
+                  margin: { t: 20 },
+                  xaxis: { title: result.vars[0] },
+                  yaxis: { title: result.vars[1], scaleanchor: 'x' },
+                  height: 480,
+                }}
+                config={{ responsive: true }}
+              />
+            </div>
+          )}
+        </>
+      )}
+
+      <button data-label="Register" className="rainbow-hover" id="backButton" onClick={() => navigate('/')}>
+        <span className="sp">Back to Menu</span>
+      </button>
+    </div>
+  );
+}
@@ -18,16 +18,16 @@
 import { useState, useMemo } from 'react';
 import { compile, derivative as mathDeriv } from 'mathjs';
 import Plot from 'react-plotly.js';
-import Menu from './Menu';
+import { navigate, useQueryState, useAutoRun } from '../router';
 import numLogo from '../assets/numDiff.png';
+import { finiteDifferences } from '../numerics';
 
 export default function NumDiff() {
   /* -------------------- state -------------------- */
-  const [fx, setFx] = useState('sin(x)');
-  const [x0, setX0] = useState(1);
+  const [fx, setFx] = useQueryState('fx', 'sin(x)');
+  const [x0, setX0] = useQueryState('x0', 1);
   const [errMsg, setErrMsg] = useState('');
   const [results, setResults] = useState([]);
-  const [goMenu, setGoMenu] = useState(false);
 
   /* ------------------ compile f & f' --------------- */
   const compiled = useMemo(() => {
@@ -53,25 +53,11 @@ export default function NumDiff() {
     if (!compiled) return;
     const { f, df } = compiled;
     const xNum = Number(x0);
-    const exact = df(xNum);
-    const hs = [1e-1, 1e-2, 1e-3, 1e-4, 1e-5, 1e-6];
-
-    const rows = hs.map((h) => {
-      const fwd = (f(xNum + h) - f(xNum)) / h;
-      const back = (f(xNum) - f(xNum - h)) / h;
-      const ctr = (f(xNum + h) - f(xNum - h)) / (2 * h);
-      return {
-        h,
-        fwd,
-        back,
-        ctr,
-        efwd: Math.abs(fwd - exact),
-        eback: Math.abs(back - exact),
-        ectr: Math.abs(ctr - exact),
-      };
-    });
+    const { steps: rows } = finiteDifferences(f, xNum, undefined, df(xNum));
     setResults(rows);
+    markRun();
   }
+  const markRun = useAutoRun(handleRun);
 
   /* ------------------- UI helpers ------------------ */
   const table = results.length > 0 && (
@@ -131,7 +117,6 @@ export default function NumDiff() {
   );
 
   /* --------------------- render -------------------- */
-  if (goMenu) return <Menu />;
   return (
     <div id="menu">
       <div className="menu-newton">
@@ -259,7 +244,7 @@ f handles complex inputs.
       <button
         data-label="Register"
         className="rainbow-hover"
-        onClick={() => setGoMenu(true)}
+        onClick={() => navigate('/')}
         id='backButton'
       >
         <span className="sp">Back to Menu</span>
@@ -1,165 +1,368 @@
-// ODEsComparison.jsx — interactive comparison of RK23, RK45 and DOP853
+// ODEsComparison.jsx — interactive comparison of explicit and implicit ODE solvers
 // -------------------------------------------------------------------
-// This self‑contained React component lets students compare three Runge–Kutta
-// ODE solvers on a test problem with a known analytic solution.  It measures
-// wall‑clock time, number of RHS evaluations and global error, and visualises
-// the trade‑off between accuracy and cost.
+// This self‑contained React component lets students compare Runge–Kutta and
+// implicit (stiff) ODE solvers on scalar equations and systems typed one per
+// line (y1' = …, y'' + y = 0, …).  It measures wall‑clock time, number of RHS
+// evaluations and global error, visualises the trade‑off between accuracy and
+// cost, and plots the trajectory of one solver (components vs t, plus a phase
+// portrait for 2‑ and 3‑component systems).
 //
 // ▸ Libraries to install once:
 //     npm i mathjs react-plotly.js plotly.js-dist-min
 //
 // ▸ Algorithm notes
-//   • RK23  – classic Bogacki–Shampine 2(3)‑order pair, small step (h = 0.005)
-//   • RK45  – Dormand–Prince 4(5)‑order pair, medium step (h = 0.02)
-//   • DOP853 – high‑order 8(5,3) solver (simplified, large step h = 0.05)
-//   These are fixed‑step pedagogical implementations, *not* adaptive; they
-//   nevertheless show the order/efficiency trend: higher order reaches the
-//   same error with fewer steps.
+//   • RK23  – Bogacki–Shampine 3(2) embedded pair
+//   • RK45  – Dormand–Prince 5(4) embedded pair
+//   • DOP853 – Dormand–Prince 8(5,3) of Hairer & Wanner
+//   All three are adaptive (see src/numerics/ode.js): each step is accepted
+//   or rejected from its embedded error estimate against rtol/atol, and h is
+//   rescaled accordingly.  A tolerance sweep draws the work–precision diagram.
+//   • Implicit Euler, trapezoidal, BDF2, Radau IIA – src/numerics/stiff.js;
+//   Newton on the stage equations with a symbolic (mathjs) or
+//   finite‑difference Jacobian.  On the stiff presets the explicit solvers
+//   are capped at MAX_STEPS, which is exactly the point of the comparison.
+//   • Error baseline, in order of preference: the exact solution typed by
+//   the user (checked against the ODE and y(t0) first), a preset's published
+//   reference value, or a reference run at much tighter tolerance.
+//   • Convergence‑study mode runs every method with fixed steps
+//   h = (t1 − t0)/n, n = n0·2ᵏ, and fits the observed order p from the
+//   log–log slope of the global error (src/numerics/convergence.js).
+//   • Higher‑order equations are reduced to first order by parseOdeSystem
+//   (src/numerics/expr.js): y'' = g becomes y′ = y_d1, y_d1′ = g.
 // -------------------------------------------------------------------
 
 import { useState } from 'react';
 import Plot from 'react-plotly.js';
-import { evaluate, compile } from 'mathjs';
 import OdeLogo from '../assets/odeSolver.png';
-import Menu from './Menu';
+import { navigate, useQueryState, useAutoRun } from '../router';
+import {
+  solveIVP,
+  solveStiff,
+  ODE_METHODS,
+  STIFF_METHODS,
+  makeSystem,
+  makeJacobian,
+  parseOdeSystem,
+  makeExactSolution,
+  checkOdeSolution,
+  convergenceStudy,
+} from '../numerics';
+
+// tolerances swept for the work–precision diagram (atol = rtol · 1e‑3)
+const SWEEP_RTOLS = [1e-2, 1e-3, 1e-4, 1e-5, 1e-6, 1e-7, 1e-8];
+
+// explicit solvers give up here; stiff problems would need millions of steps
+const MAX_STEPS = 20000;
+
+// reference run when no exact solution is known: DOP853 first, Radau IIA
+// (with a larger budget) if the problem turns out to be stiff
+const REFERENCE_RUNS = [
+  { key: 'dop853', implicit: false, rtol: 1e-12, atol: 1e-14, maxSteps: MAX_STEPS },
+  { key: 'radau', implicit: true, rtol: 1e-10, atol: 1e-12, maxSteps: 10 * MAX_STEPS },
+];
+
+// Test problems, one equation per line.  `exact` is the analytic solution
+// (one line per unknown); `reference` is y(t1) from scipy's Radau at
+// rtol = 1e‑13 where a reference run of our own would be too slow.
+const PRESETS = {
+  nonstiff: {
+    label: 'Non‑stiff: y′ = y − t² + 1',
+    system: "y' = y - t^2 + 1",
+    y0: '0.5',
+    t0: 0,
+    t1: 2,
+    exact: '(t + 1)^2 - 0.5*exp(t)',
+    note: 'smooth, non‑stiff, with a closed‑form solution',
+  },
+  harmonic: {
+    label: 'Harmonic oscillator: y″ + y = 0',
+    system: "y'' + y = 0",
+    y0: '1, 0',
+    t0: 0,
+    t1: 10,
+    exact: 'cos(t)',
+    note: 'the orbit of (y, y′) is the unit circle',
+  },
+  lotka: {
+    label: 'Lotka–Volterra predator–prey',
+    system: "x' = 1.5*x - x*y\ny' = -3*y + x*y",
+    y0: '10, 5',
+    t0: 0,
+    t1: 15,
+    note: 'x = prey, y = predators; closed orbits around (3, 1.5)',
+  },
+  pendulum: {
+    label: 'Pendulum: θ″ = −(g/L)·sin θ',
+    system: "theta'' = -9.81*sin(theta)",
+    y0: '1, 0',
+    t0: 0,
+    t1: 10,
+    note: 'second order, reduced to (θ, θ′); released from 1 rad at rest',
+  },
+  lorenz: {
+    label: 'Lorenz attractor (chaotic)',
+    system: "x' = 10*(y - x)\ny' = x*(28 - z) - y\nz' = x*y - 8/3*z",
+    y0: '1, 1, 1',
+    t0: 0,
+    t1: 25,
+    note: 'σ = 10, ρ = 28, β = 8/3; nearby trajectories separate exponentially',
+  },
+  robertson: {
+    label: 'Robertson chemical kinetics (stiff)',
+    system: "y1' = -0.04*y1 + 1e4*y2*y3\ny2' = 0.04*y1 - 1e4*y2*y3 - 3e7*y2^2\ny3' = 3e7*y2^2",
+    y0: '1, 0, 0',
+    t0: 0,
+    t1: 40,
+    reference: [0.7158270687194137, 9.185534764558203e-6, 0.2841637457458199],
+    note: 'rate constants span 0.04 … 3·10⁷, stiffness ratio ≈ 10¹¹',
+  },
+  vanderpol: {
+    label: 'Van der Pol, μ = 1000 (stiff)',
+    system: "y1' = y2\ny2' = 1000*(1 - y1^2)*y2 - y1",
+    y0: '2, 0',
+    t0: 0,
+    t1: 3000,
+    reference: [-1.510606936744075, 1.178380000730985e-3],
+    note: 'slow drift phases separated by jumps on a 1/μ time scale',
+  },
+};
+
+// y_d2 → y″ for display of the reduced first‑order system
+const pretty = expr => expr.replace(/([A-Za-z_][A-Za-z0-9_]*)_d(\d+)/g,
+  (_, name, k) => name + '′'.repeat(Number(k)));
+
+const ALL_METHODS = [
+  ...Object.entries(ODE_METHODS).map(([key, m]) => ({ key, label: m.label, order: m.order, implicit: false })),
+  ...Object.entries(STIFF_METHODS).map(([key, m]) => ({ key, label: m.label, order: m.order, implicit: true })),
+];
+
+// Plotly's default colours, so a method's reference slope matches its curve
+const PALETTE = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2'];
 
 export default function ODEsComparison() {
   /* ────────────────────────────── state ───────────────────────────── */
-  const [goToMenu, setGoToMenu] = useState(false);
+  const [problem, setProblem] = useQueryState('problem', 'nonstiff');  // preset key | 'custom'
+  const [system, setSystem] = useQueryState('system', PRESETS.nonstiff.system);
+  const [y0Text, setY0Text] = useQueryState('y0', PRESETS.nonstiff.y0);
+  const [t0, setT0] = useQueryState('t0', PRESETS.nonstiff.t0);
+  const [t1, setT1] = useQueryState('t1', PRESETS.nonstiff.t1);
+  const [exact, setExact] = useQueryState('exact', PRESETS.nonstiff.exact);
+  const [rtol, setRtol] = useQueryState('rtol', 1e-6);
+  const [atol, setAtol] = useQueryState('atol', 1e-9);
+  const [jacMode, setJacMode] = useQueryState('jac', 'symbolic');  // 'symbolic' | 'fd'
+  const [plotWith, setPlotWith] = useQueryState('plot', 'rk45');
+  const [mode, setMode] = useQueryState('mode', 'compare');  // 'compare' | 'convergence'
+  const [n0, setN0] = useQueryState('n0', 2);
+  const [levels, setLevels] = useQueryState('levels', 7);
 
-  // ODE: dy/dt = y - t^2 + 1 (exact y = (t+1)^2 - 0.5 e^t)
-  const [odeStr, setOdeStr] = useState('y - t^2 + 1');
-  const [t0, setT0] = useState(0);
-  const [y0, setY0] = useState(0.5);
-  const [t1, setT1] = useState(2);
+  const [results, setResults] = useState(null); // { sys, rows, bars, sweep, trajectory }
+  const [study, setStudy] = useState(null);     // { sys, hs, methods, baseline }
+  const [errMsg, setErrMsg] = useState('');
+  const [warnMsg, setWarnMsg] = useState('');
 
-  const [results, setResults] = useState(null); // { rows: [...], bars: {...} }
+  // the known solution only applies while a preset is left unedited
+  const preset = PRESETS[problem];
 
-  /* ────────────────────────── helpers ─────────────────────────────── */
-  const f = compile(odeStr);
-  const rhs = (t, y) => f.evaluate({ t, y });
-  const yExact = t => (t + 1) ** 2 - 0.5 * Math.exp(t);
-
-  // Bogacki–Shampine 23 pair (fixed h)
-  function rk23(h) {
-    let t = t0;
-    let y = y0;
-    let fevals = 0;
-    while (t < t1 - 1e-12) {
-      if (t + h > t1) h = t1 - t;
-      const k1 = rhs(t, y);
-      const k2 = rhs(t + 0.5 * h, y + 0.5 * h * k1);
-      const k3 = rhs(t + 0.75 * h, y + 0.75 * h * k2);
-      y += (2 / 9) * h * k1 + (1 / 3) * h * k2 + (4 / 9) * h * k3;
-      t += h;
-      fevals += 3;
+  function choosePreset(key) {
+    setProblem(key);
+    if (PRESETS[key]) {
+      const p = PRESETS[key];
+      setSystem(p.system);
+      setY0Text(p.y0);
+      setT0(p.t0);
+      setT1(p.t1);
+      setExact(p.exact ?? '');
     }
-    return { y, fevals };
+    setResults(null);
+    setStudy(null);
   }
 
-  // Dormand–Prince 45 pair (fixed h)
-  function rk45(h) {
-    let t = t0;
-    let y = y0;
-    let fevals = 0;
-    while (t < t1 - 1e-12) {
-      if (t + h > t1) h = t1 - t;
-      const k1 = rhs(t, y);
-      const k2 = rhs(t + h * 0.2, y + h * 0.2 * k1);
-      const k3 = rhs(t + h * 0.3, y + h * (3 / 40 * k1 + 9 / 40 * k2));
-      const k4 = rhs(t + h * 0.8, y + h * (44 / 45 * k1 - 56 / 15 * k2 + 32 / 9 * k3));
-      const k5 = rhs(t + h * 8 / 9, y + h * (19372 / 6561 * k1 - 25360 / 2187 * k2 + 64448 / 6561 * k3 - 212 / 729 * k4));
-      const k6 = rhs(t + h, y + h * (9017 / 3168 * k1 - 355 / 33 * k2 + 46732 / 5247 * k3 + 49 / 176 * k4 - 5103 / 18656 * k5));
-      y += h * (35 / 384 * k1 + 500 / 1113 * k3 + 125 / 192 * k4 - 2187 / 6784 * k5 + 11 / 84 * k6);
-      t += h;
-      fevals += 6;
+  // any manual edit turns the problem into a custom one
+  const edit = setter => e => {
+    setter(e.target.value);
+    setProblem('custom');
+  };
+
+  /* ────────────────────────── helpers ─────────────────────────────── */
+  function buildProblem() {
+    const sys = parseOdeSystem(system);
+    const y0 = String(y0Text).split(',').map(v => Number(v.trim()));
+    if (y0.length !== sys.vars.length || !y0.every(Number.isFinite)) {
+      throw new Error(`Expected ${sys.vars.length} initial value(s): ${sys.labels.join(', ')}`);
+    }
+    const a = Number(t0);
+    const b = Number(t1);
+    if (!Number.isFinite(a) || !Number.isFinite(b) || b <= a) {
+      throw new Error('Need finite t0 < t1');
+    }
+
+    const rhs = makeSystem(sys.equations, sys.vars);
+    if (!rhs(a, y0).every(Number.isFinite)) {
+      throw new Error('f(t0, y0) is not finite – check the equations');
+    }
+    let jac;
+    if (jacMode === 'symbolic') {
+      try {
+        jac = makeJacobian(sys.equations, sys.vars);
+      } catch {
+        jac = undefined;   // fall back to finite differences
+      }
     }
-    return { y, fevals };
+    return { sys, rhs, jac, y0, a, b };
   }
 
-  // Simplified DOP853 surrogate (Runge–Kutta 8th‑order, large h)
-  function dop853(h) {
-    let t = t0;
-    let y = y0;
-    let fevals = 0;
-    while (t < t1 - 1e-12) {
-      if (t + h > t1) h = t1 - t;
-      // Use two RK4 half‑steps to mimic high‑order accuracy (for demo only)
-      const h2 = h / 2;
-      const k1 = rhs(t, y);
-      const k2 = rhs(t + 0.5 * h2, y + 0.5 * h2 * k1);
-      const k3 = rhs(t + 0.5 * h2, y + 0.5 * h2 * k2);
-      const k4 = rhs(t + h2, y + h2 * k3);
-      let yHalf = y + (h2 / 6) * (k1 + 2 * k2 + 2 * k3 + k4);
-
-      const k1b = rhs(t + h2, yHalf);
-      const k2b = rhs(t + h2 + 0.5 * h2, yHalf + 0.5 * h2 * k1b);
-      const k3b = rhs(t + h2 + 0.5 * h2, yHalf + 0.5 * h2 * k2b);
-      const k4b = rhs(t + h, yHalf + h2 * k3b);
-      y = yHalf + (h2 / 6) * (k1b + 2 * k2b + 2 * k3b + k4b);
-
-      t += h;
-      fevals += 8;
+  // y(t1) to measure errors against, and a description of where it came from
+  function buildBaseline(problemData) {
+    const { sys, rhs, y0, a, b } = problemData;
+    if (String(exact).trim()) {
+      const exactSol = makeExactSolution(exact, sys);
+      const check = checkOdeSolution(rhs, exactSol, a, y0, b);
+      let warning = '';
+      if (check.icError > 1e-6) {
+        warning = `the exact solution does not match the initial values (relative misfit ${check.icError.toExponential(2)})`;
+      } else if (!check.ok) {
+        warning = `the exact solution does not satisfy the ODE: residual ${check.residual.toExponential(2)} at t = ${check.worstT.toPrecision(3)}`;
+      }
+      const yTrue = exactSol.y(b);
+      return { yTrue, exactSol, source: 'exact solution', warning, floor: 1e-12 * scaleOf(yTrue) };
     }
-    return { y, fevals };
+    if (preset?.reference) {
+      return {
+        yTrue: preset.reference,
+        source: 'published reference (scipy Radau, rtol = 1e-13)',
+        floor: 1e-10 * scaleOf(preset.reference),
+      };
+    }
+    for (const ref of REFERENCE_RUNS) {
+      const sol = timedSolve(ref, problemData, { rtol: ref.rtol, atol: ref.atol, maxSteps: ref.maxSteps });
+      if (sol.converged) {
+        return {
+          yTrue: sol.y,
+          source: `reference run (${sol.method}, rtol = ${ref.rtol}, ${sol.accepted} steps)`,
+          floor: 100 * ref.rtol * scaleOf(sol.y),
+        };
+      }
+    }
+    return { yTrue: null, source: 'none', warning: 'the reference run failed, so errors cannot be measured' };
+  }
+
+  // errors below floor = accuracy of the baseline × size of the solution
+  const scaleOf = y => 1 + Math.max(...y.map(Math.abs));
+
+  // max‑norm global error at t1, NaN when the solver stopped early or the
+  // true solution is unknown
+  const globalError = (sol, yTrue) => (sol.converged && yTrue
+    ? Math.max(...sol.y.map((v, i) => Math.abs(v - yTrue[i])))
+    : NaN);
+
+  function timedSolve({ key, implicit }, { rhs, jac, y0, a, b }, options) {
+    const start = performance.now();
+    const opts = { maxSteps: MAX_STEPS, ...options };
+    const sol = implicit
+      ? solveStiff(key, rhs, a, y0, b, { ...opts, jac })
+      : solveIVP(key, rhs, a, y0, b, opts);
+    return { ...sol, ms: performance.now() - start };
   }
 
   /* ────────────────────────── run experiment ─────────────────────── */
-  function handleRun() {
-    const tStart = performance.now();
-    const sol23 = (() => {
-      const t0 = performance.now();
-      const { y, fevals } = rk23(0.005);
-      return { y, fevals, ms: performance.now() - t0 };
-    })();
-
-    const sol45 = (() => {
-      const t0 = performance.now();
-      const { y, fevals } = rk45(0.02);
-      return { y, fevals, ms: performance.now() - t0 };
-    })();
-
-    const sol853 = (() => {
-      const t0 = performance.now();
-      const { y, fevals } = dop853(0.05);
-      return { y, fevals, ms: performance.now() - t0 };
-    })();
-
-    const yTrue = yExact(t1);
-    const rows = [
-      {
-        method: 'RK23',
-        error: Math.abs(sol23.y - yTrue),
-        fevals: sol23.fevals,
-        time: sol23.ms.toFixed(2),
-      },
-      {
-        method: 'RK45',
-        error: Math.abs(sol45.y - yTrue),
-        fevals: sol45.fevals,
-        time: sol45.ms.toFixed(2),
-      },
-      {
-        method: 'DOP853',
-        error: Math.abs(sol853.y - yTrue),
-        fevals: sol853.fevals,
-        time: sol853.ms.toFixed(2),
-      },
-    ];
+  function runComparison(problemData, baseline) {
+    const { sys } = problemData;
+    const { yTrue } = baseline;
+    let trajectory = null;
+    const rows = ALL_METHODS.map(m => {
+      const sol = timedSolve(m, problemData, { rtol: Number(rtol), atol: Number(atol) });
+      if (m.key === plotWith) {
+        trajectory = {
+          method: m.label,
+          status: sol.status,
+          t: sol.steps.map(st => st.t),
+          y: sys.vars.map((_, i) => sol.steps.map(st => st.y[i])),
+          exact: baseline.exactSol
+            ? sys.vars.map((_, i) => sol.steps.map(st => baseline.exactSol.y(st.t)[i]))
+            : null,
+        };
+      }
+      return {
+        method: m.label,
+        implicit: m.implicit,
+        error: globalError(sol, yTrue),
+        fevals: sol.evals,
+        jevals: sol.jevals ?? 0,
+        accepted: sol.accepted,
+        rejected: sol.rejected,
+        status: sol.status,
+        tReached: sol.t,
+        time: sol.ms.toFixed(2),
+      };
+    });
 
     const bars = {
       x: rows.map(r => r.method),
-      errors: rows.map(r => r.error),
+      errors: rows.map(r => (Number.isFinite(r.error) ? r.error : null)),
       times: rows.map(r => r.time),
       fevals: rows.map(r => r.fevals),
     };
 
-    setResults({ rows, bars });
+    // work–precision: one curve per method over the tolerance sweep; a
+    // method that gives up at one tolerance will not do better at a
+    // tighter one, so its sweep stops there
+    const sweep = !yTrue ? null : ALL_METHODS.map(m => {
+      const points = [];
+      for (const rt of SWEEP_RTOLS) {
+        const sol = timedSolve(m, problemData, { rtol: rt, atol: rt * 1e-3 });
+        if (!sol.converged) break;
+        points.push({ rtol: rt, error: globalError(sol, yTrue), fevals: sol.evals });
+      }
+      return { method: m.label, implicit: m.implicit, points };
+    });
+
+    setResults({ sys, rows, bars, sweep, trajectory, baseline: baseline.source });
+  }
+
+  /* ───────────────────────── convergence study ────────────────────── */
+  function runStudy(problemData, baseline) {
+    const first = Number(n0);
+    const count = Number(levels);
+    if (!Number.isInteger(first) || first < 1) throw new Error('n0 must be a positive integer');
+    if (!Number.isInteger(count) || count < 2 || count > 12) throw new Error('levels must be between 2 and 12');
+    if (!baseline.yTrue) throw new Error('No exact solution or reference to measure errors against');
+
+    const { a, b } = problemData;
+    const hs = Array.from({ length: count }, (_, k) => (b - a) / (first * 2 ** k));
+    const methods = ALL_METHODS.map(m => {
+      const { rows, order } = convergenceStudy(
+        h => globalError(timedSolve(m, problemData, { h }), baseline.yTrue),
+        hs,
+        { floor: baseline.floor },
+      );
+      return { method: m.label, nominal: m.order, rows, order };
+    });
+    setStudy({ sys: problemData.sys, hs, methods, baseline: baseline.source, floor: baseline.floor });
+  }
+
+  function handleRun() {
+    setErrMsg('');
+    setWarnMsg('');
+    const tStart = performance.now();
+
+    try {
+      const problemData = buildProblem();
+      const baseline = buildBaseline(problemData);
+      if (baseline.warning) setWarnMsg(baseline.warning);
+      if (mode === 'convergence') runStudy(problemData, baseline);
+      else runComparison(problemData, baseline);
+      markRun();
+    } catch (err) {
+      setErrMsg(err.message);
+      setResults(null);
+      setStudy(null);
+      setWarnMsg('');
+    }
     console.log('Total experiment time', performance.now() - tStart, 'ms');
   }
+  const markRun = useAutoRun(handleRun);
 
   /* ───────────────────────────── view ─────────────────────────────── */
-  if (goToMenu) return <Menu />;
 
   return (
     <div id="menu">
@@ -170,29 +373,214 @@ export default function ODEsComparison() {
         An ODE-solver performance comparison systematically benchmarks multiple integrators by solving the same initial-value problems under the same error tolerances and then weighing their cost against their accuracy. You pick test equations that expose different difficulties—say, a smooth non-stiff decay with a known analytic solution plus a stiff or chaotic system—run each solver (RK23, RK45, DOP853, Radau, BDF, etc.), and log metrics such as wall-clock time, number of RHS evaluations, accepted/rejected steps, and the final global error. Plotting error versus cost (often on log–log axes) lets you see which solver delivers the lowest error for a given computational budget: low-order explicit schemes like RK23 sit on the slow-inaccurate end, mid-order RK45 offers a good default trade-off, high-order DOP853 wins when you need high precision on smooth problems, and implicit methods such as Radau or BDF dominate once stiffness forces explicit solvers to use tiny steps.
         </p>
         <p>
-          We integrate the scalar test problem <code>dy/dt = y - t^2 + 1</code>
-          with <em>three</em> fixed‑step Runge‑Kutta solvers. The exact solution
-          is
-          {' '}
-          <code>y(t) = (t+1)^2 - 0.5&#x22C5;e^t</code>, so we can measure the global
-          error at <span>t = {t1}</span>. Higher‑order solvers reach lower error
-          with fewer right‑hand‑side evaluations, but may have bigger per‑step
-          overhead.
+          We integrate the selected test problem with <em>three</em> adaptive
+          Runge‑Kutta solvers and <em>four</em> implicit ones. Each step carries
+          an error estimate; a step is accepted when that estimate is below
+          {' '}<code>atol + rtol·|y|</code> and rejected (and retried with a smaller
+          h) otherwise. The implicit methods solve their stage equations with
+          Newton's method, which needs the Jacobian ∂f/∂y. Global error at
+          {' '}<span>t = {t1}</span> is measured against the exact solution
+          if you give one, otherwise against a reference run at rtol = 1e‑12.
+          Explicit solvers are stopped after {MAX_STEPS.toLocaleString()} steps.
         </p>
+        <p>
+          Enter one equation per line: <code>x' = 10*(y - x)</code>,
+          {' '}<code>theta'' = -sin(theta)</code> or <code>y'' + 0.1*y' + y = 0</code>.
+          An n‑th order equation is reduced to n first‑order ones, so its
+          initial values are <code>y, y′, …, y⁽ⁿ⁻¹⁾</code> at t0, separated by
+          commas in equation order.
+        </p>
+
+        <section className="inputs">
+          <label>
+            problem
+            <select value={problem} onChange={e => choosePreset(e.target.value)}>
+              {Object.entries(PRESETS).map(([key, p]) => (
+                <option key={key} value={key}>{p.label}</option>
+              ))}
+              <option value="custom">custom</option>
+            </select>
+          </label>
+          <label>
+            equations (one per line)
+            <textarea rows={3} value={system} onChange={edit(setSystem)} />
+          </label>
+          <label>
+            initial values
+            <input value={y0Text} onChange={edit(setY0Text)} />
+          </label>
+          <label>
+            t0
+            <input type="number" value={t0} onChange={edit(setT0)} />
+          </label>
+          <label>
+            t1
+            <input type="number" value={t1} onChange={edit(setT1)} />
+          </label>
+          <label>
+            exact solution y(t) (optional, one line per unknown)
+            <textarea rows={2} value={exact} onChange={e => setExact(e.target.value)} />
+          </label>
+          <label>
+            rtol
+            <input type="number" step="1e-6" value={rtol} onChange={e => setRtol(e.target.value)} />
+          </label>
+          <label>
+            atol
+            <input type="number" step="1e-9" value={atol} onChange={e => setAtol(e.target.value)} />
+          </label>
+          <label>
+            Jacobian
+            <select value={jacMode} onChange={e => setJacMode(e.target.value)}>
+              <option value="symbolic">symbolic (mathjs derivative)</option>
+              <option value="fd">finite differences</option>
+            </select>
+          </label>
+          <label>
+            mode
+            <select value={mode} onChange={e => setMode(e.target.value)}>
+              <option value="compare">adaptive comparison</option>
+              <option value="convergence">convergence study (fixed h)</option>
+            </select>
+          </label>
+          {mode === 'convergence' && (
+            <>
+              <label>
+                n0 (steps at the coarsest level)
+                <input type="number" value={n0} onChange={e => setN0(e.target.value)} />
+              </label>
+              <label>
+                levels (n doubles each time)
+                <input type="number" value={levels} onChange={e => setLevels(e.target.value)} />
+              </label>
+            </>
+          )}
+          <label>
+            plot trajectory of
+            <select value={plotWith} onChange={e => setPlotWith(e.target.value)}>
+              {ALL_METHODS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+            </select>
+          </label>
+          {errMsg && <div className="err-msg">⚠️ {errMsg}</div>}
+          {warnMsg && <div className="err-msg">⚠️ Warning: {warnMsg}</div>}
+        </section>
+
+        {preset && <p>{preset.note}</p>}
 
         <button className="rainbow-hover" onClick={handleRun}>
-          Compare RK23 / RK45 / DOP853
+          {mode === 'convergence' ? 'Run convergence study' : 'Compare explicit / implicit solvers'}
         </button>
 
-        {results && (
+        {mode === 'convergence' && study && (
           <div className="results">
+            <h4>Convergence study</h4>
+            <p>
+              Fixed steps h = (t1 − t0)/n, n = {n0}·2<sup>k</sup>. Errors at t = {t1}
+              {' '}measured against: {study.baseline}; errors below
+              {' '}{study.floor.toExponential(0)} are at the accuracy of that
+              baseline and are left out of the fitted order.
+            </p>
+            <table>
+              <thead>
+                <tr>
+                  <th>h</th>
+                  {study.methods.map(m => <th key={m.method}>{m.method}<br />error (p)</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {study.hs.map((h, k) => (
+                  <tr key={h}>
+                    <td>{h.toExponential(3)}</td>
+                    {study.methods.map(m => {
+                      const { error, order } = m.rows[k];
+                      return (
+                        <td key={m.method}>
+                          {Number.isFinite(error) ? error.toExponential(2) : '—'}
+                          {order !== null && ` (${order.toFixed(2)})`}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+                <tr>
+                  <td><strong>fitted p</strong></td>
+                  {study.methods.map(m => (
+                    <td key={m.method}>
+                      <strong>{Number.isFinite(m.order) ? m.order.toFixed(2) : '—'}</strong>
+                      {' '}(theory {m.nominal})
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+
+            <Plot
+              style={{ width: '100%', height: '400px' }}
+              data={study.methods.flatMap((m, i) => {
+                const pts = m.rows.filter(r => Number.isFinite(r.error) && r.error > 0);
+                const anchor = pts[0];
+                const guide = anchor ? {
+                  x: study.hs,
+                  y: study.hs.map(h => anchor.error * (h / anchor.h) ** m.nominal),
+                  mode: 'lines',
+                  line: { dash: 'dot', width: 1, color: PALETTE[i] },
+                  name: `slope ${m.nominal}`,
+                  legendgroup: m.method,
+                  showlegend: false,
+                  hoverinfo: 'name',
+                } : null;
+                return [
+                  {
+                    x: pts.map(r => r.h),
+                    y: pts.map(r => r.error),
+                    mode: 'lines+markers',
+                    line: { color: PALETTE[i] },
+                    name: m.method,
+                    legendgroup: m.method,
+                  },
+                  ...(guide ? [guide] : []),
+                ];
+              })}
+              layout={{
+                margin: { t: 30 },
+                title: 'Global error vs h (dotted: reference slope hᵖ)',
+                xaxis: { title: 'h', type: 'log', autorange: 'reversed' },
+                yaxis: { title: 'Global error', type: 'log' },
+                legend: { orientation: 'h' },
+              }}
+            />
+
+            <p>
+              <strong>Interpretation:</strong> halving h divides the error by
+              about 2<sup>p</sup>. RK23, RK45 and DOP853 advance with their
+              higher‑order solution (local extrapolation), so they show slopes
+              3, 5 and 8 — the lower order in the name belongs to the embedded
+              error estimate. Once the error reaches the floor it flattens out:
+              round‑off and the baseline's own error take over.
+            </p>
+          </div>
+        )}
+
+        {mode === 'compare' && results && (
+          <div className="results">
+            <h4>First‑order system</h4>
+            <p>
+              {results.sys.labels.map((label, i) => (
+                <span key={label}><code>{label}′ = {pretty(results.sys.equations[i])}</code><br /></span>
+              ))}
+            </p>
+
             <h4>Summary</h4>
+            <p>Errors at t = {t1} measured against: {results.baseline}</p>
             <table>
               <thead>
                 <tr>
                   <th>Method</th>
                   <th>|error|</th>
                   <th>f evals</th>
+                  <th>J evals</th>
+                  <th>accepted</th>
+                  <th>rejected</th>
                   <th>ms</th>
                 </tr>
               </thead>
@@ -200,8 +588,15 @@ export default function ODEsComparison() {
                 {results.rows.map(r => (
                   <tr key={r.method}>
                     <td>{r.method}</td>
-                    <td>{r.error.toExponential(3)}</td>
+                    <td>
+                      {r.status !== 'converged'
+                        ? `${r.status} at t = ${r.tReached.toPrecision(3)}`
+                        : Number.isFinite(r.error) ? r.error.toExponential(3) : '—'}
+                    </td>
                     <td>{r.fevals}</td>
+                    <td>{r.implicit ? r.jevals : '—'}</td>
+                    <td>{r.accepted}</td>
+                    <td>{r.rejected}</td>
                     <td>{r.time}</td>
                   </tr>
                 ))}
@@ -214,7 +609,7 @@ export default function ODEsComparison() {
                 {
                   x: results.bars.x,
                   y: results.bars.errors,
-                  name: 'Global error at t=2',
+                  name: `Global error at t=${t1}`,
                   type: 'bar',
                 },
                 {
@@ -242,20 +637,119 @@ export default function ODEsComparison() {
               }}
             />
 
+            <h4>Trajectory — {results.trajectory.method}</h4>
+            {results.trajectory.status !== 'converged' && (
+              <div className="err-msg">⚠️ stopped early: {results.trajectory.status}</div>
+            )}
+            <Plot
+              style={{ width: '100%', height: '320px' }}
+              data={[
+                ...results.trajectory.y.map((comp, i) => ({
+                  x: results.trajectory.t,
+                  y: comp,
+                  mode: 'lines',
+                  name: results.sys.labels[i],
+                })),
+                ...(results.trajectory.exact ?? []).map((comp, i) => ({
+                  x: results.trajectory.t,
+                  y: comp,
+                  mode: 'lines',
+                  line: { dash: 'dot' },
+                  name: `${results.sys.labels[i]} exact`,
+                })),
+              ]}
+              layout={{
+                margin: { t: 30 },
+                title: 'Components vs t',
+                xaxis: { title: 't' },
+                legend: { orientation: 'h' },
+              }}
+            />
+
+            {results.sys.vars.length === 2 && (
+              <Plot
+                style={{ width: '100%', height: '360px' }}
+                data={[{
+                  x: results.trajectory.y[0],
+                  y: results.trajectory.y[1],
+                  mode: 'lines',
+                  name: 'orbit',
+                }]}
+                layout={{
+                  margin: { t: 30 },
+                  title: 'Phase portrait',
+                  xaxis: { title: results.sys.labels[0] },
+                  yaxis: { title: results.sys.labels[1] },
+                }}
+              />
+            )}
+
+            {results.sys.vars.length === 3 && (
+              <Plot
+                style={{ width: '100%', height: '420px' }}
+                data={[{
+                  x: results.trajectory.y[0],
+                  y: results.trajectory.y[1],
+                  z: results.trajectory.y[2],
+                  type: 'scatter3d',
+                  mode: 'lines',
+                  name: 'orbit',
+                }]}
+                layout={{
+                  margin: { t: 30 },
+                  title: 'Phase portrait',
+                  scene: {
+                    xaxis: { title: results.sys.labels[0] },
+                    yaxis: { title: results.sys.labels[1] },
+                    zaxis: { title: results.sys.labels[2] },
+                  },
+                }}
+              />
+            )}
+
+            <h4>Work–precision diagram</h4>
+            {!results.sweep && (
+              <p>No baseline to measure errors against, so the tolerance sweep
+              is skipped.</p>
+            )}
+            {results.sweep && <Plot
+              style={{ width: '100%', height: '360px' }}
+              data={results.sweep.map(({ method, implicit, points }) => ({
+                x: points.map(p => p.fevals),
+                y: points.map(p => p.error),
+                text: points.map(p => `rtol = ${p.rtol.toExponential(0)}`),
+                mode: 'lines+markers',
+                line: { dash: implicit ? 'dash' : 'solid' },
+                name: method,
+              }))}
+              layout={{
+                margin: { t: 30 },
+                title: 'Error vs f evals, rtol = 1e-2 … 1e-8',
+                xaxis: { title: 'RHS evaluations', type: 'log' },
+                yaxis: { title: 'Global error', type: 'log' },
+                legend: { orientation: 'h' },
+              }}
+            />}
+
             <p>
-              <strong>Interpretation:</strong> RK23 needs the most steps and time
-              for this accuracy. RK45 is a good default, halving the cost. The
-              high‑order DOP853 reaches nearly machine‑precision with far fewer
-              evaluations, even though each step is costlier.
+              <strong>Interpretation:</strong> on the non‑stiff problem the
+              explicit solvers win: as rtol shrinks RK23's step count grows like
+              rtol<sup>−1/3</sup>, RK45's like rtol<sup>−1/5</sup> and DOP853's
+              like rtol<sup>−1/8</sup>, while every implicit step pays for a
+              Newton solve. On the stiff presets the picture flips — the explicit
+              step size is pinned by stability (h·|λ| must stay small) rather than
+              accuracy, so the explicit solvers burn their whole step budget (or
+              stall with a step too small), while Radau IIA and BDF2 take steps
+              as large as the smooth solution allows. Dashed
+              curves are implicit methods; missing points mean the solver gave up.
             </p>
           </div>
         )}
 
-        <button className="rainbow-hover" onClick={() => setGoToMenu(true)} id='backButton'>
+        <button className="rainbow-hover" onClick={() => navigate('/')} id='backButton'>
           Back to Menu
         </button>
       </div>
     </div>
   );
 }
-
@@ -0,0 +1,72 @@
+// PlaybackControls.jsx — play / pause / step / scrub through an iteration log
+// -----------------------------------------------------------------------------
+// The method pages compute their whole `steps` log at once.  `usePlayback`
+// keeps the index of the frame being shown (0 … count − 1) and a play timer;
+// the page draws its plot for that frame and highlights the matching table
+// row with className="current".  A new run (a different `source`) jumps to
+// the last frame, so the finished picture is what appears first and Play
+// replays it from the start.
+
+import { useState, useEffect } from 'react';
+
+// default milliseconds per frame while playing
+const INTERVAL = 700;
+
+export function usePlayback(count, source, interval = INTERVAL) {
+  const [frame, setFrame] = useState(Math.max(0, count - 1));
+  const [playing, setPlaying] = useState(false);
+  const last = Math.max(0, count - 1);
+
+  useEffect(() => {
+    setFrame(last);
+    setPlaying(false);
+  }, [source, last]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const id = setInterval(() => setFrame(k => Math.min(k + 1, last)), interval);
+    return () => clearInterval(id);
+  }, [playing, last, interval]);
+
+  useEffect(() => {
+    if (playing && frame >= last) setPlaying(false);
+  }, [playing, frame, last]);
+
+  const seek = k => {
+    setPlaying(false);
+    setFrame(Math.max(0, Math.min(last, k)));
+  };
+
+  return {
+    frame: Math.min(frame, last),
+    last,
+    playing,
+    seek,
+    step: delta => seek(frame + delta),
+    toggle: () => {
+      if (!playing && frame >= last) setFrame(0);
+      setPlaying(p => !p);
+    },
+  };
+}
+
+export default function PlaybackControls({ playback, label }) {
+  const { frame, last, playing, seek, step, toggle } = playback;
+  return (
+    <div className="inputs playback">
+      <button onClick={() => seek(0)} disabled={frame === 0} title="first">⏮</button>
+      <button onClick={() => step(-1)} disabled={frame === 0} title="step back">◀</button>
+      <button onClick={toggle} title={playing ? 'pause' : 'play'}>{playing ? '⏸' : '▶'}</button>
+      <button onClick={() => step(1)} disabled={frame === last} title="step forward">▶|</button>
+      <button onClick={() => seek(last)} disabled={frame === last} title="last">⏭</button>
+      <input
+        type="range"
+        min={0}
+        max={last}
+        value={frame}
+        onChange={e => seek(Number(e.target.value))}
+      />
+      <span>{label ?? `step ${frame + 1} / ${last + 1}`}</span>
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+// PolynomialRoots.jsx — every root of a polynomial f(x), complex ones included
+// -----------------------------------------------------------------------------
+// Rendered by NewtonRaphson and Bisection under their own results.  When f(x)
+// parses as a polynomial (polynomialCoefficients in src/numerics/expr.js) the
+// panel offers Aberth or Durand–Kerner iteration, which move all n estimates
+// at once from a circle that encloses the roots, or the eigenvalues of the
+// companion matrix.  The roots are shown in the complex plane; for the
+// iterations each estimate leaves a trail, and PlaybackControls.jsx replays
+// how the trails grow iteration by iteration.
+// Anything that is not a polynomial (sin x, 1/x) renders nothing.
+
+import { useState, useMemo, useEffect } from 'react';
+import Plot from 'react-plotly.js';
+import { useQueryState } from '../router';
+import { polynomialCoefficients, polynomialRoots, polyEval, POLYNOMIAL_METHODS } from '../numerics';
+import PlaybackControls, { usePlayback } from './PlaybackControls';
+
+// milliseconds per animation frame
+const FRAME_MS = 250;
+
+export default function PolynomialRoots({ fx }) {
+  /* ─────────────────────────── state ─────────────────────────── */
+  const [method, setMethod] = useQueryState('poly', 'aberth');
+  const [errMsg, setErrMsg] = useState('');
+  const [result, setResult] = useState(null);   // polynomialRoots(...) result
+
+  const coeffs = useMemo(() => polynomialCoefficients(fx), [fx]);
+  const degree = coeffs ? coeffs.length - 1 : 0;
+
+  // iteration shown on the plot
+  const playback = usePlayback(result ? result.steps.length : 0, result, FRAME_MS);
+  const { frame, last: lastFrame } = playback;
+
+  // a new polynomial invalidates the old roots
+  useEffect(() => {
+    setResult(null);
+  }, [fx]);
+
+  /* ─────────────── algorithm ─────────────── */
+  function runPolynomial() {
+    setErrMsg('');
+    try {
+      const res = polynomialRoots(method, coeffs);
+      setResult({ ...res, method });
+    } catch (err) {
+      setErrMsg(`⚠️ ${err.message}`);
+      setResult(null);
+    }
+  }
+
+  /* ─────────────── plot data ─────────────── */
+  const plotData = useMemo(() => {
+    if (!result) return [];
+    if (!result.steps.length) {
+      return [{
+        x: result.roots.map(z => z.re),
+        y: result.roots.map(z => z.im),
+        mode: 'markers',
+        marker: { size: 10, symbol: 'x' },
+        name: 'roots',
+      }];
+    }
+    const shown = result.steps.slice(0, frame + 1);
+    const trails = result.roots.map((_, k) => ({
+      x: shown.map(s => s.z[k].re),
+      y: shown.map(s => s.z[k].im),
+      mode: 'lines',
+      line: { width: 1 },
+      opacity: 0.6,
+      showlegend: false,
+      hoverinfo: 'skip',
+    }));
+    const current = result.steps[frame].z;
+    return [
+      ...trails,
+      {
+        x: result.steps[0].z.map(z => z.re),
+        y: result.steps[0].z.map(z => z.im),
+        mode: 'markers',
+        marker: { size: 6, symbol: 'circle-open', color: 'gray' },
+        name: 'starting points',
+      },
+      {
+        x: current.map(z => z.re),
+        y: current.map(z => z.im),
+        mode: 'markers',
+        marker: { size: 10, symbol: 'x' },
+        name: `estimates after ${frame} iterations`,
+      },
+    ];
+  }, [result, frame]);
+
+  if (!coeffs || degree < 1) return null;
+
+  /* ─────────────── render ─────────────── */
+  return (
+    <>
+      <section className="inputs">
+        <h3>All Roots of the Polynomial (degree {degree})</h3>
+        <label>
+          method
+          <select value={method} onChange={e => setMethod(e.target.value)}>
+            {Object.entries(POLYNOMIAL_METHODS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {errMsg && <div className="err-msg">{errMsg}</div>}
+      </section>
+
+      <button className="rainbow-hover" onClick={runPolynomial}>
+        <span className="sp">Find all complex roots</span>
+      </button>
+
+      {result && (
+        <>
+          <section className="results">
+            <p>
+              {POLYNOMIAL_METHODS[result.method].label}: {result.status} after{' '}
+              {result.iterations} {result.method === 'companion' ? 'QR sweeps' : 'iterations'}
+              {result.evals > 0 && <> ({result.evals} evaluations of p and p′)</>}
+            </p>
+            <table>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Re z</th>
+                  <th>Im z</th>
+                  <th>|p(z)|</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.roots.map((z, k) => {
+                  const { p } = polyEval(coeffs, z);
+                  return (
+                    <tr key={k}>
+                      <td>{k + 1}</td>
+                      <td>{z.re.toFixed(10)}</td>
+                      <td>{z.im.toFixed(10)}</td>
+                      <td>{Math.hypot(p.re, p.im).toExponential(2)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <p>
+              Repeated roots slow both iterations down to linear convergence and are
+              only determined to about ε<sup>1/m</sup> for multiplicity m; the
+              eigenvalue solve shows the same spread as a small cluster.
+            </p>
+          </section>
+
+          {result.steps.length > 0 && (
+            <PlaybackControls playback={playback} label={`iteration ${frame} / ${lastFrame}`} />
+          )}
+
+          <div className="plot-container">
+            <Plot
+              data={plotData}
+              layout={{
+                margin: { t: 20 },
+                xaxis: { title: 'Re z', zeroline: true },
+                yaxis: { title: 'Im z', zeroline: true, scaleanchor: 'x' },
+                height: 450,
+              }}
+              config={{ responsive: true }}
+            />
+          </div>
+        </>
+      )}
+    </>
+  );
+}
@@ -1,74 +1,55 @@
-import { useState, useMemo, useEffect } from 'react';
+import { useMemo } from 'react';
 import { evaluate, derivative } from 'mathjs';
 import Plot from 'react-plotly.js';
 import optLogo from '../assets/scalar.jpg';
-import Menu from './Menu';
+import { navigate, useQueryState } from '../router';
+import { goldenSection, gradientDescent } from '../numerics';
+import PlaybackControls, { usePlayback } from './PlaybackControls';
 
 export default function ScalarOptimization() {
   /* ───────────────────────────── state ───────────────────────────── */
-  const [mode, setMode] = useState('scalar');      // 'scalar' | 'multi'
-  const [goMenu, setGoMenu] = useState(false);
+  // results are recomputed live, so the URL only needs the inputs
+  const [mode, setMode] = useQueryState('mode', 'scalar');   // 'scalar' | 'multi'
 
   // scalar inputs (unit‑cost demo)
-  const [fx, setFx] = useState('0.05*x^2 - 3*x + 200');
-  const [a, setA]   = useState(0);
-  const [b, setB]   = useState(60);
-  const [tol, setTol] = useState(0.001);
+  const [fx, setFx] = useQueryState('fx', '0.05*x^2 - 3*x + 200');
+  const [a, setA]   = useQueryState('a', 0);
+  const [b, setB]   = useQueryState('b', 60);
+  const [tol, setTol] = useQueryState('tol', 0.001);
 
   // multivariable inputs (energy demo)
-  const [fxy, setFxy] = useState('(v-55)^2 + (m-8)^2 + 300');
-  const [x0, setX0]   = useState(40);   // v
-  const [y0, setY0]   = useState(5);    // m
-  const [alpha, setAlpha] = useState(0.1);
-  const [maxIter, setMaxIter] = useState(80);
+  const [fxy, setFxy] = useQueryState('fxy', '(v-55)^2 + (m-8)^2 + 300');
+  const [x0, setX0]   = useQueryState('v0', 40);   // v
+  const [y0, setY0]   = useQueryState('m0', 5);    // m
+  const [alpha, setAlpha] = useQueryState('alpha', 0.1);
+  const [maxIter, setMaxIter] = useQueryState('maxIter', 80);
 
   /* ──────────────────── scalar: golden‑section ──────────────────── */
   const scalarSteps = useMemo(() => {
     try {
-      const φ  = (Math.sqrt(5) - 1) / 2;
-      const f  = (x) => evaluate(fx, { x });
-      let aa   = Number(a);
-      let bb   = Number(b);
-      if (aa >= bb) return [];
-      const log = [];
-      let c = bb - φ * (bb - aa);
-      let d = aa + φ * (bb - aa);
-      while (Math.abs(bb - aa) > tol && log.length < 120) {
-        if (f(c) < f(d)) {
-          bb = d;
-        } else {
-          aa = c;
-        }
-        c = bb - φ * (bb - aa);
-        d = aa + φ * (bb - aa);
-        log.push({ i: log.length + 1, a: aa, b: bb, len: bb - aa });
-      }
-      return log;
+      const f = (x) => evaluate(fx, { x });
+      return goldenSection(f, Number(a), Number(b), { tol: Number(tol) }).steps;
     } catch {
       return [];
     }
   }, [fx, a, b, tol]);
 
+  const playback = usePlayback(scalarSteps.length, scalarSteps);
+
   /* ─────────────────── multivariable: gradient descent ───────────── */
   const multiSteps = useMemo(() => {
     try {
-      const f    = (v, m) => evaluate(fxy, { v, m });
+      const f    = ([v, m]) => evaluate(fxy, { v, m });
       const dfdv = derivative(fxy, 'v').compile();
       const dfdm = derivative(fxy, 'm').compile();
+      const grad = ([v, m]) => [dfdv.evaluate({ v, m }), dfdm.evaluate({ v, m })];
 
-      let v = Number(x0);
-      let m = Number(y0);
-      const log = [];
-      for (let k = 1; k <= maxIter; k++) {
-        const gradV = dfdv.evaluate({ v, m });
-        const gradM = dfdm.evaluate({ v, m });
-        const vNext = v - alpha * gradV;
-        const mNext = m - alpha * gradM;
-        log.push({ k, v: vNext, m: mNext, f: f(vNext, mNext) });
-        if (Math.hypot(vNext - v, mNext - m) < tol) break;
-        v = vNext; m = mNext;
-      }
-      return log;
+      const { steps } = gradientDescent(f, grad, [Number(x0), Number(y0)], {
+        alpha: Number(alpha),
+        tol: Number(tol),
+        maxIter: Number(maxIter),
+      });
+      return steps.map(({ k, x: [v, m], f }) => ({ k, v, m, f }));
     } catch {
       return [];
     }
@@ -79,17 +60,33 @@ export default function ScalarOptimization() {
     if (!scalarSteps.length) return [];
     const xs = scalarSteps.map(s => s.i);
     const ys = scalarSteps.map(s => s.len);
-    return [{ x: xs, y: ys, mode: 'lines+markers', name: '|b‑a|' }];
-  }, [scalarSteps]);
+    const k = playback.frame;
+    return [
+      { x: xs, y: ys, mode: 'lines+markers', name: '|b‑a|' },
+      { x: [xs[k]], y: [ys[k]], mode: 'markers', marker: { size: 12, symbol: 'diamond' }, name: 'current' },
+    ];
+  }, [scalarSteps, playback.frame]);
+
+  // C(x) on the starting bracket with the probes c, d of the frame shown
+  const curvePlot = useMemo(() => {
+    if (!scalarSteps.length) return [];
+    const f = (x) => evaluate(fx, { x });
+    const N = 300;
+    const lo = Number(a);
+    const hi = Number(b);
+    const xs = Array.from({ length: N }, (_, i) => lo + ((hi - lo) * i) / (N - 1));
+    const { c, d } = scalarSteps[playback.frame];
+    return [
+      { x: xs, y: xs.map(f), mode: 'lines', name: 'C(x)' },
+      { x: [c, d], y: [f(c), f(d)], mode: 'markers+text', text: ['c', 'd'], textposition: 'top center', marker: { size: 10 }, name: 'probes' },
+    ];
+  }, [scalarSteps, playback.frame, fx, a, b]);
 
   const multiPlot = useMemo(() => {
     if (!multiSteps.length) return [];
     return [{ x: multiSteps.map(s => s.v), y: multiSteps.map(s => s.m), mode: 'lines+markers', name: 'descent' }];
   }, [multiSteps]);
 
-  /* ────────────────────────── navigation ─────────────────────────── */
-  if (goMenu) return <Menu />;
-
   /* ───────────────────────────── render ──────────────────────────── */
   return (
     <div id="menu">
@@ -146,8 +143,8 @@ export default function ScalarOptimization() {
                   </tr>
                 </thead>
                 <tbody>
-                  {scalarSteps.map(s => (
-                    <tr key={s.i}>
+                  {scalarSteps.map((s, k) => (
+                    <tr key={s.i} className={k === playback.frame ? 'current' : ''}>
                       <td>{s.i}</td>
                       <td>{s.a.toFixed(4)}</td>
                       <td>{s.b.toFixed(4)}</td>
@@ -156,6 +153,30 @@ export default function ScalarOptimization() {
                   ))}
                 </tbody>
               </table>
+              <PlaybackControls
+                playback={playback}
+                label={`step ${scalarSteps[playback.frame].i}: [${scalarSteps[playback.frame].a.toFixed(4)}, ${scalarSteps[playback.frame].b.toFixed(4)}]`}
+              />
+              <Plot
+                data={curvePlot}
+                layout={{
+                  height: 360,
+                  xaxis: { title: 'x' },
+                  yaxis: { title: 'C(x)' },
+                  shapes: [{
+                    type: 'rect',
+                    xref: 'x',
+                    yref: 'paper',
+                    x0: scalarSteps[playback.frame].a,
+                    x1: scalarSteps[playback.frame].b,
+                    y0: 0,
+                    y1: 1,
+                    fillcolor: 'rgba(201, 162, 39, 0.25)',
+                    line: { width: 0 },
+                  }],
+                }}
+                config={{ responsive: true }}
+              />
               <Plot
                 data={scalarPlot}
                 layout={{ height: 360, xaxis: { title: 'Iteration' }, yaxis: { title: '|b‑a|' } }}
@@ -217,7 +238,7 @@ export default function ScalarOptimization() {
         </>
       )}
 
-      <button data-label="Register" className="rainbow-hover" id="backButton" onClick={() => setGoMenu(true)}>
+      <button data-label="Register" className="rainbow-hover" id="backButton" onClick={() => navigate('/')}>
         <span className="sp">Back to Menu</span>
       </button>
     </div>
@@ -1,26 +1,61 @@
 // SimpsonsRule.jsx — interactive demo of Simpson’s Rule for numerical integration
 // -----------------------------------------------------------------------------
 // Dependencies:  npm i mathjs react-plotly.js plotly.js-dist-min
-// Students enter any smooth f(x), choose [a,b] and an even sub‑interval count n.
-// The component returns the Simpson approximation, shows a table of sample
-// points, and visualises the integrand + sample points on an interactive plot.
+// Students enter any smooth f(x), choose [a,b] and a rule: composite
+// trapezoid / Simpson 1/3 / Simpson 3/8 with n panels, adaptive Simpson or
+// Romberg with a tolerance, or n‑point Gauss–Legendre.  The component returns
+// the approximation with its evaluation count and error estimate, shows a
+// table of sample points (plus the Romberg tableau), and visualises the
+// integrand, sample points and adaptive subdivision on an interactive plot.
+// A convergence study doubles n a few times and fits the observed order from
+// the log–log slope of the error (4 for Simpson, 2 for the trapezoid).
+// Limits may be ±inf, and an endpoint where f blows up (1/√x at 0) is
+// detected before running: rules that would sample it hand over to the
+// tanh–sinh rule, which also reports integrals that look divergent.
+// Below the rules, MonteCarlo.jsx estimates the same integral from random
+// or quasi‑random points and compares its convergence with Simpson's.
+// Dimension 2 or 3 hands the inputs over to MultipleIntegral.jsx.
 
 import { useState, useMemo, useEffect } from 'react';
-import { compile } from 'mathjs';
+import { compile, evaluate } from 'mathjs';
 import Plot from 'react-plotly.js';
 import simpsonLogo from '../assets/simpsons-rule.png';
-import Menu from './Menu';
+import MultipleIntegral from './MultipleIntegral';
+import MonteCarlo from './MonteCarlo';
+import { navigate, useQueryState, useAutoRun } from '../router';
+import { integrate, QUADRATURE_METHODS, convergenceStudy, endpointTrouble } from '../numerics';
+
+// rules that sample f at a and b and so cannot cope with a singular endpoint
+const ENDPOINT_RULES = ['trapezoid', 'simpson', 'simpson38', 'adaptive', 'romberg'];
+
+// '-inf', '∞', 'pi/2', '1e3' → number; NaN when it does not parse
+function parseLimit(text) {
+  const t = String(text).trim();
+  const inf = t.match(/^([+-]?)(inf|infinity|∞)$/i);
+  if (inf) return inf[1] === '-' ? -Infinity : Infinity;
+  try {
+    return Number(evaluate(t));
+  } catch {
+    return NaN;
+  }
+}
 
 export default function SimpsonsRule() {
   /* ─────────────────────────── state ─────────────────────────── */
-  const [fx, setFx] = useState('sin(x)');
-  const [a, setA]   = useState(0);
-  const [b, setB]   = useState(Math.PI);
-  const [n, setN]   = useState(10);            // must be even
+  const [dim, setDim] = useQueryState('dim', 1);  // 2 and 3 → MultipleIntegral
+  const [fx, setFx] = useQueryState('fx', 'sin(x)');
+  const [a, setA]   = useQueryState('a', '0');   // text: may be 'inf' or 'pi'
+  const [b, setB]   = useQueryState('b', 'pi');
+  const [n, setN]   = useQueryState('n', 12);  // panels, or Gauss points; 12 lets every composite rule estimate its error
+  const [method, setMethod] = useQueryState('method', 'simpson');
+  const [tol, setTol]       = useQueryState('tol', 1e-8);  // adaptive / Romberg
+  const [exact, setExact]   = useQueryState('exact', '');  // optional ∫ f dx
+  const [levels, setLevels] = useQueryState('levels', 6);
 
   const [errMsg, setErrMsg] = useState('');
-  const [result, setResult] = useState(null);  // { integral, rows: [{i, x, fx}...] }
-  const [goToMenu, setGoToMenu] = useState(false);
+  const [result, setResult] = useState(null);  // { integral, rows, evals, errorEstimate, intervals?, tableau? }
+  const [study, setStudy] = useState(null);    // { rows: [{n, h, error, order}], order, baseline }
+  const [note, setNote] = useState('');        // why another rule was used
 
   /* ───────── compile f(x) once per change ───────── */
   const compiled = useMemo(() => {
@@ -33,87 +68,199 @@ export default function SimpsonsRule() {
 
   const evalF = (x) => (compiled ? compiled.evaluate({ x }) : NaN);
 
+  const lo = parseLimit(a);
+  const hi = parseLimit(b);
+  const usesN = ['trapezoid', 'simpson', 'simpson38', 'gauss'].includes(method);
+  const order = QUADRATURE_METHODS[method]?.order;   // null: no panel count to sweep
+
+  // optional exact value; null when the field is empty
+  function exactValue() {
+    if (!String(exact).trim()) return null;
+    const value = Number(evaluate(exact));
+    if (!Number.isFinite(value)) throw new Error('exact value must be a finite number');
+    return value;
+  }
+
   /* ─────────────── live validation ─────────────── */
   useEffect(() => {
     if (!compiled) {
       setErrMsg('⚠️ Syntax error in f(x)');
       return;
     }
-    const aa = Number(a);
-    const bb = Number(b);
     const nn = Number(n);
-    if (!Number.isFinite(aa) || !Number.isFinite(bb) || aa >= bb) {
-      setErrMsg('⚠️ a and b must be finite with a < b');
+    if (Number.isNaN(lo) || Number.isNaN(hi) || lo >= hi) {
+      setErrMsg('⚠️ a and b must be numbers (or ±inf) with a < b');
+      return;
+    }
+    if (!QUADRATURE_METHODS[method]) {
+      setErrMsg('⚠️ Unknown method');
       return;
     }
-    if (!Number.isInteger(nn) || nn <= 0 || nn % 2 !== 0) {
-      setErrMsg('⚠️ n must be a positive even integer');
+    if (usesN) {
+      if (!Number.isInteger(nn) || nn <= 0) {
+        setErrMsg('⚠️ n must be a positive integer');
+        return;
+      }
+      if (method === 'simpson' && nn % 2 !== 0) {
+        setErrMsg('⚠️ n must be a positive even integer');
+        return;
+      }
+      if (method === 'simpson38' && nn % 3 !== 0) {
+        setErrMsg('⚠️ n must be a positive multiple of 3');
+        return;
+      }
+      if (method === 'gauss' && nn > 100) {
+        setErrMsg('⚠️ Gauss–Legendre supports at most 100 points');
+        return;
+      }
+    } else if (!(Number(tol) > 0)) {
+      setErrMsg('⚠️ tol must be positive');
       return;
     }
     setErrMsg('');
-  }, [compiled, a, b, n]);
+  }, [compiled, lo, hi, n, method, tol]);
 
   /* ─────────────── algorithm ─────────────── */
-  function runSimpson() {
-    if (errMsg) return;
+  function runIntegration() {
+    if (errMsg || Number(dim) !== 1) return;
+    try {
+      const trouble = endpointTrouble(evalF, lo, hi);
+      let used = method;
+      setNote('');
+      const infinite = trouble.a === 'infinite' || trouble.b === 'infinite';
+      const singular = trouble.a || trouble.b;
+      if (method !== 'tanhsinh' && (infinite || (singular && ENDPOINT_RULES.includes(method)))) {
+        used = 'tanhsinh';
+        const why = [['a', trouble.a], ['b', trouble.b]]
+          .filter(([, t]) => t)
+          .map(([end, t]) => (t === 'infinite' ? `${end} is infinite` : `f(${end}) is not finite`));
+        setNote(`${why.join(' and ')}, so the tanh–sinh rule was used instead of ${QUADRATURE_METHODS[method].label}.`);
+      }
 
-    const aa = Number(a);
-    const bb = Number(b);
-    const nn = Number(n);
-    const h  = (bb - aa) / nn;
+      const res = integrate(used, evalF, lo, hi, { n: Number(n), tol: Number(tol) });
+      const truth = exactValue();
+      setResult({
+        integral: res.value,
+        rows: res.steps,
+        h: res.h,
+        evals: res.evals,
+        status: res.status,
+        errorEstimate: res.errorEstimate,
+        error: truth === null ? null : Math.abs(res.value - truth),
+        intervals: res.intervals ?? null,
+        tableau: res.tableau ?? null,
+        label: QUADRATURE_METHODS[used].label,
+        badX: res.badX ?? null,
+      });
+      markRun();
+    } catch (err) {
+      setErrMsg(`⚠️ ${err.message}`);
+    }
+  }
+  const markRun = useAutoRun(runIntegration);
 
-    let sum = evalF(aa) + evalF(bb);
-    const rows = [{ i: 0, x: aa, fx: evalF(aa) }];
+  /* ─────────────── convergence study ─────────────── */
+  // error against the exact value if given, otherwise against the same rule
+  // with n · 2^(levels+3) panels (capped), whose error is far smaller
+  function runStudy() {
+    if (errMsg || !order) return;
+    try {
+      const aa = lo;
+      const bb = hi;
+      const trouble = endpointTrouble(evalF, aa, bb);
+      if (trouble.a || trouble.b) {
+        throw new Error('the convergence study needs finite limits and a finite f at both ends');
+      }
+      const count = Number(levels);
+      if (!Number.isInteger(count) || count < 2 || count > 12) {
+        throw new Error('levels must be between 2 and 12');
+      }
+      const ns = Array.from({ length: count }, (_, k) => Number(n) * 2 ** k);
 
-    for (let i = 1; i < nn; i++) {
-      const x = aa + i * h;
-      const fxVal = evalF(x);
-      const weight = i % 2 === 0 ? 2 : 4;
-      sum += weight * fxVal;
-      rows.push({ i, x, fx: fxVal, weight });
-    }
-    rows.push({ i: nn, x: bb, fx: evalF(bb) });
+      let truth;
+      let baseline;
+      const { label } = QUADRATURE_METHODS[method];
+      truth = exactValue();
+      if (truth !== null) {
+        baseline = `exact value ${truth}`;
+      } else {
+        // a multiple of n, so it satisfies the same divisibility rule
+        const nRef = ns[count - 1] * 8;
+        if (nRef > 2 ** 18) throw new Error('too many panels for a reference run – lower n or levels');
+        truth = integrate(method, evalF, aa, bb, { n: nRef }).value;
+        baseline = `${label} with n = ${nRef}`;
+      }
 
-    const integral = (h / 3) * sum;
-    setResult({ integral, rows, h });
+      const fit = convergenceStudy(
+        h => integrate(method, evalF, aa, bb, { n: Math.round((bb - aa) / h) }).value - truth,
+        ns.map(k => (bb - aa) / k),
+        { floor: 1e-13 * (1 + Math.abs(truth)) },
+      );
+      setStudy({
+        rows: fit.rows.map((r, k) => ({ ...r, n: ns[k] })),
+        order: fit.order,
+        nominal: order,
+        label,
+        baseline,
+      });
+    } catch (err) {
+      setErrMsg(`⚠️ ${err.message}`);
+    }
   }
 
   /* ─────────────── plot data ─────────────── */
   const plotData = useMemo(() => {
     if (errMsg) return [];
-    const aa = Number(a);
-    const bb = Number(b);
+    // an infinite range is shown through a window of width 20 (40 both ways)
+    const aa = Number.isFinite(lo) ? lo : Number.isFinite(hi) ? hi - 20 : -20;
+    const bb = Number.isFinite(hi) ? hi : aa + (Number.isFinite(lo) ? 20 : 40);
 
-    // dense sampling for the curve
+    // dense sampling for the curve; singular points become gaps
     const N = 400;
     const xs = [];
     const ys = [];
     const step = (bb - aa) / (N - 1);
     for (let i = 0; i < N; i++) {
       const x = aa + i * step;
+      const y = evalF(x);
       xs.push(x);
-      ys.push(evalF(x));
+      ys.push(Number.isFinite(y) ? y : null);
     }
 
-    // sample points used by Simpson
-    const sampleXs = result?.rows?.map((r) => r.x) || [];
-    const sampleYs = sampleXs.map(evalF);
+    // sample points used by the rule (inside the window)
+    const shown = result?.rows?.filter((r) => r.x >= aa && r.x <= bb) || [];
+    const sampleXs = shown.map((r) => r.x);
+    const sampleYs = shown.map((r) => r.fx);
 
-    return [
+    const traces = [
       { x: xs, y: ys, mode: 'lines', name: 'f(x)' },
       { x: sampleXs, y: sampleYs, mode: 'markers', name: 'Sample points' },
     ];
-  }, [a, b, fx, result, errMsg]);
 
-  /* ─────────────── navigation ─────────────── */
-  if (goToMenu) return <Menu />;
+    // adaptive Simpson: one bar per accepted interval, height = its depth,
+    // so the refinement near difficult spots is visible under the curve
+    if (result?.intervals) {
+      traces.push({
+        x: result.intervals.map((iv) => (iv.a + iv.b) / 2),
+        y: result.intervals.map((iv) => iv.depth),
+        width: result.intervals.map((iv) => iv.b - iv.a),
+        text: result.intervals.map((iv) => `[${iv.a.toPrecision(4)}, ${iv.b.toPrecision(4)}]`),
+        type: 'bar',
+        yaxis: 'y2',
+        opacity: 0.3,
+        marker: { line: { width: 1, color: '#333' } },
+        name: 'Subdivision depth',
+      });
+    }
+    return traces;
+  }, [lo, hi, fx, result, errMsg]);
 
   /* ─────────────── render ─────────────── */
   return (
     <div id="menu">
       <div className="menu-newton">
         <img src={simpsonLogo} alt="Simpson's Rule" />
-        <h3>Simpson's Rule</h3>
+        <h3>Simpson's Rule &amp; Numerical Integration</h3>
         <p>
         Simpson’s Rule estimates 
 ∫
@@ -217,77 +364,259 @@ h
 4
   for smooth functions.
         </p>
+        <p>
+          The selector adds its neighbours: the <em>trapezoidal</em> rule
+          (straight lines, error ∝ h²), <em>Simpson 3/8</em> (cubics through
+          four points, also ∝ h⁴), <em>adaptive Simpson</em>, which halves only
+          the pieces whose two‑panel and one‑panel estimates disagree,
+          {' '}<em>Romberg</em>, which extrapolates a sequence of trapezoid
+          results to h → 0, and <em>Gauss–Legendre</em>, whose n optimally
+          placed nodes integrate polynomials of degree 2n − 1 exactly.
+        </p>
       </div>
 
       <section className="inputs">
         <label>
-          f(x)
-          <input value={fx} onChange={(e) => setFx(e.target.value)} />
+          dimension
+          <select value={dim} onChange={(e) => setDim(Number(e.target.value))}>
+            <option value={1}>1‑D: ∫ f(x) dx</option>
+            <option value={2}>2‑D: ∬ f(x, y) dA</option>
+            <option value={3}>3‑D: ∭ f(x, y, z) dV</option>
+          </select>
         </label>
+      </section>
 
-        <label>
-          a (lower limit)
-          <input type="number" value={a} onChange={(e) => setA(e.target.value)} />
-        </label>
+      {Number(dim) !== 1 ? (
+        <MultipleIntegral key={dim} dim={Number(dim)} />
+      ) : (
+        <>
+        <section className="inputs">
+          <label>
+            f(x)
+            <input value={fx} onChange={(e) => setFx(e.target.value)} />
+          </label>
 
-        <label>
-          b (upper limit)
-          <input type="number" value={b} onChange={(e) => setB(e.target.value)} />
-        </label>
+          <label>
+            a (lower limit)
+            <input value={a} onChange={(e) => setA(e.target.value)} placeholder="number, pi/2 or -inf" />
+          </label>
 
-        <label>
-          n (even sub‑intervals)
-          <input type="number" value={n} onChange={(e) => setN(e.target.value)} />
-        </label>
+          <label>
+            b (upper limit)
+            <input value={b} onChange={(e) => setB(e.target.value)} placeholder="number, pi/2 or inf" />
+          </label>
 
-        {errMsg && <div className="err-msg">{errMsg}</div>}
-      </section>
+          <label>
+            method
+            <select value={method} onChange={(e) => setMethod(e.target.value)}>
+              {Object.entries(QUADRATURE_METHODS).map(([key, m]) => (
+                <option key={key} value={key}>{m.label}</option>
+              ))}
+            </select>
+          </label>
 
-      <button className="rainbow-hover" onClick={runSimpson} disabled={!!errMsg}>
-        <span className="sp">Execute</span>
-      </button>
+          {usesN ? (
+            <label>
+              {method === 'gauss' ? 'n (Gauss points)' : 'n (sub‑intervals)'}
+              <input type="number" value={n} onChange={(e) => setN(e.target.value)} />
+            </label>
+          ) : (
+            <label>
+              tolerance
+              <input type="number" value={tol} onChange={(e) => setTol(e.target.value)} />
+            </label>
+          )}
 
-      {result && !errMsg && (
-        <>
-          <section className="results">
-            <h3>Sample Points</h3>
-            <table>
-              <thead>
-                <tr>
-                  <th>i</th>
-                  <th>x<sub>i</sub></th>
-                  <th>f(x<sub>i</sub>)</th>
-                  <th>weight</th>
-                </tr>
-              </thead>
-              <tbody>
-                {result.rows.map(({ i, x, fx, weight }) => (
-                  <tr key={i}>
-                    <td>{i}</td>
-                    <td>{x.toFixed(6)}</td>
-                    <td>{fx.toExponential(3)}</td>
-                    <td>{weight ?? (i === 0 || i === Number(n) ? 1 : '')}</td>
+          <label>
+            exact value (optional, for the true error)
+            <input value={exact} onChange={(e) => setExact(e.target.value)} placeholder="e.g. 2" />
+          </label>
+
+          <label>
+            levels (n doubles each time)
+            <input type="number" value={levels} onChange={(e) => setLevels(e.target.value)} />
+          </label>
+
+          {errMsg && <div className="err-msg">{errMsg}</div>}
+        </section>
+
+        <button className="rainbow-hover" onClick={runIntegration} disabled={!!errMsg}>
+          <span className="sp">Execute</span>
+        </button>
+
+        <button
+          className="rainbow-hover"
+          onClick={runStudy}
+          disabled={!!errMsg || !order}
+          title={order ? '' : 'only for the composite rules, which have a panel count to refine'}
+        >
+          <span className="sp">Convergence study</span>
+        </button>
+
+        {result && !errMsg && (
+          <>
+            <section className="results">
+              <h3>Sample Points</h3>
+              <table>
+                <thead>
+                  <tr>
+                    <th>i</th>
+                    <th>x<sub>i</sub></th>
+                    <th>f(x<sub>i</sub>)</th>
+                    <th>weight</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.rows.map(({ i, x, fx, weight }) => (
+                    <tr key={i}>
+                      <td>{i}</td>
+                      <td>{Math.abs(x) < 1e6 ? x.toFixed(6) : x.toExponential(4)}</td>
+                      <td>{fx.toExponential(3)}</td>
+                      <td>
+                        {weight === undefined ? '—' : Number.isInteger(weight) ? weight : weight.toPrecision(6)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {note && <p>ℹ️ {note}</p>}
+              {result.status === 'divergent' && (
+                <div className="err-msg">
+                  ⚠️ The integral looks divergent: the contributions near the ends
+                  of the range do not die out (last estimate {result.integral.toExponential(3)}).
+                </div>
+              )}
+              {result.status === 'non-finite' && (
+                <div className="err-msg">
+                  ⚠️ f is not finite
+                  {result.badX !== null ? ` at x = ${result.badX.toPrecision(6)}` : ' at some sample point'}
+                  {' '}inside the interval – split the integral there or check f.
+                </div>
+              )}
+              {result.status !== 'divergent' && result.status !== 'non-finite' && (
+                <p>
+                  {result.label} approximation ≈ <strong>{result.integral.toFixed(10)}</strong>
+                  {' '}using {result.evals} evaluations of f
+                  {result.status !== 'ok' && <> (stopped: {result.status})</>}
+                </p>
+              )}
+              <p>
+                estimated error:{' '}
+                {result.errorEstimate === null
+                  ? '— (needs n divisible by 2 × the rule’s panel group)'
+                  : result.errorEstimate.toExponential(3)}
+                {result.error !== null && <>; true error: {result.error.toExponential(3)}</>}
+              </p>
+
+              {result.tableau && (
+                <>
+                  <h3>Romberg Tableau</h3>
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>panels</th>
+                        {result.tableau.map((_, j) => <th key={j}>R[i][{j}]</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.tableau.map((row, i) => (
+                        <tr key={i}>
+                          <td>{2 ** i}</td>
+                          {result.tableau.map((_, j) => (
+                            <td key={j}>{j < row.length ? row[j].toFixed(12) : ''}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+
+              {result.intervals && (
+                <p>
+                  Adaptive Simpson accepted {result.intervals.length} intervals,
+                  the smallest of width{' '}
+                  {Math.min(...result.intervals.map((iv) => iv.b - iv.a)).toExponential(2)}
+                  {' '}(depth {Math.max(...result.intervals.map((iv) => iv.depth))}).
+                </p>
+              )}
+            </section>
+
+            <div className="plot-container">
+              <Plot
+                data={plotData}
+                layout={{
+                  margin: { t: 20 },
+                  xaxis: { title: 'x' },
+                  yaxis: { title: 'f(x)' },
+                  yaxis2: { title: 'depth', overlaying: 'y', side: 'right', rangemode: 'tozero' },
+                  bargap: 0,
+                  height: 400,
+                }}
+                config={{ responsive: true }}
+              />
+            </div>
+          </>
+        )}
+
+        {study && !errMsg && (
+          <>
+            <section className="results">
+              <h3>Convergence Study — {study.label}</h3>
+              <p>Error measured against: {study.baseline}</p>
+              <table>
+                <thead>
+                  <tr>
+                    <th>n</th>
+                    <th>h</th>
+                    <th>|error|</th>
+                    <th>order p</th>
                   </tr>
-                ))}
-              </tbody>
-            </table>
-            <p>
-              Simpson approximation ≈ <strong>{result.integral.toFixed(8)}</strong>
-            </p>
-          </section>
-
-          <div className="plot-container">
-            <Plot
-              data={plotData}
-              layout={{
-                margin: { t: 20 },
-                xaxis: { title: 'x' },
-                yaxis: { title: 'f(x)' },
-                height: 400,
-              }}
-              config={{ responsive: true }}
-            />
-          </div>
+                </thead>
+                <tbody>
+                  {study.rows.map(({ n: nk, h, error, order }) => (
+                    <tr key={nk}>
+                      <td>{nk}</td>
+                      <td>{h.toExponential(3)}</td>
+                      <td>{error.toExponential(3)}</td>
+                      <td>{order === null ? '—' : order.toFixed(3)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p>
+                Fitted order (log–log slope) ≈{' '}
+                <strong>{Number.isFinite(study.order) ? study.order.toFixed(3) : '—'}</strong>
+                {' '}— theory says {study.nominal} for smooth f. Errors at round‑off level are
+                left out of the fit.
+              </p>
+            </section>
+
+            <div className="plot-container">
+              <Plot
+                data={(() => {
+                  const pts = study.rows.filter((r) => r.error > 0);
+                  const hs = pts.map((r) => r.h);
+                  const slope = (p) => hs.map((h) => pts[0].error * (h / pts[0].h) ** p);
+                  return [
+                    { x: hs, y: pts.map((r) => r.error), mode: 'lines+markers', name: '|error|' },
+                    { x: hs, y: slope(4), mode: 'lines', line: { dash: 'dot' }, name: 'slope 4 (Simpson)' },
+                    { x: hs, y: slope(2), mode: 'lines', line: { dash: 'dash' }, name: 'slope 2 (trapezoid)' },
+                  ];
+                })()}
+                layout={{
+                  margin: { t: 20 },
+                  xaxis: { title: 'h', type: 'log', autorange: 'reversed' },
+                  yaxis: { title: '|error|', type: 'log' },
+                  height: 400,
+                }}
+                config={{ responsive: true }}
+              />
+            </div>
+          </>
+        )}
+
+        <MonteCarlo evalF={evalF} lo={lo} hi={hi} exactValue={exactValue} disabled={!!errMsg} />
         </>
       )}
 
@@ -295,7 +624,7 @@ h
         data-label="Register"
         className="rainbow-hover"
         id="backButton"
-        onClick={() => setGoToMenu(true)}
+        onClick={() => navigate('/')}
       >
         <span className="sp">Back to Menu</span>
       </button>
@@ -0,0 +1,55 @@
+// SpyPlot.jsx — where the non‑zeros of a matrix are
+// -----------------------------------------------------------------------------
+// A "spy" plot marks every stored entry (i, j) of a matrix, row 1 at the top
+// like the matrix itself.  `pattern` is { rows, cols, i, j } (see csrPattern
+// and bandFactorPattern in src/numerics/sparse.js).  Up to MAX_POINTS entries
+// are drawn as WebGL markers; beyond that the matrix is cut into blocks and a
+// heat map shows how many non‑zeros fall in each, which keeps 10⁶ entries fast.
+
+import { useMemo } from 'react';
+import Plot from 'react-plotly.js';
+
+const MAX_POINTS = 40000;
+const BLOCKS = 200;
+
+export default function SpyPlot({ pattern, title, size = 420 }) {
+  const data = useMemo(() => {
+    const { rows, cols, i, j } = pattern;
+    if (i.length <= MAX_POINTS) {
+      return [{
+        x: Array.from(j, c => c + 1),
+        y: Array.from(i, r => r + 1),
+        type: 'scattergl',
+        mode: 'markers',
+        marker: { size: Math.max(2, Math.min(8, 400 / Math.max(rows, cols))), color: '#1f77b4' },
+        hoverinfo: 'x+y',
+      }];
+    }
+    const rb = Math.ceil(rows / BLOCKS);
+    const cb = Math.ceil(cols / BLOCKS);
+    const z = Array.from({ length: Math.ceil(rows / rb) }, () => new Array(Math.ceil(cols / cb)).fill(0));
+    for (let t = 0; t < i.length; t++) z[Math.floor(i[t] / rb)][Math.floor(j[t] / cb)]++;
+    return [{
+      z: z.map(row => row.map(c => (c === 0 ? null : c))),
+      x: z[0].map((_, c) => c * cb + 1),
+      y: z.map((_, r) => r * rb + 1),
+      type: 'heatmap',
+      colorscale: 'Blues',
+      colorbar: { title: `nnz per ${rb}×${cb}` },
+    }];
+  }, [pattern]);
+
+  return (
+    <Plot
+      data={data}
+      layout={{
+        width: size + 80,
+        height: size,
+        title: `${title} — nnz = ${pattern.i.length.toLocaleString()}`,
+        xaxis: { range: [0.5, pattern.cols + 0.5], side: 'top' },
+        yaxis: { range: [pattern.rows + 0.5, 0.5], scaleanchor: 'x' },
+        showlegend: false,
+      }}
+    />
+  );
+}
@@ -0,0 +1,54 @@
+// complex.js — minimal complex arithmetic on plain { re, im } objects
+// ---------------------------------------------------------------------------
+// Used by the polynomial root finders and the Newton fractal, where millions
+// of operations make mathjs' Complex class too slow.  Every helper returns
+// a fresh object and never mutates its arguments.
+
+export const cx = (re, im = 0) => ({ re, im });
+export const ZERO = cx(0);
+export const ONE = cx(1);
+
+export const add = (p, q) => cx(p.re + q.re, p.im + q.im);
+export const sub = (p, q) => cx(p.re - q.re, p.im - q.im);
+export const neg = p => cx(-p.re, -p.im);
+export const mul = (p, q) => cx(p.re * q.re - p.im * q.im, p.re * q.im + p.im * q.re);
+export const div = (p, q) => {
+  const d = q.re * q.re + q.im * q.im;
+  return cx((p.re * q.re + p.im * q.im) / d, (p.im * q.re - p.re * q.im) / d);
+};
+export const abs = p => Math.hypot(p.re, p.im);
+
+export const exp = p => {
+  const r = Math.exp(p.re);
+  return cx(r * Math.cos(p.im), r * Math.sin(p.im));
+};
+export const log = p => cx(Math.log(abs(p)), Math.atan2(p.im, p.re));
+export const sqrt = p => {
+  const r = abs(p);
+  const re = Math.sqrt((r + p.re) / 2);
+  const im = Math.sqrt((r - p.re) / 2);
+  return cx(re, p.im < 0 ? -im : im);
+};
+export const sin = p => cx(Math.sin(p.re) * Math.cosh(p.im), Math.cos(p.re) * Math.sinh(p.im));
+export const cos = p => cx(Math.cos(p.re) * Math.cosh(p.im), -Math.sin(p.re) * Math.sinh(p.im));
+export const tan = p => div(sin(p), cos(p));
+export const sinh = p => cx(Math.sinh(p.re) * Math.cos(p.im), Math.cosh(p.re) * Math.sin(p.im));
+export const cosh = p => cx(Math.cosh(p.re) * Math.cos(p.im), Math.sinh(p.re) * Math.sin(p.im));
+export const tanh = p => div(sinh(p), cosh(p));
+
+/* pᵏ by repeated squaring for integer k, e^(q·log p) otherwise */
+export function pow(p, q) {
+  if (q.im === 0 && Number.isInteger(q.re) && Math.abs(q.re) <= 64) {
+    let k = Math.abs(q.re);
+    let result = ONE;
+    let base = p;
+    while (k > 0) {
+      if (k & 1) result = mul(result, base);
+      base = mul(base, base);
+      k >>= 1;
+    }
+    return q.re < 0 ? div(ONE, result) : result;
+  }
+  if (p.re === 0 && p.im === 0) return ZERO;
+  return exp(mul(q, log(p)));
+}
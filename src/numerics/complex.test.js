@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import * as C from './complex.js';
+
+const close = (z, re, im) => {
+  expect(z.re).toBeCloseTo(re, 12);
+  expect(z.im).toBeCloseTo(im, 12);
+};
+
+describe('complex arithmetic', () => {
+  const p = C.cx(1, 2);
+  const q = C.cx(3, -1);
+
+  it('adds, multiplies and divides', () => {
+    expect(C.add(p, q)).toEqual(C.cx(4, 1));
+    expect(C.mul(p, q)).toEqual(C.cx(5, 5));
+    close(C.div(C.mul(p, q), q), 1, 2);
+    expect(C.abs(C.cx(3, 4))).toBe(5);
+  });
+
+  it('never mutates its arguments', () => {
+    C.mul(p, q);
+    expect(p).toEqual({ re: 1, im: 2 });
+  });
+
+  it('evaluates the elementary functions', () => {
+    close(C.exp(C.cx(0, Math.PI)), -1, 0);
+    close(C.log(C.cx(-1)), 0, Math.PI);
+    close(C.sqrt(C.cx(-4)), 0, 2);
+    close(C.sqrt(C.cx(-4, -0.0)), 0, 2);
+    close(C.sqrt(C.cx(0, -2)), 1, -1);
+    close(C.sin(C.cx(0, 1)), 0, Math.sinh(1));
+    close(C.tanh(C.cx(1)), Math.tanh(1), 0);
+  });
+
+  it('raises to integer powers exactly and to others through log', () => {
+    expect(C.pow(C.cx(0, 1), C.cx(2))).toEqual(C.cx(-1, 0));
+    close(C.pow(C.cx(2), C.cx(-2)), 0.25, 0);
+    close(C.pow(C.cx(-1), C.cx(0.5)), 0, 1);
+    expect(C.pow(C.ZERO, C.cx(0.5))).toEqual(C.ZERO);
+  });
+});
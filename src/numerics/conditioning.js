@@ -0,0 +1,112 @@
+// conditioning.js — how much Ax = b amplifies perturbations
+// ---------------------------------------------------------------------------
+// κ_p(A) = ‖A‖_p ‖A⁻¹‖_p bounds the relative change of x by the relative
+// change of b:  ‖δx‖/‖x‖ ≤ κ(A) ‖δb‖/‖b‖.  The 1‑ and ∞‑norms are the
+// largest column and row sums (A⁻¹ formed from an LU factorisation); the
+// 2‑norm is σ_max / σ_min from the SVD.  For a computed x̂ the normwise
+// backward error η = ‖b − Ax̂‖ / (‖A‖‖x̂‖ + ‖b‖) is the smallest relative
+// change of A and b that x̂ solves exactly, and to first order the forward
+// error is at most κ·η.  Dense matrices only.  Presets:
+//   • hilbert(n)      hᵢⱼ = 1 / (i + j − 1), κ₂ grows like e^{3.5n}
+//   • vandermonde(n)  powers of n equispaced nodes in [0, 1]
+
+import { luFactor, luSolve, matVec } from './linear.js';
+import { svd } from './factorizations.js';
+import { mulberry32 } from './montecarlo.js';
+
+/* ─────────────────────────────── norms ────────────────────────────── */
+export function vectorNorm(v, p = 2) {
+  if (p === 1) return v.reduce((s, x) => s + Math.abs(x), 0);
+  if (p === Infinity) return v.reduce((m, x) => Math.max(m, Math.abs(x)), 0);
+  return Math.sqrt(v.reduce((s, x) => s + x * x, 0));
+}
+
+export function matrixNorm(A, p = 2) {
+  if (p === 1) return A[0].reduce((m, _, j) => Math.max(m, A.reduce((s, row) => s + Math.abs(row[j]), 0)), 0);
+  if (p === Infinity) return A.reduce((m, row) => Math.max(m, vectorNorm(row, 1)), 0);
+  return svd(A).S[0];
+}
+
+export function inverse(A) {
+  const F = luFactor(A);
+  if (F.singular) throw new Error('A is singular');
+  const n = A.length;
+  const columns = Array.from({ length: n }, (_, j) => luSolve(F, Array.from({ length: n }, (_, i) => (i === j ? 1 : 0))));
+  return columns[0].map((_, i) => columns.map(col => col[i]));
+}
+
+// κ in the 1, 2 and ∞ norms; Infinity for a singular A
+export function conditionNumbers(A) {
+  const { S } = svd(A);
+  const sigmaMin = S[S.length - 1];
+  let Ainv = null;
+  try {
+    Ainv = inverse(A);
+  } catch {
+    // singular: every κ is infinite
+  }
+  return {
+    one: Ainv ? matrixNorm(A, 1) * matrixNorm(Ainv, 1) : Infinity,
+    two: sigmaMin > 0 ? S[0] / sigmaMin : Infinity,
+    inf: Ainv ? matrixNorm(A, Infinity) * matrixNorm(Ainv, Infinity) : Infinity,
+  };
+}
+
+// normwise backward error of x̂ in the norm p
+export function backwardError(A, x, b, p = 2) {
+  const Ax = matVec(A, x);
+  const r = b.map((bi, i) => bi - Ax[i]);
+  return vectorNorm(r, p) / (matrixNorm(A, p) * vectorNorm(x, p) + vectorNorm(b, p));
+}
+
+/* ────────────────────────────── presets ───────────────────────────── */
+export function hilbert(n) {
+  if (!(Number.isInteger(n) && n >= 1)) throw new Error('n must be a positive integer');
+  return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => 1 / (i + j + 1)));
+}
+
+export function vandermonde(n) {
+  if (!(Number.isInteger(n) && n >= 1)) throw new Error('n must be a positive integer');
+  const nodes = Array.from({ length: n }, (_, i) => (n === 1 ? 0 : i / (n - 1)));
+  return nodes.map(t => Array.from({ length: n }, (_, j) => t ** j));
+}
+
+/* ───────────────────────── perturbation study ─────────────────────── */
+// Solve Ax = b, then A(x + δx) = b + δb for `trials` random directions δb
+// with ‖δb‖₂ = size·‖b‖₂ and record the amplification
+// (‖δx‖/‖x‖) / (‖δb‖/‖b‖) ≤ κ₂.  `worst` takes δb along the left singular
+// vector of σ_min, the direction A⁻¹ stretches most.  b must be non‑zero,
+// since every change is measured relative to it.
+export function perturbationExperiment(A, b, { trials = 200, size = 1e-8, seed = 1 } = {}) {
+  const normB = vectorNorm(b);
+  if (normB === 0) throw new Error('b must be non-zero');
+  const F = luFactor(A);
+  if (F.singular) throw new Error('A is singular');
+  const rand = mulberry32(seed);
+  const gauss = () => Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+  const x = luSolve(F, b);
+  const normX = vectorNorm(x);
+
+  const measure = direction => {
+    const scaleBy = (size * normB) / vectorNorm(direction);
+    const db = direction.map(d => d * scaleBy);
+    const xp = luSolve(F, b.map((bi, i) => bi + db[i]));
+    const relB = vectorNorm(db) / normB;
+    const relX = vectorNorm(xp.map((v, i) => v - x[i])) / normX;
+    return { relB, relX, amplification: relX / relB };
+  };
+
+  const rows = Array.from({ length: trials }, (_, t) => ({
+    trial: t + 1,
+    ...measure(Array.from({ length: b.length }, gauss)),
+  }));
+  const { U, S } = svd(A);
+  const worst = measure(U.map(row => row[S.length - 1]));
+  return {
+    x,
+    kappa: S[0] / S[S.length - 1],
+    rows,
+    worst,
+    max: rows.reduce((m, r) => Math.max(m, r.amplification), 0),
+  };
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  vectorNorm, matrixNorm, inverse, conditionNumbers, backwardError, hilbert, vandermonde,
+  perturbationExperiment,
+} from './conditioning.js';
+
+const A = [[1, 2], [3, 4]];
+
+describe('norms', () => {
+  it('measures vectors in the 1, 2 and ∞ norms', () => {
+    expect(vectorNorm([3, -4])).toBe(5);
+    expect(vectorNorm([3, -4], 1)).toBe(7);
+    expect(vectorNorm([3, -4], Infinity)).toBe(4);
+  });
+
+  it('takes column sums, row sums and σ_max for matrices', () => {
+    expect(matrixNorm(A, 1)).toBe(6);
+    expect(matrixNorm(A, Infinity)).toBe(7);
+    expect(matrixNorm([[3, 0], [0, -5]])).toBeCloseTo(5, 14);
+  });
+});
+
+describe('conditionNumbers', () => {
+  it('matches the hand computation for a 2 × 2 matrix', () => {
+    // A⁻¹ = [[−2, 1], [1.5, −0.5]]
+    const Ainv = inverse(A);
+    expect(Ainv[0][0]).toBeCloseTo(-2, 14);
+    expect(Ainv[1][0]).toBeCloseTo(1.5, 14);
+    const kappa = conditionNumbers(A);
+    expect(kappa.one).toBeCloseTo(6 * 3.5, 12);
+    expect(kappa.inf).toBeCloseTo(7 * 3, 12);
+    expect(kappa.two).toBeCloseTo((15 + Math.sqrt(221)) / 2, 10);   // σ₁/σ₂ from σ² = 15 ± √221
+  });
+
+  it('is infinite for a singular matrix', () => {
+    expect(conditionNumbers([[1, 2], [2, 4]])).toEqual({ one: Infinity, two: Infinity, inf: Infinity });
+    expect(() => inverse([[1, 2], [2, 4]])).toThrow('A is singular');
+  });
+
+  it('grows quickly for the Hilbert matrix', () => {
+    expect(hilbert(3)[2]).toEqual([1 / 3, 1 / 4, 1 / 5]);
+    expect(conditionNumbers(hilbert(4)).two / 15513.74).toBeCloseTo(1, 4);
+    expect(conditionNumbers(hilbert(8)).two).toBeGreaterThan(1e10);
+    expect(() => hilbert(0)).toThrow('n must be a positive integer');
+  });
+
+  it('builds Vandermonde matrices on equispaced nodes', () => {
+    expect(vandermonde(3)).toEqual([[1, 0, 0], [1, 0.5, 0.25], [1, 1, 1]]);
+    expect(vandermonde(1)).toEqual([[1]]);
+  });
+});
+
+describe('backwardError', () => {
+  it('is zero for an exact solution and measures a wrong one', () => {
+    expect(backwardError(A, [1, 1], [3, 7])).toBe(0);
+    // r = (0, 1): η∞ = 1 / (7·1 + 7)
+    expect(backwardError(A, [1, 1], [3, 8], Infinity)).toBeCloseTo(1 / 15, 14);
+  });
+});
+
+describe('perturbationExperiment', () => {
+  it('never amplifies beyond κ₂ and amplifies most along the worst direction', () => {
+    const H = hilbert(5);
+    const b = [1, 1, 1, 1, 1];
+    const r = perturbationExperiment(H, b, { trials: 50, size: 1e-10 });
+    expect(r.rows).toHaveLength(50);
+    expect(r.kappa).toBeCloseTo(conditionNumbers(H).two, -2);
+    expect(r.max).toBeLessThanOrEqual(r.kappa * (1 + 1e-6));
+    expect(r.rows.every(row => row.relB > 0 && row.amplification <= r.kappa * (1 + 1e-6))).toBe(true);
+    // along u_min the amplification is ‖b‖ / (σ_min‖x‖), beyond any random direction
+    expect(r.worst.amplification).toBeGreaterThanOrEqual(r.max);
+  });
+
+  it('is reproducible for a fixed seed', () => {
+    const a = perturbationExperiment(A, [1, 0], { trials: 5, seed: 7 });
+    const b = perturbationExperiment(A, [1, 0], { trials: 5, seed: 7 });
+    expect(a.rows).toEqual(b.rows);
+  });
+
+  it('rejects a zero right-hand side and a singular matrix', () => {
+    expect(() => perturbationExperiment(A, [0, 0])).toThrow('b must be non-zero');
+    expect(() => perturbationExperiment([[1, 2], [2, 4]], [1, 0])).toThrow('A is singular');
+  });
+});
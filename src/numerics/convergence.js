@@ -0,0 +1,70 @@
+// convergence.js — observed order of accuracy from a step‑size sweep
+// ---------------------------------------------------------------------------
+// A method of order p has error ≈ C·hᵖ, so on log–log axes the errors of a
+// sweep over h lie on a line of slope p.  `convergenceStudy` evaluates the
+// error at every h and reports the order twice: pairwise between successive
+// levels, p = log(e₁/e₂) / log(h₁/h₂), and as the least‑squares slope over
+// all usable levels.  Errors at or below `floor` are dominated by round‑off
+// (or by the reference solution) and are left out of both estimates.
+
+/* least‑squares slope of log(error) against log(h) */
+export function fitOrder(hs, errors, { floor = 1e-12 } = {}) {
+  const pts = hs
+    .map((h, i) => [Math.log(h), Math.log(errors[i])])
+    .filter((_, i) => Number.isFinite(errors[i]) && errors[i] > floor);
+  if (pts.length < 2) return NaN;
+  const mx = pts.reduce((s, [x]) => s + x, 0) / pts.length;
+  const my = pts.reduce((s, [, y]) => s + y, 0) / pts.length;
+  let sxy = 0;
+  let sxx = 0;
+  pts.forEach(([x, y]) => {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+  });
+  return sxy / sxx;
+}
+
+/* run `errorAt(h)` for every h (largest first) and estimate the order */
+export function convergenceStudy(errorAt, hs, { floor = 1e-12 } = {}) {
+  const usable = e => Number.isFinite(e) && e > floor;
+  const rows = [];
+  hs.forEach((h, i) => {
+    const error = Math.abs(errorAt(h));
+    const prev = rows[i - 1];
+    const order = prev && usable(prev.error) && usable(error)
+      ? Math.log(prev.error / error) / Math.log(prev.h / h)
+      : null;
+    rows.push({ h, error, order });
+  });
+  return {
+    rows,
+    order: fitOrder(rows.map(r => r.h), rows.map(r => r.error), { floor }),
+  };
+}
+
+/* ─────────── order of an iteration xₙ → x* from its iterates ─────────── */
+// An iteration of order p has |eₙ₊₁| ≈ C·|eₙ|ᵖ, so qₙ = log|eₙ₊₁| / log|eₙ|
+// tends to p as eₙ → 0 (slowly: the C shifts it while |eₙ| is not tiny).
+// Without `root` the error is estimated by the correction |xₙ₊₁ − xₙ|, which
+// is eₙ to first order for a superlinear method and a fixed fraction of it for
+// a linear one, so the ratio |eₙ₊₁|/|eₙ| — the linear rate — survives too.
+// Rows whose errors are ≥ 1 (log has the wrong sign) or at round‑off level
+// get order/ratio null.
+export function iterationOrders(xs, { root, floor } = {}) {
+  const scale = Math.max(1, ...xs.filter(Number.isFinite).map(Math.abs));
+  const tiny = floor ?? 1e-13 * scale;
+  const errors = root === undefined
+    ? xs.slice(0, -1).map((x, n) => Math.abs(xs[n + 1] - x))
+    : xs.map(x => Math.abs(x - root));
+  const usable = e => Number.isFinite(e) && e > tiny && e < 1;
+  return errors.map((error, n) => {
+    const next = errors[n + 1];
+    const ok = usable(error) && usable(next);
+    return {
+      n,
+      error,
+      order: ok ? Math.log(next) / Math.log(error) : null,
+      ratio: ok ? next / error : null,
+    };
+  });
+}
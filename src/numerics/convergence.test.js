@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { fitOrder, convergenceStudy, iterationOrders } from './convergence.js';
+import { newton, estimateMultiplicity } from './roots.js';
+import { simpson } from './quadrature.js';
+import { solveIVP } from './ode.js';
+
+describe('fitOrder', () => {
+  it('recovers the exponent of C·hᵖ', () => {
+    const hs = [0.1, 0.05, 0.025];
+    expect(fitOrder(hs, hs.map(h => 3 * h ** 2))).toBeCloseTo(2, 12);
+  });
+
+  it('leaves out errors at the floor and returns NaN with too few points', () => {
+    const hs = [0.1, 0.05, 0.025, 0.0125];
+    expect(fitOrder(hs, [1e-4, 1e-5, 0, 1e-13])).toBeCloseTo(Math.log2(10), 12);
+    expect(fitOrder([0.1], [1e-3])).toBeNaN();
+  });
+});
+
+describe('convergenceStudy', () => {
+  it('sees fourth order for composite Simpson', () => {
+    const exact = Math.E - 1;
+    const ns = [4, 8, 16, 32];
+    const { rows, order } = convergenceStudy(h => simpson(Math.exp, 0, 1, Math.round(1 / h)).value - exact, ns.map(n => 1 / n));
+    expect(rows[0].order).toBeNull();
+    rows.slice(1).forEach(r => expect(r.order).toBeCloseTo(4, 1));
+    expect(order).toBeCloseTo(4, 1);
+  });
+
+  it('sees fifth order for RK45 with a fixed step', () => {
+    const { order } = convergenceStudy(h => solveIVP('rk45', (t, y) => -y, 0, 1, 1, { h }).y - Math.exp(-1), [0.2, 0.1, 0.05]);
+    expect(order).toBeCloseTo(5, 0);
+  });
+
+  it('reports null orders once the error reaches round-off', () => {
+    const { rows } = convergenceStudy(() => 0, [0.1, 0.05]);
+    expect(rows.map(r => r.order)).toEqual([null, null]);
+  });
+});
+
+describe('iterationOrders', () => {
+  it('sees order 2 for Newton on a simple root', () => {
+    const { steps } = newton(x => x * x - 2, x => 2 * x, 3, { tol: 1e-15 });
+    const rows = iterationOrders(steps.map(s => s.x), { root: Math.SQRT2 });
+    const orders = rows.map(r => r.order).filter(o => o !== null);
+    expect(orders[orders.length - 1]).toBeGreaterThan(1.8);
+  });
+
+  it('sees a linear rate of 1/2 at a double root, also without the root', () => {
+    const { steps } = newton(x => (x - 1) ** 2, x => 2 * (x - 1), 2, { tol: 1e-12, maxIter: 25 });
+    const xs = steps.map(s => s.x);
+    const withRoot = iterationOrders(xs, { root: 1 });
+    const withoutRoot = iterationOrders(xs);
+    expect(withRoot[5].ratio).toBeCloseTo(0.5, 12);
+    expect(withoutRoot[5].ratio).toBeCloseTo(0.5, 12);
+    expect(withoutRoot).toHaveLength(xs.length - 1);
+  });
+
+  it('leaves rows with errors ≥ 1 or at round-off without an order', () => {
+    const rows = iterationOrders([5, 3, 1 + 1e-16, 1], { root: 1 });
+    expect(rows[0].order).toBeNull();
+    expect(rows[2].order).toBeNull();
+    expect(rows[3].order).toBeNull();
+  });
+});
+
+describe('multiplicity from the iterates', () => {
+  const run = (m, multiplicity = 1) => newton(x => (x - 1) ** m, x => m * (x - 1) ** (m - 1), 2, {
+    tol: 1e-14, maxIter: 60, multiplicity,
+  });
+
+  it('estimateMultiplicity turns the linear rate (m − 1)/m into m', () => {
+    for (const m of [2, 3, 4]) {
+      const rows = iterationOrders(run(m).steps.map(s => s.x), { root: 1 });
+      expect(estimateMultiplicity(rows).m).toBe(m);
+    }
+  });
+
+  it('returns null for superlinear convergence', () => {
+    const { steps } = newton(x => Math.exp(x) - 2, Math.exp, 3, { tol: 1e-15 });
+    const rows = iterationOrders(steps.map(s => s.x), { root: Math.LN2 });
+    expect(rows.filter(r => r.order !== null).length).toBeGreaterThanOrEqual(2);
+    expect(estimateMultiplicity(rows)).toBeNull();
+  });
+
+  it('modified Newton with the right m converges in a few steps', () => {
+    const plain = run(3);
+    const modified = run(3, 3);
+    expect(modified.converged).toBe(true);
+    expect(modified.iterations).toBeLessThan(plain.iterations / 5);
+    expect(() => run(3, 0.5)).toThrow('multiplicity must be at least 1');
+  });
+});
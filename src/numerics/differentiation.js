@@ -0,0 +1,39 @@
+// differentiation.js — finite‑difference derivative estimates
+// ---------------------------------------------------------------------------
+// finiteDifferences(f, x, hs, exact) evaluates forward, backward and central
+// differences for every step size in `hs` and, when the exact derivative is
+// known, the absolute error of each.
+
+import { countEvals } from './expr.js';
+
+export function finiteDifferences(f, x, hs = [1e-1, 1e-2, 1e-3, 1e-4, 1e-5, 1e-6], exact = NaN) {
+  const F = countEvals(f);
+  const x0 = Number(x);
+  const fx = F.f(x0);
+
+  const steps = hs.map((h) => {
+    const fp = F.f(x0 + h);
+    const fm = F.f(x0 - h);
+    const fwd = (fp - fx) / h;
+    const back = (fx - fm) / h;
+    const ctr = (fp - fm) / (2 * h);
+    return {
+      h,
+      fwd,
+      back,
+      ctr,
+      efwd: Math.abs(fwd - exact),
+      eback: Math.abs(back - exact),
+      ectr: Math.abs(ctr - exact),
+    };
+  });
+
+  const finite = steps.every(r => Number.isFinite(r.ctr));
+  return {
+    derivative: steps.length ? steps[steps.length - 1].ctr : NaN,
+    steps,
+    converged: finite,
+    status: finite ? 'ok' : 'non-finite',
+    evals: F.evals,
+  };
+}
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { finiteDifferences } from './differentiation.js';
+
+describe('finiteDifferences', () => {
+  it('central differences are second order, one-sided first order', () => {
+    const r = finiteDifferences(Math.exp, 0, [1e-2, 1e-3], 1);
+    const [coarse, fine] = r.steps;
+    expect(coarse.efwd / fine.efwd).toBeCloseTo(10, 0);
+    expect(coarse.ectr / fine.ectr).toBeCloseTo(100, -1);
+    expect(r.derivative).toBeCloseTo(1, 6);
+    expect(r.status).toBe('ok');
+  });
+
+  it('counts f(x) once and two samples per step', () => {
+    expect(finiteDifferences(Math.sin, 1).evals).toBe(1 + 2 * 6);
+  });
+
+  it('reports non-finite samples', () => {
+    const r = finiteDifferences(Math.sqrt, 0, [1e-3]);
+    expect(r.status).toBe('non-finite');
+    expect(r.converged).toBe(false);
+  });
+});
@@ -0,0 +1,238 @@
+// expr.js — turn user‑typed expressions into plain JS callables
+// ---------------------------------------------------------------------------
+// The solvers in src/numerics never see mathjs: they take ordinary functions.
+// These helpers compile an expression string once and hand back a closure,
+// plus a small wrapper that counts how often a function is evaluated.
+
+import { compile, derivative, parse, simplify, rationalize, ConstantNode } from 'mathjs';
+import * as C from './complex.js';
+
+/* compile `expr` as a function of one variable; throws on syntax errors */
+export function makeFunction(expr, variable = 'x') {
+  const compiled = compile(expr);
+  return (value) => compiled.evaluate({ [variable]: value });
+}
+
+/* compile `expr` as a function of several named variables (in order) */
+export function makeFunctionOf(expr, variables) {
+  const compiled = compile(expr);
+  return (...values) => {
+    const scope = {};
+    variables.forEach((name, i) => { scope[name] = values[i]; });
+    return compiled.evaluate(scope);
+  };
+}
+
+/* symbolic derivative d(expr)/d(variable) as a callable */
+export function makeDerivative(expr, variable = 'x') {
+  const compiled = derivative(expr, variable).compile();
+  return (value) => compiled.evaluate({ [variable]: value });
+}
+
+/* compile one expression per component into f(t, y) → number[];
+   `vars` names the components of y in order (e.g. ['y1', 'y2']) */
+export function makeSystem(exprs, vars, timeVar = 't') {
+  const compiled = exprs.map(e => compile(e));
+  return (t, y) => {
+    const scope = { [timeVar]: t };
+    vars.forEach((name, i) => { scope[name] = y[i]; });
+    return compiled.map(c => c.evaluate(scope));
+  };
+}
+
+/* symbolic Jacobian J[i][j] = ∂exprᵢ/∂varⱼ as (t, y) → number[][] */
+export function makeJacobian(exprs, vars, timeVar = 't') {
+  const entries = exprs.map(e => vars.map(v => derivative(e, v).compile()));
+  return (t, y) => {
+    const scope = { [timeVar]: t };
+    vars.forEach((name, i) => { scope[name] = y[i]; });
+    return entries.map(row => row.map(c => c.evaluate(scope)));
+  };
+}
+
+/* ─────────────────────── ODE systems from text ─────────────────────── */
+// One equation per line, e.g.
+//     x' = 10*(y - x)            explicit first order
+//     theta'' = -sin(theta)      explicit higher order
+//     y'' + 0.1*y' + y = 0       implicit, linear in the highest derivative
+// A single line without '=' is read as y' = <line>.  Every order‑n variable
+// becomes n first‑order states (y, y′, …, y⁽ⁿ⁻¹⁾), which inside expressions
+// are the symbols y, y_d1, …; `labels` holds the primed names for display and
+// `unknowns` the original variables with their orders.
+const PRIMED = /([A-Za-z_][A-Za-z0-9_]*)('+)/g;
+
+const stateName = (name, k) => (k === 0 ? name : `${name}_d${k}`);
+
+export function parseOdeSystem(text) {
+  const lines = String(text).split('\n').map(l => l.trim()).filter(Boolean);
+  if (!lines.length) throw new Error('Enter at least one equation');
+  if (lines.length === 1 && !lines[0].includes('=')) lines[0] = `y' = ${lines[0]}`;
+
+  const defs = [];                                  // { name, order, expr }
+  for (const line of lines) {
+    const eq = line.indexOf('=');
+    if (eq < 0) throw new Error(`"${line}" is not an equation`);
+    const lhs = line.slice(0, eq).trim();
+    const rhs = line.slice(eq + 1).trim();
+    if (!rhs) throw new Error(`"${line}" has an empty right‑hand side`);
+    const unprime = s => s.replace(PRIMED, (_, name, p) => stateName(name, p.length));
+
+    const explicit = lhs.match(/^([A-Za-z_][A-Za-z0-9_]*)('+)$/);
+    if (explicit) {
+      defs.push({ name: explicit[1], order: explicit[2].length, expr: unprime(rhs) });
+      continue;
+    }
+
+    // implicit: F(…, y⁽ⁿ⁾) = 0 solved for the single highest derivative
+    const orders = {};
+    for (const [, name, p] of line.matchAll(PRIMED)) {
+      orders[name] = Math.max(orders[name] ?? 0, p.length);
+    }
+    const names = Object.keys(orders);
+    if (names.length !== 1) {
+      throw new Error(`"${line}": write it as  y' = …  (one derivative on the left)`);
+    }
+    const name = names[0];
+    const order = orders[name];
+    const D = stateName(name, order);
+    const F = parse(`(${unprime(lhs)}) - (${unprime(rhs)})`);
+    const a = derivative(F, D);
+    if (a.filter(n => n.isSymbolNode && n.name === D).length) {
+      throw new Error(`"${line}" is not linear in ${name}${"'".repeat(order)}`);
+    }
+    const b = F.transform(n => (n.isSymbolNode && n.name === D ? parse('0') : n));
+    defs.push({ name, order, expr: simplify(`-(${b.toString()}) / (${a.toString()})`).toString() });
+  }
+
+  const order = {};
+  defs.forEach(d => {
+    if (order[d.name] !== undefined) throw new Error(`${d.name} is defined twice`);
+    order[d.name] = d.order;
+  });
+
+  const vars = [];
+  const labels = [];
+  const equations = [];
+  for (const { name, order: n, expr } of defs) {
+    for (const [, ref, p] of expr.matchAll(/([A-Za-z_][A-Za-z0-9_]*)_d(\d+)/g)) {
+      if (order[ref] !== undefined && Number(p) >= order[ref]) {
+        throw new Error(`${ref}${"'".repeat(Number(p))} is not a state of the system`);
+      }
+    }
+    for (let k = 0; k < n; k++) {
+      vars.push(stateName(name, k));
+      labels.push(name + '′'.repeat(k));
+      equations.push(k < n - 1 ? stateName(name, k + 1) : expr);
+    }
+  }
+  const unknowns = defs.map(({ name, order: n }) => ({ name, order: n }));
+  return { vars, labels, equations, unknowns };
+}
+
+/* Exact solution of a parsed system, one expression in t per line.  Either
+   one line per unknown (y for y'' = …, its derivatives are taken
+   symbolically) or one per state.  Returns y(t) and y′(t) over the states. */
+export function makeExactSolution(text, sys, timeVar = 't') {
+  const lines = String(text).split('\n').map(l => l.trim()).filter(Boolean);
+  let states;
+  if (lines.length === sys.vars.length) {
+    states = lines.map(l => parse(l));
+  } else if (lines.length === sys.unknowns.length) {
+    states = [];
+    sys.unknowns.forEach(({ order }, i) => {
+      let node = parse(lines[i]);
+      for (let k = 0; k < order; k++) {
+        states.push(node);
+        if (k < order - 1) node = derivative(node, timeVar);
+      }
+    });
+  } else {
+    const names = sys.unknowns.map(u => u.name).join(', ');
+    const perState = sys.vars.length > sys.unknowns.length ? ` or ${sys.vars.length} (one per state)` : '';
+    throw new Error(`Exact solution needs ${sys.unknowns.length} line(s) (${names})${perState}`);
+  }
+  const values = states.map(n => n.compile());
+  const slopes = states.map(n => derivative(n, timeVar).compile());
+  return {
+    y: t => values.map(c => c.evaluate({ [timeVar]: t })),
+    dy: t => slopes.map(c => c.evaluate({ [timeVar]: t })),
+  };
+}
+
+/* coefficients [a₀, a₁, …, aₙ] of a polynomial in `variable`, or null when
+   the expression is not one (sin(x), 1/x, …).  Sub‑expressions free of the
+   variable (pi, exp(1), 2/3) are folded to numbers first, which rationalize
+   would otherwise treat as extra variables. */
+export function polynomialCoefficients(expr, variable = 'x') {
+  try {
+    const folded = parse(expr).transform(node => {
+      const free = node.filter(n => n.isSymbolNode && n.name === variable).length === 0;
+      return free && !node.isConstantNode ? new ConstantNode(Number(node.evaluate())) : node;
+    });
+    const { coefficients, variables, denominator } = rationalize(folded, {}, true);
+    if (denominator || variables.some(v => v !== variable)) return null;
+    if (!coefficients.length || !coefficients.every(Number.isFinite)) return null;
+    return coefficients;
+  } catch {
+    return null;
+  }
+}
+
+/* compile a mathjs node tree into a closure z ↦ f(z) on { re, im } values.
+   Covers + − × ÷ ^, i, pi, e and the elementary functions — enough for
+   Newton fractals, and hundreds of times faster than evaluating with
+   mathjs' Complex numbers pixel by pixel. */
+const COMPLEX_FUNCTIONS = {
+  sin: C.sin, cos: C.cos, tan: C.tan, sinh: C.sinh, cosh: C.cosh, tanh: C.tanh,
+  exp: C.exp, log: C.log, sqrt: C.sqrt,
+};
+const COMPLEX_OPERATORS = { add: C.add, subtract: C.sub, multiply: C.mul, divide: C.div, pow: C.pow };
+const COMPLEX_CONSTANTS = { i: C.cx(0, 1), pi: C.cx(Math.PI), e: C.cx(Math.E) };
+
+function compileComplex(node, variable) {
+  if (node.isParenthesisNode) return compileComplex(node.content, variable);
+  if (node.isConstantNode) {
+    const value = C.cx(Number(node.value));
+    return () => value;
+  }
+  if (node.isSymbolNode) {
+    if (node.name === variable) return z => z;
+    const value = COMPLEX_CONSTANTS[node.name];
+    if (!value) throw new Error(`Unknown symbol "${node.name}" (use ${variable}, i, pi or e)`);
+    return () => value;
+  }
+  if (node.isOperatorNode) {
+    const args = node.args.map(arg => compileComplex(arg, variable));
+    if (node.fn === 'unaryMinus') return z => C.neg(args[0](z));
+    if (node.fn === 'unaryPlus') return args[0];
+    const op = COMPLEX_OPERATORS[node.fn];
+    if (!op) throw new Error(`Operator "${node.op}" is not supported for complex z`);
+    return z => op(args[0](z), args[1](z));
+  }
+  if (node.isFunctionNode) {
+    const fn = COMPLEX_FUNCTIONS[node.fn.name];
+    if (!fn || node.args.length !== 1) throw new Error(`Function "${node.fn.name}" is not supported for complex z`);
+    const arg = compileComplex(node.args[0], variable);
+    return z => fn(arg(z));
+  }
+  throw new Error(`Cannot evaluate "${node.toString()}" for complex z`);
+}
+
+/* f(z) and f′(z) (symbolic) as closures on { re, im } */
+export function makeComplexFunction(expr, variable = 'z') {
+  return compileComplex(parse(expr), variable);
+}
+
+export function makeComplexDerivative(expr, variable = 'z') {
+  return compileComplex(derivative(expr, variable), variable);
+}
+
+/* wrap f so that every call is tallied in `counter.evals` */
+export function countEvals(f) {
+  const counter = { evals: 0 };
+  counter.f = (...args) => {
+    counter.evals++;
+    return f(...args);
+  };
+  return counter;
+}
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import {
+  makeFunction, makeFunctionOf, makeDerivative, countEvals, parseOdeSystem, makeSystem, makeJacobian, makeExactSolution,
+  polynomialCoefficients,
+} from './expr.js';
+
+describe('makeFunction', () => {
+  it('compiles an expression of one variable', () => {
+    const f = makeFunction('x^2 - 2');
+    expect(f(3)).toBe(7);
+    expect(makeFunction('sin(t)', 't')(0)).toBe(0);
+  });
+
+  it('throws on a syntax error', () => {
+    expect(() => makeFunction('x^')).toThrow();
+  });
+
+  it('compiles a function of several variables in order', () => {
+    const f = makeFunctionOf('x - 2*y', ['x', 'y']);
+    expect(f(5, 1)).toBe(3);
+  });
+});
+
+describe('makeDerivative', () => {
+  it('differentiates symbolically', () => {
+    const df = makeDerivative('x^3 + sin(x)');
+    expect(df(0)).toBeCloseTo(1, 14);
+    expect(df(2)).toBeCloseTo(12 + Math.cos(2), 14);
+  });
+});
+
+describe('countEvals', () => {
+  it('tallies every call and passes the arguments through', () => {
+    const counter = countEvals((a, b) => a + b);
+    expect(counter.f(1, 2)).toBe(3);
+    counter.f(0, 0);
+    expect(counter.evals).toBe(2);
+  });
+});
+
+describe('parseOdeSystem', () => {
+  it('reads explicit first-order equations', () => {
+    const sys = parseOdeSystem("x' = 10*(y - x)\ny' = x*(28 - z) - y\nz' = x*y - 8/3*z");
+    expect(sys.vars).toEqual(['x', 'y', 'z']);
+    expect(sys.labels).toEqual(['x', 'y', 'z']);
+    expect(sys.unknowns).toEqual([{ name: 'x', order: 1 }, { name: 'y', order: 1 }, { name: 'z', order: 1 }]);
+  });
+
+  it('turns a single expression into y′ = expression', () => {
+    const sys = parseOdeSystem('-2*y + t');
+    expect(sys.vars).toEqual(['y']);
+    expect(sys.equations).toEqual(['-2*y + t']);
+  });
+
+  it('splits higher-order equations into first-order states', () => {
+    const sys = parseOdeSystem("theta'' = -sin(theta)");
+    expect(sys.vars).toEqual(['theta', 'theta_d1']);
+    expect(sys.labels).toEqual(['theta', 'theta′']);
+    expect(sys.equations).toEqual(['theta_d1', '-sin(theta)']);
+    const f = makeSystem(sys.equations, sys.vars);
+    expect(f(0, [Math.PI / 2, 3])).toEqual([3, -1]);
+  });
+
+  it('solves an implicit equation for its highest derivative', () => {
+    const sys = parseOdeSystem("y'' + 0.5*y' + 4*y = 0");
+    const f = makeSystem(sys.equations, sys.vars);
+    const [dy, ddy] = f(0, [1, 2]);
+    expect(dy).toBe(2);
+    expect(ddy).toBeCloseTo(-0.5 * 2 - 4 * 1, 12);
+  });
+
+  it('rejects malformed systems', () => {
+    expect(() => parseOdeSystem('')).toThrow('at least one equation');
+    expect(() => parseOdeSystem("y' = 1\ny' = 2")).toThrow('defined twice');
+    expect(() => parseOdeSystem("y''^2 + y = 1")).toThrow('not linear');
+    expect(() => parseOdeSystem("y' = y''")).toThrow('not a state');
+  });
+});
+
+describe('makeJacobian', () => {
+  it('differentiates every component symbolically', () => {
+    const J = makeJacobian(['u*v', 'sin(u) + t'], ['u', 'v']);
+    expect(J(0, [1, 2])).toEqual([[2, 1], [Math.cos(1), 0]]);
+  });
+});
+
+describe('makeExactSolution', () => {
+  const sys = parseOdeSystem("y'' = -y");
+
+  it('differentiates one line per unknown into every state', () => {
+    const exact = makeExactSolution('sin(t)', sys);
+    const [y, dy] = exact.y(1);
+    expect(y).toBeCloseTo(Math.sin(1), 14);
+    expect(dy).toBeCloseTo(Math.cos(1), 14);
+    expect(exact.dy(1)[1]).toBeCloseTo(-Math.sin(1), 14);
+  });
+
+  it('accepts one line per state', () => {
+    const exact = makeExactSolution('cos(t)\n-sin(t)', sys);
+    expect(exact.y(0)).toEqual([1, -0]);
+  });
+
+  it('asks for the right number of lines', () => {
+    expect(() => makeExactSolution('sin(t)\ncos(t)\n1', sys)).toThrow('needs 1 line(s) (y) or 2 (one per state)');
+  });
+});
+
+describe('polynomialCoefficients', () => {
+  it('expands polynomials into ascending coefficients', () => {
+    expect(polynomialCoefficients('(x - 1)^2 * (x + 2)')).toEqual([2, -3, 0, 1]);
+    expect(polynomialCoefficients('pi*x^2 + 1')).toEqual([1, 0, Math.PI]);
+  });
+
+  it('returns null for anything else', () => {
+    expect(polynomialCoefficients('sin(x)')).toBeNull();
+    expect(polynomialCoefficients('1/x + x')).toBeNull();
+    expect(polynomialCoefficients('x*y')).toBeNull();
+  });
+});
@@ -0,0 +1,228 @@
+// factorizations.js — Cholesky, QR and SVD of dense matrices
+// ---------------------------------------------------------------------------
+// Companions to the LU factorisation (linear.js, mathjs' lup): each writes A
+// as a product of structured factors once, after which every right‑hand side
+// costs only O(n²).
+//   • cholesky     A = LLᵀ for symmetric positive definite A, half the work
+//                  of LU and no pivoting needed
+//   • householder  A = QR, R zeroed a column at a time by reflections
+//                  I − 2vvᵀ; backward stable, about 4/3 n³ flops
+//   • givens       A = QR, R zeroed one entry at a time by plane rotations;
+//                  costlier when dense but touches only two rows per step
+//   • svd          A = UΣVᵀ by one‑sided Jacobi rotations of the columns;
+//                  solving drops singular values below rcond·σ₁, giving the
+//                  minimum‑norm least‑squares solution when A is singular
+// `factorize(kind, A)` returns { factors, product, error, solve } where
+// `factors` holds the named matrices, `product` multiplies them back,
+// `error` is ‖A − product‖_F and `solve(b)` reuses the factors.
+
+import { forwardSubstitution, backSubstitution } from './linear.js';
+import { isSymmetric } from './krylov.js';
+
+/* ─────────────────────── small dense utilities ─────────────────────── */
+export function transpose(A) {
+  return A[0].map((_, j) => A.map(row => row[j]));
+}
+
+export function matMul(A, B) {
+  return A.map(row => B[0].map((_, j) => row.reduce((s, aik, k) => s + aik * B[k][j], 0)));
+}
+
+export function frobeniusNorm(A) {
+  return Math.sqrt(A.reduce((s, row) => s + row.reduce((t, v) => t + v * v, 0), 0));
+}
+
+const identity = n => Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+/* ───────────────────────────── Cholesky ───────────────────────────── */
+export function cholesky(A) {
+  if (!isSymmetric(A)) throw new Error('Cholesky needs a symmetric matrix');
+  const n = A.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let j = 0; j < n; j++) {
+    let d = A[j][j];
+    for (let k = 0; k < j; k++) d -= L[j][k] * L[j][k];
+    if (!(d > 0)) throw new Error(`A is not positive definite (pivot ${j + 1} is ${d.toPrecision(3)})`);
+    L[j][j] = Math.sqrt(d);
+    for (let i = j + 1; i < n; i++) {
+      let s = A[i][j];
+      for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+      L[i][j] = s / L[j][j];
+    }
+  }
+  return L;
+}
+
+// LLᵀx = b: forward with L, then back with Lᵀ
+export function choleskySolve(L, b) {
+  return backSubstitution(transpose(L), forwardSubstitution(L, b));
+}
+
+/* ──────────────────────────────── QR ──────────────────────────────── */
+// A is m × n with m ≥ n; Q is m × m orthogonal, R is m × n upper triangular
+export function householderQR(A) {
+  const m = A.length;
+  const n = A[0].length;
+  if (m < n) throw new Error('QR needs at least as many rows as columns');
+  const R = A.map(row => [...row]);
+  const Q = identity(m);
+  for (let k = 0; k < Math.min(m - 1, n); k++) {
+    const x = R.slice(k).map(row => row[k]);
+    const alpha = (x[0] >= 0 ? -1 : 1) * Math.hypot(...x);
+    const v = [...x];
+    v[0] -= alpha;
+    const vn = Math.hypot(...v);
+    if (vn === 0) continue;
+    for (let i = 0; i < v.length; i++) v[i] /= vn;
+    // R ← (I − 2vvᵀ)R on rows k…m−1, Q ← Q(I − 2vvᵀ) on columns k…m−1
+    for (let j = k; j < n; j++) {
+      const s = 2 * v.reduce((t, vi, i) => t + vi * R[k + i][j], 0);
+      for (let i = 0; i < v.length; i++) R[k + i][j] -= s * v[i];
+    }
+    Q.forEach(row => {
+      const s = 2 * v.reduce((t, vi, i) => t + vi * row[k + i], 0);
+      for (let i = 0; i < v.length; i++) row[k + i] -= s * v[i];
+    });
+    for (let i = k + 1; i < m; i++) R[i][k] = 0;
+  }
+  return { Q, R };
+}
+
+// rotations in rows (i − 1, i), bottom‑up in each column; `rotations` counts
+// the ones applied (entries already zero are skipped)
+export function givensQR(A) {
+  const m = A.length;
+  const n = A[0].length;
+  if (m < n) throw new Error('QR needs at least as many rows as columns');
+  const R = A.map(row => [...row]);
+  const Q = identity(m);
+  let rotations = 0;
+  for (let j = 0; j < n; j++) {
+    for (let i = m - 1; i > j; i--) {
+      const a = R[i - 1][j];
+      const b = R[i][j];
+      if (b === 0) continue;
+      const r = Math.hypot(a, b);
+      const c = a / r;
+      const s = b / r;
+      for (let k = j; k < n; k++) {
+        const top = R[i - 1][k];
+        R[i - 1][k] = c * top + s * R[i][k];
+        R[i][k] = -s * top + c * R[i][k];
+      }
+      R[i][j] = 0;
+      Q.forEach(row => {
+        const left = row[i - 1];
+        row[i - 1] = c * left + s * row[i];
+        row[i] = -s * left + c * row[i];
+      });
+      rotations++;
+    }
+  }
+  return { Q, R, rotations };
+}
+
+// QRx = b through Rx = Qᵀb; for m > n this is the least‑squares solution
+export function qrSolve({ Q, R }, b) {
+  const n = R[0].length;
+  const y = transpose(Q).map(row => row.reduce((s, q, i) => s + q * b[i], 0));
+  return backSubstitution(R.slice(0, n), y.slice(0, n));
+}
+
+/* ──────────────────────────────── SVD ─────────────────────────────── */
+// One‑sided Jacobi (Hestenes): rotate pairs of columns of U = AV until all
+// are orthogonal; then σⱼ = ‖uⱼ‖.  S is sorted descending; `sweeps` counts
+// passes over all column pairs.
+export function svd(A, { tol = 1e-14, maxSweeps = 60 } = {}) {
+  const m = A.length;
+  const n = A[0].length;
+  if (m < n) throw new Error('the SVD here needs at least as many rows as columns');
+  const U = A.map(row => [...row]);
+  const V = identity(n);
+  let sweeps = 0;
+  let rotated = true;
+  while (rotated) {
+    if (sweeps === maxSweeps) throw new Error(`the Jacobi SVD did not converge in ${maxSweeps} sweeps`);
+    sweeps++;
+    rotated = false;
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) {
+        let alpha = 0;
+        let beta = 0;
+        let gamma = 0;
+        for (let i = 0; i < m; i++) {
+          alpha += U[i][p] * U[i][p];
+          beta += U[i][q] * U[i][q];
+          gamma += U[i][p] * U[i][q];
+        }
+        if (Math.abs(gamma) <= tol * Math.sqrt(alpha * beta)) continue;
+        rotated = true;
+        const zeta = (beta - alpha) / (2 * gamma);
+        const t = (zeta >= 0 ? 1 : -1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+        const c = 1 / Math.sqrt(1 + t * t);
+        const s = c * t;
+        const rotate = M => M.forEach(row => {
+          const a = row[p];
+          row[p] = c * a - s * row[q];
+          row[q] = s * a + c * row[q];
+        });
+        rotate(U);
+        rotate(V);
+      }
+    }
+  }
+  const order = Array.from({ length: n }, (_, j) => j)
+    .map(j => ({ j, sigma: Math.sqrt(U.reduce((s, row) => s + row[j] * row[j], 0)) }))
+    .sort((a, b) => b.sigma - a.sigma);
+  const S = order.map(o => o.sigma);
+  const Us = U.map(row => order.map(({ j, sigma }) => (sigma === 0 ? 0 : row[j] / sigma)));
+  const Vs = V.map(row => order.map(({ j }) => row[j]));
+  return { U: Us, S, V: Vs, sweeps };
+}
+
+// x = V Σ⁺ Uᵀ b, ignoring σ < rcond·σ₁
+export function svdSolve({ U, S, V }, b, { rcond = 1e-12 } = {}) {
+  const cutoff = rcond * S[0];
+  const c = S.map((sigma, j) => (sigma > cutoff ? U.reduce((s, row, i) => s + row[j] * b[i], 0) / sigma : 0));
+  return V.map(row => row.reduce((s, v, j) => s + v * c[j], 0));
+}
+
+/* ───────────────────────────── registry ───────────────────────────── */
+export const FACTORIZATIONS = {
+  cholesky: 'Cholesky, A = LLᵀ',
+  householder: 'QR by Householder reflections',
+  givens: 'QR by Givens rotations',
+  svd: 'SVD, A = UΣVᵀ',
+};
+
+export function factorize(kind, A) {
+  let factors;
+  let product;
+  let solve;
+  switch (kind) {
+    case 'cholesky': {
+      const L = cholesky(A);
+      factors = { L };
+      product = matMul(L, transpose(L));
+      solve = b => choleskySolve(L, b);
+      break;
+    }
+    case 'householder':
+    case 'givens': {
+      factors = kind === 'householder' ? householderQR(A) : givensQR(A);
+      product = matMul(factors.Q, factors.R);
+      solve = b => qrSolve(factors, b);
+      break;
+    }
+    case 'svd': {
+      factors = svd(A);
+      const { U, S, V } = factors;
+      product = matMul(U.map(row => row.map((u, j) => u * S[j])), transpose(V));
+      solve = b => svdSolve(factors, b);
+      break;
+    }
+    default: throw new Error(`Unknown factorisation "${kind}"`);
+  }
+  const error = frobeniusNorm(A.map((row, i) => row.map((v, j) => v - product[i][j])));
+  return { factors, product, error, solve };
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  transpose, matMul, frobeniusNorm, cholesky, choleskySolve, householderQR, givensQR, qrSolve,
+  svd, svdSolve, factorize, FACTORIZATIONS,
+} from './factorizations.js';
+import { residualNorm } from './linear.js';
+
+const SPD = [[4, 2, 2], [2, 5, 3], [2, 3, 6]];
+const GEN = [[2, -1, 0], [1, 3, 1], [0, 1, 4]];
+const b = [1, 2, 3];
+// the least-squares line through (0, 1), (1, 2), (2, 2), (3, 4)
+const TALL = [[1, 0], [1, 1], [1, 2], [1, 3]];
+const ys = [1, 2, 2, 4];
+
+const isOrthogonal = Q => {
+  const QtQ = matMul(transpose(Q), Q);
+  return QtQ.every((row, i) => row.every((v, j) => Math.abs(v - (i === j ? 1 : 0)) < 1e-12));
+};
+const isUpperTriangular = R => R.every((row, i) => row.every((v, j) => j >= i || v === 0));
+
+describe('dense utilities', () => {
+  it('transposes, multiplies and measures', () => {
+    expect(transpose([[1, 2, 3], [4, 5, 6]])).toEqual([[1, 4], [2, 5], [3, 6]]);
+    expect(matMul([[1, 2], [3, 4]], [[0, 1], [1, 0]])).toEqual([[2, 1], [4, 3]]);
+    expect(frobeniusNorm([[3, 0], [0, 4]])).toBe(5);
+  });
+});
+
+describe('cholesky', () => {
+  it('factors an SPD matrix and solves with it', () => {
+    const L = cholesky(SPD);
+    expect(L[0][1]).toBe(0);
+    expect(L[0][0]).toBe(2);
+    const LLt = matMul(L, transpose(L));
+    expect(frobeniusNorm(LLt.map((row, i) => row.map((v, j) => v - SPD[i][j])))).toBeLessThan(1e-14);
+    expect(residualNorm(SPD, choleskySolve(L, b), b)).toBeLessThan(1e-14);
+  });
+
+  it('rejects non-symmetric and indefinite matrices', () => {
+    expect(() => cholesky(GEN)).toThrow('Cholesky needs a symmetric matrix');
+    expect(() => cholesky([[1, 2], [2, 1]])).toThrow('A is not positive definite (pivot 2 is -3.00)');
+  });
+});
+
+describe('QR', () => {
+  for (const [name, qr] of [['householderQR', householderQR], ['givensQR', givensQR]]) {
+    it(`${name} gives an orthogonal Q and triangular R`, () => {
+      const { Q, R } = qr(GEN);
+      expect(isOrthogonal(Q)).toBe(true);
+      expect(isUpperTriangular(R)).toBe(true);
+      expect(residualNorm(GEN, qrSolve({ Q, R }, b), b)).toBeLessThan(1e-13);
+    });
+
+    it(`${name} solves least squares for a tall matrix`, () => {
+      const F = qr(TALL);
+      expect(F.Q).toHaveLength(4);
+      expect(isUpperTriangular(F.R)).toBe(true);
+      const [c0, c1] = qrSolve(F, ys);
+      expect(c0).toBeCloseTo(0.9, 12);
+      expect(c1).toBeCloseTo(0.9, 12);
+    });
+
+    it(`${name} refuses a wide matrix`, () => {
+      expect(() => qr([[1, 2, 3]])).toThrow('QR needs at least as many rows as columns');
+    });
+  }
+
+  it('Givens skips entries that are already zero', () => {
+    // GEN is tridiagonal: only the two sub-diagonal entries need a rotation
+    expect(givensQR(GEN).rotations).toBe(2);
+    expect(givensQR([[1, 2], [3, 4], [5, 6]]).rotations).toBe(3);
+  });
+});
+
+describe('svd', () => {
+  it('finds the singular values in descending order', () => {
+    const { U, S, V, sweeps } = svd([[3, 0], [0, -4], [0, 0]]);
+    expect(S[0]).toBeCloseTo(4, 14);
+    expect(S[1]).toBeCloseTo(3, 14);
+    expect(sweeps).toBeGreaterThanOrEqual(1);
+    const back = matMul(U.map(row => row.map((u, j) => u * S[j])), transpose(V));
+    expect(back[1][1]).toBeCloseTo(-4, 14);
+  });
+
+  it('gives the minimum-norm solution of a singular system', () => {
+    // x + y = 2 twice: the minimum-norm solution is (1, 1)
+    const F = svd([[1, 1], [1, 1]]);
+    expect(F.S[1]).toBeLessThan(1e-15);
+    const x = svdSolve(F, [2, 2]);
+    expect(x[0]).toBeCloseTo(1, 12);
+    expect(x[1]).toBeCloseTo(1, 12);
+  });
+
+  it('reports when it runs out of sweeps', () => {
+    expect(() => svd(GEN, { maxSweeps: 1 })).toThrow('the Jacobi SVD did not converge in 1 sweeps');
+    expect(() => svd([[1, 2]])).toThrow('at least as many rows as columns');
+  });
+});
+
+describe('factorize', () => {
+  it('reproduces A and solves with every factorisation', () => {
+    for (const kind of Object.keys(FACTORIZATIONS)) {
+      const F = factorize(kind, SPD);
+      expect(F.error).toBeLessThan(1e-13);
+      expect(residualNorm(SPD, F.solve(b), b)).toBeLessThan(1e-12);
+    }
+    expect(Object.keys(factorize('cholesky', SPD).factors)).toEqual(['L']);
+    expect(Object.keys(factorize('svd', SPD).factors)).toEqual(['U', 'S', 'V', 'sweeps']);
+  });
+
+  it('rejects an unknown kind', () => {
+    expect(() => factorize('lu', SPD)).toThrow('Unknown factorisation "lu"');
+  });
+});
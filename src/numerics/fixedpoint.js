@@ -0,0 +1,105 @@
+// fixedpoint.js — fixed‑point iteration x = g(x) and its accelerations
+// ---------------------------------------------------------------------------
+// If |g′| ≤ L < 1 on an interval that g maps into itself, xₙ₊₁ = g(xₙ)
+// converges from every start in it and the error shrinks by about |g′(x*)|
+// per step — linear convergence.  Two ways to speed it up:
+//   • 'aitken'      run the plain iteration and extrapolate each three
+//                   consecutive iterates with Aitken's Δ²,
+//                   x̂ = x₀ − (x₁ − x₀)² / (x₂ − 2x₁ + x₀);
+//                   the stopping test uses the x̂ sequence
+//   • 'steffensen'  restart from x̂ every step (two g evaluations each):
+//                   quadratic convergence without a derivative
+// Result: { x, steps, converged, status, iterations, evals } with steps
+// { i, x, change, accel? } — i = 0 is x₀, `change` is the quantity compared
+// with tol and `accel` the Aitken value; Steffensen steps also carry
+// `via: [g(x), g(g(x))]`.  status 'converged' | 'max-iter' | 'non-finite'.
+
+import { countEvals } from './expr.js';
+
+// Aitken Δ² of x, g(x), g(g(x)); a zero second difference means x₂ is exact
+export function aitkenDelta2(x0, x1, x2) {
+  const denom = x2 - 2 * x1 + x0;
+  return denom === 0 ? x2 : x0 - ((x1 - x0) * (x1 - x0)) / denom;
+}
+
+export const FIXED_POINT_METHODS = {
+  none: 'plain xₙ₊₁ = g(xₙ)',
+  aitken: 'Aitken Δ²',
+  steffensen: 'Steffensen',
+};
+
+export function fixedPoint(g, x0, { tol = 1e-8, maxIter = 100, accel = 'none' } = {}) {
+  if (!(accel in FIXED_POINT_METHODS)) throw new Error(`unknown acceleration "${accel}"`);
+  let x = Number(x0);
+  if (!Number.isFinite(x)) throw new Error('x₀ must be a finite number');
+
+  const G = countEvals(g);
+  const steps = [{ i: 0, x, change: null }];
+  let status = 'max-iter';
+  let result = x;
+
+  for (let i = 1; i <= maxIter; i++) {
+    let step;
+    if (accel === 'steffensen') {
+      const x1 = G.f(x);
+      const x2 = G.f(x1);
+      step = { i, x: aitkenDelta2(x, x1, x2), via: [x1, x2] };
+      step.change = Math.abs(step.x - x);
+      result = step.x;
+    } else {
+      step = { i, x: G.f(x) };
+      step.change = Math.abs(step.x - x);
+      result = step.x;
+      if (accel === 'aitken' && i >= 2) {
+        step.accel = aitkenDelta2(steps[i - 2].x, steps[i - 1].x, step.x);
+        const prev = steps[i - 1].accel;
+        step.change = prev === undefined ? null : Math.abs(step.accel - prev);
+        result = step.accel;
+      } else if (accel === 'aitken') {
+        step.change = null;
+      }
+    }
+    steps.push(step);
+    x = step.x;
+
+    if (!Number.isFinite(x) || (step.accel !== undefined && !Number.isFinite(step.accel))) {
+      status = 'non-finite';
+      break;
+    }
+    if (step.change !== null && step.change < tol) {
+      status = 'converged';
+      break;
+    }
+  }
+
+  return {
+    x: result,
+    steps,
+    converged: status === 'converged',
+    status,
+    iterations: steps.length - 1,
+    evals: G.evals,
+  };
+}
+
+// max |g′| on [lo, hi] from `samples` points, and whether g maps [lo, hi]
+// into itself — together the hypotheses of the contraction mapping theorem
+export function contractionCheck(g, dg, lo, hi, { samples = 201 } = {}) {
+  let L = 0;
+  let at = lo;
+  let gMin = Infinity;
+  let gMax = -Infinity;
+  for (let k = 0; k < samples; k++) {
+    const x = lo + ((hi - lo) * k) / (samples - 1);
+    const slope = Math.abs(dg(x));
+    const gx = g(x);
+    if (!Number.isFinite(slope) || !Number.isFinite(gx)) return { L: Infinity, at: x, mapsInto: false };
+    if (slope > L) {
+      L = slope;
+      at = x;
+    }
+    gMin = Math.min(gMin, gx);
+    gMax = Math.max(gMax, gx);
+  }
+  return { L, at, mapsInto: gMin >= lo && gMax <= hi, range: [gMin, gMax] };
+}
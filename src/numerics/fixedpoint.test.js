@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { aitkenDelta2, fixedPoint, contractionCheck } from './fixedpoint.js';
+
+const DOTTIE = 0.7390851332151607;      // the fixed point of cos
+
+describe('aitkenDelta2', () => {
+  it('is exact for a geometric sequence', () => {
+    // xₙ = 1 + 0.5ⁿ
+    expect(aitkenDelta2(2, 1.5, 1.25)).toBe(1);
+    expect(aitkenDelta2(3, 3, 3)).toBe(3);
+  });
+});
+
+describe('fixedPoint', () => {
+  it('plain iteration converges linearly at rate |g′(x*)|', () => {
+    const r = fixedPoint(Math.cos, 1, { tol: 1e-10 });
+    expect(r.status).toBe('converged');
+    expect(r.x).toBeCloseTo(DOTTIE, 9);
+    expect(r.evals).toBe(r.iterations);
+    const e = r.steps.map(s => Math.abs(s.x - DOTTIE));
+    expect(e[20] / e[19]).toBeCloseTo(Math.sin(DOTTIE), 2);
+  });
+
+  it('Aitken and Steffensen need far fewer steps', () => {
+    const plain = fixedPoint(Math.cos, 1, { tol: 1e-10 });
+    const aitken = fixedPoint(Math.cos, 1, { tol: 1e-10, accel: 'aitken' });
+    const steffensen = fixedPoint(Math.cos, 1, { tol: 1e-10, accel: 'steffensen' });
+    expect(aitken.x).toBeCloseTo(DOTTIE, 9);
+    expect(steffensen.x).toBeCloseTo(DOTTIE, 12);
+    expect(aitken.iterations).toBeLessThan(plain.iterations / 2);
+    expect(steffensen.iterations).toBeLessThanOrEqual(5);
+    expect(steffensen.evals).toBe(2 * steffensen.iterations);
+    expect(steffensen.steps[1].via).toHaveLength(2);
+    expect(aitken.steps[1].change).toBeNull();
+  });
+
+  it('Steffensen converges even where the plain iteration diverges', () => {
+    // g(x) = x² − 2 has a repelling fixed point at 2 (g′ = 4)
+    const g = x => x * x - 2;
+    expect(fixedPoint(g, 2.1, { maxIter: 20 }).status).toBe('non-finite');
+    expect(fixedPoint(g, 2.1, { accel: 'steffensen' }).x).toBeCloseTo(2, 10);
+  });
+
+  it('validates its input', () => {
+    expect(() => fixedPoint(Math.cos, 1, { accel: 'anderson' })).toThrow('unknown acceleration');
+    expect(() => fixedPoint(Math.cos, NaN)).toThrow('finite number');
+  });
+});
+
+describe('contractionCheck', () => {
+  it('confirms cos is a contraction of [0, 1] into itself', () => {
+    const c = contractionCheck(Math.cos, x => -Math.sin(x), 0, 1);
+    expect(c.mapsInto).toBe(true);
+    expect(c.L).toBeCloseTo(Math.sin(1), 12);
+    expect(c.at).toBe(1);
+  });
+
+  it('notices a map that leaves the interval or is not finite', () => {
+    expect(contractionCheck(x => 2 * x, () => 2, 0, 1).mapsInto).toBe(false);
+    expect(contractionCheck(x => 1 / x, x => -1 / (x * x), 0, 1).L).toBe(Infinity);
+  });
+});
@@ -0,0 +1,75 @@
+// fractal.js — Newton's method from every pixel of a complex‑plane grid
+// ---------------------------------------------------------------------------
+// `newtonGrid` runs z ← z − f(z)/f′(z) from the centre of each pixel of a
+// width × height grid over [xmin, xmax] × [ymin, ymax] (row 0 at the top, as
+// on a canvas) and keeps where each start ended up.  It only computes the
+// rows row0 … row1 − 1 so that web workers can share a picture in strips.
+// `classifyBasins` then groups the end points into roots: the basin of
+// attraction of a root is the set of pixels that converge to it, and the
+// boundaries between basins are fractal.
+// f and f′ map { re, im } to { re, im } (see makeComplexFunction).
+
+import { abs, div, sub } from './complex.js';
+
+// iteration counts are stored as Int16, so this is the largest maxIter
+export const FRACTAL_MAX_ITER = 32767;
+
+export function newtonGrid(f, df, {
+  xmin, xmax, ymin, ymax, width, height,
+  row0 = 0, row1 = height, maxIter = 40, tol = 1e-10,
+}) {
+  if (!Number.isInteger(maxIter) || maxIter < 1 || maxIter > FRACTAL_MAX_ITER) {
+    throw new Error(`max iterations must be an integer between 1 and ${FRACTAL_MAX_ITER}`);
+  }
+  const count = (row1 - row0) * width;
+  const re = new Float64Array(count);
+  const im = new Float64Array(count);
+  const iters = new Int16Array(count);          // −1: did not converge
+  const dx = (xmax - xmin) / width;
+  const dy = (ymax - ymin) / height;
+
+  let p = 0;
+  for (let row = row0; row < row1; row++) {
+    for (let col = 0; col < width; col++, p++) {
+      let z = { re: xmin + (col + 0.5) * dx, im: ymax - (row + 0.5) * dy };
+      let k = 0;
+      let done = false;
+      while (k < maxIter && !done) {
+        const step = div(f(z), df(z));
+        if (!Number.isFinite(step.re) || !Number.isFinite(step.im)) break;
+        z = sub(z, step);
+        k++;
+        done = abs(step) < tol * Math.max(1, abs(z));
+      }
+      re[p] = z.re;
+      im[p] = z.im;
+      iters[p] = done ? k : -1;
+    }
+  }
+  return { re, im, iters };
+}
+
+// Assign every converged pixel to a root.  `roots` (optional) are roots
+// already known from an earlier picture: they keep their index, so a root
+// keeps its colour when the view is zoomed; new roots are appended.
+export function classifyBasins({ re, im, iters }, { roots = [], radius = 1e-6 } = {}) {
+  const known = roots.map(r => ({ re: r.re, im: r.im }));
+  const index = new Int16Array(iters.length);
+  const counts = new Array(known.length).fill(0);
+  for (let p = 0; p < iters.length; p++) {
+    if (iters[p] < 0) {
+      index[p] = -1;
+      continue;
+    }
+    const z = { re: re[p], im: im[p] };
+    let k = known.findIndex(r => abs(sub(r, z)) < radius * Math.max(1, abs(r)));
+    if (k < 0) {
+      known.push(z);
+      counts.push(0);
+      k = known.length - 1;
+    }
+    index[p] = k;
+    counts[k]++;
+  }
+  return { roots: known, index, counts };
+}
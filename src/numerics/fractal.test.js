@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { newtonGrid, classifyBasins, FRACTAL_MAX_ITER } from './fractal.js';
+import { makeComplexFunction, makeComplexDerivative } from './expr.js';
+
+const f = makeComplexFunction('z^3 - 1');
+const df = makeComplexDerivative('z^3 - 1');
+const view = { xmin: -2, xmax: 2, ymin: -2, ymax: 2, width: 40, height: 40 };
+
+describe('newtonGrid', () => {
+  it('sends almost every pixel to one of the cube roots of unity', () => {
+    const grid = newtonGrid(f, df, view);
+    expect(grid.iters).toHaveLength(1600);
+    const { roots, counts } = classifyBasins(grid);
+    expect(roots).toHaveLength(3);
+    roots.forEach(r => expect(Math.hypot(r.re, r.im)).toBeCloseTo(1, 9));
+    // three‑fold symmetry: the basins are about equally large
+    counts.forEach(c => expect(c).toBeGreaterThan(400));
+  });
+
+  it('computes a strip of rows that matches the full grid', () => {
+    const full = newtonGrid(f, df, view);
+    const strip = newtonGrid(f, df, { ...view, row0: 10, row1: 20 });
+    expect(strip.re).toHaveLength(400);
+    expect(Array.from(strip.iters)).toEqual(Array.from(full.iters.subarray(400, 800)));
+  });
+
+  it('marks pixels that do not converge', () => {
+    // z = 0 is a critical point of z² + 1 on the real axis: real starts never converge
+    const g = makeComplexFunction('z^2 + 1');
+    const dg = makeComplexDerivative('z^2 + 1');
+    const grid = newtonGrid(g, dg, { xmin: -1, xmax: 1, ymin: -0.01, ymax: 0.01, width: 4, height: 1, maxIter: 20 });
+    expect(Array.from(grid.iters)).toEqual([-1, -1, -1, -1]);
+  });
+
+  it('accepts maxIter only where the Int16 counts can hold it', () => {
+    const small = { ...view, width: 2, height: 2 };
+    for (const maxIter of [0, 2.5, FRACTAL_MAX_ITER + 1]) {
+      expect(() => newtonGrid(f, df, { ...small, maxIter })).toThrow(`between 1 and ${FRACTAL_MAX_ITER}`);
+    }
+    const grid = newtonGrid(f, df, { ...small, maxIter: FRACTAL_MAX_ITER });
+    expect(Array.from(grid.iters).every(k => k > 0)).toBe(true);
+  });
+});
+
+describe('classifyBasins', () => {
+  it('keeps the index of roots it already knows', () => {
+    const grid = newtonGrid(f, df, view);
+    const known = [{ re: -0.5, im: -Math.sqrt(3) / 2 }];
+    const { roots, index } = classifyBasins(grid, { roots: known });
+    expect(roots[0]).toEqual(known[0]);
+    expect(roots).toHaveLength(3);
+    expect(Math.max(...index)).toBe(2);
+  });
+});
+
+describe('makeComplexFunction', () => {
+  it('compiles expressions with i, pi and the elementary functions', () => {
+    const h = makeComplexFunction('exp(i*pi*z) + sqrt(z)');
+    const w = h({ re: 1, im: 0 });
+    expect(w.re).toBeCloseTo(0, 12);
+    expect(w.im).toBeCloseTo(0, 12);
+  });
+
+  it('rejects unknown symbols and functions', () => {
+    expect(() => makeComplexFunction('z + y')).toThrow('Unknown symbol "y"');
+    expect(() => makeComplexFunction('gamma(z)')).toThrow('not supported');
+  });
+});
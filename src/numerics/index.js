@@ -0,0 +1,23 @@
+// numerics — framework‑free numerical methods used by the tutorial pages
+// ---------------------------------------------------------------------------
+// Import from here in components, scripts and tests:
+//   import { bisection, makeFunction } from '../numerics';
+
+export * from './expr.js';
+export * from './roots.js';
+export * from './quadrature.js';
+export * from './sparse.js';
+export * from './linear.js';
+export * from './krylov.js';
+export * from './factorizations.js';
+export * from './conditioning.js';
+export * from './ode.js';
+export * from './stiff.js';
+export * from './optimization.js';
+export * from './differentiation.js';
+export * from './convergence.js';
+export * from './montecarlo.js';
+export * from './polynomial.js';
+export * from './fractal.js';
+export * from './nonlinear.js';
+export * from './fixedpoint.js';
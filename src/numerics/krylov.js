@@ -0,0 +1,357 @@
+// krylov.js — Krylov‑subspace solvers for Ax = b with optional preconditioning
+// ---------------------------------------------------------------------------
+// Each iteration costs one product with A (two for BiCGSTAB) and builds the
+// next vector of the Krylov space span{r₀, Ar₀, A²r₀, …}:
+//   • cg        conjugate gradients — A must be symmetric positive definite;
+//               minimises the A‑norm of the error over the space
+//   • gmres     minimises ‖b − Ax‖₂ over the space (Arnoldi + Givens
+//               rotations); restarted every `restart` steps to bound memory
+//   • bicgstab  short recurrences for general A, smoothed by a one‑step
+//               minimal‑residual correction
+// Preconditioners approximate A⁻¹ cheaply: 'jacobi' divides by diag(A),
+// 'ilu' is incomplete LU with no fill (ILU(0)) on the non‑zero pattern of A.
+// GMRES and BiCGSTAB precondition on the right, so the residual they monitor
+// is the true ‖b − Ax‖₂.  A may be dense or CSR (sparse.js); the solvers
+// convert it once, so each product costs O(nnz).  Result: { x, steps, converged, status, iterations,
+// evals } with steps { k, res } and evals counting products with A;
+// status 'converged' | 'max-iter' | 'breakdown' (BiCGSTAB) | 'non-finite'.
+
+import { matVec } from './linear.js';
+import { csrDiagonal, csrToDense, csrTranspose, toCsr } from './sparse.js';
+
+const dot = (u, v) => u.reduce((s, ui, i) => s + ui * v[i], 0);
+const norm2 = v => Math.sqrt(dot(v, v));
+const axpy = (a, x, y) => y.map((yi, i) => yi + a * x[i]);   // y + a·x
+const residual = (A, x, b) => {
+  const Ax = matVec(A, x);
+  return b.map((bi, i) => bi - Ax[i]);
+};
+
+/* ───────────────────────────── checks ─────────────────────────────── */
+// A dense or CSR; the comparison runs over the stored entries of A and Aᵀ
+export function isSymmetric(A, tol = 1e-12) {
+  const S = toCsr(A);
+  if (S.rows !== S.cols) return false;
+  const T = csrTranspose(S);
+  const scale = S.values.reduce((m, v) => Math.max(m, Math.abs(v)), 1);
+  for (let i = 0; i < S.rows; i++) {
+    // both rows list their columns ascending, so walk them together
+    let p = S.rowPtr[i];
+    let q = T.rowPtr[i];
+    while (p < S.rowPtr[i + 1] || q < T.rowPtr[i + 1]) {
+      const cp = p < S.rowPtr[i + 1] ? S.colIdx[p] : Infinity;
+      const cq = q < T.rowPtr[i + 1] ? T.colIdx[q] : Infinity;
+      const a = cp <= cq ? S.values[p] : 0;
+      const b = cq <= cp ? T.values[q] : 0;
+      if (Math.abs(a - b) > tol * scale) return false;
+      if (cp <= cq) p++;
+      if (cq <= cp) q++;
+    }
+  }
+  return true;
+}
+
+// Cholesky on matrices up to this order; beyond it only the cheap necessary
+// conditions are checked and CG itself reports a non‑positive curvature
+export const SPD_CHECK_LIMIT = 200;
+
+// symmetric and every Cholesky pivot positive
+export function isSymmetricPositiveDefinite(A) {
+  if (!isSymmetric(A)) return false;
+  const S = toCsr(A);
+  const n = S.rows;
+  if (!csrDiagonal(S).every(d => d > 0)) return false;
+  if (n > SPD_CHECK_LIMIT) return true;
+  const D = csrToDense(S);
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let j = 0; j < n; j++) {
+    let d = D[j][j];
+    for (let k = 0; k < j; k++) d -= L[j][k] * L[j][k];
+    if (!(d > 0)) return false;
+    L[j][j] = Math.sqrt(d);
+    for (let i = j + 1; i < n; i++) {
+      let s = D[i][j];
+      for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+      L[i][j] = s / L[j][j];
+    }
+  }
+  return true;
+}
+
+/* ────────────────────────── preconditioners ───────────────────────── */
+// each returns z ≈ A⁻¹r
+
+export function jacobiPreconditioner(A) {
+  const d = csrDiagonal(toCsr(A));
+  d.forEach((v, i) => {
+    if (v === 0) throw new Error(`Jacobi preconditioner: zero diagonal entry in row ${i + 1}`);
+  });
+  return r => r.map((ri, i) => ri / d[i]);
+}
+
+// ILU(0): Gaussian elimination that only updates entries non‑zero in A,
+// carried out on a copy of A's CSR values
+export function iluPreconditioner(A) {
+  const S = toCsr(A);
+  const n = S.rows;
+  const { rowPtr, colIdx } = S;
+  const LU = Float64Array.from(S.values);
+  const diag = new Int32Array(n).fill(-1);
+  for (let i = 0; i < n; i++) {
+    for (let p = rowPtr[i]; p < rowPtr[i + 1]; p++) {
+      if (colIdx[p] === i) diag[i] = p;
+    }
+  }
+  const where = new Int32Array(n).fill(-1);           // column → slot in row i
+  for (let i = 0; i < n; i++) {
+    for (let p = rowPtr[i]; p < rowPtr[i + 1]; p++) where[colIdx[p]] = p;
+    for (let p = rowPtr[i]; p < rowPtr[i + 1] && colIdx[p] < i; p++) {
+      const k = colIdx[p];
+      if (diag[k] < 0 || LU[diag[k]] === 0) throw new Error(`ILU(0) hit a zero pivot in row ${k + 1}`);
+      LU[p] /= LU[diag[k]];
+      for (let q = diag[k] + 1; q < rowPtr[k + 1]; q++) {
+        const slot = where[colIdx[q]];
+        if (slot >= 0) LU[slot] -= LU[p] * LU[q];
+      }
+    }
+    for (let p = rowPtr[i]; p < rowPtr[i + 1]; p++) where[colIdx[p]] = -1;
+  }
+  if (diag[n - 1] < 0 || LU[diag[n - 1]] === 0) throw new Error(`ILU(0) hit a zero pivot in row ${n}`);
+  return r => {
+    // L (unit diagonal) y = r, then U z = y
+    const z = [...r];
+    for (let i = 0; i < n; i++) {
+      for (let p = rowPtr[i]; p < rowPtr[i + 1] && colIdx[p] < i; p++) z[i] -= LU[p] * z[colIdx[p]];
+    }
+    for (let i = n - 1; i >= 0; i--) {
+      for (let p = diag[i] + 1; p < rowPtr[i + 1]; p++) z[i] -= LU[p] * z[colIdx[p]];
+      z[i] /= LU[diag[i]];
+    }
+    return z;
+  };
+}
+
+export const PRECONDITIONERS = {
+  none: 'none',
+  jacobi: 'Jacobi (diagonal)',
+  ilu: 'incomplete LU, ILU(0)',
+};
+
+export function makePreconditioner(kind, A) {
+  switch (kind) {
+    case 'none': return r => [...r];
+    case 'jacobi': return jacobiPreconditioner(A);
+    case 'ilu': return iluPreconditioner(A);
+    default: throw new Error(`Unknown preconditioner "${kind}"`);
+  }
+}
+
+function result(x, steps, status, evals) {
+  return { x, steps, converged: status === 'converged', status, iterations: steps.length, evals };
+}
+
+/* ──────────────────────── conjugate gradients ─────────────────────── */
+const NOT_SPD = 'Conjugate gradients needs a symmetric positive definite matrix; use GMRES or BiCGSTAB for this A';
+
+export function conjugateGradient(A, b, { tol = 1e-8, maxIter, x0, precond = 'none' } = {}) {
+  const S = toCsr(A);
+  if (!isSymmetricPositiveDefinite(S)) throw new Error(NOT_SPD);
+  const M = makePreconditioner(precond, S);
+  const n = S.rows;
+  const limit = maxIter ?? 2 * n;
+  let x = x0 ? [...x0] : new Array(n).fill(0);
+  let r = x0 ? residual(S, x, b) : [...b];
+  let evals = x0 ? 1 : 0;
+  let z = M(r);
+  let p = [...z];
+  let rz = dot(r, z);
+  const steps = [];
+  let status = 'max-iter';
+
+  if (norm2(r) < tol) return result(x, steps, 'converged', evals);
+  for (let k = 1; k <= limit; k++) {
+    const Ap = matVec(S, p);
+    evals++;
+    const pAp = dot(p, Ap);
+    if (!(pAp > 0)) throw new Error(NOT_SPD);
+    const alpha = rz / pAp;
+    x = axpy(alpha, p, x);
+    r = axpy(-alpha, Ap, r);
+    const res = norm2(r);
+    steps.push({ k, res });
+    if (!Number.isFinite(res)) {
+      status = 'non-finite';
+      break;
+    }
+    if (res < tol) {
+      status = 'converged';
+      break;
+    }
+    z = M(r);
+    const rzNew = dot(r, z);
+    p = axpy(rzNew / rz, p, z);
+    rz = rzNew;
+  }
+  return result(x, steps, status, evals);
+}
+
+/* ───────────────────────────── GMRES(m) ───────────────────────────── */
+export function gmres(A, b, { tol = 1e-8, maxIter, restart = 20, x0, precond = 'none' } = {}) {
+  const S = toCsr(A);
+  const n = S.rows;
+  const m = Math.min(Math.floor(Number(restart)), n);
+  if (!(m >= 1)) throw new Error('the GMRES restart length must be a positive integer');
+  const M = makePreconditioner(precond, S);
+  const limit = maxIter ?? 10 * n;
+  let x = x0 ? [...x0] : new Array(n).fill(0);
+  const steps = [];
+  let evals = 0;
+  let status = 'max-iter';
+
+  while (steps.length < limit) {
+    const r = residual(S, x, b);
+    evals++;
+    const beta = norm2(r);
+    if (!Number.isFinite(beta)) {
+      status = 'non-finite';
+      break;
+    }
+    if (beta < tol) {
+      status = 'converged';
+      break;
+    }
+    // Arnoldi on A·M⁻¹ with modified Gram–Schmidt; H is (j+2)×(j+1)
+    const V = [r.map(v => v / beta)];
+    const Z = [];
+    const H = [];
+    const cs = [];
+    const sn = [];
+    const g = [beta];
+    let j = 0;
+    let done = false;
+    for (; j < m && steps.length < limit; j++) {
+      Z.push(M(V[j]));
+      let w = matVec(S, Z[j]);
+      evals++;
+      const h = new Array(j + 2).fill(0);
+      for (let i = 0; i <= j; i++) {
+        h[i] = dot(w, V[i]);
+        w = axpy(-h[i], V[i], w);
+      }
+      h[j + 1] = norm2(w);
+      // earlier rotations, then a new one that zeroes h[j + 1]
+      for (let i = 0; i < j; i++) {
+        const t = cs[i] * h[i] + sn[i] * h[i + 1];
+        h[i + 1] = -sn[i] * h[i] + cs[i] * h[i + 1];
+        h[i] = t;
+      }
+      const rho = Math.hypot(h[j], h[j + 1]);
+      cs.push(rho === 0 ? 1 : h[j] / rho);
+      sn.push(rho === 0 ? 0 : h[j + 1] / rho);
+      const lucky = h[j + 1];
+      h[j] = rho;
+      h[j + 1] = 0;
+      g.push(-sn[j] * g[j]);
+      g[j] *= cs[j];
+      H.push(h);
+      const res = Math.abs(g[j + 1]);
+      steps.push({ k: steps.length + 1, res });
+      if (res < tol || lucky === 0) {
+        done = true;
+        j++;
+        break;
+      }
+      V.push(w.map(v => v / lucky));
+    }
+    // back‑substitute the triangular system H y = g and update x += M⁻¹V y
+    const y = new Array(j).fill(0);
+    for (let i = j - 1; i >= 0; i--) {
+      let s = g[i];
+      for (let k = i + 1; k < j; k++) s -= H[k][i] * y[k];
+      y[i] = s / H[i][i];
+    }
+    for (let i = 0; i < j; i++) x = axpy(y[i], Z[i], x);
+    // an exhausted Krylov space that still misses tol (round‑off) restarts
+    if (done && steps[steps.length - 1].res < tol) {
+      status = 'converged';
+      break;
+    }
+  }
+  return result(x, steps, status, evals);
+}
+
+/* ───────────────────────────── BiCGSTAB ───────────────────────────── */
+export function bicgstab(A, b, { tol = 1e-8, maxIter, x0, precond = 'none' } = {}) {
+  const S = toCsr(A);
+  const n = S.rows;
+  const M = makePreconditioner(precond, S);
+  const limit = maxIter ?? 2 * n + 20;
+  let x = x0 ? [...x0] : new Array(n).fill(0);
+  let r = x0 ? residual(S, x, b) : [...b];
+  let evals = x0 ? 1 : 0;
+  const rHat = [...r];
+  let rho = 1;
+  let alpha = 1;
+  let omega = 1;
+  let v = new Array(n).fill(0);
+  let p = new Array(n).fill(0);
+  const steps = [];
+  let status = 'max-iter';
+
+  if (norm2(r) < tol) return result(x, steps, 'converged', evals);
+  for (let k = 1; k <= limit; k++) {
+    const rhoNew = dot(rHat, r);
+    if (rhoNew === 0 || omega === 0) {
+      status = 'breakdown';
+      break;
+    }
+    const beta = (rhoNew / rho) * (alpha / omega);
+    rho = rhoNew;
+    p = r.map((ri, i) => ri + beta * (p[i] - omega * v[i]));
+    const pHat = M(p);
+    v = matVec(S, pHat);
+    alpha = rho / dot(rHat, v);
+    const s = axpy(-alpha, v, r);
+    x = axpy(alpha, pHat, x);
+    evals++;
+    if (norm2(s) < tol) {
+      steps.push({ k, res: norm2(s) });
+      r = s;
+      status = 'converged';
+      break;
+    }
+    const sHat = M(s);
+    const t = matVec(S, sHat);
+    evals++;
+    omega = dot(t, s) / dot(t, t);
+    x = axpy(omega, sHat, x);
+    r = axpy(-omega, t, s);
+    const res = norm2(r);
+    steps.push({ k, res });
+    if (!Number.isFinite(res)) {
+      status = 'non-finite';
+      break;
+    }
+    if (res < tol) {
+      status = 'converged';
+      break;
+    }
+  }
+  return result(x, steps, status, evals);
+}
+
+/* ───────────────────────────── registry ───────────────────────────── */
+export const KRYLOV_METHODS = {
+  cg: 'Conjugate Gradient',
+  gmres: 'GMRES(m)',
+  bicgstab: 'BiCGSTAB',
+};
+
+export function krylovSolve(method, A, b, options = {}) {
+  switch (method) {
+    case 'cg': return conjugateGradient(A, b, options);
+    case 'gmres': return gmres(A, b, options);
+    case 'bicgstab': return bicgstab(A, b, options);
+    default: throw new Error(`Unknown Krylov method "${method}"`);
+  }
+}
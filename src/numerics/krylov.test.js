@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isSymmetric, isSymmetricPositiveDefinite, jacobiPreconditioner, iluPreconditioner,
+  makePreconditioner, conjugateGradient, gmres, bicgstab, krylovSolve,
+} from './krylov.js';
+import { residualNorm } from './linear.js';
+import { poisson1D, poisson2D } from './sparse.js';
+
+const SPD = [[4, 1, 0], [1, 3, 1], [0, 1, 2]];
+const NONSYM = [[4, 1, 2], [3, 5, 1], [1, 1, 3]];
+const b = [1, 2, 3];
+
+describe('matrix checks', () => {
+  it('recognises symmetric and SPD matrices', () => {
+    expect(isSymmetric(SPD)).toBe(true);
+    expect(isSymmetric(NONSYM)).toBe(false);
+    expect(isSymmetric(poisson2D(4))).toBe(true);
+    expect(isSymmetricPositiveDefinite(SPD)).toBe(true);
+    expect(isSymmetricPositiveDefinite([[1, 2], [2, 1]])).toBe(false);
+    expect(isSymmetricPositiveDefinite(NONSYM)).toBe(false);
+  });
+});
+
+describe('preconditioners', () => {
+  it('Jacobi divides by the diagonal', () => {
+    expect(jacobiPreconditioner(SPD)([4, 3, 2])).toEqual([1, 1, 1]);
+    expect(() => jacobiPreconditioner([[0, 1], [1, 1]])).toThrow('zero diagonal entry in row 1');
+  });
+
+  it('ILU(0) is exact for a tridiagonal matrix', () => {
+    const M = iluPreconditioner(SPD);
+    const z = M(b);
+    expect(residualNorm(SPD, z, b)).toBeLessThan(1e-14);
+    expect(() => iluPreconditioner([[0, 1], [1, 1]])).toThrow('ILU(0) hit a zero pivot in row 1');
+  });
+
+  it('rejects an unknown kind', () => {
+    expect(() => makePreconditioner('amg', SPD)).toThrow('Unknown preconditioner "amg"');
+  });
+});
+
+describe('conjugateGradient', () => {
+  it('converges in at most n steps, one product with A each', () => {
+    const r = conjugateGradient(SPD, b, { tol: 1e-12 });
+    expect(r.status).toBe('converged');
+    expect(r.iterations).toBeLessThanOrEqual(3);
+    expect(r.evals).toBe(r.iterations);
+    expect(residualNorm(SPD, r.x, b)).toBeLessThan(1e-10);
+  });
+
+  it('needs fewer steps with ILU on the 2D Poisson matrix', () => {
+    const A = poisson2D(10);
+    const rhs = Array.from({ length: 100 }, (_, i) => Math.sin(i));
+    const plain = conjugateGradient(A, rhs, { tol: 1e-10 });
+    const ilu = conjugateGradient(A, rhs, { tol: 1e-10, precond: 'ilu' });
+    expect(plain.converged && ilu.converged).toBe(true);
+    expect(ilu.iterations).toBeLessThan(plain.iterations);
+  });
+
+  it('counts the residual of a starting guess and returns at once from the solution', () => {
+    const x = conjugateGradient(SPD, b, { tol: 1e-12 }).x;
+    const r = conjugateGradient(SPD, b, { tol: 1e-8, x0: x });
+    expect(r.status).toBe('converged');
+    expect(r.iterations).toBe(0);
+    expect(r.evals).toBe(1);
+  });
+
+  it('stops at maxIter', () => {
+    const r = conjugateGradient(poisson1D(50), Array(50).fill(1), { tol: 1e-12, maxIter: 5 });
+    expect(r.status).toBe('max-iter');
+    expect(r.iterations).toBe(5);
+  });
+
+  it('refuses a matrix that is not SPD', () => {
+    expect(() => conjugateGradient(NONSYM, b)).toThrow('symmetric positive definite');
+  });
+});
+
+describe('gmres', () => {
+  it('solves a non-symmetric system in one cycle', () => {
+    const r = gmres(NONSYM, b, { tol: 1e-12 });
+    expect(r.status).toBe('converged');
+    expect(r.iterations).toBeLessThanOrEqual(3);
+    expect(r.evals).toBe(r.iterations + 1);
+    expect(residualNorm(NONSYM, r.x, b)).toBeLessThan(1e-10);
+  });
+
+  it('restarts and recomputes the residual each cycle', () => {
+    const A = poisson1D(30);
+    const rhs = Array(30).fill(1);
+    const r = gmres(A, rhs, { tol: 1e-8, restart: 5, maxIter: 2000 });
+    expect(r.status).toBe('converged');
+    const cycles = Math.ceil(r.iterations / 5);
+    expect(r.evals).toBeGreaterThanOrEqual(r.iterations + cycles);
+    expect(r.evals).toBeLessThanOrEqual(r.iterations + cycles + 1);
+    expect(residualNorm(A, r.x, rhs)).toBeLessThan(1e-7);
+  });
+
+  it('rejects a restart length below 1', () => {
+    expect(() => gmres(NONSYM, b, { restart: 0 })).toThrow('restart length must be a positive integer');
+  });
+});
+
+describe('bicgstab', () => {
+  it('solves a non-symmetric system with two products per step', () => {
+    const r = bicgstab(NONSYM, b, { tol: 1e-12 });
+    expect(r.status).toBe('converged');
+    expect(residualNorm(NONSYM, r.x, b)).toBeLessThan(1e-10);
+    // the last step may stop after its first half
+    expect(r.evals === 2 * r.iterations || r.evals === 2 * r.iterations - 1).toBe(true);
+  });
+
+  it('reports a breakdown when ω vanishes', () => {
+    // s = (0, −1) after the first half step and t = As = (−4, 0) ⟂ s
+    const r = bicgstab([[2, 2], [2, 0]], [1, 0], { tol: 1e-14, maxIter: 10 });
+    expect(r.status).toBe('breakdown');
+    expect(r.iterations).toBe(1);
+    expect(r.evals).toBe(2);
+  });
+});
+
+describe('krylovSolve', () => {
+  it('dispatches by name', () => {
+    expect(krylovSolve('cg', SPD, b).x).toEqual(conjugateGradient(SPD, b).x);
+    expect(() => krylovSolve('minres', SPD, b)).toThrow('Unknown Krylov method "minres"');
+  });
+});
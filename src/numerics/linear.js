@@ -0,0 +1,398 @@
+// linear.js — linear‑system helpers on plain nested arrays
+// ---------------------------------------------------------------------------
+// Matrices are arrays of rows (number[][]), vectors are number[]; matVec,
+// residualNorm, isDiagonallyDominant and the stationary iterations also take
+// a CSR matrix (sparse.js) and then cost O(nnz) per sweep.  Iterative
+// solvers return { x, steps, converged, status, iterations, evals } where
+// `evals` counts full sweeps over A (one matrix‑vector product each).
+
+import { eigenvalues } from './polynomial.js';
+import { csrMatVec, csrTranspose, isCsr, toCsr } from './sparse.js';
+
+/* ───────────────────────── parsing helpers ─────────────────────────── */
+// '4 1 2; 3 5 1; 1 1 3'  →  [[4,1,2],[3,5,1],[1,1,3]]
+export function parseMatrix(str) {
+  return str
+    .trim()
+    .split(';')
+    .map(row => row.trim().split(/[,\s]+/).filter(Boolean).map(Number));
+}
+
+// '4 7 3 | 4.1 7 3'  →  [[4,7,3],[4.1,7,3]]
+export function parseVectors(str) {
+  return str
+    .split('|')
+    .map(vec => vec.trim().split(/[,\s]+/).filter(Boolean).map(Number));
+}
+
+/* ─────────────────────── small vector utilities ────────────────────── */
+export function matVec(A, x) {
+  if (isCsr(A)) return csrMatVec(A, x);
+  return A.map(row => row.reduce((s, aij, j) => s + aij * x[j], 0));
+}
+
+export function residualNorm(A, x, b) {
+  const Ax = matVec(A, x);
+  return Math.sqrt(Ax.reduce((s, v, i) => s + (v - b[i]) ** 2, 0));
+}
+
+export function isDiagonallyDominant(A) {
+  const S = toCsr(A);
+  for (let i = 0; i < S.rows; i++) {
+    let diag = 0;
+    let offSum = 0;
+    for (let p = S.rowPtr[i]; p < S.rowPtr[i + 1]; p++) {
+      if (S.colIdx[p] === i) diag = Math.abs(S.values[p]);
+      else offSum += Math.abs(S.values[p]);
+    }
+    if (!(diag > offSum)) return false;
+  }
+  return true;
+}
+
+/* ─────────────── stationary iterations: Jacobi, GS, SOR, SSOR ─────────────── */
+// Every method splits A = D − L − U (diagonal, strictly lower, strictly upper)
+// and sweeps over the unknowns:
+//   • jacobi        xᵢ ← (bᵢ − Σ_{j≠i} aᵢⱼxⱼ) / aᵢᵢ, all from the old x
+//   • gauss-seidel  the same in place, so xⱼ for j < i are already new
+//   • sor           the Gauss–Seidel value blended with the old one:
+//                   xᵢ ← (1 − ω)xᵢ + ω·x̃ᵢ, 0 < ω < 2
+//   • ssor          a forward SOR sweep followed by a backward one
+// criterion 'residual' stops on ‖Ax−b‖₂ < tol, 'increment' on max|Δx| < tol.
+// Steps are { k, x, res, diff } per iteration (without x when `record` is
+// false, which large systems want); an SSOR iteration counts two sweeps in
+// `evals`.  A is converted to CSR, so a sweep touches only its non‑zeros.
+export const STATIONARY_METHODS = {
+  jacobi: 'Jacobi',
+  'gauss-seidel': 'Gauss–Seidel',
+  sor: 'SOR',
+  ssor: 'SSOR',
+};
+
+// Σ_{j≠i} aᵢⱼxⱼ over the stored entries of row i
+function offDiagonal(S, i, x) {
+  let sigma = 0;
+  for (let p = S.rowPtr[i]; p < S.rowPtr[i + 1]; p++) {
+    if (S.colIdx[p] !== i) sigma += S.values[p] * x[S.colIdx[p]];
+  }
+  return sigma;
+}
+
+// one relaxation sweep over the rows in `order`, in place; returns max|Δx|
+function relax(S, d, b, x, omega, order) {
+  let diff = 0;
+  for (const i of order) {
+    const xi = (1 - omega) * x[i] + (omega * (b[i] - offDiagonal(S, i, x))) / d[i];
+    diff = Math.max(diff, Math.abs(xi - x[i]));
+    x[i] = xi;
+  }
+  return diff;
+}
+
+export function stationarySolve(method, A, b, {
+  tol = 1e-6, maxIter = 100, x0, criterion = 'residual', omega = 1, record = true,
+} = {}) {
+  if (!(method in STATIONARY_METHODS)) throw new Error(`Unknown iterative method "${method}"`);
+  const w = method === 'sor' || method === 'ssor' ? Number(omega) : 1;
+  if (!(w > 0 && w < 2)) throw new Error('ω must lie strictly between 0 and 2');
+
+  const S = toCsr(A);
+  const n = S.rows;
+  const d = new Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    for (let p = S.rowPtr[i]; p < S.rowPtr[i + 1]; p++) {
+      if (S.colIdx[p] === i) d[i] = S.values[p];
+    }
+  }
+  const forward = Array.from({ length: n }, (_, i) => i);
+  const backward = [...forward].reverse();
+  let x = x0 ? [...x0] : Array(n).fill(0);
+  const steps = [];
+  let status = 'max-iter';
+
+  for (let k = 1; k <= maxIter; k++) {
+    let diff;
+    if (method === 'jacobi') {
+      const next = forward.map(i => (b[i] - offDiagonal(S, i, x)) / d[i]);
+      diff = next.reduce((m, v, i) => Math.max(m, Math.abs(v - x[i])), 0);
+      x = next;
+    } else {
+      diff = relax(S, d, b, x, w, forward);
+      if (method === 'ssor') diff = Math.max(diff, relax(S, d, b, x, w, backward));
+    }
+    const res = residualNorm(S, x, b);
+    steps.push(record ? { k, x: [...x], res, diff } : { k, res, diff });
+
+    if (!Number.isFinite(res)) {
+      status = 'non-finite';
+      break;
+    }
+    if ((criterion === 'residual' ? res : diff) < tol) {
+      status = 'converged';
+      break;
+    }
+  }
+
+  return {
+    x,
+    steps,
+    converged: status === 'converged',
+    status,
+    iterations: steps.length,
+    evals: steps.length * (method === 'ssor' ? 2 : 1),
+  };
+}
+
+export const jacobi = (A, b, options) => stationarySolve('jacobi', A, b, options);
+export const gaussSeidel = (A, b, options) => stationarySolve('gauss-seidel', A, b, options);
+export const sor = (A, b, options) => stationarySolve('sor', A, b, options);
+export const ssor = (A, b, options) => stationarySolve('ssor', A, b, options);
+
+/* ──────────────────────── choosing ω for SOR ───────────────────────── */
+// iteration matrix of Jacobi, B = D⁻¹(L + U) = I − D⁻¹A
+export function jacobiMatrix(A) {
+  return A.map((row, i) => row.map((v, j) => (i === j ? 0 : -v / A[i][i])));
+}
+
+// Young's consistent ordering, decided from the sparsity pattern alone: the
+// unknowns must fall into levels γ with γⱼ = γᵢ + 1 for every coupling
+// aᵢⱼ ≠ 0 or aⱼᵢ ≠ 0 with i < j (tridiagonal: γᵢ = i; the 5‑point Laplacian
+// in natural order: row + column; red–black: red 0, black 1).  Then the
+// eigenvalues of αD⁻¹L + α⁻¹D⁻¹U do not depend on α, which is what Young's
+// theory needs.  A walk over the graph of A assigns the levels and stops at
+// the first coupling that contradicts them.
+function consistentlyOrdered(A) {
+  const S = toCsr(A);
+  const T = csrTranspose(S);
+  const level = new Array(S.rows).fill(null);
+  for (let start = 0; start < S.rows; start++) {
+    if (level[start] !== null) continue;
+    level[start] = 0;
+    const stack = [start];
+    while (stack.length) {
+      const i = stack.pop();
+      for (const M of [S, T]) {
+        for (let p = M.rowPtr[i]; p < M.rowPtr[i + 1]; p++) {
+          const j = M.colIdx[p];
+          if (j === i || M.values[p] === 0) continue;
+          const want = level[i] + (j > i ? 1 : -1);
+          if (level[j] === null) {
+            level[j] = want;
+            stack.push(j);
+          } else if (level[j] !== want) {
+            return false;
+          }
+        }
+      }
+    }
+  }
+  return true;
+}
+
+// ρ(B) of the Jacobi matrix and, when A is consistently ordered with a real
+// Jacobi spectrum and ρ < 1, Young's ω_opt = 2 / (1 + √(1 − ρ²)) together
+// with the SOR spectral radius ω_opt − 1 it achieves
+export function optimalOmega(A, { tol = 1e-6 } = {}) {
+  if (A.some((row, i) => row[i] === 0)) throw new Error('A has a zero on the diagonal');
+  const lambdas = eigenvalues(jacobiMatrix(A));
+  const rhoJ = Math.max(...lambdas.map(z => Math.hypot(z.re, z.im)));
+  const scale = 1 + rhoJ;
+  const realSpectrum = lambdas.every(z => Math.abs(z.im) < tol * scale);
+  const ordered = consistentlyOrdered(A);
+  const omega = ordered && realSpectrum && rhoJ < 1 ? 2 / (1 + Math.sqrt(1 - rhoJ * rhoJ)) : null;
+  return {
+    rhoJ,
+    eigenvalues: lambdas,
+    consistentlyOrdered: ordered,
+    realSpectrum,
+    omega,
+    rhoSOR: omega === null ? null : omega - 1,
+  };
+}
+
+// iterations `method` ('sor' | 'ssor') needs for each ω (A dense or CSR,
+// converted once); `best` is the
+// converged run with the fewest iterations (null if none converged)
+export function omegaSweep(A, b, {
+  method = 'sor', omegas, tol = 1e-6, maxIter = 500, criterion = 'residual',
+} = {}) {
+  const grid = omegas ?? Array.from({ length: 39 }, (_, k) => 0.05 * (k + 1));
+  const S = toCsr(A);
+  const rows = grid.map(omega => {
+    const { iterations, converged, status } = stationarySolve(method, S, b, {
+      tol, maxIter, omega, criterion, record: false,
+    });
+    return { omega, iterations, converged, status };
+  });
+  const best = rows
+    .filter(r => r.converged)
+    .reduce((min, r) => (min === null || r.iterations < min.iterations ? r : min), null);
+  return { rows, best };
+}
+
+/* ───────────────────── triangular substitutions ────────────────────── */
+export function forwardSubstitution(L, b) {
+  const n = L.length;
+  const y = Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    let sum = b[i];
+    for (let j = 0; j < i; j++) sum -= L[i][j] * y[j];
+    y[i] = sum / L[i][i];
+  }
+  return y;
+}
+
+export function backSubstitution(U, y) {
+  const n = U.length;
+  const x = Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = y[i];
+    for (let j = i + 1; j < n; j++) sum -= U[i][j] * x[j];
+    x[i] = sum / U[i][i];
+  }
+  return x;
+}
+
+/* ──────────────── dense LU with partial pivoting (PA = LU) ─────────── */
+// Returns { LU, perm, singular } with L (unit diagonal) and U packed in LU.
+// Used by the implicit ODE solvers, which refactor small Newton matrices often.
+export function luFactor(A) {
+  const n = A.length;
+  const LU = A.map(row => [...row]);
+  const perm = Array.from({ length: n }, (_, i) => i);
+  let singular = false;
+
+  for (let k = 0; k < n; k++) {
+    let p = k;
+    for (let i = k + 1; i < n; i++) {
+      if (Math.abs(LU[i][k]) > Math.abs(LU[p][k])) p = i;
+    }
+    if (LU[p][k] === 0) {
+      singular = true;
+      continue;
+    }
+    if (p !== k) {
+      [LU[p], LU[k]] = [LU[k], LU[p]];
+      [perm[p], perm[k]] = [perm[k], perm[p]];
+    }
+    for (let i = k + 1; i < n; i++) {
+      const m = (LU[i][k] /= LU[k][k]);
+      for (let j = k + 1; j < n; j++) LU[i][j] -= m * LU[k][j];
+    }
+  }
+  return { LU, perm, singular };
+}
+
+export function luSolve({ LU, perm }, b) {
+  const n = LU.length;
+  const y = perm.map(i => b[i]);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < i; j++) y[i] -= LU[i][j] * y[j];
+  }
+  return backSubstitution(LU, y);
+}
+
+/* ─────────────── Gaussian elimination, one operation at a time ─────────────── */
+// PAQ = LU with a choice of pivot at each stage k:
+//   • none      the diagonal entry as it stands (fails on a zero, and a tiny
+//               one makes huge multipliers that swamp the other entries)
+//   • partial   the largest |aᵢₖ| below the diagonal, swapping rows
+//   • scaled    the largest |aᵢₖ| / sᵢ with sᵢ = maxⱼ |aᵢⱼ| of the original
+//               row, so a row is not favoured just for being scaled up
+//   • complete  the largest |aᵢⱼ| in the remaining block, swapping rows and
+//               columns (the unknowns are reordered by Q)
+// Every operation is one entry of `steps` with a copy of U and L after it,
+// so this is for small teaching matrices; `growth` is max|uᵢⱼ| over the
+// whole elimination divided by max|aᵢⱼ|.
+export const PIVOTING = {
+  none: 'no pivoting',
+  partial: 'partial pivoting',
+  scaled: 'scaled partial pivoting',
+  complete: 'complete pivoting',
+};
+
+export function gaussianElimination(A, { pivoting = 'partial' } = {}) {
+  if (!(pivoting in PIVOTING)) throw new Error(`Unknown pivoting strategy "${pivoting}"`);
+  const n = A.length;
+  if (!A.every(row => row.length === n)) throw new Error('Matrix A must be square');
+  const U = A.map(row => [...row]);
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  const rowPerm = Array.from({ length: n }, (_, i) => i);
+  const colPerm = Array.from({ length: n }, (_, i) => i);
+  const scale = A.map(row => Math.max(...row.map(Math.abs)));
+  const maxA = Math.max(...scale);
+  if (maxA === 0) throw new Error('A is the zero matrix');
+  let biggest = maxA;
+  const snap = () => ({ U: U.map(row => [...row]), L: L.map(row => [...row]) });
+  const steps = [{ type: 'start', k: 0, ...snap() }];
+
+  for (let k = 0; k < n; k++) {
+    // choose the pivot (r, c) in the block k…n−1
+    let r = k;
+    let c = k;
+    let candidates = null;
+    if (pivoting === 'partial' || pivoting === 'scaled') {
+      candidates = [];
+      for (let i = k; i < n; i++) {
+        const value = pivoting === 'scaled'
+          ? Math.abs(U[i][k]) / (scale[rowPerm[i]] || 1)
+          : Math.abs(U[i][k]);
+        candidates.push({ row: i, value });
+        if (value > candidates[r - k].value) r = i;
+      }
+    } else if (pivoting === 'complete') {
+      for (let i = k; i < n; i++) {
+        for (let j = k; j < n; j++) {
+          if (Math.abs(U[i][j]) > Math.abs(U[r][c])) {
+            r = i;
+            c = j;
+          }
+        }
+      }
+    }
+    if (U[r][c] === 0) {
+      throw new Error(pivoting === 'none'
+        ? `zero pivot at position (${k + 1}, ${k + 1}); this matrix needs pivoting`
+        : `A is singular (no non‑zero pivot left at stage ${k + 1})`);
+    }
+    steps.push({ type: 'pivot', k, at: [r, c], value: U[r][c], candidates, ...snap() });
+    if (k === n - 1) break;
+
+    if (r !== k) {
+      [U[k], U[r]] = [U[r], U[k]];
+      [L[k], L[r]] = [L[r], L[k]];           // multipliers of earlier stages move too
+      [rowPerm[k], rowPerm[r]] = [rowPerm[r], rowPerm[k]];
+      steps.push({ type: 'swap-rows', k, rows: [k, r], ...snap() });
+    }
+    if (c !== k) {
+      U.forEach(row => {
+        [row[k], row[c]] = [row[c], row[k]];
+      });
+      [colPerm[k], colPerm[c]] = [colPerm[c], colPerm[k]];
+      steps.push({ type: 'swap-cols', k, cols: [k, c], ...snap() });
+    }
+    for (let i = k + 1; i < n; i++) {
+      const m = U[i][k] / U[k][k];
+      L[i][k] = m;
+      if (m === 0) continue;
+      for (let j = k + 1; j < n; j++) {
+        U[i][j] -= m * U[k][j];
+        biggest = Math.max(biggest, Math.abs(U[i][j]));
+      }
+      U[i][k] = 0;
+      steps.push({ type: 'eliminate', k, row: i, multiplier: m, ...snap() });
+    }
+  }
+  for (let i = 0; i < n; i++) L[i][i] = 1;
+  return { L, U, rowPerm, colPerm, steps, growth: biggest / maxA };
+}
+
+// solve with the factors of gaussianElimination: L y = Pb, U z = y, x = Qz
+export function eliminationSolve({ L, U, rowPerm, colPerm }, b) {
+  const z = backSubstitution(U, forwardSubstitution(L, rowPerm.map(i => b[i])));
+  const x = new Array(z.length);
+  colPerm.forEach((j, t) => {
+    x[j] = z[t];
+  });
+  return x;
+}
@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseMatrix, parseVectors, matVec, residualNorm, isDiagonallyDominant,
+  gaussSeidel, jacobi, sor, ssor, stationarySolve, optimalOmega, omegaSweep,
+  luFactor, luSolve, forwardSubstitution, backSubstitution, gaussianElimination, eliminationSolve,
+  PIVOTING,
+} from './linear.js';
+import { csrToDense, poisson1D, poisson2D } from './sparse.js';
+
+const A = [[4, 1, 2], [3, 5, 1], [1, 1, 3]];
+const b = [4, 7, 3];
+
+describe('parsing', () => {
+  it('reads rows separated by semicolons', () => {
+    expect(parseMatrix('4 1 2; 3,5,1; 1 1 3')).toEqual(A);
+    expect(parseVectors('4 7 3 | 4.1 7 3')).toEqual([[4, 7, 3], [4.1, 7, 3]]);
+  });
+});
+
+describe('vector helpers', () => {
+  it('multiplies and measures residuals', () => {
+    expect(matVec(A, [1, 1, 1])).toEqual([7, 9, 5]);
+    expect(residualNorm(A, [1, 1, 1], [7, 9, 2])).toBe(3);
+    expect(isDiagonallyDominant(A)).toBe(true);
+    expect(isDiagonallyDominant([[1, 2], [0, 1]])).toBe(false);
+  });
+});
+
+describe('stationary iterations', () => {
+  it('Gauss–Seidel converges on a diagonally dominant system', () => {
+    const r = gaussSeidel(A, b, { tol: 1e-10, maxIter: 100 });
+    expect(r.status).toBe('converged');
+    expect(residualNorm(A, r.x, b)).toBeLessThan(1e-10);
+    expect(r.evals).toBe(r.iterations);
+    expect(r.steps[0]).toHaveProperty('x');
+  });
+
+  it('Jacobi takes more sweeps than Gauss–Seidel', () => {
+    const j = jacobi(A, b, { tol: 1e-10, maxIter: 200 });
+    const gs = gaussSeidel(A, b, { tol: 1e-10, maxIter: 200 });
+    expect(j.converged).toBe(true);
+    expect(j.iterations).toBeGreaterThan(gs.iterations);
+  });
+
+  it('stops at maxIter', () => {
+    const r = gaussSeidel(A, b, { tol: 1e-14, maxIter: 3 });
+    expect(r.status).toBe('max-iter');
+    expect(r.iterations).toBe(3);
+  });
+
+  it('counts two sweeps per SSOR iteration', () => {
+    const r = ssor(A, b, { tol: 1e-10, maxIter: 100, omega: 1.1 });
+    expect(r.converged).toBe(true);
+    expect(r.evals).toBe(2 * r.iterations);
+    expect(sor(A, b, { tol: 1e-10, omega: 1 }).x).toEqual(gaussSeidel(A, b, { tol: 1e-10 }).x);
+  });
+
+  it('rejects ω outside (0, 2) and unknown methods', () => {
+    expect(() => sor(A, b, { omega: 2 })).toThrow('ω must lie strictly between 0 and 2');
+    expect(() => ssor(A, b, { omega: 0 })).toThrow('ω must lie strictly between 0 and 2');
+    expect(() => stationarySolve('richardson', A, b)).toThrow('Unknown iterative method');
+  });
+});
+
+describe('optimalOmega', () => {
+  it('gives Young\'s ω for the 1D Poisson matrix', () => {
+    for (const [n, omega] of [[50, 1.884], [100, 1.940], [200, 1.969]]) {
+      const r = optimalOmega(csrToDense(poisson1D(n)));
+      expect(r.consistentlyOrdered).toBe(true);
+      expect(r.realSpectrum).toBe(true);
+      expect(r.omega).toBeCloseTo(omega, 3);
+      expect(r.rhoSOR).toBeCloseTo(r.omega - 1, 12);
+    }
+  });
+
+  it('treats the 5-point Laplacian in natural order as consistently ordered', () => {
+    const k = 14;
+    const r = optimalOmega(csrToDense(poisson2D(k)));
+    const rho = Math.cos(Math.PI / (k + 1));
+    expect(r.consistentlyOrdered).toBe(true);
+    expect(r.rhoJ).toBeCloseTo(rho, 6);
+    expect(r.omega).toBeCloseTo(2 / (1 + Math.sqrt(1 - rho * rho)), 6);
+  });
+
+  it('gives no ω when the ordering is not consistent', () => {
+    const r = optimalOmega(A);
+    expect(r.consistentlyOrdered).toBe(false);
+    expect(r.omega).toBeNull();
+    expect(r.rhoSOR).toBeNull();
+  });
+
+  it('rejects a zero diagonal', () => {
+    expect(() => optimalOmega([[0, 1], [1, 2]])).toThrow('A has a zero on the diagonal');
+  });
+});
+
+describe('omegaSweep', () => {
+  it('finds a best ω near Young\'s value', () => {
+    const P = poisson1D(20);
+    const rhs = Array(20).fill(1);
+    const { rows, best } = omegaSweep(P, rhs, { tol: 1e-8, maxIter: 2000 });
+    expect(rows).toHaveLength(39);
+    expect(best.converged).toBe(true);
+    expect(best.omega).toBeCloseTo(optimalOmega(csrToDense(P)).omega, 1);
+    expect(rows.every(r => r.converged ? r.iterations >= best.iterations : true)).toBe(true);
+  });
+
+  it('reports no best when nothing converges', () => {
+    expect(omegaSweep(A, b, { omegas: [0.1], tol: 1e-14, maxIter: 2 }).best).toBeNull();
+  });
+});
+
+describe('LU with partial pivoting', () => {
+  it('solves Ax = b', () => {
+    const F = luFactor(A);
+    expect(F.singular).toBe(false);
+    const x = luSolve(F, b);
+    expect(residualNorm(A, x, b)).toBeLessThan(1e-14);
+  });
+
+  it('flags a singular matrix', () => {
+    expect(luFactor([[1, 2], [2, 4]]).singular).toBe(true);
+  });
+});
+
+describe('triangular solves', () => {
+  it('substitutes forward and back', () => {
+    expect(forwardSubstitution([[2, 0], [1, 1]], [4, 5])).toEqual([2, 3]);
+    expect(backSubstitution([[2, 1], [0, 4]], [5, 8])).toEqual([1.5, 2]);
+  });
+});
+
+describe('gaussianElimination', () => {
+  const matMul = (X, Y) => X.map(row => Y[0].map((_, j) => row.reduce((s, v, k) => s + v * Y[k][j], 0)));
+
+  it('gives PAQ = LU for every strategy', () => {
+    for (const pivoting of Object.keys(PIVOTING)) {
+      const { L, U, rowPerm, colPerm, steps } = gaussianElimination(A, { pivoting });
+      const PAQ = rowPerm.map(i => colPerm.map(j => A[i][j]));
+      matMul(L, U).forEach((row, i) => row.forEach((v, j) => expect(v).toBeCloseTo(PAQ[i][j], 12)));
+      expect(steps[0].type).toBe('start');
+      expect(residualNorm(A, eliminationSolve({ L, U, rowPerm, colPerm }, b), b)).toBeLessThan(1e-12);
+    }
+  });
+
+  it('shows the growth a tiny pivot causes without pivoting', () => {
+    const T = [[1e-20, 1], [1, 1]];
+    const none = gaussianElimination(T, { pivoting: 'none' });
+    const partial = gaussianElimination(T, { pivoting: 'partial' });
+    expect(none.growth).toBeCloseTo(1e20, -6);
+    expect(eliminationSolve(none, [1, 2])[0]).toBe(0);
+    expect(partial.growth).toBe(1);
+    expect(partial.rowPerm).toEqual([1, 0]);
+    const x = eliminationSolve(partial, [1, 2]);
+    expect(x[0]).toBeCloseTo(1, 12);
+    expect(x[1]).toBeCloseTo(1, 12);
+  });
+
+  it('scales rows before comparing, and complete pivoting swaps columns', () => {
+    const W = [[10, 1e5], [1, 1]];
+    expect(gaussianElimination(W, { pivoting: 'partial' }).rowPerm).toEqual([0, 1]);
+    expect(gaussianElimination(W, { pivoting: 'scaled' }).rowPerm).toEqual([1, 0]);
+    const complete = gaussianElimination(W, { pivoting: 'complete' });
+    expect(complete.colPerm).toEqual([1, 0]);
+    expect(complete.steps.map(s => s.type)).toContain('swap-cols');
+  });
+
+  it('reports zero pivots, singular and malformed matrices', () => {
+    expect(() => gaussianElimination([[0, 1], [1, 0]], { pivoting: 'none' }))
+      .toThrow('zero pivot at position (1, 1); this matrix needs pivoting');
+    expect(() => gaussianElimination([[1, 2], [2, 4]])).toThrow('A is singular (no non‑zero pivot left at stage 2)');
+    expect(() => gaussianElimination([[0, 0], [0, 0]])).toThrow('A is the zero matrix');
+    expect(() => gaussianElimination([[1, 2]])).toThrow('Matrix A must be square');
+    expect(() => gaussianElimination(A, { pivoting: 'rook' })).toThrow('Unknown pivoting strategy "rook"');
+  });
+});
@@ -0,0 +1,206 @@
+// montecarlo.js — Monte Carlo and quasi‑Monte Carlo integration
+// ---------------------------------------------------------------------------
+// Point sources all look the same: `next()` returns a point of [0, 1)^d.
+//   • mulberry32(seed)     seedable pseudo‑random numbers (same seed → same run)
+//   • haltonSequence(d)    radical inverses in the first d prime bases
+//   • sobolSequence(d)     Gray‑code Sobol points, Joe–Kuo direction numbers
+//                          (d ≤ 10; the first points match scipy's unscrambled
+//                          qmc.Sobol)
+// `monteCarlo` integrates f over a box and records the running estimate with
+// a 95 % confidence half‑width at checkpoints.  For plain MC that is
+// 1.96·s/√N from the sample variance.  Quasi‑random points are not
+// independent, so their band comes from R randomly shifted copies of the
+// sequence (Cranley–Patterson rotation): 1.96·sd(replicate means)/√R.
+
+/* ──────────────────────────── point sources ──────────────────────────── */
+export function mulberry32(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const PRIMES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53, 59, 61, 67, 71];
+
+function radicalInverse(i, base) {
+  let result = 0;
+  let f = 1 / base;
+  while (i > 0) {
+    result += f * (i % base);
+    i = Math.floor(i / base);
+    f /= base;
+  }
+  return result;
+}
+
+export function haltonSequence(d) {
+  if (d > PRIMES.length) throw new Error(`Halton points are available up to ${PRIMES.length} dimensions`);
+  let index = 0;
+  return {
+    next: () => {
+      const i = index++;
+      return PRIMES.slice(0, d).map(p => radicalInverse(i, p));
+    },
+  };
+}
+
+// [degree s, coefficient a, initial m₁…mₛ] for dimensions 2…10
+const SOBOL_DIRECTIONS = [
+  [1, 0, [1]],
+  [2, 1, [1, 3]],
+  [3, 1, [1, 3, 1]],
+  [3, 2, [1, 1, 1]],
+  [4, 1, [1, 1, 3, 3]],
+  [4, 4, [1, 3, 5, 13]],
+  [5, 2, [1, 1, 5, 5, 17]],
+  [5, 4, [1, 1, 5, 5, 5]],
+  [5, 7, [1, 1, 7, 11, 19]],
+];
+const SOBOL_BITS = 30;
+
+function directionNumbers(dim) {
+  const v = new Array(SOBOL_BITS);
+  if (dim === 0) {
+    for (let k = 0; k < SOBOL_BITS; k++) v[k] = 1 << (SOBOL_BITS - 1 - k);
+    return v;
+  }
+  const [s, a, m] = SOBOL_DIRECTIONS[dim - 1];
+  for (let k = 0; k < SOBOL_BITS; k++) {
+    if (k < s) {
+      v[k] = m[k] << (SOBOL_BITS - 1 - k);
+    } else {
+      let value = v[k - s] ^ (v[k - s] >>> s);
+      for (let j = 1; j < s; j++) {
+        if ((a >>> (s - 1 - j)) & 1) value ^= v[k - j];
+      }
+      v[k] = value;
+    }
+  }
+  return v;
+}
+
+export function sobolSequence(d) {
+  if (d > SOBOL_DIRECTIONS.length + 1) {
+    throw new Error(`Sobol points are available up to ${SOBOL_DIRECTIONS.length + 1} dimensions`);
+  }
+  const v = Array.from({ length: d }, (_, j) => directionNumbers(j));
+  const x = new Array(d).fill(0);
+  let index = 0;
+  const scale = 2 ** -SOBOL_BITS;
+  return {
+    next: () => {
+      if (index > 0) {
+        // Gray code: flip the direction number of the lowest zero bit of index − 1
+        let c = 0;
+        while (((index - 1) >>> c) & 1) c++;
+        for (let j = 0; j < d; j++) x[j] = (x[j] ^ v[j][c]) >>> 0;
+      }
+      index++;
+      return x.map(xj => xj * scale);
+    },
+  };
+}
+
+/* ─────────────────────────── integration ─────────────────────────────── */
+// checkpoints at 1, 2, 5, 10, 20, 50, … evaluations and at the end, rounded
+// up to multiples of `step` (quasi‑MC evaluates R points at a time) without
+// repeats
+function checkpoints(total, step = 1) {
+  const marks = [];
+  const add = n => {
+    const mark = Math.ceil(n / step) * step;
+    if (mark > 0 && mark <= total && mark !== marks[marks.length - 1]) marks.push(mark);
+  };
+  for (let decade = 1; decade <= total; decade *= 10) [1, 2, 5].forEach(k => add(k * decade));
+  add(Math.floor(total / step) * step);
+  return marks;
+}
+
+export function monteCarlo(f, lows, highs, {
+  samples = 10000,
+  sampler = 'random',
+  seed = 1,
+  replicates = 8,
+} = {}) {
+  const d = lows.length;
+  const lo = lows.map(Number);
+  const hi = highs.map(Number);
+  if (lo.some((a, j) => !Number.isFinite(a) || !Number.isFinite(hi[j]) || a >= hi[j])) {
+    throw new Error('every limit must be finite with low < high');
+  }
+  const N = Number(samples);
+  if (!Number.isInteger(N) || N < 2) throw new Error('samples must be an integer ≥ 2');
+
+  const volume = lo.reduce((v, a, j) => v * (hi[j] - a), 1);
+  const toBox = u => u.map((t, j) => lo[j] + (hi[j] - lo[j]) * t);
+  const rand = mulberry32(seed);
+  const marks = checkpoints(N, sampler === 'random' ? 1 : replicates);
+  const running = [];
+  let evals = 0;
+  let status = 'ok';
+
+  if (sampler === 'random') {
+    // Welford's running mean and variance
+    let mean = 0;
+    let m2 = 0;
+    let mark = 0;
+    for (let k = 1; k <= N; k++) {
+      const fx = f(...toBox(Array.from({ length: d }, rand)));
+      evals++;
+      if (!Number.isFinite(fx)) {
+        status = 'non-finite';
+        break;
+      }
+      const delta = fx - mean;
+      mean += delta / k;
+      m2 += delta * (fx - mean);
+      if (k === marks[mark]) {
+        const sd = k > 1 ? Math.sqrt(m2 / (k - 1)) : NaN;
+        running.push({ n: k, estimate: volume * mean, halfWidth: (1.96 * volume * sd) / Math.sqrt(k) });
+        mark++;
+      }
+    }
+  } else {
+    const seq = sampler === 'sobol' ? sobolSequence(d) : sampler === 'halton' ? haltonSequence(d) : null;
+    if (!seq) throw new Error(`Unknown sampler "${sampler}"`);
+    const R = replicates;
+    if (N < R) throw new Error(`quasi‑Monte Carlo needs samples ≥ ${R}, one point in each of the ${R} shifted copies`);
+    const shifts = Array.from({ length: R }, () => Array.from({ length: d }, rand));
+    const sums = new Array(R).fill(0);
+    let mark = 0;
+    // every step uses one sequence point in all R shifted copies
+    for (let i = 1; i * R <= N && status === 'ok'; i++) {
+      const q = seq.next();
+      for (let r = 0; r < R; r++) {
+        const fx = f(...toBox(q.map((t, j) => (t + shifts[r][j]) % 1)));
+        evals++;
+        if (!Number.isFinite(fx)) {
+          status = 'non-finite';
+          break;
+        }
+        sums[r] += fx;
+      }
+      if (evals === marks[mark]) {
+        const means = sums.map(s => (volume * s) / i);
+        const estimate = means.reduce((s, m) => s + m, 0) / R;
+        const sd = Math.sqrt(means.reduce((s, m) => s + (m - estimate) ** 2, 0) / (R - 1));
+        running.push({ n: evals, estimate, halfWidth: (1.96 * sd) / Math.sqrt(R) });
+        mark++;
+      }
+    }
+  }
+
+  const last = running[running.length - 1];
+  return {
+    value: last ? last.estimate : NaN,
+    halfWidth: last ? last.halfWidth : NaN,
+    running,
+    converged: status === 'ok',
+    status,
+    evals,
+  };
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { mulberry32, haltonSequence, sobolSequence, monteCarlo } from './montecarlo.js';
+
+describe('point sources', () => {
+  it('mulberry32 repeats for the same seed', () => {
+    const a = mulberry32(42);
+    const b = mulberry32(42);
+    const xs = Array.from({ length: 5 }, a);
+    expect(Array.from({ length: 5 }, b)).toEqual(xs);
+    expect(xs.every(x => x >= 0 && x < 1)).toBe(true);
+  });
+
+  it('Halton uses radical inverses in bases 2 and 3', () => {
+    const seq = haltonSequence(2);
+    const pts = Array.from({ length: 4 }, () => seq.next());
+    expect(pts).toEqual([[0, 0], [0.5, 1 / 3], [0.25, 2 / 3], [0.75, 1 / 9]]);
+  });
+
+  it('Sobol matches the unscrambled sequence', () => {
+    const seq = sobolSequence(2);
+    const pts = Array.from({ length: 5 }, () => seq.next());
+    expect(pts).toEqual([[0, 0], [0.5, 0.5], [0.75, 0.25], [0.25, 0.75], [0.375, 0.375]]);
+    expect(() => sobolSequence(11)).toThrow('up to 10 dimensions');
+  });
+});
+
+describe('monteCarlo', () => {
+  const f = (x, y) => x * y;            // ∫∫ over [0, 1]² = 1/4
+
+  it('plain MC lands within its confidence band', () => {
+    const r = monteCarlo(f, [0, 0], [1, 1], { samples: 20000, seed: 3 });
+    expect(r.status).toBe('ok');
+    expect(r.evals).toBe(20000);
+    expect(Math.abs(r.value - 0.25)).toBeLessThan(2 * r.halfWidth);
+    expect(r.running.map(p => p.n)).toEqual([1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000]);
+  });
+
+  it('is reproducible for a seed', () => {
+    const run = () => monteCarlo(f, [0, 0], [1, 1], { samples: 500, seed: 9 }).value;
+    expect(run()).toBe(run());
+  });
+
+  it('quasi-MC has a much narrower band for the same budget', () => {
+    const mc = monteCarlo(f, [0, 0], [1, 1], { samples: 4096, seed: 1 });
+    const qmc = monteCarlo(f, [0, 0], [1, 1], { samples: 4096, seed: 1, sampler: 'sobol' });
+    expect(qmc.halfWidth).toBeLessThan(mc.halfWidth / 4);
+    expect(Math.abs(qmc.value - 0.25)).toBeLessThan(1e-3);
+  });
+
+  it('checks quasi-MC at distinct multiples of the replicate count', () => {
+    const r = monteCarlo(f, [0, 0], [1, 1], { samples: 1000, sampler: 'halton', replicates: 8 });
+    const ns = r.running.map(p => p.n);
+    expect(ns).toEqual([8, 16, 24, 56, 104, 200, 504, 1000]);
+    expect(r.evals).toBe(1000);
+  });
+
+  it('stops on a non-finite integrand and validates its input', () => {
+    expect(monteCarlo(x => 1 / (x - x), [0], [1], { samples: 10 }).status).toBe('non-finite');
+    expect(() => monteCarlo(f, [0, 0], [1, 0])).toThrow('low < high');
+    expect(() => monteCarlo(f, [0, 0], [1, 1], { sampler: 'lattice' })).toThrow('Unknown sampler');
+  });
+
+  it('needs one full round of replicates for quasi-MC', () => {
+    for (const sampler of ['sobol', 'halton']) {
+      expect(() => monteCarlo(f, [0, 0], [1, 1], { samples: 5, sampler })).toThrow('quasi‑Monte Carlo needs samples ≥ 8');
+      expect(monteCarlo(f, [0, 0], [1, 1], { samples: 8, sampler }).running.map(p => p.n)).toEqual([8]);
+    }
+    expect(monteCarlo(f, [0, 0], [1, 1], { samples: 5 }).evals).toBe(5);
+  });
+});
@@ -0,0 +1,151 @@
+// nonlinear.js — Newton and Broyden for systems F(x) = 0 in n unknowns
+// ---------------------------------------------------------------------------
+// F maps a point array to a residual array of the same length.  Each step
+// solves J·p = −F(x) and then backtracks along p: λ = 1, ½, ¼, … until the
+// merit ½‖F‖² drops by the Armijo factor (1 − 2·10⁻⁴·λ).  Full steps are
+// taken near the root, so the quadratic (Newton) or superlinear (Broyden)
+// rate survives, while far from it the damping stops the overshoot that
+// makes plain Newton diverge.
+//   • newtonSystem  J from `jac(x)` — symbolic — or forward differences
+//   • broyden       J only at x₀; afterwards the rank‑one "good Broyden"
+//                   update B ← B + (y − B·s)·sᵀ / sᵀs, one F evaluation per
+//                   step.  When the line search fails B is rebuilt from the
+//                   true Jacobian once before giving up.
+// Result: { x, steps, converged, status, iterations, evals, jevals } with
+// steps { k, x, norm: ‖F(x)‖₂, lambda, stepNorm: ‖Δx‖₂, note? } (k = 0 is x₀),
+// `evals` counting calls of F (finite‑difference columns included),
+// `jevals` the Jacobians formed (symbolic or by differences) and status 'converged' | 'max-iter' | 'singular-jacobian' | 'line-search' |
+// 'non-finite'.
+
+import { countEvals } from './expr.js';
+import { luFactor, luSolve } from './linear.js';
+import { numericJacobian } from './stiff.js';
+
+const ARMIJO = 1e-4;
+const MIN_LAMBDA = 1e-10;
+const norm2 = v => Math.hypot(...v);
+
+/* forward‑difference Jacobian of F at x */
+export function finiteDifferenceJacobian(F, x, Fx = F(x)) {
+  return numericJacobian((_, y) => F(y), 0, x, Fx);
+}
+
+// backtrack from the full step p; null when λ falls below MIN_LAMBDA
+function lineSearch(F, x, Fx, p) {
+  const merit = norm2(Fx) ** 2;
+  for (let lambda = 1; lambda >= MIN_LAMBDA; lambda /= 2) {
+    const xNew = x.map((xi, i) => xi + lambda * p[i]);
+    const FNew = F(xNew);
+    if (FNew.every(Number.isFinite) && norm2(FNew) ** 2 <= (1 - 2 * ARMIJO * lambda) * merit) {
+      return { xNew, FNew, lambda };
+    }
+  }
+  return null;
+}
+
+function solveSystem(F, x0, nextJacobian, { tol, maxIter, lineSearch: damped }) {
+  let x = x0.map(Number);
+  let Fx = F(x);
+  if (!Fx.every(Number.isFinite)) throw new Error('F(x₀) is not finite');
+  if (Fx.length !== x.length) {
+    throw new Error(`${Fx.length} equations in ${x.length} unknowns — the system must be square`);
+  }
+  const steps = [{ k: 0, x, norm: norm2(Fx), lambda: null, stepNorm: null }];
+  let status = 'max-iter';
+
+  for (let k = 1; k <= maxIter; k++) {
+    if (norm2(Fx) < tol) {
+      status = 'converged';
+      break;
+    }
+    const { J, note } = nextJacobian(x, Fx, null);
+    let lu = luFactor(J);
+    if (lu.singular) {
+      status = 'singular-jacobian';
+      break;
+    }
+    let p = luSolve(lu, Fx.map(v => -v));
+    const full = x.map((xi, i) => xi + p[i]);
+    let found = damped ? lineSearch(F, x, Fx, p) : { xNew: full, FNew: F(full), lambda: 1 };
+    let stepNote = note;
+    if (!found) {
+      // Broyden: the direction may be poor because B has drifted from J
+      const retry = nextJacobian(x, Fx, 'reset');
+      if (retry) {
+        lu = luFactor(retry.J);
+        if (!lu.singular) {
+          p = luSolve(lu, Fx.map(v => -v));
+          found = lineSearch(F, x, Fx, p);
+          stepNote = retry.note;
+        }
+      }
+    }
+    if (!found) {
+      status = 'line-search';
+      break;
+    }
+    const { xNew, FNew, lambda } = found;
+    const s = xNew.map((xi, i) => xi - x[i]);
+    nextJacobian.accept?.(s, FNew.map((v, i) => v - Fx[i]));
+    x = xNew;
+    Fx = FNew;
+    const stepNorm = norm2(s);
+    steps.push({ k, x, norm: norm2(Fx), lambda, stepNorm, note: stepNote });
+    if (!Fx.every(Number.isFinite)) {
+      status = 'non-finite';
+      break;
+    }
+    if (norm2(Fx) < tol || stepNorm < tol * (1 + norm2(x))) {
+      status = 'converged';
+      break;
+    }
+  }
+
+  return { x, steps, converged: status === 'converged', status, iterations: steps.length - 1 };
+}
+
+/* ───────────────────────────── Newton ──────────────────────────────── */
+// J(x) from `jac` or by forward differences, counted in `jacobian.evals`
+function countedJacobian(counter, jac) {
+  return countEvals((x, Fx) => (jac ? jac(x) : finiteDifferenceJacobian(counter.f, x, Fx)));
+}
+
+export function newtonSystem(F, jac, x0, { tol = 1e-10, maxIter = 50, lineSearch = true } = {}) {
+  const counter = countEvals(F);
+  const J = countedJacobian(counter, jac);
+  // a failed line search is final: the direction already came from the true J
+  const next = (x, Fx, reset) => (reset ? null : { J: J.f(x, Fx) });
+  const res = solveSystem(counter.f, x0, next, { tol, maxIter, lineSearch });
+  return { ...res, evals: counter.evals, jevals: J.evals };
+}
+
+/* ──────────────────────────── Broyden ──────────────────────────────── */
+export function broyden(F, jac, x0, { tol = 1e-10, maxIter = 100, lineSearch = true } = {}) {
+  const counter = countEvals(F);
+  const J = countedJacobian(counter, jac);
+  const trueJacobian = J.f;
+  let B = null;
+  let resets = 0;
+  const next = (x, Fx, reset) => {
+    if (reset) {
+      if (resets++ > 0) return null;               // one rebuild per failure run
+      B = trueJacobian(x, Fx);
+      return { J: B, note: 'B reset to J' };
+    }
+    if (!B) {
+      B = trueJacobian(x, Fx);
+      return { J: B, note: 'B₀ = J(x₀)' };
+    }
+    return { J: B };
+  };
+  next.accept = (s, y) => {
+    // B ← B + (y − B s) sᵀ / (sᵀ s)
+    const ss = s.reduce((sum, v) => sum + v * v, 0);
+    if (ss === 0) return;
+    const r = y.map((yi, i) => yi - B[i].reduce((sum, b, j) => sum + b * s[j], 0));
+    B = B.map((row, i) => row.map((b, j) => b + (r[i] * s[j]) / ss));
+    resets = 0;
+  };
+  const res = solveSystem(counter.f, x0, next, { tol, maxIter, lineSearch });
+  return { ...res, evals: counter.evals, jevals: J.evals };
+}
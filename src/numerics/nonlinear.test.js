@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { finiteDifferenceJacobian, newtonSystem, broyden } from './nonlinear.js';
+
+// circle x² + y² = 4 meets the hyperbola xy = 1 at (1.9319, 0.5176), …
+const F = ([x, y]) => [x * x + y * y - 4, x * y - 1];
+const jac = ([x, y]) => [[2 * x, 2 * y], [y, x]];
+const root = [Math.sqrt(2 + Math.sqrt(3)), Math.sqrt(2 - Math.sqrt(3))];
+
+function expectRoot(x) {
+  expect(x[0]).toBeCloseTo(root[0], 9);
+  expect(x[1]).toBeCloseTo(root[1], 9);
+}
+
+describe('finiteDifferenceJacobian', () => {
+  it('matches the analytic Jacobian', () => {
+    const J = finiteDifferenceJacobian(F, [2, 0.5]);
+    jac([2, 0.5]).forEach((row, i) => row.forEach((v, j) => expect(J[i][j]).toBeCloseTo(v, 6)));
+  });
+});
+
+describe('newtonSystem', () => {
+  it('converges quadratically with a symbolic Jacobian', () => {
+    const r = newtonSystem(F, jac, [2, 0.3]);
+    expect(r.status).toBe('converged');
+    expectRoot(r.x);
+    expect(r.steps[0].k).toBe(0);
+    const norms = r.steps.map(s => s.norm);
+    expect(norms[norms.length - 1]).toBeLessThan(1e-10);
+    expect(r.jevals).toBe(r.iterations);
+    // F(x₀) plus one trial per full step
+    expect(r.evals).toBe(1 + r.iterations);
+  });
+
+  it('counts the F calls of a finite-difference Jacobian as F evaluations', () => {
+    const r = newtonSystem(F, null, [2, 0.3]);
+    expectRoot(r.x);
+    expect(r.evals).toBe(1 + r.iterations + 2 * r.jevals);
+  });
+
+  it('the line search rescues a far start that plain Newton loses', () => {
+    const G = ([x]) => [Math.atan(x)];
+    const dG = ([x]) => [[1 / (1 + x * x)]];
+    const damped = newtonSystem(G, dG, [3]);
+    expect(damped.status).toBe('converged');
+    expect(damped.steps.some(s => s.lambda !== null && s.lambda < 1)).toBe(true);
+    expect(newtonSystem(G, dG, [3], { lineSearch: false, maxIter: 10 }).converged).toBe(false);
+  });
+
+  it('stops on a singular Jacobian and rejects non-square systems', () => {
+    expect(newtonSystem(F, jac, [0, 0]).status).toBe('singular-jacobian');
+    expect(() => newtonSystem(([x, y]) => [x + y], null, [1, 1])).toThrow('must be square');
+  });
+});
+
+describe('broyden', () => {
+  it('forms J once and then needs one F call per step', () => {
+    const r = broyden(F, jac, [2, 0.3]);
+    expect(r.status).toBe('converged');
+    expectRoot(r.x);
+    expect(r.jevals).toBe(1);
+    expect(r.steps[1].note).toBe('B₀ = J(x₀)');
+    expect(r.evals).toBe(1 + r.iterations);
+  });
+
+  it('takes more but cheaper steps than Newton', () => {
+    const n = newtonSystem(F, null, [2, 0.3]);
+    const b = broyden(F, null, [2, 0.3]);
+    expect(b.iterations).toBeGreaterThan(n.iterations);
+    expect(b.jevals).toBeLessThan(n.jevals);
+  });
+});
@@ -0,0 +1,330 @@
+// ode.js — explicit Runge–Kutta integrators for y′ = f(t, y)
+// ---------------------------------------------------------------------------
+// Three embedded pairs, driven either with a fixed step or adaptively:
+//   • RK23   – Bogacki–Shampine 3(2), FSAL, 3 new stages per step
+//   • RK45   – Dormand–Prince 5(4), FSAL, 6 new stages per step
+//   • DOP853 – Dormand–Prince 8(5,3) of Hairer & Wanner, 12 stages per step
+//
+// solveIVP(method, f, t0, y0, t1, options) accepts a scalar y0 (f returns a
+// number) or an array y0 (f returns an array).  With `options.h` it takes
+// fixed steps; otherwise it controls the local error estimate against
+//   scale_i = atol + rtol · max(|y_i|, |y_new,i|)
+// and grows/shrinks h by SAFETY · err^(−1/(q+1)), q = error‑estimator order
+// (the same controller as scipy's solve_ivp).  Result:
+//   { t, y, steps, accepted, rejected, converged, status, evals }
+// `steps` is the trajectory [{ t, y, h }, …] including the initial point.
+
+import { countEvals } from './expr.js';
+
+const SAFETY = 0.9;
+const MIN_FACTOR = 0.2;   // never shrink h by more than 5×
+const MAX_FACTOR = 10;    // never grow h by more than 10×
+
+/* ─────────────────────────── Butcher tableaus ──────────────────────── */
+const DOP853_C = [
+  0,
+  0.526001519587677318785587544488e-1,
+  0.789002279381515978178381316732e-1,
+  0.118350341907227396726757197510,
+  0.281649658092772603273242802490,
+  0.333333333333333333333333333333,
+  0.25,
+  0.307692307692307692307692307692,
+  0.651282051282051282051282051282,
+  0.6,
+  0.857142857142857142857142857142,
+  1,
+];
+
+const DOP853_A = [
+  [],
+  [5.26001519587677318785587544488e-2],
+  [1.97250569845378994544595329183e-2, 5.91751709536136983633785987549e-2],
+  [2.95875854768068491816892993775e-2, 0, 8.87627564304205475450678981324e-2],
+  [2.41365134159266685502369798665e-1, 0, -8.84549479328286085344864962717e-1, 9.24834003261792003115737966543e-1],
+  [3.7037037037037037037037037037e-2, 0, 0, 1.70828608729473871279604482173e-1, 1.25467687566822425016691814123e-1],
+  [3.7109375e-2, 0, 0, 1.70252211019544039314978060272e-1, 6.02165389804559606850219397283e-2, -1.7578125e-2],
+  [3.70920001185047927108779319836e-2, 0, 0, 1.70383925712239993810214054705e-1, 1.07262030446373284651809199168e-1, -1.53194377486244017527936158236e-2, 8.27378916381402288758473766002e-3],
+  [6.24110958716075717114429577812e-1, 0, 0, -3.36089262944694129406857109825, -8.68219346841726006818189891453e-1, 2.75920996994467083049415600797e1, 2.01540675504778934086186788979e1, -4.34898841810699588477366255144e1],
+  [4.77662536438264365890433908527e-1, 0, 0, -2.48811461997166764192642586468, -5.90290826836842996371446475743e-1, 2.12300514481811942347288949897e1, 1.52792336328824235832596922938e1, -3.32882109689848629194453265587e1, -2.03312017085086261358222928593e-2],
+  [-9.3714243008598732571704021658e-1, 0, 0, 5.18637242884406370830023853209, 1.09143734899672957818500254654, -8.14978701074692612513997267357, -1.85200656599969598641566180701e1, 2.27394870993505042818970056734e1, 2.49360555267965238987089396762, -3.0467644718982195003823669022],
+  [2.27331014751653820792359768449, 0, 0, -1.05344954667372501984066689879e1, -2.00087205822486249909675718444, -1.79589318631187989172765950534e1, 2.79488845294199600508499808837e1, -2.85899827713502369474065508674, -8.87285693353062954433549289258, 1.23605671757943030647266201528e1, 6.43392746015763530355970484046e-1],
+];
+
+const DOP853_B = [
+  5.42937341165687622380535766363e-2, 0, 0, 0, 0,
+  4.45031289275240888144113950566, 1.89151789931450038304281599044,
+  -5.8012039600105847814672114227, 3.1116436695781989440891606237e-1,
+  -1.52160949662516078556178806805e-1, 2.01365400804030348374776537501e-1,
+  4.47106157277725905176885569043e-2,
+];
+
+// 5th‑ and 3rd‑order error weights (13 entries: the 12 stages + f(t+h, y_new))
+const DOP853_E5 = [
+  0.1312004499419488073250102996e-1, 0, 0, 0, 0,
+  -0.1225156446376204440720569753e1, -0.4957589496572501915214079952,
+  0.1664377182454986536961530415e1, -0.3503288487499736816886487290,
+  0.3341791187130174790297318841, 0.8192320648511571246570742613e-1,
+  -0.2235530786388629525884427845e-1, 0,
+];
+const DOP853_E3 = [...DOP853_B, 0].map((b, i) => b - ({
+  0: 0.244094488188976377952755905512,
+  8: 0.733846688281611857341361741547,
+  11: 0.220588235294117647058823529412e-1,
+}[i] ?? 0));
+
+export const ODE_METHODS = {
+  rk23: {
+    label: 'RK23',
+    order: 3,
+    errorOrder: 2,
+    C: [0, 1 / 2, 3 / 4],
+    A: [[], [1 / 2], [0, 3 / 4]],
+    B: [2 / 9, 1 / 3, 4 / 9],
+    E: [5 / 72, -1 / 12, -1 / 9, 1 / 8],
+  },
+  rk45: {
+    label: 'RK45',
+    order: 5,
+    errorOrder: 4,
+    C: [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1],
+    A: [
+      [],
+      [1 / 5],
+      [3 / 40, 9 / 40],
+      [44 / 45, -56 / 15, 32 / 9],
+      [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+      [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    ],
+    B: [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+    E: [-71 / 57600, 0, 71 / 16695, -71 / 1920, 17253 / 339200, -22 / 525, 1 / 40],
+  },
+  dop853: {
+    label: 'DOP853',
+    order: 8,
+    errorOrder: 7,
+    C: DOP853_C,
+    A: DOP853_A,
+    B: DOP853_B,
+    // Hairer's blended 5th/3rd‑order estimate, robust for large steps
+    errorNorm: (K, h, scale) => {
+      const n = scale.length;
+      let e5 = 0;
+      let e3 = 0;
+      for (let i = 0; i < n; i++) {
+        const err5 = combine(K, DOP853_E5, i) / scale[i];
+        const err3 = combine(K, DOP853_E3, i) / scale[i];
+        e5 += err5 * err5;
+        e3 += err3 * err3;
+      }
+      if (e5 === 0 && e3 === 0) return 0;
+      return Math.abs(h) * e5 / Math.sqrt((e5 + 0.01 * e3) * n);
+    },
+  },
+};
+
+/* ─────────────────────────── small helpers ─────────────────────────── */
+// Σ_s w_s K_s[i]
+function combine(K, w, i) {
+  let sum = 0;
+  for (let s = 0; s < w.length; s++) if (w[s]) sum += w[s] * K[s][i];
+  return sum;
+}
+
+// root‑mean‑square norm, as used for error and initial‑step estimates
+function rmsNorm(v) {
+  return Math.sqrt(v.reduce((s, x) => s + x * x, 0) / v.length);
+}
+
+function finite(y) {
+  return y.every(Number.isFinite);
+}
+
+/* one explicit RK step: stages K[0..s−1] plus K[s] = f(t+h, y_new) */
+function rkStep(F, tab, t, y, f0, h) {
+  const { A, B, C } = tab;
+  const n = y.length;
+  const K = [f0];
+  for (let s = 1; s < C.length; s++) {
+    const ys = y.map((yi, i) => {
+      let dy = 0;
+      for (let j = 0; j < s; j++) if (A[s][j]) dy += A[s][j] * K[j][i];
+      return yi + h * dy;
+    });
+    K.push(F(t + C[s] * h, ys));
+  }
+  const yNew = Array.from({ length: n }, (_, i) => y[i] + h * combine(K, B, i));
+  const fNew = F(t + h, yNew);
+  K.push(fNew);
+  return { yNew, fNew, K };
+}
+
+function errorNorm(tab, K, h, scale) {
+  if (tab.errorNorm) return tab.errorNorm(K, h, scale);
+  return rmsNorm(scale.map((sc, i) => (h * combine(K, tab.E, i)) / sc));
+}
+
+/* Hairer–Wanner starting step (Solving ODEs I, Sec. II.4) */
+function initialStep(F, tab, t0, y0, f0, t1, rtol, atol) {
+  const span = Math.abs(t1 - t0);
+  if (span === 0) return 0;
+  const scale = y0.map(y => atol + Math.abs(y) * rtol);
+  const d0 = rmsNorm(y0.map((y, i) => y / scale[i]));
+  const d1 = rmsNorm(f0.map((f, i) => f / scale[i]));
+  const h0 = Math.min(d0 < 1e-5 || d1 < 1e-5 ? 1e-6 : 0.01 * d0 / d1, span);
+  const f1 = F(t0 + h0, y0.map((y, i) => y + h0 * f0[i]));
+  const d2 = rmsNorm(f1.map((f, i) => (f - f0[i]) / scale[i])) / h0;
+  const h1 = d1 <= 1e-15 && d2 <= 1e-15
+    ? Math.max(1e-6, h0 * 1e-3)
+    : (0.01 / Math.max(d1, d2)) ** (1 / (tab.errorOrder + 1));
+  return Math.min(100 * h0, h1, span);
+}
+
+/* ───────────────────────────── drivers ─────────────────────────────── */
+function fixedSteps(F, tab, t0, y0, t1, h) {
+  let t = t0;
+  let y = y0;
+  let f = F(t, y);
+  const steps = [{ t, y, h: 0 }];
+  let status = 'converged';
+
+  while (t < t1 - 1e-12) {
+    const hh = t + h > t1 ? t1 - t : h;
+    ({ yNew: y, fNew: f } = rkStep(F, tab, t, y, f, hh));
+    t += hh;
+    steps.push({ t, y, h: hh });
+    if (!finite(y)) {
+      status = 'non-finite';
+      break;
+    }
+  }
+  return { t, y, steps, accepted: steps.length - 1, rejected: 0, status };
+}
+
+function adaptiveSteps(F, tab, t0, y0, t1, { rtol, atol, maxSteps, h0 }) {
+  let t = t0;
+  let y = y0;
+  let f = F(t, y);
+  let hAbs = h0 ?? initialStep(F, tab, t0, y0, f, t1, rtol, atol);
+  const exponent = -1 / (tab.errorOrder + 1);
+  const steps = [{ t, y, h: 0 }];
+  let rejected = 0;
+  let status = 'converged';
+
+  while (t < t1) {
+    if (steps.length > maxSteps) {
+      status = 'max-steps';
+      break;
+    }
+    const minStep = 10 * Math.abs(t) * Number.EPSILON || Number.MIN_VALUE;
+    let accepted = false;
+    let stepRejected = false;
+
+    while (!accepted) {
+      if (hAbs < minStep) {
+        status = 'step-too-small';
+        break;
+      }
+      const h = Math.min(hAbs, t1 - t);
+      const trial = rkStep(F, tab, t, y, f, h);
+      const scale = y.map((yi, i) => atol + rtol * Math.max(Math.abs(yi), Math.abs(trial.yNew[i])));
+      const err = errorNorm(tab, trial.K, h, scale);
+
+      if (err < 1) {
+        let factor = err === 0 ? MAX_FACTOR : Math.min(MAX_FACTOR, SAFETY * err ** exponent);
+        if (stepRejected) factor = Math.min(1, factor);
+        t = t + h >= t1 ? t1 : t + h;
+        y = trial.yNew;
+        f = trial.fNew;
+        steps.push({ t, y, h, err });
+        hAbs = h * factor;
+        accepted = true;
+      } else {
+        // NaN errors land here too and shrink the step
+        hAbs = h * (Number.isFinite(err) ? Math.max(MIN_FACTOR, SAFETY * err ** exponent) : MIN_FACTOR);
+        rejected++;
+        stepRejected = true;
+      }
+    }
+    if (!accepted) break;
+    if (!finite(y)) {
+      status = 'non-finite';
+      break;
+    }
+  }
+  return { t, y, steps, accepted: steps.length - 1, rejected, status };
+}
+
+/* ───────────────────────────── public API ──────────────────────────── */
+export function solveIVP(method, f, t0, y0, t1, {
+  h,
+  rtol = 1e-3,
+  atol = 1e-6,
+  maxSteps = 100000,
+  h0,
+} = {}) {
+  const tab = ODE_METHODS[method];
+  if (!tab) throw new Error(`Unknown ODE method "${method}"`);
+  const tStart = Number(t0);
+  const tEnd = Number(t1);
+  if (!(tEnd > tStart)) throw new Error('t1 must be greater than t0');
+
+  // scalar problems are run as 1‑component systems and unwrapped at the end
+  const scalar = !Array.isArray(y0);
+  const Y0 = scalar ? [Number(y0)] : y0.map(Number);
+  const counter = countEvals(scalar ? (t, y) => [f(t, y[0])] : f);
+
+  const run = h !== undefined
+    ? fixedSteps(counter.f, tab, tStart, Y0, tEnd, Number(h))
+    : adaptiveSteps(counter.f, tab, tStart, Y0, tEnd, {
+      rtol: Number(rtol),
+      atol: Number(atol),
+      maxSteps,
+      h0,
+    });
+
+  const unwrap = y => (scalar ? y[0] : y);
+  return {
+    ...run,
+    y: unwrap(run.y),
+    steps: run.steps.map(s => ({ ...s, y: unwrap(s.y) })),
+    converged: run.status === 'converged',
+    evals: counter.evals,
+    method: tab.label,
+  };
+}
+
+export const rk23 = (f, t0, y0, t1, options) => solveIVP('rk23', f, t0, y0, t1, options);
+export const rk45 = (f, t0, y0, t1, options) => solveIVP('rk45', f, t0, y0, t1, options);
+export const dop853 = (f, t0, y0, t1, options) => solveIVP('dop853', f, t0, y0, t1, options);
+
+/* ─────────────────────── checking a claimed solution ──────────────────── */
+// Does `exact` = { y(t), dy(t) } solve y′ = f(t, y), y(t0) = y0?  Samples
+// the residual |y′ − f(t, y)| at `samples` evenly spaced points of [t0, t1];
+// both errors are relative to 1 + |value| so large solutions are not
+// penalised.  Non‑finite values count as a failure at that point.
+export function checkOdeSolution(f, exact, t0, y0, t1, { samples = 21, tol = 1e-6 } = {}) {
+  const rel = (a, b) => Math.abs(a - b) / (1 + Math.abs(b));
+  const Y0 = Array.isArray(y0) ? y0 : [y0];
+
+  const yStart = exact.y(t0);
+  const icError = Math.max(...Y0.map((v, i) => rel(yStart[i], v)));
+
+  let residual = 0;
+  let worstT = t0;
+  for (let k = 0; k < samples; k++) {
+    const t = t0 + ((t1 - t0) * k) / (samples - 1);
+    const fy = f(t, exact.y(t));
+    const r = Math.max(...exact.dy(t).map((d, i) => rel(d, fy[i])));
+    if (!(r <= residual)) {     // also catches NaN
+      residual = Number.isFinite(r) ? r : Infinity;
+      worstT = t;
+    }
+  }
+  return {
+    icError: Number.isFinite(icError) ? icError : Infinity,
+    residual,
+    worstT,
+    ok: icError <= tol && residual <= tol,
+  };
+}
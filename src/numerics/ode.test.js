@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { solveIVP, checkOdeSolution } from './ode.js';
+
+const decay = (t, y) => -y;
+
+describe('solveIVP with a fixed step', () => {
+  it('reaches t1 in (t1 − t0) / h steps', () => {
+    const r = solveIVP('rk45', decay, 0, 1, 1, { h: 0.1 });
+    expect(r.status).toBe('converged');
+    expect(r.accepted).toBe(10);
+    expect(r.steps).toHaveLength(11);
+    expect(r.steps[10].t).toBeCloseTo(1, 14);
+    expect(r.y).toBeCloseTo(Math.exp(-1), 8);
+  });
+
+  it('shows the order of the method when h is halved', () => {
+    const error = h => Math.abs(solveIVP('rk23', decay, 0, 1, 1, { h }).y - Math.exp(-1));
+    expect(Math.log2(error(0.1) / error(0.05))).toBeCloseTo(3, 0);
+  });
+
+  it('integrates systems', () => {
+    const r = solveIVP('rk45', (t, [u, v]) => [v, -u], 0, [0, 1], Math.PI / 2, { h: Math.PI / 40 });
+    expect(r.y[0]).toBeCloseTo(1, 7);
+    expect(r.y[1]).toBeCloseTo(0, 7);
+  });
+
+  it('rejects unknown methods and empty intervals', () => {
+    expect(() => solveIVP('euler9', decay, 0, 1, 1)).toThrow('Unknown ODE method');
+    expect(() => solveIVP('rk45', decay, 1, 1, 1)).toThrow('t1 must be greater');
+  });
+});
+
+describe('solveIVP adaptive', () => {
+  // stages per attempted step after the first (FSAL reuses f(t, y))
+  const stages = { rk23: 3, rk45: 6, dop853: 12 };
+
+  for (const method of ['rk23', 'rk45', 'dop853']) {
+    it(`${method} meets the tolerance and counts every stage`, () => {
+      const r = solveIVP(method, decay, 0, 1, 5, { rtol: 1e-8, atol: 1e-10 });
+      expect(r.status).toBe('converged');
+      expect(r.t).toBe(5);
+      expect(Math.abs(r.y - Math.exp(-5))).toBeLessThan(1e-8);
+      // f(t0) + one probe for the starting step + every attempted step
+      expect(r.evals).toBe(2 + stages[method] * (r.accepted + r.rejected));
+    });
+  }
+
+  it('higher order needs fewer steps at a tight tolerance', () => {
+    const options = { rtol: 1e-10, atol: 1e-12 };
+    const low = solveIVP('rk23', decay, 0, 1, 5, options);
+    const high = solveIVP('dop853', decay, 0, 1, 5, options);
+    expect(high.accepted).toBeLessThan(low.accepted / 10);
+  });
+
+  it('rejects steps and shrinks h near a fast transient', () => {
+    const r = solveIVP('rk45', (t, y) => -50 * (y - Math.cos(t)), 0, 0, 1, { h0: 0.5 });
+    expect(r.rejected).toBeGreaterThan(0);
+    expect(r.steps[1].h).toBeLessThan(0.5);
+  });
+
+  it('stops at maxSteps', () => {
+    const r = solveIVP('rk23', decay, 0, 1, 100, { rtol: 1e-12, atol: 1e-14, maxSteps: 10 });
+    expect(r.status).toBe('max-steps');
+    expect(r.converged).toBe(false);
+  });
+});
+
+describe('checkOdeSolution', () => {
+  const f = (t, [y]) => [-2 * y];
+
+  it('accepts a true solution', () => {
+    const exact = { y: t => [Math.exp(-2 * t)], dy: t => [-2 * Math.exp(-2 * t)] };
+    const check = checkOdeSolution(f, exact, 0, [1], 1);
+    expect(check.ok).toBe(true);
+    expect(check.residual).toBeLessThan(1e-12);
+  });
+
+  it('flags a wrong initial value and a wrong equation separately', () => {
+    const shifted = { y: t => [2 * Math.exp(-2 * t)], dy: t => [-4 * Math.exp(-2 * t)] };
+    const wrongIc = checkOdeSolution(f, shifted, 0, [1], 1);
+    expect(wrongIc.ok).toBe(false);
+    expect(wrongIc.icError).toBeCloseTo(0.5, 12);
+    expect(wrongIc.residual).toBeLessThan(1e-12);
+
+    const wrongOde = checkOdeSolution(f, { y: t => [Math.exp(-t)], dy: t => [-Math.exp(-t)] }, 0, [1], 1);
+    expect(wrongOde.icError).toBe(0);
+    expect(wrongOde.residual).toBeGreaterThan(0.1);
+    expect(wrongOde.worstT).toBe(0);
+  });
+
+  it('treats non-finite values as a failure', () => {
+    const blowUp = { y: t => [1 / (1 - t)], dy: t => [1 / (1 - t) ** 2] };
+    const check = checkOdeSolution((t, [y]) => [y * y], blowUp, 0, [1], 1);
+    expect(check.residual).toBe(Infinity);
+    expect(check.worstT).toBe(1);
+  });
+});
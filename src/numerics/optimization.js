@@ -0,0 +1,80 @@
+// optimization.js — scalar and multivariable minimisers
+// ---------------------------------------------------------------------------
+// Same result convention as the root finders:
+//   { x, fx, steps, converged, status, iterations, evals }
+
+import { countEvals } from './expr.js';
+
+/* ───────────────────── golden‑section search on [a, b] ─────────────── */
+// steps: { i, a, b, len, c, d } — the bracket after step i and the two
+// interior probes c < d that the next comparison will use
+export function goldenSection(f, a, b, { tol = 1e-3, maxIter = 120 } = {}) {
+  let aa = Number(a);
+  let bb = Number(b);
+  if (!(aa < bb)) throw new Error('a must be smaller than b');
+
+  const F = countEvals(f);
+  const φ = (Math.sqrt(5) - 1) / 2;
+  const steps = [];
+  let c = bb - φ * (bb - aa);
+  let d = aa + φ * (bb - aa);
+  while (Math.abs(bb - aa) > tol && steps.length < maxIter) {
+    if (F.f(c) < F.f(d)) {
+      bb = d;
+    } else {
+      aa = c;
+    }
+    c = bb - φ * (bb - aa);
+    d = aa + φ * (bb - aa);
+    steps.push({ i: steps.length + 1, a: aa, b: bb, len: bb - aa, c, d });
+  }
+
+  const x = (aa + bb) / 2;
+  const status = Math.abs(bb - aa) <= tol ? 'converged' : 'max-iter';
+  return {
+    x,
+    fx: f(x),
+    steps,
+    converged: status === 'converged',
+    status,
+    iterations: steps.length,
+    evals: F.evals,
+  };
+}
+
+/* ───────────── fixed‑step gradient descent xₖ₊₁ = xₖ − α∇f ─────────── */
+// `grad(x)` returns the gradient array at the point array x.
+export function gradientDescent(f, grad, x0, { alpha = 0.1, tol = 1e-6, maxIter = 100 } = {}) {
+  const F = countEvals(f);
+  const G = countEvals(grad);
+  let x = x0.map(Number);
+  const steps = [];
+  let status = 'max-iter';
+
+  for (let k = 1; k <= maxIter; k++) {
+    const g = G.f(x);
+    const xNext = x.map((xi, i) => xi - alpha * g[i]);
+    const fx = F.f(xNext);
+    steps.push({ k, x: xNext, f: fx });
+    if (!Number.isFinite(fx)) {
+      status = 'non-finite';
+      break;
+    }
+    const move = Math.hypot(...xNext.map((xi, i) => xi - x[i]));
+    x = xNext;
+    if (move < tol) {
+      status = 'converged';
+      break;
+    }
+  }
+
+  return {
+    x,
+    fx: steps.length ? steps[steps.length - 1].f : f(x),
+    steps,
+    converged: status === 'converged',
+    status,
+    iterations: steps.length,
+    evals: F.evals + G.evals,
+  };
+}
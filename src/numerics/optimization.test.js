@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { goldenSection, gradientDescent } from './optimization.js';
+
+describe('goldenSection', () => {
+  it('shrinks the bracket by φ each step', () => {
+    const r = goldenSection(x => (x - 1) ** 2, -2, 3, { tol: 1e-6 });
+    expect(r.status).toBe('converged');
+    expect(r.x).toBeCloseTo(1, 5);
+    const φ = (Math.sqrt(5) - 1) / 2;
+    expect(r.steps[1].len / r.steps[0].len).toBeCloseTo(φ, 12);
+    expect(r.evals).toBe(2 * r.iterations);
+  });
+
+  it('logs the two interior probes the next comparison will use', () => {
+    const φ = (Math.sqrt(5) - 1) / 2;
+    const { steps } = goldenSection(x => Math.cos(x), 2, 4, { tol: 1e-4 });
+    steps.forEach(({ a, b, c, d }) => {
+      expect(a < c && c < d && d < b).toBe(true);
+      expect(c).toBeCloseTo(b - φ * (b - a), 12);
+      expect(d).toBeCloseTo(a + φ * (b - a), 12);
+    });
+  });
+
+  it('stops at maxIter and rejects a reversed interval', () => {
+    expect(goldenSection(x => x * x, -1, 1, { tol: 1e-12, maxIter: 4 }).status).toBe('max-iter');
+    expect(() => goldenSection(x => x, 1, 0)).toThrow('a must be smaller');
+  });
+});
+
+describe('gradientDescent', () => {
+  const f = ([x, y]) => x * x + 4 * y * y;
+  const grad = ([x, y]) => [2 * x, 8 * y];
+
+  it('converges for a small enough step', () => {
+    const r = gradientDescent(f, grad, [1, 1], { alpha: 0.1, tol: 1e-8, maxIter: 500 });
+    expect(r.status).toBe('converged');
+    expect(r.x[0]).toBeCloseTo(0, 6);
+    expect(r.x[1]).toBeCloseTo(0, 6);
+    expect(r.evals).toBe(2 * r.iterations);
+  });
+
+  it('diverges when α is too large', () => {
+    const r = gradientDescent(f, grad, [1, 1], { alpha: 0.3, maxIter: 50 });
+    expect(r.converged).toBe(false);
+    expect(Math.abs(r.x[1])).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,369 @@
+// polynomial.js — all roots of a polynomial, complex ones included
+// ---------------------------------------------------------------------------
+// Coefficients come in ascending order [a₀, a₁, …, aₙ] (what
+// `polynomialCoefficients` returns) and complex numbers are { re, im }.
+//   • durandKerner   Weierstrass iteration: every estimate moves by
+//                    p(zₖ) / Π_{j≠k} (zₖ − zⱼ) at once; quadratic near
+//                    simple roots
+//   • aberth         Newton's step corrected by the repulsion of the other
+//                    estimates; cubic near simple roots
+//   • companionRoots eigenvalues of the companion matrix (balancing plus
+//                    the Francis double‑shift QR algorithm, as in EISPACK's
+//                    hqr) — what numpy.roots and MATLAB's roots do
+// `eigenvalues(A)` runs the same QR on any real square matrix after reducing
+// it to Hessenberg form; the iterative linear solvers use it for spectral radii.
+// The simultaneous iterations record every estimate at every iteration in
+// `steps` so the pages can animate the trajectories; roots at 0 (a₀ = 0) are
+// split off exactly first.  Result: { roots, steps, converged, status,
+// iterations, evals }, with evals counting evaluations of p (and p′).
+
+import { ZERO, ONE, add, sub, mul, div, abs } from './complex.js';
+
+/* p(z) and p′(z) by Horner's rule (ascending real coefficients) */
+export function polyEval(coeffs, z) {
+  let p = ZERO;
+  let dp = ZERO;
+  for (let k = coeffs.length - 1; k >= 0; k--) {
+    dp = add(mul(dp, z), p);
+    p = add(mul(p, z), { re: coeffs[k], im: 0 });
+  }
+  return { p, dp };
+}
+
+// strip zero leading coefficients and split off the roots at z = 0
+function normalise(coeffs) {
+  const a = coeffs.map(Number);
+  if (!a.every(Number.isFinite)) throw new Error('coefficients must be finite numbers');
+  while (a.length && a[a.length - 1] === 0) a.pop();
+  if (a.length < 2) throw new Error('the polynomial must have degree ≥ 1');
+  let zeros = 0;
+  while (a[0] === 0) {
+    a.shift();
+    zeros++;
+  }
+  return { a, zeros };
+}
+
+// n starting points on a circle of radius max|aₖ/aₙ|^(1/(n−k)) (Fujiwara‑style
+// bound), rotated off the real axis so conjugate pairs can separate
+function initialGuesses(a) {
+  const n = a.length - 1;
+  let radius = 0;
+  for (let k = 0; k < n; k++) radius = Math.max(radius, Math.abs(a[k] / a[n]) ** (1 / (n - k)));
+  radius = radius || 1;
+  return Array.from({ length: n }, (_, k) => {
+    const angle = (2 * Math.PI * k) / n + 0.4;
+    return { re: radius * Math.cos(angle), im: radius * Math.sin(angle) };
+  });
+}
+
+// shared driver for the simultaneous iterations: `update(z, k)` returns the
+// correction for estimate k given all current estimates z
+function simultaneous(coeffs, update, { tol, maxIter }, evalsPerRoot) {
+  const { a, zeros } = normalise(coeffs);
+  const zeroRoots = Array.from({ length: zeros }, () => ({ ...ZERO }));
+  let z = initialGuesses(a);
+  const steps = [{ i: 0, z: [...zeroRoots, ...z], change: NaN }];
+  let status = z.length ? 'max-iter' : 'converged';   // aₙxⁿ: nothing to iterate
+  let evals = 0;
+
+  for (let i = 1; i <= maxIter && z.length; i++) {
+    const corrections = z.map((_, k) => update(a, z, k));
+    evals += z.length * evalsPerRoot;
+    z = z.map((zk, k) => sub(zk, corrections[k]));
+    const change = Math.max(...corrections.map((c, k) => abs(c) / Math.max(1, abs(z[k]))));
+    steps.push({ i, z: [...zeroRoots, ...z], change });
+    if (!z.every(zk => Number.isFinite(zk.re) && Number.isFinite(zk.im))) {
+      status = 'non-finite';
+      break;
+    }
+    if (change < tol) {
+      status = 'converged';
+      break;
+    }
+  }
+
+  return {
+    roots: steps[steps.length - 1].z,
+    steps,
+    converged: status === 'converged',
+    status,
+    iterations: steps.length - 1,
+    evals,
+  };
+}
+
+/* ─────────────────────────── Durand–Kerner ────────────────────────────── */
+export function durandKerner(coeffs, { tol = 1e-12, maxIter = 500 } = {}) {
+  return simultaneous(coeffs, (a, z, k) => {
+    const lead = { re: a[a.length - 1], im: 0 };
+    let denom = lead;
+    z.forEach((zj, j) => { if (j !== k) denom = mul(denom, sub(z[k], zj)); });
+    return div(polyEval(a, z[k]).p, denom);
+  }, { tol, maxIter }, 1);
+}
+
+/* ─────────────────────────────── Aberth ───────────────────────────────── */
+export function aberth(coeffs, { tol = 1e-12, maxIter = 500 } = {}) {
+  return simultaneous(coeffs, (a, z, k) => {
+    const { p, dp } = polyEval(a, z[k]);
+    if (abs(p) === 0) return ZERO;
+    const w = div(p, dp);                                  // Newton step
+    let repulsion = ZERO;
+    z.forEach((zj, j) => { if (j !== k) repulsion = add(repulsion, div(ONE, sub(z[k], zj))); });
+    return div(w, sub(ONE, mul(w, repulsion)));
+  }, { tol, maxIter }, 2);
+}
+
+/* ────────────────────── companion‑matrix eigenvalues ──────────────────── */
+// Both routines work in place on a 1‑based (n+1)×(n+1) array, following the
+// EISPACK / Numerical Recipes originals line by line.
+function balance(A, n) {
+  const RADIX = 2;
+  let done = false;
+  while (!done) {
+    done = true;
+    for (let i = 1; i <= n; i++) {
+      let r = 0;
+      let c = 0;
+      for (let j = 1; j <= n; j++) {
+        if (j !== i) {
+          c += Math.abs(A[j][i]);
+          r += Math.abs(A[i][j]);
+        }
+      }
+      if (c && r) {
+        let g = r / RADIX;
+        let f = 1;
+        const s = c + r;
+        while (c < g) { f *= RADIX; c *= RADIX * RADIX; }
+        g = r * RADIX;
+        while (c > g) { f /= RADIX; c /= RADIX * RADIX; }
+        if ((c + r) / f < 0.95 * s) {
+          done = false;
+          for (let j = 1; j <= n; j++) A[i][j] /= f;
+          for (let j = 1; j <= n; j++) A[j][i] *= f;
+        }
+      }
+    }
+  }
+}
+
+// eigenvalues of an upper Hessenberg matrix (Francis double‑shift QR)
+function hessenbergEigenvalues(A, n) {
+  const sign = (value, of) => (of >= 0 ? Math.abs(value) : -Math.abs(value));
+  const wr = new Array(n + 1).fill(0);
+  const wi = new Array(n + 1).fill(0);
+  let anorm = 0;
+  for (let i = 1; i <= n; i++) {
+    for (let j = Math.max(i - 1, 1); j <= n; j++) anorm += Math.abs(A[i][j]);
+  }
+  let nn = n;
+  let t = 0;
+  let iterations = 0;
+  let p = 0;
+  let q = 0;
+  let r = 0;
+  let s;
+  let w;
+  let x;
+  let y;
+  let z;
+  while (nn >= 1) {
+    let its = 0;
+    let l;
+    do {
+      // look for a single small sub‑diagonal element
+      for (l = nn; l >= 2; l--) {
+        s = Math.abs(A[l - 1][l - 1]) + Math.abs(A[l][l]);
+        if (s === 0) s = anorm;
+        if (Math.abs(A[l][l - 1]) + s === s) {
+          A[l][l - 1] = 0;
+          break;
+        }
+      }
+      x = A[nn][nn];
+      if (l === nn) {                                      // one root found
+        wr[nn] = x + t;
+        wi[nn--] = 0;
+      } else {
+        y = A[nn - 1][nn - 1];
+        w = A[nn][nn - 1] * A[nn - 1][nn];
+        if (l === nn - 1) {                                // two roots found
+          p = 0.5 * (y - x);
+          q = p * p + w;
+          z = Math.sqrt(Math.abs(q));
+          x += t;
+          if (q >= 0) {
+            z = p + sign(z, p);
+            wr[nn - 1] = wr[nn] = x + z;
+            if (z) wr[nn] = x - w / z;
+            wi[nn - 1] = wi[nn] = 0;
+          } else {
+            wr[nn - 1] = wr[nn] = x + p;
+            wi[nn - 1] = -(wi[nn] = z);
+          }
+          nn -= 2;
+        } else {
+          if (its === 30) throw new Error('QR iteration did not converge');
+          if (its === 10 || its === 20) {                  // exceptional shift
+            t += x;
+            for (let i = 1; i <= nn; i++) A[i][i] -= x;
+            s = Math.abs(A[nn][nn - 1]) + Math.abs(A[nn - 1][nn - 2]);
+            y = x = 0.75 * s;
+            w = -0.4375 * s * s;
+          }
+          ++its;
+          ++iterations;
+          let m;
+          // look for two consecutive small sub‑diagonal elements
+          for (m = nn - 2; m >= l; m--) {
+            z = A[m][m];
+            r = x - z;
+            s = y - z;
+            p = (r * s - w) / A[m + 1][m] + A[m][m + 1];
+            q = A[m + 1][m + 1] - z - r - s;
+            r = A[m + 2][m + 1];
+            s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+            p /= s;
+            q /= s;
+            r /= s;
+            if (m === l) break;
+            const u = Math.abs(A[m][m - 1]) * (Math.abs(q) + Math.abs(r));
+            const v = Math.abs(p) * (Math.abs(A[m - 1][m - 1]) + Math.abs(z) + Math.abs(A[m + 1][m + 1]));
+            if (u + v === v) break;
+          }
+          for (let i = m + 2; i <= nn; i++) {
+            A[i][i - 2] = 0;
+            if (i !== m + 2) A[i][i - 3] = 0;
+          }
+          // double QR step on rows l..nn and columns m..nn
+          for (let k = m; k <= nn - 1; k++) {
+            if (k !== m) {
+              p = A[k][k - 1];
+              q = A[k + 1][k - 1];
+              r = 0;
+              if (k !== nn - 1) r = A[k + 2][k - 1];
+              if ((x = Math.abs(p) + Math.abs(q) + Math.abs(r)) !== 0) {
+                p /= x;
+                q /= x;
+                r /= x;
+              }
+            }
+            if ((s = sign(Math.sqrt(p * p + q * q + r * r), p)) !== 0) {
+              if (k === m) {
+                if (l !== m) A[k][k - 1] = -A[k][k - 1];
+              } else {
+                A[k][k - 1] = -s * x;
+              }
+              p += s;
+              x = p / s;
+              y = q / s;
+              z = r / s;
+              q /= p;
+              r /= p;
+              for (let j = k; j <= nn; j++) {
+                p = A[k][j] + q * A[k + 1][j];
+                if (k !== nn - 1) {
+                  p += r * A[k + 2][j];
+                  A[k + 2][j] -= p * z;
+                }
+                A[k + 1][j] -= p * y;
+                A[k][j] -= p * x;
+              }
+              const mmin = nn < k + 3 ? nn : k + 3;
+              for (let i = l; i <= mmin; i++) {
+                p = x * A[i][k] + y * A[i][k + 1];
+                if (k !== nn - 1) {
+                  p += z * A[i][k + 2];
+                  A[i][k + 2] -= p * r;
+                }
+                A[i][k + 1] -= p * q;
+                A[i][k] -= p;
+              }
+            }
+          }
+        }
+      }
+    } while (l < nn - 1);
+  }
+  const roots = [];
+  for (let i = 1; i <= n; i++) roots.push({ re: wr[i], im: wi[i] });
+  return { roots, iterations };
+}
+
+// reduce to upper Hessenberg form by stabilised elementary similarity
+// transformations (EISPACK's elmhes), zeroing what lies below the subdiagonal
+function toHessenberg(A, n) {
+  for (let m = 2; m < n; m++) {
+    let x = 0;
+    let i = m;
+    for (let j = m; j <= n; j++) {
+      if (Math.abs(A[j][m - 1]) > Math.abs(x)) {
+        x = A[j][m - 1];
+        i = j;
+      }
+    }
+    if (i !== m) {
+      for (let j = m - 1; j <= n; j++) [A[i][j], A[m][j]] = [A[m][j], A[i][j]];
+      for (let j = 1; j <= n; j++) [A[j][i], A[j][m]] = [A[j][m], A[j][i]];
+    }
+    if (x !== 0) {
+      for (let r = m + 1; r <= n; r++) {
+        const y = A[r][m - 1] / x;
+        if (y === 0) continue;
+        for (let j = m; j <= n; j++) A[r][j] -= y * A[m][j];
+        for (let j = 1; j <= n; j++) A[j][m] += y * A[j][r];
+        A[r][m - 1] = 0;
+      }
+    }
+  }
+}
+
+/* eigenvalues of a general real square matrix (number[][]) as { re, im } */
+export function eigenvalues(M) {
+  const n = M.length;
+  if (!M.every(row => row.length === n)) throw new Error('the matrix must be square');
+  if (n === 0) return [];
+  const A = [new Array(n + 1).fill(0), ...M.map(row => [0, ...row.map(Number)])];
+  balance(A, n);
+  toHessenberg(A, n);
+  return hessenbergEigenvalues(A, n).roots;
+}
+
+export function companionRoots(coeffs) {
+  const { a, zeros } = normalise(coeffs);
+  const n = a.length - 1;
+  // first row −aₙ₋₁/aₙ … −a₀/aₙ, ones on the sub‑diagonal
+  const A = Array.from({ length: n + 1 }, () => new Array(n + 1).fill(0));
+  for (let k = 1; k <= n; k++) A[1][k] = -a[n - k] / a[n];
+  for (let j = 2; j <= n; j++) A[j][j - 1] = 1;
+  balance(A, n);
+  const { roots, iterations } = hessenbergEigenvalues(A, n);
+  const all = [...Array.from({ length: zeros }, () => ({ ...ZERO })), ...roots];
+  all.sort((p, q) => p.re - q.re || p.im - q.im);
+  return {
+    roots: all,
+    steps: [],
+    converged: true,
+    status: 'converged',
+    iterations,
+    evals: 0,
+  };
+}
+
+/* ───────────────────────────── registry ───────────────────────────── */
+export const POLYNOMIAL_METHODS = {
+  aberth: { label: 'Aberth–Ehrlich', animated: true },
+  durand: { label: 'Durand–Kerner (Weierstrass)', animated: true },
+  companion: { label: 'Companion‑matrix eigenvalues (QR)', animated: false },
+};
+
+export function polynomialRoots(method, coeffs, options = {}) {
+  switch (method) {
+    case 'aberth': return aberth(coeffs, options);
+    case 'durand': return durandKerner(coeffs, options);
+    case 'companion': return companionRoots(coeffs);
+    default: throw new Error(`Unknown polynomial root finder "${method}"`);
+  }
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+  polyEval, durandKerner, aberth, companionRoots, eigenvalues, polynomialRoots, POLYNOMIAL_METHODS,
+} from './polynomial.js';
+
+// (z − 2)(z² + 1) = z³ − 2z² + z − 2, ascending
+const cubic = [-2, 1, -2, 1];
+// by real part (to 1e‑6, so ±0 ties do not decide), then imaginary part
+const sorted = roots => [...roots].sort((p, q) => Math.round(1e6 * (p.re - q.re)) || p.im - q.im);
+
+function expectRoots(roots, expected, digits = 10) {
+  expect(roots).toHaveLength(expected.length);
+  sorted(roots).forEach((z, k) => {
+    expect(z.re).toBeCloseTo(expected[k].re, digits);
+    expect(z.im).toBeCloseTo(expected[k].im, digits);
+  });
+}
+
+describe('polyEval', () => {
+  it('returns p and p′ by Horner', () => {
+    const { p, dp } = polyEval(cubic, { re: 0, im: 1 });
+    expect(p.re).toBeCloseTo(0, 15);
+    expect(p.im).toBeCloseTo(0, 15);
+    // p′(z) = 3z² − 4z + 1 at i is −2 − 4i
+    expect(dp).toEqual({ re: -2, im: -4 });
+  });
+});
+
+describe('polynomialRoots', () => {
+  const expected = [{ re: 0, im: -1 }, { re: 0, im: 1 }, { re: 2, im: 0 }];
+
+  for (const method of Object.keys(POLYNOMIAL_METHODS)) {
+    it(`${method} finds real and complex roots`, () => {
+      const r = polynomialRoots(method, cubic);
+      expect(r.status).toBe('converged');
+      expectRoots(r.roots, expected);
+    });
+  }
+
+  it('counts p (and p′) evaluations per estimate', () => {
+    const dk = durandKerner(cubic);
+    expect(dk.evals).toBe(3 * dk.iterations);
+    const ab = aberth(cubic);
+    expect(ab.evals).toBe(2 * 3 * ab.iterations);
+    expect(ab.iterations).toBeLessThanOrEqual(dk.iterations);
+    expect(ab.steps[0].z).toHaveLength(3);
+  });
+
+  it('splits roots at zero off exactly', () => {
+    const r = aberth([0, 0, -1, 1]);                  // z³ − z² = z²(z − 1)
+    expectRoots(r.roots, [{ re: 0, im: 0 }, { re: 0, im: 0 }, { re: 1, im: 0 }]);
+    expect(r.roots.filter(z => z.re === 0 && z.im === 0)).toHaveLength(2);
+  });
+
+  it('the companion matrix handles a Wilkinson-type polynomial', () => {
+    // (z − 1)(z − 2)…(z − 8)
+    let coeffs = [1];
+    for (let k = 1; k <= 8; k++) {
+      coeffs = [0, ...coeffs].map((c, i) => c - k * (coeffs[i] ?? 0));
+    }
+    const { roots } = companionRoots(coeffs);
+    roots.forEach((z, k) => expect(z.re).toBeCloseTo(k + 1, 6));
+  });
+
+  it('rejects constants and unknown methods', () => {
+    expect(() => aberth([3])).toThrow('degree ≥ 1');
+    expect(() => polynomialRoots('laguerre', cubic)).toThrow('Unknown polynomial root finder');
+  });
+});
+
+describe('eigenvalues', () => {
+  it('finds a rotation’s complex pair and a symmetric matrix’s real spectrum', () => {
+    expectRoots(eigenvalues([[0, -1], [1, 0]]), [{ re: 0, im: -1 }, { re: 0, im: 1 }]);
+    expectRoots(eigenvalues([[2, 1], [1, 2]]), [{ re: 1, im: 0 }, { re: 3, im: 0 }]);
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest';
+import {
+  trapezoid, simpson, simpson38, adaptiveSimpson, romberg, legendreNodes, gaussLegendre, integrate,
+  tanhSinh, endpointTrouble, integrateIterated,
+} from './quadrature.js';
+
+describe('composite rules', () => {
+  it('trapezoid is exact for lines and second order otherwise', () => {
+    expect(trapezoid(x => 3 * x + 1, 0, 2, 3).value).toBeCloseTo(8, 14);
+    const coarse = trapezoid(Math.exp, 0, 1, 8);
+    const fine = trapezoid(Math.exp, 0, 1, 16);
+    const exact = Math.E - 1;
+    expect(Math.abs(coarse.value - exact) / Math.abs(fine.value - exact)).toBeCloseTo(4, 1);
+    expect(fine.evals).toBe(17);
+  });
+
+  it('simpson is exact for cubics', () => {
+    const r = simpson(x => x ** 3 - x, 0, 2, 2);
+    expect(r.value).toBeCloseTo(2, 14);
+    expect(r.status).toBe('ok');
+    expect(r.steps.map(s => s.weight)).toEqual([1, 4, 1]);
+    expect(r.evals).toBe(3);
+  });
+
+  it('estimates its error by Richardson when n allows it', () => {
+    const r = simpson(Math.sin, 0, Math.PI, 8);
+    expect(Math.abs(r.value - 2)).toBeLessThan(1e-3);
+    expect(r.errorEstimate).toBeCloseTo(Math.abs(r.value - 2), 4);
+    expect(simpson(Math.sin, 0, Math.PI, 6).errorEstimate).toBeNull();
+  });
+
+  it('reports a non-finite integrand', () => {
+    expect(simpson(x => 1 / x, 0, 1, 4).status).toBe('non-finite');
+  });
+
+  it('rejects invalid n and intervals', () => {
+    expect(() => simpson(Math.sin, 0, 1, 3)).toThrow('even');
+    expect(() => trapezoid(Math.sin, 1, 0, 4)).toThrow('a < b');
+  });
+});
+
+describe('adaptiveSimpson', () => {
+  it('meets the tolerance and refines only where f varies', () => {
+    const f = x => Math.sqrt(x);
+    const r = adaptiveSimpson(f, 0, 1, { tol: 1e-8 });
+    expect(r.status).toBe('ok');
+    expect(Math.abs(r.value - 2 / 3)).toBeLessThan(1e-8);
+    const depths = r.intervals.map(i => i.depth);
+    expect(r.intervals[0].depth).toBe(Math.max(...depths));
+    expect(r.intervals[r.intervals.length - 1].depth).toBe(Math.min(...depths));
+    // every distinct sample is evaluated once
+    expect(r.evals).toBe(r.steps.length);
+  });
+
+  it('reports max-depth when the tolerance cannot be met', () => {
+    const r = adaptiveSimpson(x => Math.sign(x - 1 / 3), 0, 1, { tol: 1e-14, maxDepth: 6 });
+    expect(r.status).toBe('max-depth');
+    expect(r.converged).toBe(false);
+  });
+});
+
+describe('romberg', () => {
+  it('extrapolates the trapezoid rule to high order', () => {
+    const r = romberg(Math.exp, 0, 1, { tol: 1e-12 });
+    expect(r.status).toBe('ok');
+    expect(r.value).toBeCloseTo(Math.E - 1, 12);
+    const levels = r.tableau.length;
+    // 2^(levels − 1) panels, every sample reused
+    expect(r.evals).toBe(2 ** (levels - 1) + 1);
+    expect(r.tableau[levels - 1]).toHaveLength(levels);
+  });
+
+  it('stops at maxLevels', () => {
+    const r = romberg(x => Math.sqrt(x), 0, 1, { tol: 1e-15, maxLevels: 4 });
+    expect(r.status).toBe('max-iter');
+    expect(r.tableau).toHaveLength(4);
+  });
+});
+
+describe('gaussLegendre', () => {
+  it('has symmetric nodes and weights summing to 2', () => {
+    const { nodes, weights } = legendreNodes(5);
+    expect(weights.reduce((s, w) => s + w, 0)).toBeCloseTo(2, 14);
+    expect(nodes[2]).toBeCloseTo(0, 15);
+    expect(nodes[0]).toBeCloseTo(-nodes[4], 15);
+  });
+
+  it('is exact for degree 2n − 1 and counts the check rule', () => {
+    const r = gaussLegendre(x => x ** 5 - 2 * x ** 2, -1, 2, 3);
+    expect(r.value).toBeCloseTo(63 / 6 - 6, 12);
+    expect(r.steps).toHaveLength(3);
+    expect(r.evals).toBe(3 + 4);
+    expect(r.errorEstimate).toBeLessThan(1e-12);
+  });
+
+  it('rejects n outside 1…100', () => {
+    expect(() => gaussLegendre(Math.sin, 0, 1, 0)).toThrow('between 1 and 100');
+  });
+});
+
+describe('simpson38 and integrate', () => {
+  it('simpson 3/8 is exact for cubics', () => {
+    expect(simpson38(x => x ** 3, 0, 3, 3).value).toBeCloseTo(81 / 4, 12);
+    expect(() => simpson38(Math.sin, 0, 1, 4)).toThrow('multiple of 3');
+  });
+
+  it('dispatches by name', () => {
+    expect(integrate('gauss', Math.exp, 0, 1, { n: 8 }).value).toBeCloseTo(Math.E - 1, 14);
+    expect(integrate('adaptive', Math.exp, 0, 1, { tol: 1e-10 }).value).toBeCloseTo(Math.E - 1, 10);
+    expect(() => integrate('midpoint', Math.exp, 0, 1)).toThrow('Unknown quadrature method');
+  });
+});
+
+describe('tanhSinh', () => {
+  it('integrates endpoint singularities and infinite ranges', () => {
+    const cases = [
+      [x => 1 / Math.sqrt(x), 0, 1, 2],
+      [x => Math.log(1 - x), 0, 1, -1],
+      [x => Math.exp(-x), 0, Infinity, 1],
+      [x => 1 / (1 + x * x), -Infinity, Infinity, Math.PI],
+      [x => 1 / (x * x), -Infinity, -1, 1],
+    ];
+    for (const [f, a, b, exact] of cases) {
+      const r = tanhSinh(f, a, b);
+      expect(r.status).toBe('ok');
+      expect(r.value).toBeCloseTo(exact, 9);
+      expect(r.evals).toBeGreaterThanOrEqual(r.steps.length);
+    }
+  });
+
+  it('never samples an endpoint', () => {
+    const r = tanhSinh(x => 1 / Math.sqrt(x * (1 - x)), 0, 1);
+    expect(r.steps.every(s => s.x > 0 && s.x < 1)).toBe(true);
+    expect(r.value).toBeCloseTo(Math.PI, 6);
+  });
+
+  it('reports divergence at either end of the interval', () => {
+    expect(tanhSinh(x => 1 / x, 0, 1).status).toBe('divergent');
+    expect(tanhSinh(x => 1 / (1 - x), 0, 1).status).toBe('divergent');
+    expect(tanhSinh(() => 1, 0, Infinity).status).toBe('divergent');
+    expect(tanhSinh(() => 1, -Infinity, 0).status).toBe('divergent');
+    expect(tanhSinh(x => 1 / x, 1, Infinity).status).toBe('divergent');
+  });
+
+  it('reports a non-finite value inside the interval', () => {
+    const r = tanhSinh(x => 1 / (x - 0.5), 0, 1);
+    expect(r.status).toBe('non-finite');
+    expect(r.badX).toBe(0.5);
+  });
+});
+
+describe('endpointTrouble', () => {
+  it('names infinite and singular ends', () => {
+    expect(endpointTrouble(x => 1 / x, 0, Infinity)).toEqual({ a: 'singular', b: 'infinite' });
+    expect(endpointTrouble(Math.exp, 0, 1)).toEqual({ a: null, b: null });
+  });
+});
+
+describe('integrateIterated', () => {
+  it('integrates over a box as a tensor product', () => {
+    const r = integrateIterated((x, y) => x * x + y * y, [[0, 1], [0, 2]], { n: 4 });
+    expect(r.value).toBeCloseTo(2 / 3 + 8 / 3, 12);
+    expect(r.steps).toHaveLength(25);
+    // 5 × 5 samples plus 3 × 3 for the Richardson check
+    expect(r.evals).toBe(25 + 9);
+    expect(r.errorEstimate).toBeLessThan(1e-12);
+  });
+
+  it('follows variable limits', () => {
+    // the triangle 0 ≤ y ≤ x ≤ 1
+    const tri = integrateIterated((x, y) => x * y, [[0, 1], [0, x => x]]);
+    expect(tri.value).toBeCloseTo(1 / 8, 12);
+    // the tetrahedron x + y + z ≤ 1
+    const tet = integrateIterated(() => 1, [[0, 1], [0, x => 1 - x], [0, (x, y) => 1 - x - y]], { rule: 'gauss', n: 3 });
+    expect(tet.value).toBeCloseTo(1 / 6, 12);
+  });
+
+  it('estimates the error with the default panel count', () => {
+    expect(integrateIterated((x, y) => Math.exp(x + y), [[0, 1], [0, 1]]).errorEstimate).not.toBeNull();
+    expect(integrateIterated((x, y) => x, [[0, 1], [0, 1]], { n: 6 }).errorEstimate).toBeNull();
+  });
+
+  it('reports where f or the limits stop being finite', () => {
+    const r = integrateIterated((x, y) => 1 / y, [[0, 1], [0, 1]], { n: 2 });
+    expect(r.status).toBe('non-finite');
+    expect(r.message).toMatch(/^f is not finite/);
+    expect(() => integrateIterated(() => 1, [[0, 1], [0, 1]], { n: 3 })).toThrow('even');
+  });
+});
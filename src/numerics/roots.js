@@ -0,0 +1,502 @@
+// roots.js — scalar root finders
+// ---------------------------------------------------------------------------
+// Bracketing: bisection, Illinois false position, Ridders, Dekker and Brent.
+// Open: Newton–Raphson (needs f′) and the secant method (two starting points).
+// `findAllRoots` scans an interval for every root, not just one bracket.
+// Every finder takes a plain callable f(x) and returns the same shape:
+//   { root, steps, converged, status, iterations, evals }
+// `steps` is the per‑iteration log the pages render as a table, `status` is a
+// short machine‑readable reason the loop stopped ('converged', 'max-iter',
+// 'zero-derivative', 'non-finite') and `evals` counts calls to f (and f′).
+// Invalid input (e.g. a bracket without a sign change) throws an Error.
+// The bracketing finders after bisection log { i, a, b, x, fx, kind }: the
+// current bracket, the new iterate and how it was obtained.
+
+import { countEvals } from './expr.js';
+import { goldenSection } from './optimization.js';
+
+const EPS = Number.EPSILON;
+
+// f(a), f(b) for a bracketing method, or an Error when there is no bracket
+function checkBracket(F, a, b) {
+  const fa = F.f(a);
+  const fb = F.f(b);
+  if (!Number.isFinite(fa) || !Number.isFinite(fb)) {
+    throw new Error('f(a) or f(b) is not a finite number');
+  }
+  if (fa * fb > 0) throw new Error('f(a) and f(b) must have opposite signs');
+  return [fa, fb];
+}
+
+function finish(root, steps, status, F) {
+  return {
+    root,
+    steps,
+    converged: status === 'converged',
+    status,
+    iterations: steps.length,
+    evals: F.evals,
+  };
+}
+
+/* ───────────────────────────── bisection ───────────────────────────── */
+export function bisection(f, a, b, { tol = 1e-6, maxIter = 100 } = {}) {
+  const F = countEvals(f);
+  let aa = Number(a);
+  let bb = Number(b);
+  let fa = F.f(aa);
+  const fb = F.f(bb);
+  if (!Number.isFinite(fa) || !Number.isFinite(fb)) {
+    throw new Error('f(a) or f(b) is not a finite number');
+  }
+  if (fa * fb > 0) throw new Error('f(a) and f(b) must have opposite signs');
+
+  const steps = [];
+  let status = 'max-iter';
+  for (let i = 1; i <= maxIter; i++) {
+    if ((bb - aa) / 2 <= tol) {
+      status = 'converged';
+      break;
+    }
+    const c = (aa + bb) / 2;
+    const fc = F.f(c);
+    steps.push({ i, a: aa, b: bb, c, fc });
+    if (fc === 0) {
+      status = 'converged';
+      break;
+    }
+    if (fa * fc < 0) {
+      bb = c;
+    } else {
+      aa = c;
+      fa = fc;
+    }
+  }
+  if (status === 'max-iter' && (bb - aa) / 2 <= tol) status = 'converged';
+
+  const root = steps.length ? steps[steps.length - 1].c : (aa + bb) / 2;
+  return {
+    root,
+    steps,
+    converged: status === 'converged',
+    status,
+    iterations: steps.length,
+    evals: F.evals,
+  };
+}
+
+/* ─────────────────────────── Newton–Raphson ────────────────────────── */
+// Stops when |f(xₙ)| < tol or |xₙ₊₁ − xₙ| < tol; a zero or non‑finite
+// derivative ends the run with status 'zero-derivative'.  `multiplicity` m
+// gives modified Newton xₙ₊₁ = xₙ − m·f/f′, which is quadratic again at a
+// root of multiplicity m (plain Newton is only linear there).
+export function newton(f, df, x0, { tol = 1e-6, maxIter = 50, multiplicity = 1 } = {}) {
+  const m = Number(multiplicity);
+  if (!(m >= 1)) throw new Error('multiplicity must be at least 1');
+  const F = countEvals(f);
+  const D = countEvals(df);
+  let x = Number(x0);
+  const steps = [];
+  let status = 'max-iter';
+
+  for (let i = 1; i <= maxIter; i++) {
+    const fx = F.f(x);
+    const dfx = D.f(x);
+    steps.push({ i, x, fx, dfx });
+
+    if (!Number.isFinite(fx)) {
+      steps[steps.length - 1].note = 'f(x) not finite – stop';
+      status = 'non-finite';
+      break;
+    }
+    if (Math.abs(fx) < tol) {                 // converged on y‑axis
+      status = 'converged';
+      break;
+    }
+    if (!Number.isFinite(dfx) || dfx === 0) {
+      steps[steps.length - 1].note = 'Derivative zero / invalid – stop';
+      status = 'zero-derivative';
+      break;
+    }
+
+    const xNew = x - (m * fx) / dfx;          // Newton step
+    if (Math.abs(xNew - x) < tol) {           // converged on x‑axis
+      x = xNew;
+      steps.push({ i: i + 1, x, fx: F.f(x), dfx: D.f(x), note: '✔ converged' });
+      status = 'converged';
+      break;
+    }
+    x = xNew;
+  }
+
+  return {
+    root: steps.length ? steps[steps.length - 1].x : x,
+    steps,
+    converged: status === 'converged',
+    status,
+    iterations: steps.length,
+    evals: F.evals + D.evals,
+  };
+}
+
+// Plain Newton near a root of multiplicity m converges linearly with
+// eₙ₊₁/eₙ → (m − 1)/m.  From iterationOrders rows: the rate of the last few
+// usable rows when they look linear (order < 1.5), turned into m; null when
+// the convergence is superlinear or there is too little data.
+export function estimateMultiplicity(rows, { last = 3 } = {}) {
+  const tail = rows.filter(r => r.order !== null).slice(-last);
+  if (tail.length < 2) return null;
+  const mean = key => tail.reduce((sum, r) => sum + r[key], 0) / tail.length;
+  const order = mean('order');
+  const ratio = mean('ratio');
+  if (order >= 1.5 || !(ratio > 0.25 && ratio < 0.95)) return null;
+  return { order, ratio, m: Math.max(2, Math.round(1 / (1 - ratio))) };
+}
+
+/* ──────────────────────────── secant method ────────────────────────── */
+// Newton with the derivative replaced by the slope through the last two
+// iterates, started from x₀ = a and x₁ = b (no sign change needed).  Order
+// ≈ 1.618, but nothing keeps the iterates near the root.
+export function secant(f, a, b, { tol = 1e-6, maxIter = 50 } = {}) {
+  const F = countEvals(f);
+  let x0 = Number(a);
+  let x1 = Number(b);
+  let f0 = F.f(x0);
+  let f1 = F.f(x1);
+  if (!Number.isFinite(f0) || !Number.isFinite(f1)) {
+    throw new Error('f(a) or f(b) is not a finite number');
+  }
+  const steps = [];
+  let status = 'max-iter';
+  for (let i = 1; i <= maxIter; i++) {
+    if (f1 === f0) {
+      status = 'zero-derivative';                // flat secant, no intersection
+      break;
+    }
+    const x2 = x1 - (f1 * (x1 - x0)) / (f1 - f0);
+    const f2 = F.f(x2);
+    steps.push({ i, x: x2, fx: f2 });
+    if (!Number.isFinite(f2)) {
+      status = 'non-finite';
+      break;
+    }
+    if (Math.abs(f2) < tol || Math.abs(x2 - x1) < tol) {
+      status = 'converged';
+      break;
+    }
+    [x0, f0, x1, f1] = [x1, f1, x2, f2];
+  }
+  return finish(steps.length ? steps[steps.length - 1].x : x1, steps, status, F);
+}
+
+/* ─────────────────────── Illinois false position ───────────────────── */
+// Regula falsi keeps one endpoint fixed on convex f and converges linearly;
+// the Illinois fix halves the stored f at an endpoint retained twice in a
+// row, which restores superlinear convergence (order ≈ 1.44).
+export function illinois(f, a, b, { tol = 1e-6, maxIter = 100 } = {}) {
+  const F = countEvals(f);
+  let aa = Number(a);
+  let bb = Number(b);
+  let [fa, fb] = checkBracket(F, aa, bb);
+  const steps = [];
+  let status = 'max-iter';
+  let side = 0;
+  let prev = NaN;
+  for (let i = 1; i <= maxIter; i++) {
+    const x = (aa * fb - bb * fa) / (fb - fa);
+    const fx = F.f(x);
+    steps.push({ i, a: aa, b: bb, x, fx, kind: side ? 'Illinois' : 'false position' });
+    if (!Number.isFinite(fx)) {
+      status = 'non-finite';
+      break;
+    }
+    if (fx === 0 || Math.abs(x - prev) < tol || Math.abs(bb - aa) <= 2 * tol) {
+      status = 'converged';
+      break;
+    }
+    if (fx * fb > 0) {
+      bb = x;
+      fb = fx;
+      if (side === -1) fa /= 2;
+      side = -1;
+    } else {
+      aa = x;
+      fa = fx;
+      if (side === 1) fb /= 2;
+      side = 1;
+    }
+    prev = x;
+  }
+  return finish(steps.length ? steps[steps.length - 1].x : (aa + bb) / 2, steps, status, F);
+}
+
+/* ─────────────────────────── Ridders' method ───────────────────────── */
+// Evaluates the midpoint m, then applies false position to f·e^(Qx), the
+// exponential chosen so that the three points lie on a line.  Two evaluations
+// per iteration, order √2 per evaluation, and the iterate never leaves the
+// bracket.
+export function ridders(f, a, b, { tol = 1e-6, maxIter = 100 } = {}) {
+  const F = countEvals(f);
+  let aa = Number(a);
+  let bb = Number(b);
+  let [fa, fb] = checkBracket(F, aa, bb);
+  const steps = [];
+  let status = 'max-iter';
+  let prev = NaN;
+  for (let i = 1; i <= maxIter; i++) {
+    const m = (aa + bb) / 2;
+    const fm = F.f(m);
+    if (!Number.isFinite(fm)) {
+      steps.push({ i, a: aa, b: bb, x: m, fx: fm, kind: 'midpoint' });
+      status = 'non-finite';
+      break;
+    }
+    const root = Math.sqrt(fm * fm - fa * fb);
+    if (root === 0) {
+      steps.push({ i, a: aa, b: bb, x: m, fx: fm, kind: 'midpoint' });
+      status = 'converged';
+      break;
+    }
+    const x = m + ((m - aa) * Math.sign(fa - fb) * fm) / root;
+    const fx = F.f(x);
+    steps.push({ i, a: aa, b: bb, x, fx, kind: 'Ridders' });
+    if (!Number.isFinite(fx)) {
+      status = 'non-finite';
+      break;
+    }
+    if (fx === 0 || Math.abs(x - prev) < tol) {
+      status = 'converged';
+      break;
+    }
+    // smallest bracket among a, m, x, b
+    if (Math.sign(fm) !== Math.sign(fx)) {
+      [aa, fa, bb, fb] = [m, fm, x, fx];
+    } else if (Math.sign(fa) !== Math.sign(fx)) {
+      [bb, fb] = [x, fx];
+    } else {
+      [aa, fa] = [x, fx];
+    }
+    if (Math.abs(bb - aa) <= 2 * tol) {
+      status = 'converged';
+      break;
+    }
+    prev = x;
+  }
+  return finish(steps.length ? steps[steps.length - 1].x : (aa + bb) / 2, steps, status, F);
+}
+
+/* ─────────────────────────── Dekker's method ───────────────────────── */
+// b is the best iterate, a the contrapoint (f(a)·f(b) < 0) and c the previous
+// b.  Take the secant step from c and b when it lands between b and the
+// midpoint, otherwise bisect.  Fast on nice f, but a long run of tiny secant
+// steps can make it far slower than bisection — which Brent fixes.
+export function dekker(f, a, b, { tol = 1e-6, maxIter = 100 } = {}) {
+  const F = countEvals(f);
+  let aa = Number(a);
+  let bb = Number(b);
+  let [fa, fb] = checkBracket(F, aa, bb);
+  if (Math.abs(fa) < Math.abs(fb)) [aa, fa, bb, fb] = [bb, fb, aa, fa];
+  let c = aa;
+  let fc = fa;
+  const steps = [];
+  let status = 'max-iter';
+  for (let i = 1; i <= maxIter; i++) {
+    const tol1 = 2 * EPS * Math.abs(bb) + tol / 2;
+    const m = (aa + bb) / 2;
+    if (fb === 0 || Math.abs(m - bb) <= tol1) {
+      status = 'converged';
+      break;
+    }
+    const s = fb !== fc ? bb - (fb * (bb - c)) / (fb - fc) : m;
+    let x = (s - bb) * (s - m) < 0 ? s : m;
+    const kind = x === s ? 'secant' : 'bisection';
+    if (Math.abs(x - bb) < tol1) x = bb + Math.sign(m - bb) * tol1;
+    [c, fc] = [bb, fb];
+    bb = x;
+    fb = F.f(bb);
+    steps.push({ i, a: aa, b: c, x: bb, fx: fb, kind });
+    if (!Number.isFinite(fb)) {
+      status = 'non-finite';
+      break;
+    }
+    if (fa * fb > 0) [aa, fa] = [c, fc];
+    if (Math.abs(fa) < Math.abs(fb)) [aa, fa, bb, fb] = [bb, fb, aa, fa];
+  }
+  return finish(bb, steps, status, F);
+}
+
+/* ─────────────────────────── Brent's method ────────────────────────── */
+// Brent's zeroin: inverse quadratic interpolation through the last three
+// points (secant when only two differ), accepted only if it lands inside the
+// bracket and the step is shrinking fast enough; otherwise bisect.  Never
+// much slower than bisection, usually as fast as the secant method.
+export function brent(f, a, b, { tol = 1e-6, maxIter = 100 } = {}) {
+  const F = countEvals(f);
+  let aa = Number(a);
+  let bb = Number(b);
+  let [fa, fb] = checkBracket(F, aa, bb);
+  let c = bb;
+  let fc = fb;
+  let d = bb - aa;
+  let e = d;
+  const steps = [];
+  let status = 'max-iter';
+  for (let i = 1; i <= maxIter; i++) {
+    if (fb * fc > 0) {
+      // c is the contrapoint: keep the root between b and c
+      [c, fc] = [aa, fa];
+      d = bb - aa;
+      e = d;
+    }
+    if (Math.abs(fc) < Math.abs(fb)) {
+      [aa, fa] = [bb, fb];
+      [bb, fb] = [c, fc];
+      [c, fc] = [aa, fa];
+    }
+    const tol1 = 2 * EPS * Math.abs(bb) + tol / 2;
+    const xm = (c - bb) / 2;
+    if (fb === 0 || Math.abs(xm) <= tol1) {
+      status = 'converged';
+      break;
+    }
+    let kind = 'bisection';
+    if (Math.abs(e) >= tol1 && Math.abs(fa) > Math.abs(fb)) {
+      const s = fb / fa;
+      let p;
+      let q;
+      if (aa === c) {
+        p = 2 * xm * s;
+        q = 1 - s;
+        kind = 'secant';
+      } else {
+        const qq = fa / fc;
+        const r = fb / fc;
+        p = s * (2 * xm * qq * (qq - r) - (bb - aa) * (r - 1));
+        q = (qq - 1) * (r - 1) * (s - 1);
+        kind = 'inverse quadratic';
+      }
+      if (p > 0) q = -q;
+      p = Math.abs(p);
+      if (2 * p < Math.min(3 * xm * q - Math.abs(tol1 * q), Math.abs(e * q))) {
+        e = d;
+        d = p / q;
+      } else {
+        kind = 'bisection';
+        d = xm;
+        e = d;
+      }
+    } else {
+      d = xm;
+      e = d;
+    }
+    [aa, fa] = [bb, fb];
+    bb += Math.abs(d) > tol1 ? d : Math.sign(xm) * tol1;
+    fb = F.f(bb);
+    steps.push({ i, a: aa, b: c, x: bb, fx: fb, kind });
+    if (!Number.isFinite(fb)) {
+      status = 'non-finite';
+      break;
+    }
+  }
+  return finish(bb, steps, status, F);
+}
+
+/* ───────────────────────────── registry ───────────────────────────── */
+// Finders that need only f and the two inputs a, b (Newton also needs f′).
+export const ROOT_METHODS = {
+  bisection: { label: 'Bisection', bracket: true },
+  illinois: { label: 'Illinois (false position)', bracket: true },
+  ridders: { label: 'Ridders', bracket: true },
+  dekker: { label: 'Dekker', bracket: true },
+  brent: { label: 'Brent', bracket: true },
+  secant: { label: 'Secant', bracket: false },
+};
+
+export function findRoot(method, f, a, b, options = {}) {
+  switch (method) {
+    case 'bisection': return bisection(f, a, b, options);
+    case 'illinois': return illinois(f, a, b, options);
+    case 'ridders': return ridders(f, a, b, options);
+    case 'dekker': return dekker(f, a, b, options);
+    case 'brent': return brent(f, a, b, options);
+    case 'secant': return secant(f, a, b, options);
+    default: throw new Error(`Unknown root finder "${method}"`);
+  }
+}
+
+/* ─────────────────────────── all‑roots scan ───────────────────────── */
+// Samples f at `samples` + 1 equally spaced points of [a, b].  Every sign
+// change is refined with Brent; a sign change where |f| grows instead of
+// vanishing is a pole (1/x) and is reported separately.  A local minimum of
+// |f| without a sign change is a candidate even‑multiplicity root (x² touches
+// the axis): golden‑section search minimises |f| there and keeps the point
+// when the minimum is below `ftol` (default √ε·max|f| over the samples).
+// Each root gets a multiplicity estimate from the log–log slope of |f| on
+// both sides, f ≈ c·(x − r)ᵐ, averaged so that the root's own error cancels.
+function multiplicity(F, r, h) {
+  const slope = (x1, x2) => Math.log(Math.abs(F.f(x2) / F.f(x1))) / Math.log(Math.abs((x2 - r) / (x1 - r)));
+  const sides = [slope(r + h, r + 2 * h), slope(r - h, r - 2 * h)].filter(Number.isFinite);
+  return sides.length ? sides.reduce((sum, m) => sum + m, 0) / sides.length : NaN;
+}
+
+export function findAllRoots(f, a, b, { samples = 500, tol = 1e-10, ftol } = {}) {
+  const F = countEvals(f);
+  const lo = Number(a);
+  const hi = Number(b);
+  const N = Number(samples);
+  if (!(lo < hi)) throw new Error('a must be smaller than b');
+  if (!Number.isInteger(N) || N < 2) throw new Error('samples must be an integer ≥ 2');
+
+  const spacing = (hi - lo) / N;
+  const xs = Array.from({ length: N + 1 }, (_, i) => lo + i * spacing);
+  const fs = xs.map(x => F.f(x));
+  const finite = fs.filter(Number.isFinite);
+  if (!finite.length) throw new Error('f is not finite anywhere on [a, b]');
+  const small = ftol ?? Math.sqrt(EPS) * Math.max(1, ...finite.map(Math.abs));
+
+  const found = [];
+  const poles = [];
+  for (let i = 0; i <= N; i++) {
+    const [f0, f1, fPrev] = [fs[i], fs[i + 1], fs[i - 1]];
+    if (f0 === 0) {
+      found.push({ x: xs[i], fx: 0, kind: 'sample' });
+    }
+    if (i < N && Number.isFinite(f0) && Number.isFinite(f1) && f0 * f1 < 0) {
+      const res = brent(F.f, xs[i], xs[i + 1], { tol });
+      const fr = F.f(res.root);
+      if (!Number.isFinite(fr) || Math.abs(fr) > Math.max(Math.abs(f0), Math.abs(f1))) {
+        poles.push(res.root);
+      } else {
+        found.push({ x: res.root, fx: fr, kind: 'sign change' });
+      }
+    }
+    // interior minimum of |f| with no sign change on either side
+    if (i > 0 && i < N && f0 !== 0 && [fPrev, f0, f1].every(Number.isFinite)
+        && fPrev * f0 > 0 && f0 * f1 > 0
+        && Math.abs(f0) <= Math.abs(fPrev) && Math.abs(f0) < Math.abs(f1)) {
+      const res = goldenSection(x => Math.abs(F.f(x)), xs[i - 1], xs[i + 1], {
+        tol: Math.sqrt(EPS) * Math.max(1, Math.abs(xs[i])),
+      });
+      const fr = F.f(res.x);
+      if (Math.abs(fr) <= small) found.push({ x: res.x, fx: fr, kind: 'tangent' });
+    }
+  }
+
+  // one entry per root: exact samples and refinements can coincide
+  found.sort((p, q) => p.x - q.x);
+  const roots = [];
+  found.forEach(r => {
+    const last = roots[roots.length - 1];
+    if (last && r.x - last.x < spacing / 2) {
+      if (Math.abs(r.fx) < Math.abs(last.fx)) roots[roots.length - 1] = r;
+    } else {
+      roots.push(r);
+    }
+  });
+  roots.forEach(r => {
+    r.order = multiplicity(F, r.x, spacing / 4);
+    r.multiplicity = Number.isFinite(r.order) ? Math.max(1, Math.round(r.order)) : 1;
+  });
+
+  return { roots, poles, xs, fs, evals: F.evals };
+}
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import {
+  bisection, newton, secant, illinois, ridders, dekker, brent, findRoot, ROOT_METHODS, findAllRoots,
+} from './roots.js';
+
+const f = x => x * x - 2;
+const df = x => 2 * x;
+
+describe('bisection', () => {
+  it('halves the bracket down to tol', () => {
+    const r = bisection(f, 0, 2, { tol: 1e-8 });
+    expect(r.status).toBe('converged');
+    expect(r.converged).toBe(true);
+    expect(r.root).toBeCloseTo(Math.SQRT2, 7);
+    // (b − a) / 2ᵏ ≤ 2·tol after k = 27 halvings
+    expect(r.iterations).toBe(27);
+    expect(r.evals).toBe(r.iterations + 2);
+  });
+
+  it('stops at maxIter', () => {
+    const r = bisection(f, 0, 2, { tol: 1e-12, maxIter: 5 });
+    expect(r.status).toBe('max-iter');
+    expect(r.converged).toBe(false);
+    expect(r.iterations).toBe(5);
+  });
+
+  it('rejects a bracket without a sign change', () => {
+    expect(() => bisection(f, 2, 3)).toThrow('opposite signs');
+    expect(() => bisection(x => 1 / x, 0, 1)).toThrow('not a finite number');
+  });
+});
+
+describe('newton', () => {
+  it('converges quadratically from a nearby start', () => {
+    const r = newton(f, df, 1, { tol: 1e-12 });
+    expect(r.status).toBe('converged');
+    expect(r.root).toBeCloseTo(Math.SQRT2, 12);
+    expect(r.iterations).toBeLessThanOrEqual(7);
+    // one f and one f′ call per logged step
+    expect(r.evals).toBe(2 * r.iterations);
+  });
+
+  it('stops on a zero derivative', () => {
+    const r = newton(f, df, 0);
+    expect(r.status).toBe('zero-derivative');
+    expect(r.converged).toBe(false);
+    expect(r.steps[0].note).toMatch(/Derivative zero/);
+  });
+
+  it('stops on a non-finite value', () => {
+    const r = newton(x => Math.log(x), x => 1 / x, 3);
+    expect(r.status).toBe('non-finite');
+  });
+});
+
+describe('bracketing hybrids and the secant method', () => {
+  const g = x => x ** 3 - x - 2;          // one real root near 1.5214
+  const root = 1.5213797068045676;
+
+  for (const method of Object.keys(ROOT_METHODS)) {
+    it(`${method} finds the root`, () => {
+      const r = findRoot(method, g, 1, 2, { tol: 1e-12 });
+      expect(r.status).toBe('converged');
+      expect(r.root).toBeCloseTo(root, 10);
+      expect(r.evals).toBeGreaterThanOrEqual(r.iterations);
+    });
+  }
+
+  it('the hybrids need far fewer evaluations than bisection', () => {
+    const evals = method => findRoot(method, g, 1, 2, { tol: 1e-12 }).evals;
+    const bis = evals('bisection');
+    ['illinois', 'ridders', 'dekker', 'brent'].forEach(m => expect(evals(m)).toBeLessThan(bis / 3));
+  });
+
+  it('Ridders spends two evaluations per iteration', () => {
+    const r = ridders(g, 1, 2, { tol: 1e-12 });
+    expect(r.evals).toBe(2 + 2 * r.iterations);
+  });
+
+  it('Brent stays safe where the secant method wanders off', () => {
+    const h = x => Math.atan(x - 1);
+    expect(brent(h, -10, 20, { tol: 1e-12 }).root).toBeCloseTo(1, 10);
+    expect(secant(h, -10, 20, { maxIter: 50 }).converged).toBe(false);
+  });
+
+  it('Illinois logs how each iterate was obtained', () => {
+    const r = illinois(x => Math.exp(x) - 2, 0, 3, { tol: 1e-12 });
+    expect(r.root).toBeCloseTo(Math.LN2, 10);
+    expect(new Set(r.steps.map(s => s.kind)).size).toBeGreaterThan(1);
+  });
+
+  it('the secant method needs no sign change but stops on a flat secant', () => {
+    expect(secant(x => x * x - 4, 1, 1.5, { tol: 1e-12 }).root).toBeCloseTo(2, 10);
+    expect(secant(x => x * x, -1, 1).status).toBe('zero-derivative');
+  });
+
+  it('bracketing methods reject a bracket without a sign change', () => {
+    expect(() => dekker(g, 2, 3)).toThrow('opposite signs');
+    expect(() => findRoot('newton', g, 1, 2)).toThrow('Unknown root finder');
+  });
+});
+
+describe('findAllRoots', () => {
+  it('finds every sign change on the interval', () => {
+    const { roots, evals, xs } = findAllRoots(Math.sin, -1, 10, { samples: 200 });
+    expect(roots.map(r => r.x)).toHaveLength(4);
+    roots.forEach((r, k) => {
+      expect(r.x).toBeCloseTo(k * Math.PI, 9);
+      expect(r.multiplicity).toBe(1);
+    });
+    expect(xs).toHaveLength(201);
+    expect(evals).toBeGreaterThan(201);
+  });
+
+  it('finds touching roots and estimates their multiplicity', () => {
+    const { roots } = findAllRoots(x => (x - 1) ** 2 * (x + 2), -3, 3.3, { samples: 300 });
+    expect(roots).toHaveLength(2);
+    expect(roots[0]).toMatchObject({ kind: 'sign change', multiplicity: 1 });
+    expect(roots[0].x).toBeCloseTo(-2, 9);
+    expect(roots[1]).toMatchObject({ kind: 'tangent', multiplicity: 2 });
+    expect(roots[1].x).toBeCloseTo(1, 6);
+  });
+
+  it('reports poles apart from roots and tolerates non-finite endpoints', () => {
+    const { roots, poles } = findAllRoots(x => 1 / x, -1, 1, { samples: 101 });
+    expect(roots).toHaveLength(0);
+    expect(poles).toHaveLength(1);
+    expect(poles[0]).toBeCloseTo(0, 8);
+
+    const log = findAllRoots(Math.log, 0, 3, { samples: 30 });
+    expect(log.roots.map(r => r.x)).toHaveLength(1);
+    expect(log.roots[0].x).toBeCloseTo(1, 9);
+  });
+
+  it('keeps an exact sample hit once', () => {
+    const { roots } = findAllRoots(x => x, -1, 1, { samples: 10 });
+    expect(roots).toHaveLength(1);
+    expect(roots[0]).toMatchObject({ x: 0, kind: 'sample' });
+  });
+
+  it('validates its input', () => {
+    expect(() => findAllRoots(Math.sin, 1, 0)).toThrow('a must be smaller');
+    expect(() => findAllRoots(() => NaN, 0, 1)).toThrow('not finite anywhere');
+  });
+});
@@ -0,0 +1,340 @@
+// sparse.js — compressed sparse row (CSR) matrices
+// ---------------------------------------------------------------------------
+// A CSR matrix is { rows, cols, rowPtr, colIdx, values }: the entries of row
+// i are values[p] in column colIdx[p] for p = rowPtr[i] … rowPtr[i+1] − 1,
+// with columns ascending and no duplicates.  Storage and a product with a
+// vector both cost O(nnz), which is what makes n = 10⁴ – 10⁶ possible.
+// The solvers in linear.js and krylov.js accept CSR or dense number[][] (see
+// `toCsr`).  Sources:
+//   • csrFromTriplets  (i, j, v) entries, duplicates summed
+//   • parseTriplets    text lines "i j value", 1‑based
+//   • parseMatrixMarket the .mtx exchange format (coordinate or array;
+//                      real, integer or pattern; general, symmetric or
+//                      skew‑symmetric)
+//   • poisson1D / poisson2D  the finite‑difference Laplacian on n points or a
+//                      k × k grid (tridiagonal 2, −1 / five‑point 4, −1)
+// `bandLU` factors a banded matrix with partial pivoting in O(n·p·(p+q))
+// for lower/upper bandwidths p, q — the direct solver for large inputs.
+
+export function isCsr(A) {
+  return Boolean(A) && A.rowPtr instanceof Int32Array;
+}
+
+/* ───────────────────────────── building ───────────────────────────── */
+// triplets: [[i, j, v], …] with 0‑based indices
+export function csrFromTriplets(rows, cols, triplets) {
+  if (!(Number.isInteger(rows) && Number.isInteger(cols) && rows > 0 && cols > 0)) {
+    throw new Error('a sparse matrix needs positive integer dimensions');
+  }
+  triplets.forEach(([i, j, v]) => {
+    if (!(Number.isInteger(i) && Number.isInteger(j) && i >= 0 && j >= 0 && i < rows && j < cols)) {
+      throw new Error(`entry (${i + 1}, ${j + 1}) lies outside a ${rows} × ${cols} matrix`);
+    }
+    if (!Number.isFinite(v)) throw new Error(`entry (${i + 1}, ${j + 1}) is not a finite number`);
+  });
+  const sorted = [...triplets].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const rowPtr = new Int32Array(rows + 1);
+  const colIdx = [];
+  const values = [];
+  let last = -1;
+  let lastRow = -1;
+  sorted.forEach(([i, j, v]) => {
+    if (i === lastRow && j === last) {
+      values[values.length - 1] += v;
+      return;
+    }
+    colIdx.push(j);
+    values.push(v);
+    rowPtr[i + 1]++;
+    lastRow = i;
+    last = j;
+  });
+  for (let i = 0; i < rows; i++) rowPtr[i + 1] += rowPtr[i];
+  return { rows, cols, rowPtr, colIdx: Int32Array.from(colIdx), values: Float64Array.from(values) };
+}
+
+export function csrFromDense(A) {
+  const triplets = [];
+  A.forEach((row, i) => row.forEach((v, j) => {
+    if (v !== 0) triplets.push([i, j, v]);
+  }));
+  return csrFromTriplets(A.length, A[0]?.length ?? 0, triplets);
+}
+
+// dense number[][] → CSR; CSR passes through
+export function toCsr(A) {
+  return isCsr(A) ? A : csrFromDense(A);
+}
+
+export function csrToDense(S) {
+  const A = Array.from({ length: S.rows }, () => new Array(S.cols).fill(0));
+  for (let i = 0; i < S.rows; i++) {
+    for (let p = S.rowPtr[i]; p < S.rowPtr[i + 1]; p++) A[i][S.colIdx[p]] = S.values[p];
+  }
+  return A;
+}
+
+export const nnz = S => S.rowPtr[S.rows];
+
+// positions of the stored entries as { rows, cols, i, j } (typed arrays)
+export function csrPattern(S) {
+  const i = new Int32Array(nnz(S));
+  for (let r = 0; r < S.rows; r++) i.fill(r, S.rowPtr[r], S.rowPtr[r + 1]);
+  return { rows: S.rows, cols: S.cols, i, j: S.colIdx };
+}
+
+/* ───────────────────────────── operations ─────────────────────────── */
+export function csrMatVec(S, x) {
+  const y = new Array(S.rows).fill(0);
+  for (let i = 0; i < S.rows; i++) {
+    let s = 0;
+    for (let p = S.rowPtr[i]; p < S.rowPtr[i + 1]; p++) s += S.values[p] * x[S.colIdx[p]];
+    y[i] = s;
+  }
+  return y;
+}
+
+export function csrDiagonal(S) {
+  const d = new Array(S.rows).fill(0);
+  for (let i = 0; i < S.rows; i++) {
+    for (let p = S.rowPtr[i]; p < S.rowPtr[i + 1]; p++) {
+      if (S.colIdx[p] === i) d[i] = S.values[p];
+    }
+  }
+  return d;
+}
+
+export function csrTranspose(S) {
+  const triplets = [];
+  for (let i = 0; i < S.rows; i++) {
+    for (let p = S.rowPtr[i]; p < S.rowPtr[i + 1]; p++) triplets.push([S.colIdx[p], i, S.values[p]]);
+  }
+  return csrFromTriplets(S.cols, S.rows, triplets);
+}
+
+// lower and upper bandwidth: aᵢⱼ = 0 when i − j > lower or j − i > upper
+export function bandwidth(S) {
+  let lower = 0;
+  let upper = 0;
+  for (let i = 0; i < S.rows; i++) {
+    for (let p = S.rowPtr[i]; p < S.rowPtr[i + 1]; p++) {
+      lower = Math.max(lower, i - S.colIdx[p]);
+      upper = Math.max(upper, S.colIdx[p] - i);
+    }
+  }
+  return { lower, upper };
+}
+
+/* ─────────────────────────────── parsing ──────────────────────────── */
+// "i j value" per line, 1‑based; the size is the largest index unless a
+// line "size n" or "size m n" says otherwise; blank lines and % comments skipped
+export function parseTriplets(text) {
+  const triplets = [];
+  let size = null;
+  String(text).split('\n').forEach((raw, line) => {
+    const t = raw.replace(/%.*/, '').trim();
+    if (!t) return;
+    const parts = t.split(/[,\s]+/);
+    if (parts[0].toLowerCase() === 'size') {
+      const dims = parts.slice(1).map(Number);
+      size = dims.length === 1 ? [dims[0], dims[0]] : dims;
+      return;
+    }
+    if (parts.length !== 3) throw new Error(`line ${line + 1}: expected "i j value"`);
+    const [i, j, v] = parts.map(Number);
+    triplets.push([i - 1, j - 1, v]);
+  });
+  if (!triplets.length) throw new Error('no entries given');
+  const rows = size ? size[0] : triplets.reduce((m, t) => Math.max(m, t[0]), 0) + 1;
+  const cols = size ? size[1] : triplets.reduce((m, t) => Math.max(m, t[1]), 0) + 1;
+  const n = size ? null : Math.max(rows, cols);    // square unless told otherwise
+  return csrFromTriplets(n ?? rows, n ?? cols, triplets);
+}
+
+export function parseMatrixMarket(text) {
+  const lines = String(text).split(/\r?\n/);
+  const header = lines[0].trim().split(/\s+/).map(s => s.toLowerCase());
+  if (header[0] !== '%%matrixmarket' || header[1] !== 'matrix') {
+    throw new Error('not a Matrix Market file: the first line must start with "%%MatrixMarket matrix"');
+  }
+  const [, , format, field, symmetry] = header;
+  if (!['coordinate', 'array'].includes(format)) throw new Error(`unsupported Matrix Market format "${format}"`);
+  if (!['real', 'integer', 'pattern', 'double'].includes(field)) {
+    throw new Error(`unsupported Matrix Market field "${field}" (real, integer or pattern only)`);
+  }
+  if (!['general', 'symmetric', 'skew-symmetric'].includes(symmetry)) {
+    throw new Error(`unsupported Matrix Market symmetry "${symmetry}"`);
+  }
+  if (format === 'array' && field === 'pattern') throw new Error('an array file cannot have the pattern field');
+
+  const body = lines.slice(1).map(l => l.trim()).filter(l => l && !l.startsWith('%'));
+  if (!body.length) throw new Error('the Matrix Market file has no size line');
+  const dims = body[0].split(/\s+/).map(Number);
+  const [rows, cols] = dims;
+  const triplets = [];
+  const mirror = (i, j, v) => {
+    triplets.push([i, j, v]);
+    if (i !== j && symmetry === 'symmetric') triplets.push([j, i, v]);
+    if (i !== j && symmetry === 'skew-symmetric') triplets.push([j, i, -v]);
+  };
+
+  if (format === 'coordinate') {
+    const count = dims[2];
+    if (body.length - 1 < count) throw new Error(`expected ${count} entries, found ${body.length - 1}`);
+    for (let k = 1; k <= count; k++) {
+      const parts = body[k].split(/\s+/).map(Number);
+      const v = field === 'pattern' ? 1 : parts[2];
+      mirror(parts[0] - 1, parts[1] - 1, v);
+    }
+  } else {
+    // column‑major; symmetric files list only the lower triangle
+    const values = body.slice(1).join(' ').split(/\s+/).map(Number);
+    let k = 0;
+    for (let j = 0; j < cols; j++) {
+      for (let i = symmetry === 'general' ? 0 : j + (symmetry === 'skew-symmetric' ? 1 : 0); i < rows; i++) {
+        if (k >= values.length) throw new Error('the array file ends early');
+        const v = values[k++];
+        if (v !== 0) mirror(i, j, v);
+      }
+    }
+  }
+  return csrFromTriplets(rows, cols, triplets);
+}
+
+/* ────────────────────────────── generators ────────────────────────── */
+export function poisson1D(n) {
+  if (!(Number.isInteger(n) && n >= 1)) throw new Error('n must be a positive integer');
+  const triplets = [];
+  for (let i = 0; i < n; i++) {
+    if (i > 0) triplets.push([i, i - 1, -1]);
+    triplets.push([i, i, 2]);
+    if (i < n - 1) triplets.push([i, i + 1, -1]);
+  }
+  return csrFromTriplets(n, n, triplets);
+}
+
+// unknown (r, c) of the k × k grid is number r·k + c (natural ordering)
+export function poisson2D(k) {
+  if (!(Number.isInteger(k) && k >= 1)) throw new Error('the grid size k must be a positive integer');
+  const triplets = [];
+  for (let r = 0; r < k; r++) {
+    for (let c = 0; c < k; c++) {
+      const i = r * k + c;
+      if (r > 0) triplets.push([i, i - k, -1]);
+      if (c > 0) triplets.push([i, i - 1, -1]);
+      triplets.push([i, i, 4]);
+      if (c < k - 1) triplets.push([i, i + 1, -1]);
+      if (r < k - 1) triplets.push([i, i + k, -1]);
+    }
+  }
+  return csrFromTriplets(k * k, k * k, triplets);
+}
+
+/* ──────────────────────── banded LU (PA = LU) ─────────────────────── */
+// most numbers a factorisation may store: n·(2p + q + 1)
+export const BAND_LIMIT = 2e7;
+
+// Position i holds a dense slice of columns [i − p, i + p + q] (clipped), as
+// in LAPACK's gbtrf: with partial pivoting U gets upper bandwidth p + q, the
+// fill the factorisation can create, and at step k every active row is zero
+// beyond column k + p + q, so interchanges only swap that stretch.  Returns
+// { n, rows, mult, piv, lower, upper, fill } where fill = nnz(L) + nnz(U).
+export function bandLU(A) {
+  const S = toCsr(A);
+  if (S.rows !== S.cols) throw new Error('the matrix must be square');
+  const n = S.rows;
+  const { lower: p, upper: q } = bandwidth(S);
+  if (n * (2 * p + q + 1) > BAND_LIMIT) {
+    throw new Error(`the band is too wide for a direct solve (bandwidths ${p}, ${q} at n = ${n}); use an iterative method`);
+  }
+  const rows = [];
+  for (let i = 0; i < n; i++) {
+    const start = Math.max(0, i - p);
+    const data = new Float64Array(Math.min(n, i + p + q + 1) - start);
+    for (let k = S.rowPtr[i]; k < S.rowPtr[i + 1]; k++) data[S.colIdx[k] - start] = S.values[k];
+    rows.push({ start, data });
+  }
+  const at = (row, j) => (j >= row.start && j < row.start + row.data.length ? row.data[j - row.start] : 0);
+  const piv = new Int32Array(n);
+  const mult = [];               // mult[k][t]: multiplier for row k + 1 + t at step k
+
+  for (let k = 0; k < n; k++) {
+    const last = Math.min(n - 1, k + p);
+    let best = k;
+    for (let i = k + 1; i <= last; i++) {
+      if (Math.abs(at(rows[i], k)) > Math.abs(at(rows[best], k))) best = i;
+    }
+    piv[k] = best;
+    const end = Math.min(n, k + p + q + 1);
+    if (best !== k) {
+      const a = rows[k];
+      const b = rows[best];
+      for (let j = k; j < end; j++) {
+        const t = a.data[j - a.start];
+        a.data[j - a.start] = b.data[j - b.start];
+        b.data[j - b.start] = t;
+      }
+    }
+    const pivotRow = rows[k];
+    const pivot = at(pivotRow, k);
+    if (pivot === 0) throw new Error(`the matrix is singular (zero pivot in column ${k + 1})`);
+    const m = new Float64Array(last - k);
+    for (let i = k + 1; i <= last; i++) {
+      const row = rows[i];
+      const f = at(row, k) / pivot;
+      m[i - k - 1] = f;
+      if (f === 0) continue;
+      for (let j = k + 1; j < end; j++) row.data[j - row.start] -= f * pivotRow.data[j - pivotRow.start];
+      row.data[k - row.start] = 0;
+    }
+    mult.push(m);
+  }
+
+  let fill = 0;
+  rows.forEach((row, i) => row.data.forEach((v, t) => {
+    if (v !== 0 && row.start + t >= i) fill++;
+  }));
+  mult.forEach(m => m.forEach(v => {
+    if (v !== 0) fill++;
+  }));
+  return { n, rows, mult, piv, lower: p, upper: q, fill };
+}
+
+export function bandSolve({ n, rows, mult, piv }, b) {
+  const y = Float64Array.from(b);
+  for (let k = 0; k < n; k++) {
+    if (piv[k] !== k) [y[k], y[piv[k]]] = [y[piv[k]], y[k]];
+    mult[k].forEach((f, t) => {
+      y[k + 1 + t] -= f * y[k];
+    });
+  }
+  const x = new Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    const { start, data } = rows[i];
+    let s = y[i];
+    for (let j = i + 1; j < start + data.length; j++) s -= data[j - start] * x[j];
+    x[i] = s / data[i - start];
+  }
+  return x;
+}
+
+// coordinates of the non‑zeros of L (the multipliers, below the diagonal)
+// and U, as { rows, cols, i, j } for a spy plot — see `csrPattern`
+export function bandFactorPattern({ n, rows, mult, fill }) {
+  const pi = new Int32Array(fill);
+  const pj = new Int32Array(fill);
+  let t = 0;
+  rows.forEach((row, r) => row.data.forEach((v, c) => {
+    if (v !== 0 && row.start + c >= r) {
+      pi[t] = r;
+      pj[t++] = row.start + c;
+    }
+  }));
+  mult.forEach((m, k) => m.forEach((v, c) => {
+    if (v !== 0) {
+      pi[t] = k + 1 + c;
+      pj[t++] = k;
+    }
+  }));
+  return { rows: n, cols: n, i: pi, j: pj };
+}
@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isCsr, csrFromTriplets, csrFromDense, toCsr, csrToDense, nnz, csrMatVec, csrDiagonal,
+  csrTranspose, bandwidth, parseTriplets, parseMatrixMarket, poisson1D, poisson2D,
+  BAND_LIMIT, bandLU, bandSolve, bandFactorPattern,
+} from './sparse.js';
+import { matVec, residualNorm } from './linear.js';
+
+const A = [[4, 1, 0], [3, 5, 1], [0, 1, 3]];
+
+describe('building', () => {
+  it('sums duplicate triplets and sorts the columns', () => {
+    const S = csrFromTriplets(2, 3, [[1, 2, 5], [0, 1, 1], [1, 0, 2], [0, 1, 2]]);
+    expect(isCsr(S)).toBe(true);
+    expect([...S.rowPtr]).toEqual([0, 1, 3]);
+    expect([...S.colIdx]).toEqual([1, 0, 2]);
+    expect([...S.values]).toEqual([3, 2, 5]);
+    expect(csrToDense(S)).toEqual([[0, 3, 0], [2, 0, 5]]);
+  });
+
+  it('rejects bad dimensions and entries', () => {
+    expect(() => csrFromTriplets(0, 2, [])).toThrow('positive integer dimensions');
+    expect(() => csrFromTriplets(2, 2, [[2, 0, 1]])).toThrow('entry (3, 1) lies outside a 2 × 2 matrix');
+    expect(() => csrFromTriplets(2, 2, [[0, 0, NaN]])).toThrow('entry (1, 1) is not a finite number');
+  });
+
+  it('round-trips a dense matrix and leaves CSR alone', () => {
+    const S = csrFromDense(A);
+    expect(nnz(S)).toBe(7);
+    expect(csrToDense(S)).toEqual(A);
+    expect(toCsr(S)).toBe(S);
+    expect(isCsr(A)).toBe(false);
+  });
+});
+
+describe('operations', () => {
+  it('multiplies, reads the diagonal and transposes', () => {
+    const S = csrFromDense(A);
+    expect(csrMatVec(S, [1, 2, 3])).toEqual(matVec(A, [1, 2, 3]));
+    expect(csrDiagonal(S)).toEqual([4, 5, 3]);
+    expect(csrToDense(csrTranspose(S))).toEqual([[4, 3, 0], [1, 5, 1], [0, 1, 3]]);
+  });
+
+  it('measures the lower and upper bandwidth', () => {
+    expect(bandwidth(csrFromDense(A))).toEqual({ lower: 1, upper: 1 });
+    expect(bandwidth(poisson2D(5))).toEqual({ lower: 5, upper: 5 });
+    expect(bandwidth(csrFromTriplets(4, 4, [[3, 0, 1], [0, 1, 1]]))).toEqual({ lower: 3, upper: 1 });
+  });
+});
+
+describe('parseTriplets', () => {
+  it('reads 1-based entries, skipping comments and blank lines', () => {
+    const S = parseTriplets('% a comment\n1 1 4\n\n2 3 -1\n3 2 2.5');
+    expect(csrToDense(S)).toEqual([[4, 0, 0], [0, 0, -1], [0, 2.5, 0]]);
+  });
+
+  it('pads to a square matrix unless a size line says otherwise', () => {
+    expect(parseTriplets('1 3 1')).toMatchObject({ rows: 3, cols: 3 });
+    expect(parseTriplets('size 2 4\n1 3 1')).toMatchObject({ rows: 2, cols: 4 });
+    expect(parseTriplets('size 5\n1 1 1')).toMatchObject({ rows: 5, cols: 5 });
+  });
+
+  it('rejects malformed input', () => {
+    expect(() => parseTriplets('1 2')).toThrow('line 1: expected "i j value"');
+    expect(() => parseTriplets('% nothing')).toThrow('no entries given');
+  });
+});
+
+describe('parseMatrixMarket', () => {
+  it('reads a general coordinate file', () => {
+    const S = parseMatrixMarket('%%MatrixMarket matrix coordinate real general\n% c\n2 2 3\n1 1 2\n2 1 -1\n2 2 3\n');
+    expect(csrToDense(S)).toEqual([[2, 0], [-1, 3]]);
+  });
+
+  it('mirrors symmetric and skew-symmetric entries', () => {
+    const sym = parseMatrixMarket('%%MatrixMarket matrix coordinate integer symmetric\n2 2 2\n1 1 2\n2 1 -1');
+    expect(csrToDense(sym)).toEqual([[2, -1], [-1, 0]]);
+    const skew = parseMatrixMarket('%%MatrixMarket matrix coordinate real skew-symmetric\n2 2 1\n2 1 3');
+    expect(csrToDense(skew)).toEqual([[0, -3], [3, 0]]);
+  });
+
+  it('puts ones at the positions of a pattern file', () => {
+    const S = parseMatrixMarket('%%MatrixMarket matrix coordinate pattern general\n2 3 2\n1 3\n2 1');
+    expect(csrToDense(S)).toEqual([[0, 0, 1], [1, 0, 0]]);
+  });
+
+  it('reads array files column by column', () => {
+    const general = parseMatrixMarket('%%MatrixMarket matrix array real general\n2 2\n1\n2\n3\n4');
+    expect(csrToDense(general)).toEqual([[1, 3], [2, 4]]);
+    const sym = parseMatrixMarket('%%MatrixMarket matrix array real symmetric\n2 2\n1\n2\n4');
+    expect(csrToDense(sym)).toEqual([[1, 2], [2, 4]]);
+  });
+
+  it('rejects what it cannot read', () => {
+    expect(() => parseMatrixMarket('1 1 1')).toThrow('not a Matrix Market file');
+    expect(() => parseMatrixMarket('%%MatrixMarket matrix coordinate complex general\n1 1 0'))
+      .toThrow('unsupported Matrix Market field "complex"');
+    expect(() => parseMatrixMarket('%%MatrixMarket matrix coordinate real hermitian\n1 1 0'))
+      .toThrow('unsupported Matrix Market symmetry "hermitian"');
+    expect(() => parseMatrixMarket('%%MatrixMarket matrix coordinate real general\n2 2 3\n1 1 1'))
+      .toThrow('expected 3 entries, found 1');
+    expect(() => parseMatrixMarket('%%MatrixMarket matrix array real general\n2 2\n1\n2'))
+      .toThrow('the array file ends early');
+  });
+});
+
+describe('Poisson generators', () => {
+  it('builds the tridiagonal and five-point Laplacians', () => {
+    expect(csrToDense(poisson1D(3))).toEqual([[2, -1, 0], [-1, 2, -1], [0, -1, 2]]);
+    const P = poisson2D(3);
+    expect(P.rows).toBe(9);
+    expect(nnz(P)).toBe(9 + 2 * 12);
+    expect(csrMatVec(P, Array(9).fill(1))).toEqual([2, 1, 2, 1, 0, 1, 2, 1, 2]);
+  });
+
+  it('rejects non-integer sizes', () => {
+    expect(() => poisson1D(0)).toThrow('n must be a positive integer');
+    expect(() => poisson2D(2.5)).toThrow('the grid size k must be a positive integer');
+  });
+});
+
+describe('bandLU', () => {
+  it('solves a banded system with pivoting', () => {
+    const B = [[1, 2, 0, 0], [4, 1, 3, 0], [0, 5, 1, 1], [0, 0, 2, 6]];
+    const b = [3, 8, 7, 8];
+    const F = bandLU(B);
+    expect(F).toMatchObject({ n: 4, lower: 1, upper: 1 });
+    expect(residualNorm(B, bandSolve(F, b), b)).toBeLessThan(1e-14);
+    const pattern = bandFactorPattern(F);
+    expect(pattern.i).toHaveLength(F.fill);
+  });
+
+  it('solves the 2D Poisson system', () => {
+    const P = poisson2D(20);
+    const b = Array(400).fill(1);
+    const x = bandSolve(bandLU(P), b);
+    expect(residualNorm(P, x, b)).toBeLessThan(1e-10);
+  });
+
+  it('reports a singular matrix', () => {
+    expect(() => bandLU([[1, 2], [2, 4]])).toThrow('the matrix is singular (zero pivot in column 2)');
+    expect(() => bandLU(csrFromTriplets(2, 3, [[0, 0, 1]]))).toThrow('the matrix must be square');
+  });
+
+  it(`refuses a factorisation larger than BAND_LIMIT = ${BAND_LIMIT}`, () => {
+    // a diagonal plus two corner entries: bandwidths n − 1, so n·(3n − 2) numbers
+    const n = 10000;
+    const triplets = Array.from({ length: n }, (_, i) => [i, i, 1]);
+    triplets.push([0, n - 1, 1], [n - 1, 0, 1]);
+    expect(() => bandLU(csrFromTriplets(n, n, triplets))).toThrow('the band is too wide for a direct solve');
+  });
+});
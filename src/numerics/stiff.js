@@ -0,0 +1,294 @@
+// stiff.js — implicit integrators for stiff systems y′ = f(t, y)
+// ---------------------------------------------------------------------------
+//   • implicit (backward) Euler   order 1, L‑stable
+//   • trapezoidal rule            order 2, A‑stable (not L‑stable)
+//   • BDF2 (variable step)        order 2, L‑stable multistep
+//   • Radau IIA, 2 stages         order 3, L‑stable, stiffly accurate
+//
+// Every step solves its stage equations G(z) = 0 by simplified Newton: the
+// Jacobian J = ∂f/∂y is taken once per step at (tₙ, yₙ), either from the
+// caller (`jac`, e.g. built with mathjs derivative) or by forward finite
+// differences, and the iteration matrix I − hγ(A ⊗ J) is LU‑factored once
+// per trial step.  The step size is controlled from a local error estimate
+// filtered through (I − hγJ)⁻¹ so stiff components do not inflate it:
+//   Euler      e ≈ h/2 · (fₙ₊₁ − fₙ)                      (vs. trapezoid)
+//   trapezoid  e ≈ h³/12 · y‴,  BDF2  e ≈ 2h³/9 · y‴       (y‴ from divided
+//              differences of f over the last three points)
+//   Radau IIA  e = embedded 2nd‑order solution − yₙ₊₁
+// Same options and result shape as solveIVP in ode.js, plus `jevals` and
+// `newtonIters`.
+
+import { countEvals } from './expr.js';
+import { luFactor, luSolve } from './linear.js';
+
+const SAFETY = 0.9;
+const MIN_FACTOR = 0.2;
+const MAX_FACTOR = 10;
+const NEWTON_MAX_ITER = 8;
+const NEWTON_TOL = 0.03;   // scaled RMS of the Newton update
+
+// Radau IIA (2 stages): c = (1/3, 1), A = [[5/12, −1/12], [3/4, 1/4]];
+// A⁻¹ recovers h·f(Yᵢ) from the stage increments without new evaluations.
+const RADAU_A = [[5 / 12, -1 / 12], [3 / 4, 1 / 4]];
+const RADAU_A_INV = [[3 / 2, 1 / 2], [-9 / 2, 5 / 2]];
+const RADAU_C = [1 / 3, 1];
+const RADAU_GAMMA0 = 1 / 4;          // weight of fₙ in the embedded formula
+const RADAU_BHAT = [3 / 8, 3 / 8];   // weights of f(Y₁), f(Y₂)
+
+export const STIFF_METHODS = {
+  euler: { label: 'Implicit Euler', order: 1, errorOrder: 1 },
+  trapezoid: { label: 'Trapezoidal', order: 2, errorOrder: 2 },
+  bdf2: { label: 'BDF2', order: 2, errorOrder: 2 },
+  radau: { label: 'Radau IIA', order: 3, errorOrder: 2 },
+};
+
+/* ─────────────────────────── small helpers ─────────────────────────── */
+const rms = v => Math.sqrt(v.reduce((s, x) => s + x * x, 0) / v.length);
+const scaledNorm = (v, scale) => rms(v.map((x, i) => x / scale[i]));
+const identityMinus = (J, c) => J.map((row, i) => row.map((v, j) => (i === j ? 1 : 0) - c * v));
+
+/* forward‑difference Jacobian, one extra f evaluation per column */
+export function numericJacobian(f, t, y, fy = f(t, y)) {
+  const n = y.length;
+  const J = Array.from({ length: n }, () => Array(n).fill(0));
+  for (let j = 0; j < n; j++) {
+    const dy = Math.sqrt(Number.EPSILON) * Math.max(1, Math.abs(y[j]));
+    const yp = [...y];
+    yp[j] += dy;
+    const fp = f(t, yp);
+    for (let i = 0; i < n; i++) J[i][j] = (fp[i] - fy[i]) / dy;
+  }
+  return J;
+}
+
+/* simplified Newton on G(z) = 0 with a fixed factored matrix */
+function newtonSolve(G, z0, lu, scale) {
+  let z = z0;
+  let prev = Infinity;
+  for (let k = 1; k <= NEWTON_MAX_ITER; k++) {
+    const g = G(z);
+    if (!g.every(Number.isFinite)) return { ok: false, iters: k };
+    const dz = luSolve(lu, g);
+    z = z.map((zi, i) => zi - dz[i]);
+    const size = scaledNorm(dz, scale);
+    if (size < NEWTON_TOL) return { ok: true, z, iters: k };
+    if (k > 1 && size > prev) return { ok: false, iters: k };   // diverging
+    prev = size;
+  }
+  return { ok: false, iters: NEWTON_MAX_ITER };
+}
+
+/* ───────────────── one trial step of each method ───────────────────── */
+// Each returns { ok, yNew, fNew, err, iters } where err is the (unfiltered)
+// local error estimate vector, or { ok: false } when Newton fails.
+const steppers = {
+  euler(ctx, t, y, f0, h) {
+    const { F, J, scale } = ctx;
+    const n = y.length;
+    const lu = luFactor(identityMinus(J, h));
+    const sol = newtonSolve(z => {
+      const fz = F(t + h, z);
+      return z.map((zi, i) => zi - y[i] - h * fz[i]);
+    }, [...y], lu, scale);
+    if (!sol.ok) return sol;
+    const fNew = F(t + h, sol.z);
+    const err = Array.from({ length: n }, (_, i) => (h / 2) * (fNew[i] - f0[i]));
+    return { ok: true, yNew: sol.z, fNew, err, lu, iters: sol.iters };
+  },
+
+  trapezoid(ctx, t, y, f0, h) {
+    const { F, J, scale, history } = ctx;
+    const lu = luFactor(identityMinus(J, h / 2));
+    const sol = newtonSolve(z => {
+      const fz = F(t + h, z);
+      return z.map((zi, i) => zi - y[i] - (h / 2) * (f0[i] + fz[i]));
+    }, [...y], lu, scale);
+    if (!sol.ok) return sol;
+    const fNew = F(t + h, sol.z);
+    const err = thirdDerivativeError(history, t, f0, t + h, fNew, h ** 3 / 12)
+      ?? fNew.map((fi, i) => (h / 2) * (fi - f0[i]));
+    return { ok: true, yNew: sol.z, fNew, err, lu, iters: sol.iters };
+  },
+
+  bdf2(ctx, t, y, f0, h) {
+    const { F, J, scale, history } = ctx;
+    const prev = history.length ? history[history.length - 1] : null;
+    if (!prev) return steppers.euler(ctx, t, y, f0, h);   // self‑starting
+
+    // variable‑step BDF2 with ω = hₙ / hₙ₋₁
+    const ω = h / (t - prev.t);
+    const a1 = (1 + ω) ** 2 / (1 + 2 * ω);
+    const a2 = -(ω ** 2) / (1 + 2 * ω);
+    const β = (1 + ω) / (1 + 2 * ω);
+    const lu = luFactor(identityMinus(J, h * β));
+    const sol = newtonSolve(z => {
+      const fz = F(t + h, z);
+      return z.map((zi, i) => zi - a1 * y[i] - a2 * prev.y[i] - h * β * fz[i]);
+    }, [...y], lu, scale);
+    if (!sol.ok) return sol;
+    const fNew = F(t + h, sol.z);
+    const err = thirdDerivativeError(history, t, f0, t + h, fNew, (2 / 9) * h ** 3);
+    return { ok: true, yNew: sol.z, fNew, err, lu, iters: sol.iters };
+  },
+
+  radau(ctx, t, y, f0, h) {
+    const { F, J, scale } = ctx;
+    const n = y.length;
+    // (2n)×(2n) iteration matrix I − h (A ⊗ J)
+    const M = Array.from({ length: 2 * n }, (_, r) => Array.from({ length: 2 * n }, (_, c) => {
+      const [bi, i] = [Math.floor(r / n), r % n];
+      const [bj, j] = [Math.floor(c / n), c % n];
+      return (r === c ? 1 : 0) - h * RADAU_A[bi][bj] * J[i][j];
+    }));
+    const lu = luFactor(M);
+    const stageScale = [...scale, ...scale];
+    // unknowns: stage increments Z = (Z₁, Z₂), Yᵢ = y + Zᵢ
+    const sol = newtonSolve(Z => {
+      const fs = RADAU_C.map((c, s) => F(t + c * h, y.map((yi, i) => yi + Z[s * n + i])));
+      return Z.map((z, r) => {
+        const [s, i] = [Math.floor(r / n), r % n];
+        return z - h * (RADAU_A[s][0] * fs[0][i] + RADAU_A[s][1] * fs[1][i]);
+      });
+    }, Array(2 * n).fill(0), lu, stageScale);
+    if (!sol.ok) return sol;
+
+    const Z = sol.z;
+    const yNew = y.map((yi, i) => yi + Z[n + i]);   // stiffly accurate: y₁ = Y₂
+    const fNew = F(t + h, yNew);
+    const err = y.map((_, i) => {
+      const hF1 = RADAU_A_INV[0][0] * Z[i] + RADAU_A_INV[0][1] * Z[n + i];
+      const hF2 = RADAU_A_INV[1][0] * Z[i] + RADAU_A_INV[1][1] * Z[n + i];
+      return h * RADAU_GAMMA0 * f0[i] + RADAU_BHAT[0] * hF1 + RADAU_BHAT[1] * hF2 - Z[n + i];
+    });
+    const filter = luFactor(identityMinus(J, h * RADAU_GAMMA0));
+    return { ok: true, yNew, fNew, err, lu: filter, iters: sol.iters };
+  },
+};
+
+/* LTE ≈ C·y‴ with y‴ ≈ 2·f[tₙ₋₁, tₙ, tₙ₊₁]; null when there is no history */
+function thirdDerivativeError(history, t, f0, tNew, fNew, C) {
+  const prev = history.length ? history[history.length - 1] : null;
+  if (!prev) return null;
+  return fNew.map((fi, i) => {
+    const d1 = (f0[i] - prev.f[i]) / (t - prev.t);
+    const d2 = (fi - f0[i]) / (tNew - t);
+    return C * 2 * (d2 - d1) / (tNew - prev.t);
+  });
+}
+
+/* ───────────────────────────── public API ──────────────────────────── */
+export function solveStiff(method, f, t0, y0, t1, {
+  h,
+  rtol = 1e-3,
+  atol = 1e-6,
+  maxSteps = 100000,
+  h0,
+  jac,
+} = {}) {
+  const stepper = steppers[method];
+  if (!stepper) throw new Error(`Unknown stiff method "${method}"`);
+  const tab = STIFF_METHODS[method];
+  const tStart = Number(t0);
+  const tEnd = Number(t1);
+  if (!(tEnd > tStart)) throw new Error('t1 must be greater than t0');
+
+  const scalar = !Array.isArray(y0);
+  const Y0 = scalar ? [Number(y0)] : y0.map(Number);
+  const counter = countEvals(scalar ? (t, y) => [f(t, y[0])] : f);
+  const F = counter.f;
+  const jacobian = jac
+    ? (scalar ? (t, y) => [[jac(t, y[0])]] : jac)
+    : (t, y, fy) => numericJacobian(F, t, y, fy);
+  const rTol = Number(rtol);
+  const aTol = Number(atol);
+  const fixed = h !== undefined;
+  const exponent = -1 / (tab.errorOrder + 1);
+
+  let t = tStart;
+  let y = Y0;
+  let fy = F(t, y);
+  let hAbs = fixed ? Number(h) : h0 ?? Math.min(1e-4 * (tEnd - tStart), 1e-2);
+  const steps = [{ t, y, h: 0 }];
+  const history = [];        // previous accepted { t, y, f } (for BDF2 / y‴)
+  let rejected = 0;
+  let jevals = 0;
+  let newtonIters = 0;
+  let status = 'converged';
+
+  while (t < tEnd) {
+    if (steps.length > maxSteps) {
+      status = 'max-steps';
+      break;
+    }
+    const J = jacobian(t, y, fy);
+    jevals++;
+    let accepted = false;
+    let stepRejected = false;
+
+    while (!accepted) {
+      const minStep = 10 * Number.EPSILON * Math.max(Math.abs(t), 1e-300);
+      if (hAbs < minStep) {
+        status = 'step-too-small';
+        break;
+      }
+      const hh = Math.min(hAbs, tEnd - t);
+      const scale = y.map(yi => aTol + rTol * Math.abs(yi));
+      const trial = stepper({ F, J, scale, history }, t, y, fy, hh);
+      newtonIters += trial.iters ?? 0;
+
+      if (!trial.ok) {
+        if (fixed) {
+          status = 'newton-failed';
+          break;
+        }
+        hAbs = hh / 2;
+        rejected++;
+        stepRejected = true;
+        continue;
+      }
+
+      let factor = 1;
+      if (!fixed) {
+        const errScale = y.map((yi, i) => aTol + rTol * Math.max(Math.abs(yi), Math.abs(trial.yNew[i])));
+        const err = scaledNorm(luSolve(trial.lu, trial.err), errScale);
+        if (!(err < 1)) {
+          hAbs = hh * (Number.isFinite(err) ? Math.max(MIN_FACTOR, SAFETY * err ** exponent) : MIN_FACTOR);
+          rejected++;
+          stepRejected = true;
+          continue;
+        }
+        factor = err === 0 ? MAX_FACTOR : Math.min(MAX_FACTOR, SAFETY * err ** exponent);
+        if (stepRejected) factor = Math.min(1, factor);
+      }
+
+      history.push({ t, y, f: fy });
+      if (history.length > 2) history.shift();
+      t = t + hh >= tEnd ? tEnd : t + hh;
+      y = trial.yNew;
+      fy = trial.fNew;
+      steps.push({ t, y, h: hh });
+      if (!fixed) hAbs = hh * factor;
+      accepted = true;
+    }
+    if (!accepted) break;
+    if (!y.every(Number.isFinite)) {
+      status = 'non-finite';
+      break;
+    }
+  }
+
+  const unwrap = v => (scalar ? v[0] : v);
+  return {
+    t,
+    y: unwrap(y),
+    steps: steps.map(s => ({ ...s, y: unwrap(s.y) })),
+    accepted: steps.length - 1,
+    rejected,
+    converged: status === 'converged',
+    status,
+    evals: counter.evals,
+    jevals,
+    newtonIters,
+    method: tab.label,
+  };
+}
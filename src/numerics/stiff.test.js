@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { solveStiff, numericJacobian, STIFF_METHODS } from './stiff.js';
+import { solveIVP } from './ode.js';
+
+// y′ = −1000(y − cos t): after a fast transient y follows cos t closely
+const stiff = (t, y) => -1000 * (y - Math.cos(t));
+const smooth = t => (1e6 * Math.cos(t) + 1000 * Math.sin(t)) / (1e6 + 1);
+
+describe('numericJacobian', () => {
+  it('matches the analytic Jacobian to about √ε', () => {
+    const f = (t, [u, v]) => [u * v, Math.sin(u) + t];
+    const J = numericJacobian(f, 0, [1, 2]);
+    expect(J[0][0]).toBeCloseTo(2, 6);
+    expect(J[0][1]).toBeCloseTo(1, 6);
+    expect(J[1][0]).toBeCloseTo(Math.cos(1), 6);
+    expect(J[1][1]).toBeCloseTo(0, 6);
+  });
+});
+
+describe('solveStiff', () => {
+  for (const method of Object.keys(STIFF_METHODS)) {
+    it(`${method} follows the slow solution`, () => {
+      const r = solveStiff(method, stiff, 0, 0, 2, { rtol: 1e-5, atol: 1e-8 });
+      expect(r.status).toBe('converged');
+      expect(r.t).toBe(2);
+      expect(Math.abs(r.y - smooth(2))).toBeLessThan(1e-4);
+      // one Jacobian per step (reused by rejected trials), at least one Newton iteration each
+      expect(r.jevals).toBe(r.accepted);
+      expect(r.newtonIters).toBeGreaterThanOrEqual(r.accepted);
+    });
+  }
+
+  it('takes far fewer steps than an explicit method on a stiff problem', () => {
+    const options = { rtol: 1e-4, atol: 1e-7 };
+    const implicit = solveStiff('radau', stiff, 0, 0, 10, options);
+    const explicit = solveIVP('rk45', stiff, 0, 0, 10, options);
+    expect(implicit.accepted * 10).toBeLessThan(explicit.accepted);
+  });
+
+  it('uses a supplied Jacobian instead of differencing', () => {
+    const jac = () => -1000;
+    const withJac = solveStiff('bdf2', stiff, 0, 0, 1, { jac });
+    const without = solveStiff('bdf2', stiff, 0, 0, 1);
+    expect(withJac.y).toBeCloseTo(without.y, 4);
+    // a finite-difference column costs one extra f per Jacobian
+    expect(without.evals - withJac.evals).toBe(without.jevals);
+  });
+
+  it('implicit Euler is first order with a fixed step', () => {
+    const error = h => Math.abs(solveStiff('euler', (t, y) => -y, 0, 1, 1, { h }).y - Math.exp(-1));
+    expect(Math.log2(error(0.01) / error(0.005))).toBeCloseTo(1, 1);
+  });
+
+  it('rejects unknown methods', () => {
+    expect(() => solveStiff('rk4', stiff, 0, 0, 1)).toThrow('Unknown stiff method');
+  });
+});
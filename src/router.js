@@ -0,0 +1,85 @@
+// router.js — tiny hash router with query‑string page state
+// ---------------------------------------------------------------------------
+// URLs look like  #/newton-raphson?fx=cos(x)%20-%20x&x0=1&run=1
+//   • the path picks the page (see ROUTES in App.jsx)
+//   • every other key is one input of that page, read back on load
+//   • run=1 means "results were computed" and re‑runs them on open
+// Navigating between pages pushes a history entry (so Back works); editing an
+// input only rewrites the current entry with history.replaceState.
+
+import { useEffect, useState } from 'react';
+
+/* ───────────────────────────── parsing ─────────────────────────────── */
+export function parseHash(hash = window.location.hash) {
+  const raw = hash.replace(/^#/, '');
+  const [pathPart, query = ''] = raw.split('?');
+  const path = pathPart.startsWith('/') ? pathPart : `/${pathPart}`;
+  const params = Object.fromEntries(new URLSearchParams(query));
+  return { path, params };
+}
+
+export function buildHash(path, params = {}) {
+  const query = new URLSearchParams(params).toString();
+  return `#${path}${query ? `?${query}` : ''}`;
+}
+
+/* ──────────────────────────── navigation ───────────────────────────── */
+export function navigate(path, params = {}) {
+  window.location.hash = buildHash(path, params);
+}
+
+/* merge `changes` into the current query without adding a history entry */
+export function updateParams(changes) {
+  const { path, params } = parseHash();
+  const next = { ...params };
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === undefined || value === null) delete next[key];
+    else next[key] = String(value);
+  });
+  window.history.replaceState(null, '', buildHash(path, next));
+}
+
+/* ────────────────────────────── hooks ──────────────────────────────── */
+// Current route; `visit` increases on every real hash change (link, Back,
+// Forward, manual edit) so App can remount the page and re‑read its inputs.
+export function useRoute() {
+  const [route, setRoute] = useState(() => ({ ...parseHash(), visit: 0 }));
+
+  useEffect(() => {
+    const onChange = () => setRoute(r => ({ ...parseHash(), visit: r.visit + 1 }));
+    window.addEventListener('hashchange', onChange);
+    return () => window.removeEventListener('hashchange', onChange);
+  }, []);
+
+  return route;
+}
+
+// Drop‑in replacement for useState whose value lives in the query string.
+// Numbers come back as numbers (a hand‑edited value that is not one falls
+// back to the default); values equal to the default are omitted.
+export function useQueryState(key, initial) {
+  const [value, setValue] = useState(() => {
+    const raw = parseHash().params[key];
+    if (raw === undefined) return initial;
+    if (typeof initial !== 'number' || raw === '') return raw;
+    const number = Number(raw);
+    return Number.isFinite(number) ? number : initial;
+  });
+
+  function setQueryValue(next) {
+    updateParams({ [key]: next === initial ? undefined : next });
+    setValue(next);
+  }
+
+  return [value, setQueryValue];
+}
+
+// Calls `run` once after mount when the link was shared with run=1, and
+// returns a function that marks the current URL as "run" for the next visit.
+export function useAutoRun(run) {
+  useEffect(() => {
+    if (parseHash().params.run === '1') run();
+  }, []);
+
+  return () => updateParams({ run: 1 });
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createElement } from 'react';
+import { renderToString } from 'react-dom/server';
+import { parseHash, buildHash, updateParams, useQueryState } from './router';
+
+// just enough of window for the router: a hash and replaceState writing it
+beforeEach(() => {
+  const location = { hash: '' };
+  vi.stubGlobal('window', {
+    location,
+    history: { replaceState: (state, title, url) => { location.hash = url; } },
+  });
+});
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('parseHash / buildHash', () => {
+  it('decodes an encoded expression and builds it back', () => {
+    const hash = '#/newton-raphson?fx=cos(x)%20-%20x&x0=1&run=1';
+    const { path, params } = parseHash(hash);
+    expect(path).toBe('/newton-raphson');
+    expect(params).toEqual({ fx: 'cos(x) - x', x0: '1', run: '1' });
+    expect(parseHash(buildHash(path, params))).toEqual({ path, params });
+  });
+
+  it('adds the leading slash and handles a bare path', () => {
+    expect(parseHash('#bisection?a=0')).toEqual({ path: '/bisection', params: { a: '0' } });
+    expect(parseHash('')).toEqual({ path: '/', params: {} });
+    expect(buildHash('/bisection')).toBe('#/bisection');
+  });
+
+  it('reads window.location.hash by default', () => {
+    window.location.hash = '#/simpson?n=8';
+    expect(parseHash()).toEqual({ path: '/simpson', params: { n: '8' } });
+  });
+});
+
+describe('updateParams', () => {
+  it('merges changes and deletes keys set to null or undefined', () => {
+    window.location.hash = '#/simpson?fx=sin(x)&n=8&a=0';
+    updateParams({ n: 12, fx: null, a: undefined, run: 1 });
+    expect(parseHash()).toEqual({ path: '/simpson', params: { n: '12', run: '1' } });
+  });
+});
+
+describe('useQueryState', () => {
+  // renders a component once and returns the value the hook gave it
+  const read = (key, initial) => {
+    let value;
+    const Probe = () => {
+      [value] = useQueryState(key, initial);
+      return null;
+    };
+    renderToString(createElement(Probe));
+    return value;
+  };
+
+  it('decodes numbers for numeric defaults and keeps strings', () => {
+    window.location.hash = '#/newton-raphson?x0=1.5&tol=1e-8&fx=cos(x)%20-%20x';
+    expect(read('x0', 0)).toBe(1.5);
+    expect(read('tol', 1e-6)).toBe(1e-8);
+    expect(read('fx', 'x')).toBe('cos(x) - x');
+    expect(read('maxIter', 50)).toBe(50);
+  });
+
+  it('falls back to the default for a value that is not a number', () => {
+    window.location.hash = '#/newton-raphson?x0=abc&n=Infinity';
+    expect(read('x0', 1)).toBe(1);
+    expect(read('n', 10)).toBe(10);
+  });
+});
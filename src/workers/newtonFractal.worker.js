@@ -0,0 +1,21 @@
+// newtonFractal.worker.js — computes one horizontal strip of a Newton fractal
+// ---------------------------------------------------------------------------
+// Message in:  { job, expr, variable, view: { xmin, xmax, ymin, ymax, width,
+//               height, row0, row1, maxIter } }
+// Message out: { job, row0, re, im, iters }   (typed arrays, transferred)
+//          or: { job, error }
+// The page compares `job` with its latest request and drops stale strips.
+
+import { makeComplexFunction, makeComplexDerivative, newtonGrid } from '../numerics';
+
+self.onmessage = ({ data }) => {
+  const { job, expr, variable, view } = data;
+  try {
+    const f = makeComplexFunction(expr, variable);
+    const df = makeComplexDerivative(expr, variable);
+    const { re, im, iters } = newtonGrid(f, df, view);
+    self.postMessage({ job, row0: view.row0, re, im, iters }, [re.buffer, im.buffer, iters.buffer]);
+  } catch (err) {
+    self.postMessage({ job, error: err.message });
+  }
+};